@@ -0,0 +1,192 @@
+import { AirframeStore, normalizeAirframe, isPreset } from './airframes.js';
+import { downloadText, readTextFile, safeFileName } from './files.js';
+
+// Editor rows: how each value shows in the form, in units people measure in
+const FIELDS = [
+    { id: 'mass', label: 'WEIGHT (G)', step: 1, get: (a) => a.mass * 1000, set: (a, v) => a.mass = v / 1000 },
+    { id: 'twr', label: 'THRUST TO WEIGHT', step: 0.1, get: (a) => a.thrustToWeight, set: (a, v) => a.thrustToWeight = v },
+    { id: 'arm', label: 'ARM LENGTH (MM)', step: 1, get: (a) => a.armLength * 1000, set: (a, v) => a.armLength = v / 1000 },
+    { id: 'props', label: 'PROPS (INCH)', step: 0.1, get: (a) => a.propSize, set: (a, v) => a.propSize = v },
+    { id: 'drag-front', label: 'DRAG FRONT', step: 0.001, get: (a) => a.drag[2], set: (a, v) => a.drag[2] = v },
+    { id: 'drag-side', label: 'DRAG SIDE', step: 0.001, get: (a) => a.drag[0], set: (a, v) => a.drag[0] = v },
+    { id: 'drag-top', label: 'DRAG TOP', step: 0.001, get: (a) => a.drag[1], set: (a, v) => a.drag[1] = v },
+    { id: 'camera-up', label: 'CAMERA UP (MM)', step: 5, get: (a) => a.camera[1] * 1000, set: (a, v) => a.camera[1] = v / 1000 },
+    { id: 'camera-forward', label: 'CAMERA FORWARD (MM)', step: 5, get: (a) => -a.camera[2] * 1000, set: (a, v) => a.camera[2] = -v / 1000 },
+    { id: 'cells', label: 'BATTERY CELLS', step: 1, get: (a) => a.battery.cells, set: (a, v) => a.battery.cells = v },
+    { id: 'capacity', label: 'CAPACITY (MAH)', step: 50, get: (a) => a.battery.capacity, set: (a, v) => a.battery.capacity = v }
+];
+
+// Picks the airframe from the presets and custom ones, and edits custom
+// ones. Presets can be changed too, but are saved under a new name.
+export class AirframePanel {
+    constructor(store, onApply) {
+        this.store = store;
+        this.onApply = onApply; // Called with the airframe whenever it changes
+        this.isOpen = false;
+        this.unsaved = false; // Form edits on the drone, but not saved
+        this.onClose = null;
+
+        this.el = document.getElementById('airframe-panel');
+        this.select = document.getElementById('airframe-select');
+        this.nameInput = document.getElementById('airframe-name');
+        this.colorInput = document.getElementById('airframe-color');
+        this.ductsInput = document.getElementById('airframe-ducts');
+        this.modelInput = document.getElementById('airframe-model');
+        this.statusEl = document.getElementById('airframe-status');
+
+        this.buildTable();
+        this.setupEvents();
+    }
+
+    buildTable() {
+        const body = document.getElementById('airframe-fields');
+        FIELDS.forEach(field => {
+            const row = document.createElement('tr');
+            row.innerHTML = '<td>' + field.label + '</td>' +
+                '<td><input class="tuning-panel-input" type="number" step="' + field.step + '" id="airframe-' + field.id + '"></td>';
+            body.appendChild(row);
+        });
+    }
+
+    setupEvents() {
+        // Edits apply right away, and stay only once saved (see close())
+        this.el.querySelectorAll('table input, #airframe-color, #airframe-ducts, #airframe-model').forEach(input => {
+            input.addEventListener('change', () => this.applyForm());
+        });
+
+        this.select.addEventListener('change', () => {
+            this.store.setActive(this.select.value);
+            this.render();
+            this.unsaved = false;
+            this.onApply(this.store.getActive());
+            this.setStatus('');
+        });
+
+        document.getElementById('btn-airframe-save').addEventListener('click', () => this.saveAirframe());
+        document.getElementById('btn-airframe-delete').addEventListener('click', () => this.deleteAirframe());
+        document.getElementById('btn-airframe-export').addEventListener('click', () => this.exportAirframe());
+        document.getElementById('btn-airframe-back').addEventListener('click', () => this.close());
+
+        const fileInput = document.getElementById('airframe-import-file');
+        document.getElementById('btn-airframe-import').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) this.importAirframe(fileInput.files[0]);
+            fileInput.value = '';
+        });
+    }
+
+    open() {
+        this.isOpen = true;
+        this.el.style.display = 'flex';
+        this.setStatus('');
+        this.render();
+    }
+
+    // Unsaved edits only last while the panel is open
+    close() {
+        if (this.unsaved) {
+            this.unsaved = false;
+            this.onApply(this.store.getActive());
+        }
+        this.isOpen = false;
+        this.el.style.display = 'none';
+        if (this.onClose) this.onClose();
+    }
+
+    setStatus(text) {
+        this.statusEl.innerText = text;
+    }
+
+    render(airframe = this.store.getActive()) {
+        this.select.innerHTML = '';
+        this.store.getNames().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.innerText = isPreset(name) ? name : name + ' (CUSTOM)';
+            option.selected = name === this.store.active;
+            this.select.appendChild(option);
+        });
+
+        this.nameInput.value = airframe.name;
+        FIELDS.forEach(field => {
+            document.getElementById('airframe-' + field.id).value = +field.get(airframe).toFixed(4);
+        });
+        this.colorInput.value = airframe.model.color;
+        this.ductsInput.checked = airframe.ducts;
+        this.modelInput.value = airframe.model.gltf || '';
+    }
+
+    readForm() {
+        const airframe = normalizeAirframe(this.store.getActive());
+        airframe.name = this.nameInput.value;
+        FIELDS.forEach(field => {
+            // A cleared field keeps the value it had, shown back in the form
+            const input = document.getElementById('airframe-' + field.id);
+            const value = parseFloat(input.value);
+            if (isNaN(value)) {
+                input.value = +field.get(airframe).toFixed(4);
+            } else {
+                field.set(airframe, value);
+            }
+        });
+        airframe.model.color = this.colorInput.value;
+        airframe.ducts = this.ductsInput.checked;
+        airframe.model.gltf = this.modelInput.value.trim() || null;
+        return airframe;
+    }
+
+    // Live edit, not saved until SAVE is pressed
+    applyForm() {
+        const airframe = normalizeAirframe(this.readForm());
+        this.unsaved = true;
+        this.onApply(airframe);
+        this.setStatus(airframe.model.gltf === null && this.modelInput.value.trim()
+            ? 'MODEL MUST BE A .GLB OR .GLTF FILE IN ASSETS/'
+            : 'UNSAVED CHANGES');
+    }
+
+    saveAirframe() {
+        try {
+            const airframe = this.store.saveAirframe(this.readForm());
+            this.render();
+            this.unsaved = false;
+            this.onApply(airframe);
+            this.setStatus('SAVED "' + airframe.name + '"');
+        } catch (e) {
+            this.setStatus('SAVE FAILED: ' + e.message);
+        }
+    }
+
+    deleteAirframe() {
+        const name = this.store.active;
+        if (isPreset(name)) {
+            this.setStatus('PRESETS CAN NOT BE DELETED');
+            return;
+        }
+        this.store.deleteAirframe(name);
+        this.render();
+        this.unsaved = false;
+        this.onApply(this.store.getActive());
+        this.setStatus('DELETED "' + name + '"');
+    }
+
+    exportAirframe() {
+        const airframe = normalizeAirframe(this.readForm());
+        downloadText(safeFileName(airframe.name) + '.json', AirframeStore.exportAirframe(airframe));
+    }
+
+    async importAirframe(file) {
+        try {
+            const imported = AirframeStore.importAirframe(await readTextFile(file));
+            // An exported preset comes back as a copy of it
+            if (isPreset(imported.name)) imported.name += ' copy';
+            const airframe = this.store.saveAirframe(imported);
+            this.render();
+            this.unsaved = false;
+            this.onApply(airframe);
+            this.setStatus('IMPORTED "' + airframe.name + '"');
+        } catch (e) {
+            this.setStatus('IMPORT FAILED: ' + e.message);
+        }
+    }
+}
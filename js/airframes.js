@@ -0,0 +1,210 @@
+// Airframes: weight, power, size and look of the quad. A few built-in
+// presets, plus custom ones stored in localStorage and shareable as JSON
+// like the tuning profiles.
+
+const STORAGE_KEY = 'fpv-sim.airframes';
+
+// Only models shipped with the game, never a URL from an imported file
+const MODEL_PATH = /^assets\/(?:[\w-]+\/)*[\w-]+\.(?:glb|gltf)$/;
+
+// What the simulation flies on; name, camera and model are only looks
+const FLIGHT_KEYS = ['mass', 'thrustToWeight', 'armLength', 'propSize', 'ducts', 'drag', 'battery'];
+
+// All lengths in m, except props in inches like everyone sells them
+export const AIRFRAME_PRESETS = [
+    {
+        name: '5" Freestyle',
+        mass: 0.5, // kg, ready to fly with the pack
+        thrustToWeight: 3.75 * 4 / (0.5 * 9.81), // About 3, four 3.75 N motors
+        armLength: 0.11, // Center to motor
+        propSize: 5,
+        ducts: false,
+        drag: [0.006, 0.012, 0.006], // N / (m/s)^2 along body X, Y, Z
+        camera: [0, 0.1, -0.2], // FPV camera in the body frame, nose towards -Z
+        battery: { cells: 4, capacity: 1300 }, // mAh
+        model: { color: '#ff0000', gltf: null } // gltf: path of a model in assets/
+    },
+    {
+        name: '3" Cinewhoop',
+        mass: 0.32,
+        thrustToWeight: 3.5,
+        armLength: 0.065,
+        propSize: 3,
+        ducts: true,
+        drag: [0.014, 0.022, 0.014],
+        camera: [0, 0.06, -0.12],
+        battery: { cells: 4, capacity: 650 },
+        model: { color: '#00aaff', gltf: null }
+    },
+    {
+        name: 'Tiny Whoop',
+        mass: 0.032,
+        thrustToWeight: 2.5,
+        armLength: 0.032,
+        propSize: 1.2,
+        ducts: true,
+        drag: [0.005, 0.009, 0.005],
+        camera: [0, 0.03, -0.06],
+        battery: { cells: 1, capacity: 300 },
+        model: { color: '#ffcc00', gltf: null }
+    },
+    {
+        name: '7" Long Range',
+        mass: 0.9,
+        thrustToWeight: 3.0,
+        armLength: 0.15,
+        propSize: 7,
+        ducts: false,
+        drag: [0.008, 0.018, 0.008],
+        camera: [0, 0.13, -0.27],
+        battery: { cells: 6, capacity: 3000 },
+        model: { color: '#33cc33', gltf: null }
+    }
+];
+
+export const DEFAULT_AIRFRAME = AIRFRAME_PRESETS[0];
+
+function cloneAirframe(airframe) {
+    return JSON.parse(JSON.stringify(airframe));
+}
+
+function readNumber(value, fallback, min, max) {
+    const n = Number(value);
+    if (value === undefined || value === null || !Number.isFinite(n)) return fallback;
+    return Math.min(Math.max(n, min), max);
+}
+
+function readVector(value, fallback, min, max) {
+    return fallback.map((def, i) => readNumber(Array.isArray(value) ? value[i] : undefined, def, min, max));
+}
+
+// Fills in anything missing from the 5" preset and clamps values to sane
+// ranges. Throws if the input isn't an airframe at all.
+export function normalizeAirframe(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Airframe must be a JSON object');
+    }
+
+    const airframe = cloneAirframe(DEFAULT_AIRFRAME);
+    airframe.name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Imported';
+    airframe.mass = readNumber(data.mass, airframe.mass, 0.01, 5);
+    airframe.thrustToWeight = readNumber(data.thrustToWeight, airframe.thrustToWeight, 1.2, 20);
+    airframe.armLength = readNumber(data.armLength, airframe.armLength, 0.02, 0.5);
+    airframe.propSize = readNumber(data.propSize, airframe.propSize, 1, 15);
+    airframe.ducts = data.ducts === true;
+    airframe.drag = readVector(data.drag, airframe.drag, 0.0001, 0.1);
+    airframe.camera = readVector(data.camera, airframe.camera, -0.5, 0.5);
+
+    const battery = data.battery || {};
+    airframe.battery.cells = Math.round(readNumber(battery.cells, airframe.battery.cells, 1, 8));
+    airframe.battery.capacity = readNumber(battery.capacity, airframe.battery.capacity, 100, 10000);
+
+    const model = data.model || {};
+    if (typeof model.color === 'string' && /^#[0-9a-f]{6}$/i.test(model.color)) airframe.model.color = model.color;
+    airframe.model.gltf = typeof model.gltf === 'string' && MODEL_PATH.test(model.gltf) ? model.gltf : null;
+
+    return airframe;
+}
+
+// What a replay was flown on. Older replays are all on the 5" preset.
+export function getReplayAirframe(replay) {
+    return replay.drone && replay.drone.airframe ? normalizeAirframe(replay.drone.airframe) : DEFAULT_AIRFRAME;
+}
+
+export function isPreset(name) {
+    return AIRFRAME_PRESETS.some(preset => preset.name === name);
+}
+
+// The preset an airframe flies exactly like, null for a custom one. Only
+// these race on the leaderboards.
+export function getStockPreset(airframe) {
+    const flight = (a) => JSON.stringify(FLIGHT_KEYS.map(key => a[key]));
+    const key = flight(airframe);
+    return AIRFRAME_PRESETS.find(preset => flight(preset) === key) || null;
+}
+
+export class AirframeStore {
+    constructor() {
+        this.airframes = {}; // Custom ones by name
+        this.active = DEFAULT_AIRFRAME.name;
+        this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved && saved.airframes) {
+                for (const name in saved.airframes) {
+                    if (!isPreset(name)) this.airframes[name] = normalizeAirframe(saved.airframes[name]);
+                }
+                this.active = saved.active;
+            }
+        } catch (e) {
+            console.warn("Could not load airframes:", e);
+        }
+
+        if (!this.get(this.active)) {
+            this.active = DEFAULT_AIRFRAME.name;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                active: this.active,
+                airframes: this.airframes
+            }));
+        } catch (e) {
+            console.warn("Could not save airframes:", e);
+        }
+    }
+
+    get(name) {
+        return AIRFRAME_PRESETS.find(preset => preset.name === name) || this.airframes[name] || null;
+    }
+
+    getActive() {
+        return this.get(this.active);
+    }
+
+    // Presets first, then the custom ones
+    getNames() {
+        return AIRFRAME_PRESETS.map(preset => preset.name).concat(Object.keys(this.airframes));
+    }
+
+    setActive(name) {
+        if (!this.get(name)) return;
+        this.active = name;
+        this.save();
+    }
+
+    // Presets stay as they are, edits of them are saved under a new name
+    saveAirframe(airframe) {
+        const normalized = normalizeAirframe(airframe);
+        if (isPreset(normalized.name)) {
+            throw new Error('"' + normalized.name + '" is a preset, save it under another name');
+        }
+        this.airframes[normalized.name] = normalized;
+        this.active = normalized.name;
+        this.save();
+        return normalized;
+    }
+
+    deleteAirframe(name) {
+        if (!this.airframes[name]) return;
+
+        delete this.airframes[name];
+        if (this.active === name) {
+            this.active = DEFAULT_AIRFRAME.name;
+        }
+        this.save();
+    }
+
+    static exportAirframe(airframe) {
+        return JSON.stringify(airframe, null, 2);
+    }
+
+    static importAirframe(json) {
+        return normalizeAirframe(JSON.parse(json));
+    }
+}
@@ -0,0 +1,52 @@
+// Volume mixer: master, motors and effects, plus 3D sound outside FPV
+export class AudioPanel {
+    constructor(audio) {
+        this.audio = audio;
+        this.isOpen = false;
+        this.onClose = null;
+
+        this.el = document.getElementById('audio-panel');
+        this.sliders = {
+            master: document.getElementById('audio-master'),
+            motors: document.getElementById('audio-motors'),
+            effects: document.getElementById('audio-effects')
+        };
+        this.spatialBox = document.getElementById('audio-spatial');
+
+        this.setupEvents();
+    }
+
+    setupEvents() {
+        for (const key in this.sliders) {
+            const slider = this.sliders[key];
+            slider.addEventListener('input', () => {
+                this.audio.set(key, slider.value / 100);
+                this.render();
+            });
+        }
+        this.spatialBox.addEventListener('change', () => this.audio.set('spatial', this.spatialBox.checked));
+        document.getElementById('btn-audio-back').addEventListener('click', () => this.close());
+    }
+
+    open() {
+        this.isOpen = true;
+        this.el.style.display = 'flex';
+        this.render();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.el.style.display = 'none';
+        if (this.onClose) this.onClose();
+    }
+
+    render() {
+        const settings = this.audio.settings;
+        for (const key in this.sliders) {
+            const percent = Math.round(settings[key] * 100);
+            this.sliders[key].value = percent;
+            document.getElementById('audio-' + key + '-val').innerText = percent + '%';
+        }
+        this.spatialBox.checked = settings.spatial;
+    }
+}
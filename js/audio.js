@@ -1,70 +1,332 @@
+import * as THREE from 'three';
+
+// Procedural drone audio: one voice per motor following its RPM, a noise
+// layer for prop wash and airflow, and short effects (impacts, crash, gate
+// chimes, battery beeps). Outside the FPV view the drone can be heard from
+// where the camera is, with distance attenuation and doppler.
+
+const STORAGE_KEY = 'fpv-sim.audio';
+const BLADES = 3; // Blade pass frequency = rev/s * blades
+const SPEED_OF_SOUND = 343; // m/s
+const IMPACT_COOLDOWN = 0.1; // s between impact sounds
+const BEEP_INTERVAL = { LOW: 1.0, CRITICAL: 0.3 }; // s, battery warning beeps
+
+export const DEFAULT_AUDIO_SETTINGS = {
+    master: 0.8,
+    motors: 0.8,
+    effects: 0.8,
+    spatial: true // Hear the drone from the camera in the chase, LOS and map views
+};
+
+export function normalizeAudioSettings(data) {
+    const settings = { ...DEFAULT_AUDIO_SETTINGS };
+    if (!data || typeof data !== 'object') return settings;
+
+    ['master', 'motors', 'effects'].forEach(key => {
+        const n = Number(data[key]);
+        if (data[key] !== undefined && Number.isFinite(n)) settings[key] = Math.min(Math.max(n, 0), 1);
+    });
+    if (typeof data.spatial === 'boolean') settings.spatial = data.spatial;
+    return settings;
+}
+
 export class AudioManager {
     constructor() {
         this.context = null;
-        this.oscillator = null;
-        this.gainNode = null;
         this.isInitialized = false;
-        this.isMuted = false;
+        this.settings = this.load();
+
+        this.voices = []; // { oscillator, gain } per motor
+        this.lastImpact = 0;
+        this.nextBeep = 0;
+
+        // Camera motion for the doppler shift
+        this.listenerPosition = null;
+        this.listenerVelocity = { x: 0, y: 0, z: 0 };
+    }
+
+    load() {
+        try {
+            return normalizeAudioSettings(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+        } catch (e) {
+            console.warn("Could not load audio settings:", e);
+            return normalizeAudioSettings(null);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            console.warn("Could not save audio settings:", e);
+        }
+    }
+
+    // Changes one mixer setting: master, motors, effects (0..1) or spatial
+    set(key, value) {
+        this.settings = normalizeAudioSettings({ ...this.settings, [key]: value });
+        this.save();
+        this.applyVolumes();
     }
 
     init() {
         if (this.isInitialized) return;
 
         const AudioContext = window.AudioContext || window.webkitAudioContext;
-        this.context = new AudioContext();
+        const ctx = this.context = new AudioContext();
 
-        // Create oscillator for motor sound
-        this.oscillator = this.context.createOscillator();
-        this.oscillator.type = 'sawtooth'; // Sawtooth sounds buzzy like a motor
+        // Mixer: motors -> (direct | panner) -> master, effects -> master
+        this.master = ctx.createGain();
+        this.master.connect(ctx.destination);
 
-        // Gain node for volume
-        this.gainNode = this.context.createGain();
-        this.gainNode.gain.value = 0;
+        this.effects = ctx.createGain();
+        this.effects.connect(this.master);
 
-        // Filter to soften the sound
-        this.filter = this.context.createBiquadFilter();
+        this.motorBus = ctx.createGain();
+        this.direct = ctx.createGain();
+        this.panner = ctx.createPanner();
+        this.panner.panningModel = 'HRTF';
+        this.panner.distanceModel = 'inverse';
+        this.panner.refDistance = 2;
+        this.panner.rolloffFactor = 1;
+        this.spatialGain = ctx.createGain();
+        this.spatialGain.gain.value = 0;
+        this.motorBus.connect(this.direct);
+        this.motorBus.connect(this.panner);
+        this.direct.connect(this.master);
+        this.panner.connect(this.spatialGain);
+        this.spatialGain.connect(this.master);
+
+        // Motor voices share one filter that opens up with RPM
+        this.filter = ctx.createBiquadFilter();
         this.filter.type = 'lowpass';
         this.filter.frequency.value = 1000;
+        this.filter.connect(this.motorBus);
+
+        this.noiseBuffer = this.createNoiseBuffer(2);
 
-        // Connect graph
-        this.oscillator.connect(this.filter);
-        this.filter.connect(this.gainNode);
-        this.gainNode.connect(this.context.destination);
+        // Prop wash and wind: looped noise through a band pass
+        this.washNoise = ctx.createBufferSource();
+        this.washNoise.buffer = this.noiseBuffer;
+        this.washNoise.loop = true;
+        this.washFilter = ctx.createBiquadFilter();
+        this.washFilter.type = 'bandpass';
+        this.washFilter.frequency.value = 400;
+        this.washFilter.Q.value = 0.7;
+        this.washGain = ctx.createGain();
+        this.washGain.gain.value = 0;
+        this.washNoise.connect(this.washFilter);
+        this.washFilter.connect(this.washGain);
+        this.washGain.connect(this.motorBus);
+        this.washNoise.start();
 
-        this.oscillator.start();
         this.isInitialized = true;
+        this.applyVolumes();
+    }
+
+    createNoiseBuffer(seconds) {
+        const buffer = this.context.createBuffer(1, this.context.sampleRate * seconds, this.context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+        return buffer;
+    }
+
+    applyVolumes() {
+        if (!this.isInitialized) return;
+        const now = this.context.currentTime;
+        this.master.gain.setTargetAtTime(this.settings.master, now, 0.05);
+        this.motorBus.gain.setTargetAtTime(this.settings.motors, now, 0.05);
+        this.effects.gain.setTargetAtTime(this.settings.effects, now, 0.05);
+    }
+
+    // Voices are created on demand, so any motor count works
+    getVoice(i) {
+        if (!this.voices[i]) {
+            const oscillator = this.context.createOscillator();
+            oscillator.type = 'sawtooth'; // Buzzy like a motor
+            const gain = this.context.createGain();
+            gain.gain.value = 0;
+            oscillator.connect(gain);
+            gain.connect(this.filter);
+            oscillator.start();
+            this.voices[i] = { oscillator, gain };
+        }
+        return this.voices[i];
     }
 
-    update(thrust) {
-        if (!this.isInitialized || this.isMuted) return;
+    // Once per rendered frame. `external` is true when the camera is away
+    // from the drone (chase, line of sight, map).
+    update(drone, camera, external, dt) {
+        if (!this.isInitialized) return;
 
         // Resume context if suspended (browser policy)
         if (this.context.state === 'suspended') {
             this.context.resume();
         }
 
-        // Modulate pitch and volume based on thrust
-        // Base frequency ~100Hz, max ~800Hz
-        const targetFreq = 100 + (thrust * 700);
-        this.oscillator.frequency.setTargetAtTime(targetFreq, this.context.currentTime, 0.1);
+        const now = this.context.currentTime;
+        const spatial = this.settings.spatial && external;
+        this.direct.gain.setTargetAtTime(spatial ? 0 : 1, now, 0.05);
+        this.spatialGain.gain.setTargetAtTime(spatial ? 1 : 0, now, 0.05);
 
-        // Volume
-        const targetGain = 0.1 + (thrust * 0.2);
-        this.gainNode.gain.setTargetAtTime(targetGain, this.context.currentTime, 0.1);
+        const doppler = spatial ? this.updateListener(drone, camera, dt) : 1;
 
-        // Filter opens up with thrust
-        const targetFilter = 1000 + (thrust * 4000);
-        this.filter.frequency.setTargetAtTime(targetFilter, this.context.currentTime, 0.1);
+        let average = 0;
+        drone.motors.forEach((motor, i) => {
+            const voice = this.getVoice(i);
+            const frequency = Math.max(20, motor.getRpm() / 60 * BLADES * doppler);
+            voice.oscillator.frequency.setTargetAtTime(frequency, now, 0.03);
+            voice.gain.gain.setTargetAtTime(motor.rpm > 0.01 ? (0.03 + motor.rpm * 0.05) : 0, now, 0.05);
+            average += motor.rpm / drone.motors.length;
+        });
+        this.filter.frequency.setTargetAtTime(1000 + average * 4000, now, 0.1);
+
+        // Buffeting in the own downwash, plus air rushing past at speed
+        const airspeed = drone.velocity.clone().sub(drone.windVelocity).length();
+        const wash = drone.propWash * average * 0.5 + Math.min(airspeed / 40, 1) * 0.06;
+        this.washGain.gain.setTargetAtTime(wash, now, 0.05);
+        this.washFilter.frequency.setTargetAtTime((300 + airspeed * 20) * doppler, now, 0.1);
+
+        this.updateBeeps(drone.battery.getWarning(), now);
     }
 
-    stop() {
-        if (this.gainNode) {
-            this.gainNode.gain.setTargetAtTime(0, this.context.currentTime, 0.1);
+    // Listener on the camera, panner on the drone. Returns the doppler factor
+    // for the drone's pitch.
+    updateListener(drone, camera, dt) {
+        const p = camera.position;
+        const listener = this.context.listener;
+        const forward = camera.getWorldDirection(new THREE.Vector3());
+        const up = camera.up.clone().applyQuaternion(camera.quaternion);
+
+        if (listener.positionX) {
+            listener.positionX.value = p.x;
+            listener.positionY.value = p.y;
+            listener.positionZ.value = p.z;
+            listener.forwardX.value = forward.x;
+            listener.forwardY.value = forward.y;
+            listener.forwardZ.value = forward.z;
+            listener.upX.value = up.x;
+            listener.upY.value = up.y;
+            listener.upZ.value = up.z;
+        } else {
+            listener.setPosition(p.x, p.y, p.z);
+            listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
         }
+
+        const source = drone.mesh.position;
+        if (this.panner.positionX) {
+            this.panner.positionX.value = source.x;
+            this.panner.positionY.value = source.y;
+            this.panner.positionZ.value = source.z;
+        } else {
+            this.panner.setPosition(source.x, source.y, source.z);
+        }
+
+        // Camera velocity from its movement, smoothed against frame jitter
+        const v = this.listenerVelocity;
+        if (this.listenerPosition && dt > 0) {
+            const k = Math.min(1, dt * 10);
+            v.x += ((p.x - this.listenerPosition.x) / dt - v.x) * k;
+            v.y += ((p.y - this.listenerPosition.y) / dt - v.y) * k;
+            v.z += ((p.z - this.listenerPosition.z) / dt - v.z) * k;
+        }
+        this.listenerPosition = p.clone();
+
+        // Speed of the drone away from the listener, along the line between them
+        const line = source.clone().sub(p);
+        const distance = line.length();
+        if (distance < 0.01) return 1;
+        line.divideScalar(distance);
+        const dv = drone.velocity;
+        const receding = (dv.x - v.x) * line.x + (dv.y - v.y) * line.y + (dv.z - v.z) * line.z;
+        return SPEED_OF_SOUND / (SPEED_OF_SOUND + Math.max(-SPEED_OF_SOUND * 0.5, receding));
+    }
+
+    updateBeeps(warning, now) {
+        if (!warning) {
+            this.nextBeep = 0;
+            return;
+        }
+        if (now < this.nextBeep) return;
+
+        this.tone(warning === 'CRITICAL' ? 2400 : 2000, now, 0.08, 'square', 0.08);
+        this.nextBeep = now + BEEP_INTERVAL[warning];
     }
 
-    toggleMute() {
-        this.isMuted = !this.isMuted;
-        if (this.isMuted) this.stop();
+    // Short envelope-shaped tone on the effects bus
+    tone(frequency, start, duration, type = 'sine', volume = 0.2) {
+        const oscillator = this.context.createOscillator();
+        oscillator.type = type;
+        oscillator.frequency.value = frequency;
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0, start);
+        gain.gain.linearRampToValueAtTime(volume, start + 0.005);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+        oscillator.connect(gain);
+        gain.connect(this.effects);
+        oscillator.start(start);
+        oscillator.stop(start + duration + 0.05);
+        return oscillator;
+    }
+
+    // Filtered noise burst on the effects bus
+    noise(start, duration, volume, frequency) {
+        const source = this.context.createBufferSource();
+        source.buffer = this.noiseBuffer;
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = frequency;
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(volume, start);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.effects);
+        source.start(start, Math.random());
+        source.stop(start + duration);
+    }
+
+    // Knock against something, louder the harder the hit (m/s)
+    playImpact(speed) {
+        if (!this.isInitialized) return;
+        const now = this.context.currentTime;
+        if (now - this.lastImpact < IMPACT_COOLDOWN) return;
+        this.lastImpact = now;
+
+        const strength = Math.min(speed / 15, 1);
+        this.noise(now, 0.08 + strength * 0.1, 0.2 + strength * 0.5, 800 + strength * 3000);
+    }
+
+    playCrash() {
+        if (!this.isInitialized) return;
+        const now = this.context.currentTime;
+        this.noise(now, 0.6, 0.8, 2500);
+
+        // Low thump of the frame hitting
+        const thump = this.tone(90, now, 0.4, 'sine', 0.6);
+        thump.frequency.exponentialRampToValueAtTime(40, now + 0.4);
+    }
+
+    // 'start', 'gate', 'lap' or 'finish'
+    playChime(kind) {
+        if (!this.isInitialized) return;
+        const now = this.context.currentTime;
+        const notes = {
+            start: [880],
+            gate: [1320],
+            lap: [1320, 1760],
+            finish: [1320, 1660, 1980, 2640]
+        }[kind] || [1320];
+        notes.forEach((frequency, i) => this.tone(frequency, now + i * 0.09, 0.25, 'sine', 0.15));
+    }
+
+    // Silences the drone (pause, menus); effects already playing ring out
+    stop() {
+        if (!this.isInitialized) return;
+        const now = this.context.currentTime;
+        this.voices.forEach(voice => voice.gain.gain.setTargetAtTime(0, now, 0.1));
+        this.washGain.gain.setTargetAtTime(0, now, 0.1);
+        this.nextBeep = 0;
+        this.listenerPosition = null;
     }
 }
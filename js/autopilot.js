@@ -0,0 +1,513 @@
+import * as THREE from 'three';
+import { betaflightRate } from './rates.js';
+import { RaceManager } from './race.js';
+
+// AI pilot for the gate course. It gives a drone the same
+// { thrust, yaw, pitch, roll } sticks InputHandler does, so the drone flies
+// it exactly like a player's input. Nothing here draws: it flies a DroneSim
+// in Node as well, for course validation.
+//
+// TrajectoryPlanner lays a smooth racing line through the gates and plans a
+// speed for every point of it. Autopilot follows the line in ACRO with
+// cascaded controllers: position -> velocity -> acceleration and attitude
+// -> body rates -> sticks through the drone's own rate curves.
+
+const GRAVITY = 9.81;
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Direction a gate is flown through (its local -Z)
+function gateForward(rotationY) {
+    return new THREE.Vector3(-Math.sin(rotationY), 0, -Math.cos(rotationY));
+}
+
+// Stick deflection that asks the rate controller for `degPerSec`, the
+// inverse of the Betaflight rate curve (which only ever rises)
+function stickForRate(degPerSec, rate) {
+    let low = -1, high = 1;
+    for (let i = 0; i < 20; i++) {
+        const stick = (low + high) / 2;
+        if (betaflightRate(stick, rate.rcRate, rate.superRate, rate.expo) < degPerSec) low = stick;
+        else high = stick;
+    }
+    return (low + high) / 2;
+}
+
+export class TrajectoryPlanner {
+    // gates: the race's gate objects in course order ({ position, rotation.y })
+    constructor(gates, options = {}) {
+        // Below 1 for a slower pilot: that much of the speed on the same line
+        const pace = options.pace ?? 1;
+        this.maxSpeed = (options.maxSpeed ?? 18) * pace; // m/s on the straights
+        this.maxLateralAcceleration = (options.maxLateralAcceleration ?? 10) * pace * pace; // m/s^2 in the turns
+        this.maxAcceleration = options.maxAcceleration ?? 6; // m/s^2 speeding up or braking along the line
+        this.minHeight = options.minHeight ?? 2; // m, the line never goes lower
+        this.spacing = 1; // m between points of the line
+
+        // Closed loop of { position, tangent, curvature, speed, distance, segment }.
+        // Segment i runs from waypoint i to the next one.
+        this.points = [];
+        this.length = 0;
+        this.gateWaypoints = []; // Waypoint index of every gate
+        this.build(gates);
+    }
+
+    build(gates) {
+        const waypoints = gates.map(gate => ({ position: gate.position.clone(), direction: gateForward(gate.rotation.y) }));
+        this.gateWaypoints = gates.map((gate, i) => i);
+
+        // A single gate is flown over and over: around a circle back to it
+        if (waypoints.length === 1) {
+            const { position, direction } = waypoints[0];
+            const right = new THREE.Vector3().crossVectors(direction, UP);
+            const radius = 20;
+            for (let i = 1; i < 4; i++) {
+                const angle = i * Math.PI / 2;
+                waypoints.push({
+                    position: position.clone()
+                        .addScaledVector(direction, radius * Math.sin(angle))
+                        .addScaledVector(right, radius * (1 - Math.cos(angle))),
+                    direction: direction.clone().multiplyScalar(Math.cos(angle)).addScaledVector(right, Math.sin(angle))
+                });
+            }
+        }
+
+        this.points = [];
+        if (waypoints.length < 2) return;
+
+        // Cubic Hermite segments: through every gate center along the gate's direction
+        const count = waypoints.length;
+        for (let i = 0; i < count; i++) {
+            const a = waypoints[i];
+            const b = waypoints[(i + 1) % count];
+            const chord = a.position.distanceTo(b.position);
+            const m0 = a.direction.clone().multiplyScalar(chord);
+            const m1 = b.direction.clone().multiplyScalar(chord);
+            const steps = Math.max(2, Math.ceil(chord * 1.2 / this.spacing));
+
+            for (let k = 0; k < steps; k++) {
+                const t = k / steps;
+                const t2 = t * t;
+                const t3 = t2 * t;
+                const position = new THREE.Vector3()
+                    .addScaledVector(a.position, 2 * t3 - 3 * t2 + 1)
+                    .addScaledVector(m0, t3 - 2 * t2 + t)
+                    .addScaledVector(b.position, -2 * t3 + 3 * t2)
+                    .addScaledVector(m1, t3 - t2);
+                position.y = Math.max(position.y, this.minHeight);
+                this.points.push({ position: position, segment: i });
+            }
+        }
+
+        const points = this.points;
+        const n = points.length;
+        const next = (i) => points[(i + 1) % n];
+        const prev = (i) => points[(i + n - 1) % n];
+
+        let distance = 0;
+        points.forEach((point, i) => {
+            point.distance = distance;
+            distance += point.position.distanceTo(next(i).position);
+        });
+        this.length = distance;
+
+        points.forEach((point, i) => {
+            point.tangent = new THREE.Vector3().subVectors(next(i).position, prev(i).position).normalize();
+        });
+
+        // Curvature vector dT/ds: points into the turn, 1 / radius long
+        points.forEach((point, i) => {
+            const ds = this.getGap(prev(i), next(i));
+            point.curvature = new THREE.Vector3().subVectors(next(i).tangent, prev(i).tangent).divideScalar(ds);
+            const k = point.curvature.length();
+            point.speed = Math.min(this.maxSpeed, k > 0 ? Math.sqrt(this.maxLateralAcceleration / k) : Infinity);
+        });
+
+        // Brake in time for the turns and speed up out of them. Two rounds
+        // so the limits carry over the start of the loop.
+        for (let round = 0; round < 2; round++) {
+            for (let i = n - 1; i >= 0; i--) {
+                const ahead = next(i);
+                const reachable = Math.sqrt(ahead.speed * ahead.speed + 2 * this.maxAcceleration * this.getGap(points[i], ahead));
+                points[i].speed = Math.min(points[i].speed, reachable);
+            }
+            for (let i = 0; i < n; i++) {
+                const behind = prev(i);
+                const reachable = Math.sqrt(behind.speed * behind.speed + 2 * this.maxAcceleration * this.getGap(behind, points[i]));
+                points[i].speed = Math.min(points[i].speed, reachable);
+            }
+        }
+    }
+
+    // Distance along the line from point a forward to point b
+    getGap(a, b) {
+        const gap = b.distance - a.distance;
+        return gap > 0 ? gap : gap + this.length;
+    }
+
+    // Index of the point `distance` metres further along the line
+    advance(index, distance) {
+        const n = this.points.length;
+        let i = index;
+        for (let travelled = 0; travelled < distance;) {
+            const j = (i + 1) % n;
+            travelled += this.getGap(this.points[i], this.points[j]);
+            i = j;
+            if (i === index) break;
+        }
+        return i;
+    }
+
+    // Index of the point `distance` metres back along the line
+    retreat(index, distance) {
+        const n = this.points.length;
+        let i = index;
+        for (let travelled = 0; travelled < distance;) {
+            const j = (i + n - 1) % n;
+            travelled += this.getGap(this.points[j], this.points[i]);
+            i = j;
+            if (i === index) break;
+        }
+        return i;
+    }
+
+    // Index of the point in the center of gate `gateIndex`
+    getGatePoint(gateIndex) {
+        const waypoint = this.gateWaypoints[gateIndex];
+        return this.points.findIndex(point => point.segment === waypoint);
+    }
+
+    // Nearest point to `position` on the way to gate `gateIndex`, where a
+    // flight to that gate (from the spawn or a respawn) picks up the line
+    findStart(position, gateIndex) {
+        const count = this.points.length ? this.points[this.points.length - 1].segment + 1 : 0;
+        const segment = (this.gateWaypoints[gateIndex] + count - 1) % count;
+        let best = 0, bestDistance = Infinity;
+        this.points.forEach((point, i) => {
+            if (point.segment !== segment) return;
+            const d = point.position.distanceToSquared(position);
+            if (d < bestDistance) {
+                best = i;
+                bestDistance = d;
+            }
+        });
+        return best;
+    }
+
+    // Nearest point to `position` a little behind to well ahead of `index`:
+    // the line crosses itself on some courses, so it is never searched whole
+    locate(position, index) {
+        const n = this.points.length;
+        let best = index, bestDistance = Infinity;
+        for (let k = -10; k <= 60; k++) {
+            const i = ((index + k) % n + n) % n;
+            const d = this.points[i].position.distanceToSquared(position);
+            if (d < bestDistance) {
+                best = i;
+                bestDistance = d;
+            }
+        }
+        return best;
+    }
+}
+
+export class Autopilot {
+    constructor(drone, planner) {
+        this.drone = drone;
+        this.planner = planner;
+
+        this.lookahead = 0.3; // s of flight, where the line's direction and speed are taken from
+        this.positionGain = 1.5; // 1/s, distance off the line -> velocity back to it
+        this.velocityGain = 2.5; // 1/s, velocity error -> acceleration
+        this.integralGain = 1; // 1/s^2, trims out wind and the sim's extra losses
+        this.maxIntegral = 4; // m/s^2
+        this.attitudeGain = 10; // 1/s, attitude error -> body rate
+        this.maxTilt = THREE.MathUtils.degToRad(65);
+
+        this.index = null; // Point of the line the drone is at
+        this.nextGate = 0;
+        this.detour = null; // Point to go back to after missing a gate, off the line
+        this.missDistance = 8; // m past a gate's center the gate counts as missed
+        this.detourDistance = 15; // m before the missed gate to line up again
+        this.detourSpeed = 8; // m/s
+        this.integral = new THREE.Vector3();
+        this.input = { thrust: 0, yaw: 0, pitch: 0, roll: 0 };
+
+        // Scratch objects, update() runs every physics step
+        this._target = new THREE.Quaternion();
+        this._error = new THREE.Quaternion();
+        this._basis = new THREE.Matrix4();
+    }
+
+    // Flies on from wherever the drone is now, on the way to gate `nextGate`
+    reset(nextGate = 0) {
+        this.index = null;
+        this.nextGate = nextGate;
+        this.detour = null;
+        this.integral.set(0, 0, 0);
+    }
+
+    // Sticks for the next physics step of `dt` seconds. The drone must be in
+    // ACRO. `nextGate` is the race's next gate: when it falls behind, the
+    // gate was missed and the autopilot goes back for it.
+    update(dt, nextGate = null) {
+        const drone = this.drone;
+        const planner = this.planner;
+        const input = this.input;
+        if (planner.points.length === 0) {
+            input.thrust = input.yaw = input.pitch = input.roll = 0;
+            return input;
+        }
+
+        if (nextGate !== null) this.nextGate = nextGate;
+        if (this.index === null) this.index = planner.findStart(drone.position, this.nextGate);
+        this.index = planner.locate(drone.position, this.index);
+        if (this.detour === null && nextGate !== null) this.checkMissedGate();
+
+        const speed = drone.velocity.length();
+        let velocity, ahead;
+        if (this.detour !== null) {
+            // 1. Position: straight back to the line before the missed gate
+            const point = planner.points[this.detour];
+            ahead = point;
+            velocity = new THREE.Vector3().subVectors(point.position, drone.position);
+            const distance = velocity.length();
+            velocity.multiplyScalar(Math.min(this.detourSpeed, distance * this.positionGain) / Math.max(distance, 1e-6));
+            if (distance < 3) {
+                this.index = this.detour;
+                this.detour = null;
+            }
+        } else {
+            // 1. Position: along the line at its planned speed, pulled back onto it
+            const point = planner.points[this.index];
+            ahead = planner.points[planner.advance(this.index, Math.max(2, speed * this.lookahead))];
+            velocity = ahead.tangent.clone().multiplyScalar(ahead.speed)
+                .addScaledVector(new THREE.Vector3().subVectors(point.position, drone.position), this.positionGain);
+        }
+
+        // 2. Velocity: what the turn needs, plus the error, plus the drag to
+        // overcome
+        const error = velocity.sub(drone.velocity);
+        this.integral.addScaledVector(error, this.integralGain * dt).clampLength(0, this.maxIntegral);
+        const acceleration = ahead.curvature.clone().multiplyScalar(this.detour === null ? ahead.speed * ahead.speed : 0)
+            .addScaledVector(error, this.velocityGain)
+            .add(this.integral)
+            .addScaledVector(drone.velocity, speed * drone.dragCoefficient.x / drone.mass);
+
+        // 3. Thrust vector, tilted no further than maxTilt and never pushing down
+        const thrust = acceleration.add(new THREE.Vector3(0, GRAVITY, 0));
+        thrust.y = Math.max(thrust.y, 0.3 * GRAVITY);
+        const horizontal = Math.hypot(thrust.x, thrust.z);
+        const maxHorizontal = thrust.y * Math.tan(this.maxTilt);
+        if (horizontal > maxHorizontal) {
+            thrust.x *= maxHorizontal / horizontal;
+            thrust.z *= maxHorizontal / horizontal;
+        }
+
+        // 4. Attitude: body up along the thrust, nose along the line
+        const up = thrust.clone().normalize();
+        const back = ahead.tangent.clone().negate();
+        back.y = 0;
+        if (back.lengthSq() < 1e-6) back.set(0, 0, 1).applyQuaternion(drone.quaternion);
+        back.addScaledVector(up, -back.dot(up)).normalize();
+        const right = new THREE.Vector3().crossVectors(up, back).normalize();
+        back.crossVectors(right, up);
+        this._target.setFromRotationMatrix(this._basis.makeBasis(right, up, back));
+
+        // Body frame rotation still to go, as a rotation vector
+        const q = this._error.copy(drone.quaternion).invert().multiply(this._target);
+        if (q.w < 0) q.set(-q.x, -q.y, -q.z, -q.w);
+        const sin = Math.sqrt(Math.max(0, 1 - q.w * q.w));
+        const angle = 2 * Math.acos(Math.min(q.w, 1));
+        const scale = sin > 1e-6 ? angle / sin : 2;
+
+        // 5. Body rates (x = pitch, y = yaw, z = roll) through the rate curves
+        const toDeg = THREE.MathUtils.RAD2DEG * this.attitudeGain * scale;
+        input.pitch = stickForRate(q.x * toDeg, drone.rates.pitch);
+        input.yaw = stickForRate(q.y * toDeg, drone.rates.yaw);
+        input.roll = stickForRate(q.z * toDeg, drone.rates.roll);
+
+        // Collective: holds the wanted climb or sink with the body as it is
+        // tilted now, which may not be as planned yet in a hard turn
+        const bodyUp = UP.clone().applyQuaternion(drone.quaternion);
+        const collective = Math.min(thrust.y / Math.max(bodyUp.y, 0.2), 1.5 * thrust.length());
+        input.thrust = this.getThrottle(Math.max(collective, 0) * drone.mass);
+        return input;
+    }
+
+    // Past the next gate's center without the race counting it: go back
+    checkMissedGate() {
+        const planner = this.planner;
+        const gatePoint = planner.getGatePoint(this.nextGate);
+        const past = planner.getGap(planner.points[gatePoint], planner.points[this.index]);
+        if (past > this.missDistance && past < planner.length / 2) {
+            this.detour = planner.retreat(gatePoint, this.detourDistance);
+        }
+    }
+
+    // Throttle stick for `force` newtons from the motors, inverting the
+    // thrust curve and the mixer's idle
+    getThrottle(force) {
+        const drone = this.drone;
+        let available = 0;
+        drone.motors.forEach(m => available += m.maxThrust * m.efficiency);
+        available *= drone.battery.powerFactor;
+        if (available <= 0) return 1;
+
+        const share = Math.min(force / available, 1);
+        const expo = drone.motors[0].thrustExpo;
+        const rpm = expo > 0 ? (-(1 - expo) + Math.sqrt((1 - expo) * (1 - expo) + 4 * expo * share)) / (2 * expo) : share;
+        const idle = drone.mixer.idle;
+        return THREE.MathUtils.clamp((rpm - idle) / (1 - idle), 0, 1);
+    }
+}
+
+// A drone flown by the Autopilot through its own race on the course:
+// arms itself, and respawns at the last gate after a crash like a player would
+export class AIPilot {
+    // course: { gates, spawn }. spawn is where this pilot starts.
+    constructor(drone, course, options = {}) {
+        this.drone = drone;
+        this.spawn = course.spawn;
+        this.respawnDelay = 1; // s on the ground after a crash
+
+        // Its own race, the gate colours belong to the player's
+        this.race = new RaceManager();
+        this.race.highlightGates = false;
+        this.race.setup(course.gates, null);
+
+        this.planner = new TrajectoryPlanner(course.gates, options);
+        this.autopilot = new Autopilot(drone, this.planner);
+        this.reset();
+    }
+
+    reset() {
+        this.drone.reset(this.spawn.position, this.spawn.yaw);
+        this.drone.mode = 'ACRO';
+        this.race.reset();
+        this.autopilot.reset(0);
+        this.crashTime = 0;
+        this.crashes = 0;
+        this.armed = false;
+    }
+
+    // Motors on, off it goes
+    start() {
+        this.armed = true;
+        this.drone.setArming({ armed: true, turtle: false, crashed: false });
+    }
+
+    get isFinished() {
+        return this.race.state === 'FINISHED';
+    }
+
+    // One physics step
+    step(dt, world, wind) {
+        const drone = this.drone;
+        if (this.armed && drone.crashed) {
+            if (this.crashTime === 0) this.crashes++;
+            this.crashTime += dt;
+            if (this.crashTime >= this.respawnDelay) this.respawn();
+        }
+
+        // Past the finish it just flies on around the line
+        const nextGate = this.isFinished ? null : this.race.nextGate;
+        const input = this.armed ? this.autopilot.update(dt, nextGate) : { thrust: 0, yaw: 0, pitch: 0, roll: 0 };
+        drone.update(dt, input, world, wind);
+        this.race.update(dt, drone.prevPosition, drone.position);
+    }
+
+    respawn() {
+        const { position, yaw } = this.race.getRespawnPose(this.spawn);
+        this.drone.respawn(position, yaw);
+        this.drone.setArming({ armed: true, turtle: false, crashed: false });
+        this.autopilot.reset(this.race.nextGate);
+        this.crashTime = 0;
+    }
+}
+
+// Flies the course start to finish with no one watching, to see whether it
+// can be flown and how long it takes. course: { gates, spawn, collision,
+// wind } as EnvironmentManager has them. run() takes a number of physics
+// steps at a time, so the game can spread the flight over frames.
+//
+// Once done, `result` is { finished, time, lapTimes, par, crashes, error }:
+// par is the AI's best lap, rounded up to a tenth, and `error` says why the
+// course could not be finished (with `gate`, the gate it got stuck at).
+export class CourseFlight {
+    constructor(drone, course, options = {}) {
+        this.course = course;
+        this.dt = options.dt ?? 1 / 500;
+        this.maxTime = options.maxTime ?? 600; // s for the whole race
+        this.gateTimeout = options.gateTimeout ?? 30; // s to get from one gate to the next
+        this.maxCrashes = options.maxCrashes ?? 10;
+
+        this.result = { finished: false, time: null, lapTimes: [], par: null, crashes: 0, error: null, gate: null };
+        this.done = false;
+        this.time = 0; // s flown
+        this.progress = -1; // Gates passed
+        this.lastProgress = 0; // s when the last gate was passed
+
+        if (course.gates.length === 0) {
+            this.result.error = 'the course has no gates';
+            this.done = true;
+            return;
+        }
+
+        this.pilot = new AIPilot(drone, course, options);
+        this.pilot.start();
+    }
+
+    // Flies up to `steps` physics steps. True once the flight is over.
+    run(steps) {
+        for (let i = 0; i < steps && !this.done; i++) this.step();
+        return this.done;
+    }
+
+    step() {
+        if (this.time >= this.maxTime) return this.finish();
+
+        const pilot = this.pilot;
+        pilot.step(this.dt, this.course.collision, this.course.wind);
+        if (pilot.isFinished) return this.finish();
+
+        const race = pilot.race;
+        const passed = race.lap * this.course.gates.length + race.nextGate;
+        if (passed !== this.progress) {
+            this.progress = passed;
+            this.lastProgress = this.time;
+        }
+        if (this.time - this.lastProgress > this.gateTimeout) {
+            this.result.error = 'stuck before gate ' + (race.nextGate + 1);
+            return this.finish();
+        }
+        if (pilot.crashes > this.maxCrashes) {
+            this.result.error = 'crashed ' + pilot.crashes + ' times, last before gate ' + (race.nextGate + 1);
+            return this.finish();
+        }
+        this.time += this.dt;
+    }
+
+    finish() {
+        const result = this.result;
+        const race = this.pilot.race;
+        result.crashes = this.pilot.crashes;
+        result.lapTimes = race.lapTimes.slice();
+        if (race.state === 'FINISHED') {
+            result.finished = true;
+            result.time = race.time;
+            result.par = Math.ceil(Math.min(...race.lapTimes) * 10) / 10;
+        } else {
+            result.gate = race.nextGate;
+            if (!result.error) result.error = 'did not finish in ' + this.maxTime + ' s';
+        }
+        this.done = true;
+    }
+}
+
+// The whole CourseFlight in one go, a few seconds for a three lap race.
+// Returns its result.
+export function flyCourse(drone, course, options = {}) {
+    const flight = new CourseFlight(drone, course, options);
+    flight.run(Infinity);
+    return flight.result;
+}
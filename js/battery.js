@@ -0,0 +1,103 @@
+// LiPo pack: open circuit voltage from the state of charge, sag from the
+// internal resistance, current from how hard the motors spin.
+
+// Resting voltage of one cell by state of charge (0, 0.1, ... 1)
+const CELL_CURVE = [3.27, 3.61, 3.69, 3.73, 3.77, 3.80, 3.84, 3.90, 3.97, 4.06, 4.20];
+
+export class Battery {
+    constructor(config = {}) {
+        this.cells = config.cells ?? 4;
+        this.capacity = config.capacity ?? 1300; // mAh
+        this.cellResistance = config.cellResistance ?? 0.006; // Ohm, per cell
+        this.maxMotorCurrent = config.maxMotorCurrent ?? 30; // A per motor at full RPM
+        this.idleCurrent = config.idleCurrent ?? 0.5; // A for FC, VTX and camera
+        this.referenceVoltage = config.referenceVoltage ?? 4.0; // V per cell where the motors give their rated thrust
+
+        // Warnings work on a smoothed voltage, so a punch-out doesn't flash them
+        this.warningVoltage = config.warningVoltage ?? 3.5; // V per cell
+        this.criticalVoltage = config.criticalVoltage ?? 3.3; // V per cell, throttle gets limited below this
+        this.minVoltage = config.minVoltage ?? 3.0; // V per cell, throttle limit bottoms out here
+        this.warningFilter = 2.0; // s
+
+        this.reset();
+    }
+
+    reset() {
+        this.used = 0; // mAh
+        this.current = this.idleCurrent; // A
+        this.voltage = this.getRestingVoltage(); // V under load
+        this.averageVoltage = this.voltage;
+        this.flightTime = 0; // s with the motors spinning
+    }
+
+    get stateOfCharge() {
+        return Math.max(0, 1 - this.used / this.capacity);
+    }
+
+    get resistance() {
+        return this.cellResistance * this.cells;
+    }
+
+    getRestingVoltage() {
+        const x = this.stateOfCharge * (CELL_CURVE.length - 1);
+        const i = Math.min(Math.floor(x), CELL_CURVE.length - 2);
+        const cell = CELL_CURVE[i] + (CELL_CURVE[i + 1] - CELL_CURVE[i]) * (x - i);
+        return cell * this.cells;
+    }
+
+    // Draws the current for this step; `rpms` are the normalised motor speeds.
+    // Propeller load grows with the cube of the speed.
+    update(dt, rpms) {
+        let current = this.idleCurrent;
+        for (const rpm of rpms) {
+            current += this.maxMotorCurrent * rpm * rpm * rpm;
+        }
+        this.current = current;
+
+        this.used += current * dt * 1000 / 3600;
+        this.voltage = Math.max(0, this.getRestingVoltage() - current * this.resistance);
+        this.averageVoltage += (this.voltage - this.averageVoltage) * (1 - Math.exp(-dt / this.warningFilter));
+
+        if (current > this.idleCurrent * 2) this.flightTime += dt;
+    }
+
+    // Thrust multiplier: motor speed follows the pack voltage
+    get powerFactor() {
+        return this.voltage / (this.referenceVoltage * this.cells);
+    }
+
+    get cellVoltage() {
+        return this.averageVoltage / this.cells;
+    }
+
+    // Max throttle: full above the critical voltage, down to half at the
+    // minimum, so a flat pack can still land
+    get throttleLimit() {
+        const cell = this.cellVoltage;
+        if (cell >= this.criticalVoltage) return 1;
+        const t = Math.max(0, (cell - this.minVoltage) / (this.criticalVoltage - this.minVoltage));
+        return 0.5 + 0.5 * t;
+    }
+
+    // null, 'LOW' or 'CRITICAL'
+    getWarning() {
+        const cell = this.cellVoltage;
+        if (cell < this.criticalVoltage) return 'CRITICAL';
+        if (cell < this.warningVoltage) return 'LOW';
+        return null;
+    }
+
+    saveState() {
+        return {
+            used: this.used,
+            current: this.current,
+            voltage: this.voltage,
+            averageVoltage: this.averageVoltage,
+            flightTime: this.flightTime
+        };
+    }
+
+    loadState(state) {
+        Object.assign(this, state);
+    }
+}
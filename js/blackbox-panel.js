@@ -0,0 +1,162 @@
+import { BLACKBOX_TRACES } from './blackbox.js';
+import { downloadText, safeFileName } from './files.js';
+
+const COLORS = ['#ffcc00', '#00ccff', '#ff66ff', '#66ff66', '#ff6644'];
+const DEFAULT_TRACES = ['roll', 'pitch', 'yaw'];
+
+// Graphs of the blackbox log: the chosen traces in lanes over a time
+// window, which can be zoomed and scrolled back through the log
+export class BlackboxPanel {
+    constructor(log) {
+        this.log = log;
+        this.isOpen = false;
+        this.onClose = null;
+        this.fileName = 'flight'; // Without .csv
+
+        this.el = document.getElementById('blackbox-panel');
+        this.canvas = document.getElementById('blackbox-graph');
+        this.windowInput = document.getElementById('blackbox-window');
+        this.positionInput = document.getElementById('blackbox-position');
+        this.selected = new Set(DEFAULT_TRACES);
+
+        this.buildList();
+        this.setupEvents();
+    }
+
+    buildList() {
+        const list = document.getElementById('blackbox-traces');
+        BLACKBOX_TRACES.forEach(trace => {
+            const row = document.createElement('label');
+            row.className = 'osd-panel-row blackbox-trace';
+            row.innerHTML = '<input type="checkbox"> ' + trace.label;
+            list.appendChild(row);
+
+            const box = row.querySelector('input');
+            box.checked = this.selected.has(trace.id);
+            box.addEventListener('change', () => {
+                if (box.checked) this.selected.add(trace.id);
+                else this.selected.delete(trace.id);
+                this.draw();
+            });
+        });
+    }
+
+    setupEvents() {
+        this.windowInput.addEventListener('input', () => this.draw());
+        this.positionInput.addEventListener('input', () => this.draw());
+        document.getElementById('btn-blackbox-export').addEventListener('click', () => {
+            downloadText(safeFileName(this.fileName) + '_blackbox.csv', this.log.toCSV(), 'text/csv');
+        });
+        document.getElementById('btn-blackbox-clear').addEventListener('click', () => {
+            this.log.clear();
+            this.draw();
+        });
+        document.getElementById('btn-blackbox-back').addEventListener('click', () => this.close());
+    }
+
+    open() {
+        this.isOpen = true;
+        this.el.style.display = 'flex';
+        // Starts on the end of the log, where the interesting bit usually is
+        this.positionInput.value = this.positionInput.max;
+        this.draw();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.el.style.display = 'none';
+        if (this.onClose) this.onClose();
+    }
+
+    // Rows of the log in view: [first, last)
+    getView() {
+        const log = this.log;
+        const rows = Math.min(Math.round(Number(this.windowInput.value) * log.rate), log.length);
+        const position = Number(this.positionInput.value) / Number(this.positionInput.max);
+        const first = Math.round((log.length - rows) * position);
+        return [first, first + rows];
+    }
+
+    draw() {
+        const log = this.log;
+        const ctx = this.canvas.getContext('2d');
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+        ctx.font = '12px Courier New, monospace';
+
+        const [first, last] = this.getView();
+        document.getElementById('blackbox-window-val').innerText = this.windowInput.value + ' S';
+        document.getElementById('blackbox-status').innerText = log.length === 0
+            ? 'NOTHING RECORDED YET'
+            : (first / log.rate).toFixed(1) + ' - ' + (last / log.rate).toFixed(1) + ' S OF ' + log.duration.toFixed(1) + ' S RECORDED';
+
+        const traces = BLACKBOX_TRACES.filter(trace => this.selected.has(trace.id));
+        if (traces.length === 0 || last - first < 2) return;
+
+        const laneHeight = height / traces.length;
+        // Each pixel plots the min and max of its rows, so spikes stay visible zoomed out
+        const step = (last - first) / width;
+
+        traces.forEach((trace, lane) => {
+            const top = lane * laneHeight;
+            const columns = trace.columns.map(name => log.getColumn(name));
+
+            // Scale to what is in view, always with the zero line
+            let min = 0;
+            let max = 0;
+            for (const column of columns) {
+                for (let row = first; row < last; row++) {
+                    const value = log.get(row, column);
+                    if (value < min) min = value;
+                    if (value > max) max = value;
+                }
+            }
+            if (max - min < 1e-6) max = min + 1;
+            const y = (value) => top + 4 + (max - value) / (max - min) * (laneHeight - 8);
+
+            ctx.strokeStyle = '#333';
+            ctx.beginPath();
+            ctx.moveTo(0, top + laneHeight - 0.5);
+            ctx.lineTo(width, top + laneHeight - 0.5);
+            ctx.moveTo(0, Math.round(y(0)) + 0.5);
+            ctx.lineTo(width, Math.round(y(0)) + 0.5);
+            ctx.stroke();
+
+            columns.forEach((column, c) => {
+                ctx.strokeStyle = COLORS[c % COLORS.length];
+                ctx.beginPath();
+                for (let x = 0; x < width; x++) {
+                    const from = first + Math.floor(x * step);
+                    const to = Math.max(first + Math.floor((x + 1) * step), from + 1);
+                    if (from >= last) break;
+                    let low = Infinity;
+                    let high = -Infinity;
+                    for (let row = from; row < Math.min(to, last); row++) {
+                        const value = log.get(row, column);
+                        if (value < low) low = value;
+                        if (value > high) high = value;
+                    }
+                    if (x === 0) ctx.moveTo(x, y(high));
+                    else ctx.lineTo(x, y(high));
+                    if (low !== high) ctx.lineTo(x, y(low));
+                }
+                ctx.stroke();
+            });
+
+            ctx.fillStyle = '#fff';
+            ctx.fillText(trace.label, 6, top + 14);
+            // Legend: the column names in their colours
+            let x = 6;
+            trace.columns.forEach((name, c) => {
+                ctx.fillStyle = COLORS[c % COLORS.length];
+                ctx.fillText(name, x, top + 28);
+                x += ctx.measureText(name).width + 12;
+            });
+            ctx.fillStyle = '#fff';
+            ctx.fillText(max.toFixed(1), width - 60, top + 14);
+            ctx.fillText(min.toFixed(1), width - 60, top + laneHeight - 6);
+        });
+    }
+}
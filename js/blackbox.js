@@ -0,0 +1,143 @@
+import * as THREE from 'three';
+
+// Blackbox: every physics step of the flight in a ring buffer, for tuning
+// and for finding out what the quad just did. Exports to CSV.
+//
+// The first columns are named and scaled as Betaflight's blackbox_decode
+// writes them (axis 0 roll, 1 pitch, 2 yaw; sticks in -500..500, throttle
+// and motors in 1000..2000), so the file opens in the usual log tools. The
+// rate axes keep the simulator's signs. After them come the columns only a
+// simulator can log.
+
+const toDeg = THREE.MathUtils.RAD2DEG;
+
+// Body rate axes are x pitch, y yaw, z roll
+const AXES = ['z', 'x', 'y'];
+
+function axes(name, count, digits, value, unit = '') {
+    const columns = [];
+    for (let i = 0; i < count; i++) {
+        columns.push({ name: name + '[' + i + ']' + unit, digits: digits, value: (tick) => value(tick, i) });
+    }
+    return columns;
+}
+
+function stick(input, i) {
+    return [input.roll, input.pitch, input.yaw][i];
+}
+
+// `tick` is { iteration, time, drone, input, euler }
+export const BLACKBOX_COLUMNS = [
+    { name: 'loopIteration', digits: 0, value: (tick) => tick.iteration },
+    { name: 'time (us)', digits: 0, value: (tick) => tick.time * 1e6 },
+    ...axes('rcCommand', 3, 0, (tick, i) => stick(tick.input, i) * 500),
+    { name: 'rcCommand[3]', digits: 0, value: (tick) => 1000 + tick.input.thrust * 1000 },
+    ...axes('setpoint', 3, 1, (tick, i) => tick.drone.setpoint[AXES[i]] * toDeg),
+    { name: 'setpoint[3]', digits: 0, value: (tick) => tick.input.thrust * 1000 },
+    ...axes('gyroADC', 3, 1, (tick, i) => tick.drone.angularVelocity[AXES[i]] * toDeg),
+    ...axes('motor', 4, 0, (tick, i) => 1000 + tick.drone.motors[i].command * 1000),
+    { name: 'vbatLatest (V)', digits: 2, value: (tick) => tick.drone.battery.voltage },
+    { name: 'amperageLatest (A)', digits: 2, value: (tick) => tick.drone.battery.current },
+    // Roll and pitch as the OSD shows them, heading as a compass bearing
+    { name: 'attitude[0] (deg)', digits: 1, value: (tick) => tick.euler.z * toDeg },
+    { name: 'attitude[1] (deg)', digits: 1, value: (tick) => tick.euler.x * toDeg },
+    { name: 'attitude[2] (deg)', digits: 1, value: (tick) => (360 - tick.euler.y * toDeg) % 360 },
+    // World frame: x east, y up, z south
+    ...axes('velocity', 3, 2, (tick, i) => tick.drone.velocity.getComponent(i), ' (m/s)'),
+    { name: 'speed (m/s)', digits: 2, value: (tick) => tick.drone.velocity.length() },
+    { name: 'altitude (m)', digits: 2, value: (tick) => tick.drone.position.y },
+    { name: 'thrust (N)', digits: 2, value: (tick) => tick.drone.totalThrust },
+    { name: 'impact (m/s)', digits: 2, value: (tick) => tick.drone.lastImpact },
+    { name: 'armed', digits: 0, value: (tick) => tick.drone.armed ? 1 : 0 },
+    { name: 'crashed', digits: 0, value: (tick) => tick.drone.crashed ? 1 : 0 }
+];
+
+// What the viewer can plot, a lane of columns each
+export const BLACKBOX_TRACES = [
+    { id: 'roll', label: 'ROLL SETPOINT / GYRO (°/S)', columns: ['setpoint[0]', 'gyroADC[0]'] },
+    { id: 'pitch', label: 'PITCH SETPOINT / GYRO (°/S)', columns: ['setpoint[1]', 'gyroADC[1]'] },
+    { id: 'yaw', label: 'YAW SETPOINT / GYRO (°/S)', columns: ['setpoint[2]', 'gyroADC[2]'] },
+    { id: 'sticks', label: 'STICKS ROLL / PITCH / YAW', columns: ['rcCommand[0]', 'rcCommand[1]', 'rcCommand[2]'] },
+    { id: 'motors', label: 'THROTTLE / MOTORS', columns: ['rcCommand[3]', 'motor[0]', 'motor[1]', 'motor[2]', 'motor[3]'] },
+    { id: 'attitude', label: 'ROLL / PITCH ANGLE (°)', columns: ['attitude[0] (deg)', 'attitude[1] (deg)'] },
+    { id: 'velocity', label: 'VELOCITY X / Y / Z / SPEED (M/S)', columns: ['velocity[0] (m/s)', 'velocity[1] (m/s)', 'velocity[2] (m/s)', 'speed (m/s)'] },
+    { id: 'altitude', label: 'ALTITUDE (M)', columns: ['altitude (m)'] },
+    { id: 'thrust', label: 'THRUST (N)', columns: ['thrust (N)'] },
+    { id: 'battery', label: 'BATTERY (V)', columns: ['vbatLatest (V)'] },
+    { id: 'impact', label: 'IMPACTS (M/S)', columns: ['impact (m/s)'] }
+];
+
+export class BlackboxLog {
+    // Keeps the last `seconds` of steps at `rate` Hz
+    constructor(rate = 500, seconds = 60) {
+        this.rate = rate;
+        this.capacity = Math.round(rate * seconds);
+        this.width = BLACKBOX_COLUMNS.length;
+        this.data = new Float64Array(this.capacity * this.width);
+        this.indices = new Map(BLACKBOX_COLUMNS.map((column, i) => [column.name, i]));
+        this._euler = new THREE.Euler();
+        this.clear();
+    }
+
+    clear() {
+        this.start = 0; // Ring index of the oldest row
+        this.length = 0;
+        this.iteration = 0;
+    }
+
+    get duration() {
+        return this.length / this.rate;
+    }
+
+    // After each physics step, with the input it was flown with
+    record(drone, input) {
+        const tick = {
+            iteration: this.iteration,
+            time: this.iteration / this.rate,
+            drone: drone,
+            input: input,
+            euler: this._euler.setFromQuaternion(drone.quaternion, 'YXZ')
+        };
+
+        let row;
+        if (this.length < this.capacity) {
+            row = (this.start + this.length) % this.capacity;
+            this.length++;
+        } else {
+            // Full: the oldest row makes way
+            row = this.start;
+            this.start = (this.start + 1) % this.capacity;
+        }
+
+        const offset = row * this.width;
+        for (let i = 0; i < this.width; i++) {
+            this.data[offset + i] = BLACKBOX_COLUMNS[i].value(tick);
+        }
+        this.iteration++;
+    }
+
+    // Index of a column by name, for get()
+    getColumn(name) {
+        const index = this.indices.get(name);
+        if (index === undefined) throw new Error('Unknown blackbox column ' + name);
+        return index;
+    }
+
+    // Value of `column` in `row`, 0 being the oldest row kept
+    get(row, column) {
+        return this.data[((this.start + row) % this.capacity) * this.width + column];
+    }
+
+    toCSV() {
+        const lines = [BLACKBOX_COLUMNS.map(column => column.name).join(',')];
+        const values = new Array(this.width);
+        for (let row = 0; row < this.length; row++) {
+            for (let i = 0; i < this.width; i++) {
+                // Back through a number, so a rounded -0.0 prints as 0
+                values[i] = (+this.get(row, i).toFixed(BLACKBOX_COLUMNS[i].digits)).toString();
+            }
+            lines.push(values.join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+}
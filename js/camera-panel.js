@@ -0,0 +1,73 @@
+import { LIVE_VIEWS } from './camera-rig.js';
+
+// Camera settings. Sits beside the paused view so every change can be seen.
+export class CameraPanel {
+    constructor(rig) {
+        this.rig = rig;
+        this.isOpen = false;
+        this.onClose = null;
+        this.onChange = null;
+
+        this.el = document.getElementById('camera-panel');
+        this.viewSelect = document.getElementById('camera-view');
+        this.sliders = {
+            uptilt: document.getElementById('camera-uptilt'),
+            fov: document.getElementById('camera-fov'),
+            fisheye: document.getElementById('camera-fisheye')
+        };
+
+        LIVE_VIEWS.forEach(view => {
+            const option = document.createElement('option');
+            option.value = view;
+            option.textContent = view;
+            this.viewSelect.appendChild(option);
+        });
+
+        this.setupEvents();
+    }
+
+    setupEvents() {
+        this.viewSelect.addEventListener('change', () => this.apply('view', this.viewSelect.value));
+        for (const key in this.sliders) {
+            const slider = this.sliders[key];
+            slider.addEventListener('input', () => {
+                this.apply(key, key === 'fisheye' ? slider.value / 100 : slider.value);
+            });
+        }
+        document.getElementById('btn-camera-reset').addEventListener('click', () => {
+            ['uptilt', 'fov', 'fisheye'].forEach(key => this.rig.set(key, undefined));
+            this.render();
+            if (this.onChange) this.onChange();
+        });
+        document.getElementById('btn-camera-back').addEventListener('click', () => this.close());
+    }
+
+    apply(key, value) {
+        this.rig.set(key, value);
+        this.render();
+        if (this.onChange) this.onChange();
+    }
+
+    open() {
+        this.isOpen = true;
+        this.el.style.display = 'flex';
+        this.render();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.el.style.display = 'none';
+        if (this.onClose) this.onClose();
+    }
+
+    render() {
+        const settings = this.rig.settings;
+        this.viewSelect.value = settings.view;
+        this.sliders.uptilt.value = settings.uptilt;
+        this.sliders.fov.value = settings.fov;
+        this.sliders.fisheye.value = Math.round(settings.fisheye * 100);
+        document.getElementById('camera-uptilt-val').innerText = settings.uptilt + '°';
+        document.getElementById('camera-fov-val').innerText = settings.fov + '°';
+        document.getElementById('camera-fisheye-val').innerText = Math.round(settings.fisheye * 100) + '%';
+    }
+}
@@ -0,0 +1,200 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+
+// Camera views and the FPV camera setup (uptilt, FOV, lens). Settings are
+// kept in localStorage like the OSD layout.
+
+const STORAGE_KEY = 'fpv-sim.camera';
+
+export const LIVE_VIEWS = ['FPV', 'CHASE', 'LOS', 'MAP'];
+export const REPLAY_VIEWS = ['CHASE', 'FREE', 'FPV', 'LOS', 'MAP'];
+export const VIEW_FOV = 70; // deg, vertical, for every view but FPV
+
+const LOS_EYE_HEIGHT = 1.7; // m
+const LOS_DISTANCE = 3; // m, pilot stands this far behind the spawn
+const MAP_HEIGHT = 60; // m above the drone
+
+// Eye of a pilot flying line of sight, standing behind the spawn
+export function getPilotPosition(spawn) {
+    const behind = new THREE.Vector3(Math.sin(spawn.yaw), 0, Math.cos(spawn.yaw)).multiplyScalar(LOS_DISTANCE);
+    const position = spawn.position.clone().add(behind);
+    position.y = LOS_EYE_HEIGHT;
+    return position;
+}
+
+export const DEFAULT_CAMERA_SETTINGS = {
+    view: 'FPV', // Live view, replays keep their own
+    uptilt: 20, // deg
+    fov: 90, // deg, vertical
+    fisheye: 0 // 0..1 barrel distortion
+};
+
+function readNumber(value, fallback, min, max) {
+    const n = Number(value);
+    if (value === undefined || value === null || !Number.isFinite(n)) return fallback;
+    return Math.min(Math.max(n, min), max);
+}
+
+export function normalizeCameraSettings(data) {
+    const settings = { ...DEFAULT_CAMERA_SETTINGS };
+    if (!data || typeof data !== 'object') return settings;
+
+    if (LIVE_VIEWS.includes(data.view)) settings.view = data.view;
+    settings.uptilt = readNumber(data.uptilt, settings.uptilt, 0, 60);
+    settings.fov = readNumber(data.fov, settings.fov, 60, 130);
+    settings.fisheye = readNumber(data.fisheye, settings.fisheye, 0, 1);
+    return settings;
+}
+
+// Barrel distortion that keeps the corners in place: the image is sampled
+// closer to the center the nearer a pixel is to the middle, so the center
+// is magnified and the edges squeezed
+const FisheyeShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        strength: { value: 0 },
+        aspect: { value: 1 }
+    },
+    vertexShader: /* glsl */`
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }`,
+    fragmentShader: /* glsl */`
+        uniform sampler2D tDiffuse;
+        uniform float strength;
+        uniform float aspect;
+        varying vec2 vUv;
+        void main() {
+            vec2 p = vUv * 2.0 - 1.0;
+            float r2 = (p.x * p.x * aspect * aspect + p.y * p.y) / (aspect * aspect + 1.0);
+            vec2 uv = p * (1.0 - strength + strength * r2);
+            gl_FragColor = texture2D(tDiffuse, uv * 0.5 + 0.5);
+        }`
+};
+
+export class CameraRig {
+    constructor(camera, orbitControls, renderer, scene) {
+        this.camera = camera;
+        this.orbitControls = orbitControls;
+        this.renderer = renderer;
+        this.scene = scene;
+        this.settings = this.load();
+        this.view = this.settings.view;
+        this.snap = true; // Jump to the view instead of easing into it
+
+        this.composer = new EffectComposer(renderer);
+        this.composer.addPass(new RenderPass(scene, camera));
+        this.fisheyePass = new ShaderPass(FisheyeShader);
+        this.composer.addPass(this.fisheyePass);
+        this.composer.addPass(new OutputPass());
+        this.resize(window.innerWidth, window.innerHeight);
+    }
+
+    load() {
+        try {
+            return normalizeCameraSettings(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+        } catch (e) {
+            console.warn("Could not load camera settings:", e);
+            return normalizeCameraSettings(null);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            console.warn("Could not save camera settings:", e);
+        }
+    }
+
+    // Changes uptilt, fov or fisheye, or the live view
+    set(key, value) {
+        this.settings = normalizeCameraSettings({ ...this.settings, [key]: value });
+        this.save();
+        if (key === 'view') this.setView(this.settings.view);
+    }
+
+    setView(view) {
+        this.view = view;
+        this.snap = true;
+        this.orbitControls.enabled = view === 'FREE';
+    }
+
+    // Next live view, remembered for the next session
+    cycleLiveView() {
+        const index = LIVE_VIEWS.indexOf(this.view);
+        this.set('view', LIVE_VIEWS[(index + 1) % LIVE_VIEWS.length]);
+    }
+
+    setFov(fov) {
+        if (this.camera.fov === fov) return;
+        this.camera.fov = fov;
+        this.camera.updateProjectionMatrix();
+    }
+
+    // Moves the camera for the current view; `spawn` is where the pilot
+    // stands for line of sight
+    update(drone, spawn) {
+        const target = drone.mesh.position;
+        const snap = this.snap;
+        this.snap = false;
+
+        if (this.view === 'FPV') {
+            this.setFov(this.settings.fov);
+            drone.updateCamera(this.camera, THREE.MathUtils.degToRad(this.settings.uptilt));
+            return;
+        }
+        this.setFov(VIEW_FOV);
+
+        if (this.view === 'FREE') {
+            if (snap) {
+                this.orbitControls.target.copy(target);
+                this.camera.position.copy(target).add(new THREE.Vector3(0, 3, 6));
+            }
+            // Orbit around the drone, carrying the camera along with it
+            this.camera.position.add(target.clone().sub(this.orbitControls.target));
+            this.orbitControls.target.copy(target);
+            this.orbitControls.update();
+        } else if (this.view === 'LOS') {
+            this.camera.position.copy(getPilotPosition(spawn));
+            this.camera.lookAt(target);
+        } else if (this.view === 'MAP') {
+            // Straight down, north (-Z) up
+            this.camera.position.set(target.x, target.y + MAP_HEIGHT, target.z);
+            this.camera.rotation.set(-Math.PI / 2, 0, 0);
+        } else {
+            // Chase: behind and above, following the heading only
+            const heading = new THREE.Euler().setFromQuaternion(drone.mesh.quaternion, 'YXZ').y;
+            const desired = new THREE.Vector3(0, 1.5, 4)
+                .applyAxisAngle(new THREE.Vector3(0, 1, 0), heading)
+                .add(target);
+            if (snap) this.camera.position.copy(desired);
+            else this.camera.position.lerp(desired, 0.1);
+            this.camera.lookAt(target);
+        }
+    }
+
+    // The lens only belongs to the FPV camera
+    get usesFisheye() {
+        return this.view === 'FPV' && this.settings.fisheye > 0;
+    }
+
+    render() {
+        if (this.usesFisheye) {
+            this.fisheyePass.uniforms.strength.value = this.settings.fisheye * 0.5;
+            this.composer.render();
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    resize(width, height) {
+        this.composer.setSize(width, height);
+        this.fisheyePass.uniforms.aspect.value = width / height;
+    }
+}
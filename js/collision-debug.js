@@ -0,0 +1,82 @@
+import * as THREE from 'three';
+
+const MAX_BOXES = 64;
+
+// Shows what the collision broad phase hands to the narrow phase: the grid
+// cells around the drone, the bounding boxes of the candidate shapes, and
+// the per frame query cost.
+export class CollisionDebug {
+    constructor(scene, element) {
+        this.scene = scene;
+        this.element = element;
+        this.enabled = false;
+
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        scene.add(this.group);
+
+        // Pooled helpers, one per candidate
+        this.boxes = [];
+        for (let i = 0; i < MAX_BOXES; i++) {
+            const helper = new THREE.Box3Helper(new THREE.Box3(), 0xff00ff);
+            helper.material.depthTest = false;
+            helper.visible = false;
+            this.boxes.push(helper);
+            this.group.add(helper);
+        }
+
+        // Query sphere of the drone
+        this.sphere = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 12, 8),
+            new THREE.MeshBasicMaterial({ color: 0x00ffff, wireframe: true })
+        );
+        this.group.add(this.sphere);
+    }
+
+    setEnabled(enabled, world) {
+        this.enabled = enabled;
+        this.group.visible = enabled;
+        this.element.style.display = enabled ? 'block' : 'none';
+        world.profiling = enabled;
+        world.resetStats();
+    }
+
+    // Call once per rendered frame, after the physics steps
+    update(world, drone) {
+        if (!this.enabled) return;
+
+        const shapes = drone.nearbyShapes;
+        this.boxes.forEach((helper, i) => {
+            helper.visible = i < shapes.length;
+            if (helper.visible) helper.box.set(shapes[i].min, shapes[i].max);
+        });
+
+        this.sphere.position.copy(drone.mesh.position);
+        this.sphere.scale.setScalar(drone.boundingRadius + 0.1);
+
+        const s = world.stats;
+        const o = world.otherStats;
+        const lines = [
+            'SHAPES: ' + world.shapes.length + ' IN ' + world.cells.size + ' CELLS',
+            'NEARBY: ' + shapes.length + (shapes.length > 0 ? ' (' + this.describe(shapes) + ')' : ''),
+            'PER FRAME: ' + s.queries + ' QUERIES, ' + s.cells + ' CELLS, ' + s.tests + ' TESTS, ' + s.contacts + ' CONTACTS',
+            'COLLISION TIME: ' + s.time.toFixed(3) + ' MS/FRAME'
+        ];
+        // Ghost and AI pilots
+        if (o.queries > 0) {
+            lines.push('OTHER DRONES: ' + o.queries + ' QUERIES, ' + o.tests + ' TESTS, ' + o.time.toFixed(3) + ' MS/FRAME');
+        }
+        this.element.innerText = lines.join('\n');
+        world.resetStats();
+    }
+
+    describe(shapes) {
+        const counts = {};
+        shapes.forEach(shape => {
+            const data = shape.object.userData;
+            const name = data.gate ? 'gate ' + (data.gate.index + 1) : data.obstacle.type;
+            counts[name] = (counts[name] || 0) + 1;
+        });
+        return Object.keys(counts).map(name => counts[name] > 1 ? name + ' x' + counts[name] : name).join(', ');
+    }
+}
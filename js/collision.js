@@ -0,0 +1,303 @@
+import * as THREE from 'three';
+
+// Gate frame bars in gate space: [center, half size]
+const GATE_BARS = [
+    [new THREE.Vector3(0, 4, 0), new THREE.Vector3(4, 0.25, 0.25)],
+    [new THREE.Vector3(0, -4, 0), new THREE.Vector3(4, 0.25, 0.25)],
+    [new THREE.Vector3(-4, 0, 0), new THREE.Vector3(0.25, 4, 0.25)],
+    [new THREE.Vector3(4, 0, 0), new THREE.Vector3(0.25, 4, 0.25)]
+];
+
+const CELL_SIZE = 10; // m, broad phase grid cell edge
+
+// Collision shapes for the static world, built from the scene objects when
+// a map loads. Every shape is either a box turned around Y or an upright
+// cylinder/cone, which covers everything maps can contain. The ground is
+// the plane y = 0 and is tested directly, never through the grid.
+//
+// Broad phase: a uniform grid over the ground plane. Each cell lists the
+// shapes whose bounding box overlaps it, so a query only looks at the few
+// cells around the drone.
+export class CollisionWorld {
+    constructor() {
+        this.shapes = [];
+        this.hasGround = false;
+        this.cells = new Map(); // Cell key -> shapes
+        this.queryStamp = 0; // Dedupes shapes that span several cells
+
+        // Per frame counters for the debug overlay (see resetStats). The
+        // ghost and AI pilots count apart from the player, see countOthers()
+        this.profiling = false;
+        this.stats = { queries: 0, cells: 0, candidates: 0, tests: 0, contacts: 0, time: 0 };
+        this.otherStats = { queries: 0, cells: 0, candidates: 0, tests: 0, contacts: 0, time: 0 };
+        this.counting = this.stats;
+
+        this._local = new THREE.Vector3();
+        this._closest = new THREE.Vector3();
+    }
+
+    build(objects) {
+        this.shapes = [];
+        this.hasGround = false;
+        this.cells.clear();
+
+        objects.forEach(object => {
+            if (object.userData.ground) {
+                this.hasGround = true;
+            } else if (object.userData.gate) {
+                GATE_BARS.forEach(([center, halfSize]) => {
+                    const offset = center.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), object.rotation.y);
+                    this.addBox(object.position.clone().add(offset), halfSize, object.rotation.y, object);
+                });
+            } else if (object.userData.obstacle) {
+                this.addObstacle(object);
+            }
+        });
+
+        this.shapes.forEach(shape => {
+            shape.stamp = 0;
+            const min = this.cellIndex(shape.min.x, shape.min.z);
+            const max = this.cellIndex(shape.max.x, shape.max.z);
+            for (let ix = min.x; ix <= max.x; ix++) {
+                for (let iz = min.z; iz <= max.z; iz++) {
+                    const key = this.cellKey(ix, iz);
+                    if (!this.cells.has(key)) this.cells.set(key, []);
+                    this.cells.get(key).push(shape);
+                }
+            }
+        });
+    }
+
+    cellIndex(x, z) {
+        return { x: Math.floor(x / CELL_SIZE), z: Math.floor(z / CELL_SIZE) };
+    }
+
+    // Maps are a few km across at most, so 16 bits per axis is plenty
+    cellKey(ix, iz) {
+        return (ix + 32768) * 65536 + (iz + 32768);
+    }
+
+    // Shapes whose bounding box overlaps the sphere
+    query(center, radius) {
+        const start = this.profiling ? performance.now() : 0;
+        const stats = this.counting;
+        const stamp = ++this.queryStamp;
+        const result = [];
+
+        const min = this.cellIndex(center.x - radius, center.z - radius);
+        const max = this.cellIndex(center.x + radius, center.z + radius);
+        for (let ix = min.x; ix <= max.x; ix++) {
+            for (let iz = min.z; iz <= max.z; iz++) {
+                const cell = this.cells.get(this.cellKey(ix, iz));
+                stats.cells++;
+                if (!cell) continue;
+
+                for (const shape of cell) {
+                    if (shape.stamp === stamp) continue;
+                    shape.stamp = stamp;
+
+                    if (center.x + radius < shape.min.x || center.x - radius > shape.max.x ||
+                        center.y + radius < shape.min.y || center.y - radius > shape.max.y ||
+                        center.z + radius < shape.min.z || center.z - radius > shape.max.z) continue;
+                    result.push(shape);
+                }
+            }
+        }
+
+        stats.queries++;
+        stats.candidates += result.length;
+        if (this.profiling) stats.time += performance.now() - start;
+        return result;
+    }
+
+    resetStats() {
+        for (const key in this.stats) this.stats[key] = 0;
+        for (const key in this.otherStats) this.otherStats[key] = 0;
+    }
+
+    // Queries until countOthers(false) are some other drone's, not the player's
+    countOthers(others) {
+        this.counting = others ? this.otherStats : this.stats;
+    }
+
+    addObstacle(object) {
+        const info = object.userData.obstacle;
+        const p = object.position;
+        const s = object.scale;
+
+        if (info.type === 'box') {
+            this.addBox(p.clone(), s.clone().multiplyScalar(0.5), object.rotation.y, object);
+        } else if (info.type === 'cylinder') {
+            this.addCylinder(p.x, p.z, p.y - s.y / 2, p.y + s.y / 2, s.x, s.x * info.radiusRatio, object);
+        } else {
+            // Tree: trunk cylinder and leaf cone, see EnvironmentManager.addObstacle
+            const k = s.x;
+            this.addCylinder(p.x, p.z, p.y, p.y + 4 * k, 0.8 * k, 0.5 * k, object);
+            this.addCylinder(p.x, p.z, p.y + 2 * k, p.y + 12 * k, 4 * k, 0, object);
+        }
+    }
+
+    addBox(center, halfSize, rotationY, object) {
+        const cos = Math.cos(rotationY);
+        const sin = Math.sin(rotationY);
+
+        // World AABB of the turned box
+        const extent = new THREE.Vector3(
+            Math.abs(cos) * halfSize.x + Math.abs(sin) * halfSize.z,
+            halfSize.y,
+            Math.abs(sin) * halfSize.x + Math.abs(cos) * halfSize.z
+        );
+
+        this.shapes.push({
+            type: 'box',
+            center: center,
+            halfSize: halfSize,
+            cos: cos,
+            sin: sin,
+            min: center.clone().sub(extent),
+            max: center.clone().add(extent),
+            object: object
+        });
+    }
+
+    addCylinder(x, z, bottom, top, radiusBottom, radiusTop, object) {
+        const r = Math.max(radiusBottom, radiusTop);
+        this.shapes.push({
+            type: 'cylinder',
+            x: x,
+            z: z,
+            bottom: bottom,
+            top: top,
+            radiusBottom: radiusBottom,
+            radiusTop: radiusTop,
+            min: new THREE.Vector3(x - r, bottom, z - r),
+            max: new THREE.Vector3(x + r, top, z + r),
+            object: object
+        });
+    }
+
+    // Pushes a contact { normal, depth, point, object } for every shape the
+    // sphere overlaps. The normal points out of the shape, the point is the
+    // contact point on the shape surface. Pass `candidates` from a query()
+    // around several spheres to share one broad phase lookup between them.
+    collideSphere(center, radius, contacts, candidates = this.query(center, radius)) {
+        const start = this.profiling ? performance.now() : 0;
+        const stats = this.counting;
+        const count = contacts.length;
+
+        if (this.hasGround && center.y < radius) {
+            contacts.push({
+                normal: new THREE.Vector3(0, 1, 0),
+                depth: radius - center.y,
+                point: new THREE.Vector3(center.x, 0, center.z),
+                object: null
+            });
+        }
+
+        for (const shape of candidates) {
+            const contact = shape.type === 'box'
+                ? this.sphereBox(center, radius, shape)
+                : this.sphereCylinder(center, radius, shape);
+            if (contact) contacts.push(contact);
+        }
+
+        stats.tests += candidates.length;
+        stats.contacts += contacts.length - count;
+        if (this.profiling) stats.time += performance.now() - start;
+        return contacts;
+    }
+
+    sphereBox(center, radius, box) {
+        const h = box.halfSize;
+
+        // Into box space (rotation around Y only)
+        const dx = center.x - box.center.x;
+        const dz = center.z - box.center.z;
+        const local = this._local.set(
+            box.cos * dx - box.sin * dz,
+            center.y - box.center.y,
+            box.sin * dx + box.cos * dz
+        );
+
+        // Cheap reject before anything else
+        if (Math.abs(local.x) > h.x + radius || Math.abs(local.y) > h.y + radius || Math.abs(local.z) > h.z + radius) {
+            return null;
+        }
+
+        const closest = this._closest.set(
+            THREE.MathUtils.clamp(local.x, -h.x, h.x),
+            THREE.MathUtils.clamp(local.y, -h.y, h.y),
+            THREE.MathUtils.clamp(local.z, -h.z, h.z)
+        );
+
+        const normal = new THREE.Vector3().subVectors(local, closest);
+        let distance = normal.length();
+        let depth;
+
+        if (distance > 1e-9) {
+            if (distance >= radius) return null;
+            normal.divideScalar(distance);
+            depth = radius - distance;
+        } else {
+            // Center inside the box: leave through the nearest face
+            const gaps = [h.x - Math.abs(local.x), h.y - Math.abs(local.y), h.z - Math.abs(local.z)];
+            const axis = gaps.indexOf(Math.min(...gaps));
+            normal.set(0, 0, 0).setComponent(axis, Math.sign(local.getComponent(axis)) || 1);
+            closest.copy(local).setComponent(axis, normal.getComponent(axis) * h.getComponent(axis));
+            depth = gaps[axis] + radius;
+        }
+
+        // Back to world space
+        const toWorld = (v) => v.set(box.cos * v.x + box.sin * v.z, v.y, -box.sin * v.x + box.cos * v.z);
+        toWorld(normal);
+        const point = toWorld(closest.clone()).add(box.center);
+
+        return { normal, depth, point, object: box.object };
+    }
+
+    sphereCylinder(center, radius, cyl) {
+        if (center.y < cyl.bottom - radius || center.y > cyl.top + radius) return null;
+
+        const dx = center.x - cyl.x;
+        const dz = center.z - cyl.z;
+        const maxRadius = Math.max(cyl.radiusBottom, cyl.radiusTop);
+        const horizontal = Math.hypot(dx, dz);
+        if (horizontal > maxRadius + radius) return null;
+
+        // Cones are treated as a stack of discs: use the radius at the
+        // height of the sphere center
+        const y = THREE.MathUtils.clamp(center.y, cyl.bottom, cyl.top);
+        const t = (y - cyl.bottom) / (cyl.top - cyl.bottom);
+        const r = cyl.radiusBottom + (cyl.radiusTop - cyl.radiusBottom) * t;
+
+        const sideX = horizontal > 1e-9 ? dx / horizontal : 1;
+        const sideZ = horizontal > 1e-9 ? dz / horizontal : 0;
+        const closest = new THREE.Vector3(
+            cyl.x + sideX * Math.min(horizontal, r),
+            y,
+            cyl.z + sideZ * Math.min(horizontal, r)
+        );
+
+        const normal = new THREE.Vector3().subVectors(center, closest);
+        const distance = normal.length();
+
+        if (distance > 1e-9) {
+            if (distance >= radius) return null;
+            return { normal: normal.divideScalar(distance), depth: radius - distance, point: closest, object: cyl.object };
+        }
+
+        // Center inside: out through the side, top or bottom, whichever is nearest
+        const side = r - horizontal;
+        const up = cyl.top - center.y;
+        const down = center.y - cyl.bottom;
+        if (side <= up && side <= down) {
+            normal.set(sideX, 0, sideZ);
+            closest.set(cyl.x + sideX * r, center.y, cyl.z + sideZ * r);
+            return { normal, depth: side + radius, point: closest, object: cyl.object };
+        }
+        const top = up <= down;
+        normal.set(0, top ? 1 : -1, 0);
+        closest.set(center.x, top ? cyl.top : cyl.bottom, center.z);
+        return { normal, depth: (top ? up : down) + radius, point: closest, object: cyl.object };
+    }
+}
@@ -0,0 +1,487 @@
+import * as THREE from 'three';
+import { MotorMixer } from './motors.js';
+import { PIDController } from './pid.js';
+import { betaflightRate } from './rates.js';
+import { DEFAULT_PROFILE } from './tuning.js';
+import { DEFAULT_AIRFRAME } from './airframes.js';
+import { Battery } from './battery.js';
+import { valueNoise } from './wind.js';
+
+// What the 5" freestyle quad the flight model was tuned on has besides its
+// preset, for scaling to the other airframes
+const REFERENCE_FRAME = {
+    mass: 0.5, // kg
+    armLength: 0.11, // m
+    propRadius: 0.0635, // m, 5" props
+    maxThrust: 3.75, // N per motor
+    inertia: new THREE.Vector3(0.0025, 0.0045, 0.0025), // kg m^2
+    angularDrag: 0.0005, // N m / (rad/s)
+    propWashTorque: 0.06, // N m
+    groundEffectRadius: 0.2, // m
+    torqueRatio: 0.05, // Yaw torque (N m) per N of thrust
+    maxRpm: 30000,
+    maxMotorCurrent: 30, // A per motor on 4S
+    bodyCollider: 0.08, // m
+    propCollider: 0.065 // m
+};
+export const DUCT_SIZE = 1.2; // Duct radius over prop radius
+
+// Flight dynamics of the quad: motors, flight controller, battery, air and
+// contacts, stepped at a fixed rate. Nothing here draws or needs a scene, so
+// it runs the same in the browser, in Node and on the server. Drone
+// (physics.js) adds the mesh on top.
+export class DroneSim {
+    constructor() {
+        // State after the last step, and before it for interpolation
+        this.position = new THREE.Vector3(0, 2, 0);
+        this.quaternion = new THREE.Quaternion();
+        this.prevPosition = this.position.clone();
+        this.prevQuaternion = new THREE.Quaternion();
+        this.velocity = new THREE.Vector3();
+        this.angularVelocity = new THREE.Vector3(); // Body frame: x = pitch, y = yaw, z = roll
+
+        // Rotor aerodynamics
+        this.airDensity = 1.225; // kg/m^3
+        this.propWashThrustLoss = 0.3; // Thrust lost at full vortex ring state
+
+        // Flight controller (rates and gains come from the tuning profile)
+        this.rates = null;
+        this.pids = {
+            roll: new PIDController(),
+            pitch: new PIDController(),
+            yaw: new PIDController()
+        };
+        this.angleLimit = 0.78; // Max angle in radians for Level mode
+        this.levelStrength = 15.0; // How fast it self-levels
+        this.setpoint = new THREE.Vector3(); // Last requested body rates (rad/s)
+        this.applyTuning(DEFAULT_PROFILE);
+
+        this.gravity = -9.81;
+
+        this.mode = 'ACRO'; // ACRO or LEVEL
+
+        // Mass, motors, battery and colliders
+        this.applyAirframe(DEFAULT_AIRFRAME);
+
+        this.restitution = 0.3;
+        this.friction = 0.5;
+        this.damageSpeed = 7; // m/s into a surface before props get damaged
+        this.crashSpeed = 14; // m/s into a surface that ends the flight
+        this.crashed = false; // Disarmed after a hard impact, until reset
+        this.armed = false; // Set by the flight controller, motors stay off until armed
+        this.turtle = false; // Armed in turtle mode to flip back over
+        this.turtlePower = 0.5; // Motor command at full stick in turtle mode
+        this.lastImpact = 0; // m/s, hardest impact of the last step
+        this.nearbyShapes = []; // Broad phase result of the last step
+
+        this.time = 0; // s since reset, drives the wind and prop wash noise
+        this.windVelocity = new THREE.Vector3(); // Wind at the drone, last step
+        this.propWash = 0; // 0..1, how deep in its own downwash the quad is
+        this.groundEffect = 1; // Thrust multiplier near the ground
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+    }
+
+    // Arming state from the FlightController: { armed, turtle, crashed }
+    setArming(value) {
+        if (value.armed && !this.armed) {
+            for (const axis in this.pids) this.pids[axis].reset();
+        }
+        this.armed = value.armed;
+        this.turtle = value.turtle;
+        this.crashed = value.crashed;
+    }
+
+    applyTuning(profile) {
+        this.tuning = profile;
+        this.rates = JSON.parse(JSON.stringify(profile.rates));
+        this.pids.roll.setGains(profile.pid.roll);
+        this.pids.pitch.setGains(profile.pid.pitch);
+        this.pids.yaw.setGains(profile.pid.yaw);
+        this.levelStrength = profile.level.strength;
+        this.angleLimit = THREE.MathUtils.degToRad(profile.level.angleLimit);
+    }
+
+    // Sets up the frame from an airframe (js/airframes.js). What the presets
+    // don't give scales from the 5" freestyle quad the sim was tuned on:
+    // inertia with mass and arm length squared, rotor effects with the props.
+    // Leaves the drone to be reset before it flies.
+    applyAirframe(airframe) {
+        this.airframe = airframe;
+        const ref = REFERENCE_FRAME;
+        const size = airframe.armLength / ref.armLength;
+        const inertia = (airframe.mass / ref.mass) * size * size;
+
+        this.mass = airframe.mass; // kg
+        this.armLength = airframe.armLength; // m, center to motor
+        this.inertia = ref.inertia.clone().multiplyScalar(inertia); // kg m^2 around body X (pitch), Y (yaw), Z (roll)
+        this.dragCoefficient = new THREE.Vector3().fromArray(airframe.drag); // N / (m/s)^2 per body axis
+        this.angularDrag = ref.angularDrag * inertia; // N m / (rad/s)
+
+        // Rotor aerodynamics
+        this.propRadius = airframe.propSize * 0.0254 / 2; // m
+        const prop = this.propRadius / ref.propRadius;
+        const maxThrust = airframe.thrustToWeight * airframe.mass * -this.gravity / 4; // N per motor
+        this.propWashTorque = ref.propWashTorque * (maxThrust / ref.maxThrust) * size; // N m, shake at full vortex ring state
+        this.groundEffectRadius = ref.groundEffectRadius * size; // m, the frame acts like one rotor this size near the ground
+
+        // Smaller props spin faster and make less yaw torque
+        this.motors = MotorMixer.createQuadX(this.armLength, {
+            maxThrust: maxThrust,
+            torqueRatio: ref.torqueRatio * prop,
+            maxRpm: ref.maxRpm / Math.sqrt(prop)
+        });
+        this.mixer = new MotorMixer(this.motors);
+        this.totalThrust = 0; // N
+        this.battery = new Battery({
+            cells: airframe.battery.cells,
+            capacity: airframe.battery.capacity,
+            maxMotorCurrent: ref.maxMotorCurrent * (maxThrust / ref.maxThrust) * 4 / airframe.battery.cells
+        });
+
+        // Collision: the frame is a sphere around the stack plus one per
+        // motor/prop, in body space. Ducts stick out past the props.
+        const propCollider = ref.propCollider * prop * (airframe.ducts ? DUCT_SIZE : 1);
+        this.colliders = [{ center: new THREE.Vector3(), radius: ref.bodyCollider * size }]
+            .concat(this.motors.map(motor => ({ center: motor.position, radius: propCollider })));
+        this.boundingRadius = this.armLength + propCollider; // Encloses all of them
+    }
+
+    // One fixed physics step. The game loop calls this at a constant rate.
+    // `world` is the CollisionWorld and `wind` the WindField, both optional.
+    update(dt, input, world = null, wind = null) {
+        this.prevPosition.copy(this.position);
+        this.prevQuaternion.copy(this.quaternion);
+        this.time += dt;
+        const w = this.angularVelocity;
+
+        if (!this.armed || this.crashed) {
+            // Disarmed: motors off, the frame just falls and tumbles
+            this.setpoint.set(0, 0, 0);
+            this.motors.forEach(m => {
+                m.command = 0;
+                m.direction = 1;
+            });
+        } else if (this.turtle) {
+            // Turtle mode: no PIDs, the sticks pick the motors directly
+            this.setpoint.set(0, 0, 0);
+            this.mixer.mixTurtle(input.roll, input.pitch, input.yaw, this.turtlePower);
+        } else {
+            // 1. Rate controller: stick -> desired angular velocity -> PID -> torque commands
+            const setpoint = this.getTargetRates(input);
+            this.setpoint.copy(setpoint);
+
+            // PIDs work in deg/s like the firmware
+            const toDeg = THREE.MathUtils.RAD2DEG;
+            const pitchCmd = this.pids.pitch.update(setpoint.x * toDeg, w.x * toDeg, dt);
+            const yawCmd = this.pids.yaw.update(setpoint.y * toDeg, w.y * toDeg, dt);
+            const rollCmd = this.pids.roll.update(setpoint.z * toDeg, w.z * toDeg, dt);
+
+            // A flat pack limits the throttle so there is still enough left to land
+            this.mixer.mix(Math.min(input.thrust, this.battery.throttleLimit), rollCmd, pitchCmd, yawCmd);
+        }
+
+        // Battery: current from the motor speeds, thrust from the sagging voltage
+        this.battery.update(dt, this.motors.map(m => m.rpm));
+        const power = this.battery.powerFactor;
+
+        // 2. Motors -> body forces and torques
+        const torque = new THREE.Vector3();
+        let totalThrust = 0;
+
+        for (const motor of this.motors) {
+            motor.power = power;
+            motor.update(dt);
+            totalThrust += motor.thrust;
+
+            // r x F with F along body +Y
+            torque.x += -motor.position.z * motor.thrust;
+            torque.z += motor.position.x * motor.thrust;
+            torque.y += motor.getYawTorque();
+        }
+
+        // Air the frame moves through, body frame
+        if (wind) wind.sample(this.position, this.time, this.windVelocity);
+        else this.windVelocity.set(0, 0, 0);
+        const inverse = this.quaternion.clone().invert();
+        const localVel = this.velocity.clone().sub(this.windVelocity).applyQuaternion(inverse);
+
+        // Prop wash: sinking into its own downwash the quad loses thrust and
+        // shakes (vortex ring state). Sideways airflow blows the wash away.
+        this.propWash = this.getPropWash(localVel, totalThrust);
+        if (this.propWash > 0) {
+            const shake = this.propWash * this.propWashTorque;
+            torque.x += shake * valueNoise(1, this.time * 15, 0, 0);
+            torque.z += shake * valueNoise(2, this.time * 15, 0, 0);
+            totalThrust *= 1 - this.propWashThrustLoss * this.propWash;
+        }
+
+        // Ground effect: the downwash pushes back off the ground when level
+        this.groundEffect = world && world.hasGround ? this.getGroundEffect() : 1;
+        totalThrust *= this.groundEffect;
+        this.totalThrust = totalThrust;
+
+        // Aerodynamic damping of the rotation
+        torque.addScaledVector(this.angularVelocity, -this.angularDrag);
+
+        // 3. Angular dynamics (body frame): I * dw/dt = torque - w x (I * w)
+        const Iw = new THREE.Vector3(w.x * this.inertia.x, w.y * this.inertia.y, w.z * this.inertia.z);
+        torque.sub(new THREE.Vector3().crossVectors(w, Iw));
+
+        w.x += (torque.x / this.inertia.x) * dt;
+        w.y += (torque.y / this.inertia.y) * dt;
+        w.z += (torque.z / this.inertia.z) * dt;
+
+        // Integrate orientation with the body rate
+        const angle = w.length() * dt;
+        if (angle > 0) {
+            const dq = new THREE.Quaternion().setFromAxisAngle(w.clone().normalize(), angle);
+            this.quaternion.multiply(dq).normalize();
+        }
+
+        // 4. Linear dynamics
+        // Thrust along local UP
+        const force = new THREE.Vector3(0, totalThrust, 0).applyQuaternion(this.quaternion);
+
+        // Quadratic drag against the air, larger for the flat top of the frame
+        // than for the front/side
+        const dragLocal = new THREE.Vector3(
+            -this.dragCoefficient.x * localVel.x * Math.abs(localVel.x),
+            -this.dragCoefficient.y * localVel.y * Math.abs(localVel.y),
+            -this.dragCoefficient.z * localVel.z * Math.abs(localVel.z)
+        );
+        force.add(dragLocal.applyQuaternion(this.quaternion));
+
+        const acceleration = force.divideScalar(this.mass);
+        acceleration.y += this.gravity;
+
+        // Update velocity
+        this.velocity.addScaledVector(acceleration, dt);
+
+        // Update position
+        this.position.addScaledVector(this.velocity, dt);
+
+        // 5. Contacts. At 500 Hz even a fast quad moves less than a prop
+        // radius per step, so testing the end position is enough.
+        if (world) this.resolveCollisions(world);
+    }
+
+    // 0..1 vortex ring state for the body frame airflow `localVel`: worst
+    // when sinking at about the induced velocity with little sideways speed
+    getPropWash(localVel, thrust) {
+        const discArea = this.motors.length * Math.PI * this.propRadius * this.propRadius;
+        const induced = Math.sqrt(Math.max(thrust, 0) / (2 * this.airDensity * discArea));
+        if (induced < 0.5) return 0;
+
+        const sink = -localVel.y / induced;
+        const ring = Math.max(0, 1 - Math.pow((sink - 0.75) / 0.5, 2));
+        const sideways = Math.hypot(localVel.x, localVel.z) / (1.5 * induced);
+        return ring * Math.max(0, 1 - sideways);
+    }
+
+    // Thrust multiplier from the ground plane, 1 / (1 - (R / 4h)^2) for a
+    // rotor of radius R at height h (Cheeseman-Bennett), only when level
+    getGroundEffect() {
+        const R = this.groundEffectRadius;
+        const height = Math.max(this.position.y, R / 2);
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(this.quaternion).y;
+        const gain = 1 / (1 - Math.pow(R / (4 * height), 2)) - 1;
+        return 1 + gain * Math.max(0, up);
+    }
+
+    // Pushes the frame out of everything it overlaps and applies a contact
+    // impulse at the touching point, so glancing hits spin the quad the way
+    // the impact would
+    resolveCollisions(world) {
+        this.lastImpact = 0;
+
+        // One broad phase lookup for the whole frame, with some margin for
+        // the push-outs below
+        const candidates = world.query(this.position, this.boundingRadius + 0.1);
+        this.nearbyShapes = candidates;
+
+        const center = new THREE.Vector3();
+        const contacts = [];
+        for (const collider of this.colliders) {
+            center.copy(collider.center).applyQuaternion(this.quaternion).add(this.position);
+            contacts.length = 0;
+            world.collideSphere(center, collider.radius, contacts, candidates);
+
+            // Deepest contact per sphere is enough to get it out
+            let contact = null;
+            for (const c of contacts) {
+                if (!contact || c.depth > contact.depth) contact = c;
+            }
+            if (!contact) continue;
+
+            this.position.addScaledVector(contact.normal, contact.depth);
+            const speed = this.applyContactImpulse(contact.point, contact.normal);
+            if (speed > this.lastImpact) this.lastImpact = speed;
+
+            if (speed >= this.crashSpeed) {
+                this.crashed = true;
+            } else if (speed >= this.damageSpeed) {
+                this.damageProp(contact.point, speed);
+            }
+        }
+    }
+
+    // Impulse at `point` (world) along `normal`, with Coulomb friction.
+    // Returns the impact speed into the surface.
+    applyContactImpulse(point, normal) {
+        const inverse = this.quaternion.clone().invert();
+        const r = point.clone().sub(this.position).applyQuaternion(inverse); // Body frame lever arm
+        const n = normal.clone().applyQuaternion(inverse);
+        const w = this.angularVelocity;
+        const I = this.inertia;
+        const invInertia = (v) => v.set(v.x / I.x, v.y / I.y, v.z / I.z);
+
+        // Velocity of the contact point, body frame
+        const v = this.velocity.clone().applyQuaternion(inverse).add(new THREE.Vector3().crossVectors(w, r));
+        const vn = v.dot(n);
+        if (vn >= 0) return 0; // Already separating
+
+        // Effective mass along a direction at this lever arm
+        const effectiveMass = (dir) => {
+            const arm = invInertia(new THREE.Vector3().crossVectors(r, dir)).cross(r);
+            return 1 / (1 / this.mass + dir.dot(arm));
+        };
+
+        // Resting contacts don't bounce, or the quad would jitter on the ground
+        const restitution = -vn > 1 ? this.restitution : 0;
+        const impulse = n.clone().multiplyScalar(-(1 + restitution) * vn * effectiveMass(n));
+
+        const tangent = v.clone().addScaledVector(n, -vn);
+        const slide = tangent.length();
+        if (slide > 1e-6) {
+            tangent.divideScalar(slide);
+            const friction = Math.min(slide * effectiveMass(tangent), this.friction * impulse.length());
+            impulse.addScaledVector(tangent, -friction);
+        }
+
+        w.add(invInertia(new THREE.Vector3().crossVectors(r, impulse)));
+        this.velocity.add(impulse.applyQuaternion(this.quaternion).divideScalar(this.mass));
+
+        return -vn;
+    }
+
+    // The prop nearest to the impact loses thrust, more for harder hits
+    damageProp(point, speed) {
+        const local = point.clone().sub(this.position).applyQuaternion(this.quaternion.clone().invert());
+        let nearest = this.motors[0];
+        for (const motor of this.motors) {
+            if (motor.position.distanceToSquared(local) < nearest.position.distanceToSquared(local)) nearest = motor;
+        }
+
+        const severity = (speed - this.damageSpeed) / (this.crashSpeed - this.damageSpeed);
+        nearest.efficiency = Math.max(0.2, nearest.efficiency - 0.1 - 0.4 * severity);
+    }
+
+    // Desired body rates (rad/s) for the current flight mode
+    getTargetRates(input) {
+        const yawRate = this.getStickRate(input.yaw, this.rates.yaw);
+
+        if (this.mode === 'ACRO') {
+            // Rate mode: Stick = Angular Velocity (Betaflight rate curves)
+            return new THREE.Vector3(
+                this.getStickRate(input.pitch, this.rates.pitch),
+                yawRate,
+                this.getStickRate(input.roll, this.rates.roll)
+            );
+        }
+
+        // Level mode: Stick = Target Angle
+        // The angle error becomes a rate request for the rate controller (P term)
+        // Note: Euler angles are a simplification, fine for the small angles of Level mode
+        const currentEuler = new THREE.Euler().setFromQuaternion(this.quaternion, 'YXZ');
+
+        const targetPitch = input.pitch * this.angleLimit;
+        const targetRoll = input.roll * this.angleLimit;
+
+        return new THREE.Vector3(
+            (targetPitch - currentEuler.x) * this.levelStrength,
+            yawRate, // Yaw is still rate based
+            (targetRoll - currentEuler.z) * this.levelStrength
+        );
+    }
+
+    // Stick deflection -> rad/s
+    getStickRate(stick, rate) {
+        const degPerSec = betaflightRate(stick, rate.rcRate, rate.superRate, rate.expo);
+        return THREE.MathUtils.degToRad(degPerSec);
+    }
+
+    // Fresh start: new props and a charged pack
+    reset(position, yaw = 0) {
+        this.respawn(position, yaw);
+        this.battery.reset();
+        this.time = 0;
+    }
+
+    // Back to a standing start at `position`, keeping the battery as it is
+    respawn(position, yaw = 0) {
+        this.position.copy(position);
+        this.quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), yaw);
+        this.prevPosition.copy(position);
+        this.prevQuaternion.copy(this.quaternion);
+        this.velocity.set(0, 0, 0);
+        this.angularVelocity.set(0, 0, 0);
+        this.motors.forEach(m => {
+            m.reset();
+            m.efficiency = 1.0; // Fresh props
+        });
+        this.totalThrust = 0;
+        this.crashed = false;
+        this.armed = false;
+        this.turtle = false;
+        this.lastImpact = 0;
+        this.setpoint.set(0, 0, 0);
+        for (const axis in this.pids) this.pids[axis].reset();
+    }
+
+    // Full simulation state, used for replay keyframes
+    saveState() {
+        return {
+            position: this.position.clone(),
+            quaternion: this.quaternion.clone(),
+            velocity: this.velocity.clone(),
+            angularVelocity: this.angularVelocity.clone(),
+            setpoint: this.setpoint.clone(),
+            mode: this.mode,
+            tuning: this.tuning,
+            motors: this.motors.map(m => ({ command: m.command, rpm: m.rpm, thrust: m.thrust, efficiency: m.efficiency, direction: m.direction })),
+            pids: Object.keys(this.pids).map(axis => {
+                const pid = this.pids[axis];
+                return { iterm: pid.iterm, dterm: pid.dterm, prevMeasurement: pid.prevMeasurement, prevSetpoint: pid.prevSetpoint };
+            }),
+            totalThrust: this.totalThrust,
+            time: this.time,
+            crashed: this.crashed,
+            armed: this.armed,
+            turtle: this.turtle,
+            battery: this.battery.saveState()
+        };
+    }
+
+    loadState(state) {
+        this.position.copy(state.position);
+        this.quaternion.copy(state.quaternion);
+        this.prevPosition.copy(state.position);
+        this.prevQuaternion.copy(state.quaternion);
+        this.velocity.copy(state.velocity);
+        this.angularVelocity.copy(state.angularVelocity);
+        this.setpoint.copy(state.setpoint);
+        this.mode = state.mode;
+        if (state.tuning !== this.tuning) this.applyTuning(state.tuning);
+        this.motors.forEach((m, i) => Object.assign(m, state.motors[i]));
+        Object.keys(this.pids).forEach((axis, i) => Object.assign(this.pids[axis], state.pids[i]));
+        this.totalThrust = state.totalThrust;
+        this.time = state.time;
+        this.crashed = state.crashed;
+        this.armed = state.armed;
+        this.turtle = state.turtle;
+        this.battery.loadState(state.battery);
+    }
+}
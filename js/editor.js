@@ -0,0 +1,424 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+
+const MAX_HISTORY = 100;
+const FLY_SPEED = 30; // m/s, x3 with shift
+const CLICK_DISTANCE = 4; // px the pointer may move for a click to still select
+
+// New obstacles, placed in front of the camera
+const TEMPLATES = {
+    box: { type: 'box', size: [10, 20, 10], material: 'building' },
+    cylinder: { type: 'cylinder', radiusBottom: 2, radiusTop: 2, height: 10, material: 'concrete' },
+    tree: { type: 'tree', scale: 1.5 }
+};
+
+// Track editor: orbit or fly a free camera over the map and place, move,
+// rotate, scale and delete gates and obstacles. The scene itself is the
+// document; undo/redo keeps exported map snapshots and rebuilds from them.
+export class TrackEditor {
+    constructor(scene, camera, domElement, envManager) {
+        this.scene = scene;
+        this.camera = camera;
+        this.domElement = domElement;
+        this.env = envManager;
+
+        this.isActive = false;
+        this.selected = null;
+        this.history = []; // Map snapshots as JSON text
+        this.historyIndex = -1;
+        this.keys = {};
+        this.onChange = null; // Called with a status line after every edit
+
+        this.orbit = new OrbitControls(camera, domElement);
+        this.orbit.enabled = false;
+
+        this.transform = new TransformControls(camera, domElement);
+        this.transform.enabled = false;
+        this.transform.visible = false;
+        this.transform.addEventListener('dragging-changed', (e) => {
+            this.orbit.enabled = !e.value;
+            if (!e.value) this.commit();
+        });
+        this.transform.addEventListener('objectChange', () => this.onObjectChange());
+        this.scene.add(this.transform);
+
+        // Spawn marker: arrow pointing along local -Z, the way the drone faces
+        this.spawnMarker = new THREE.Mesh(
+            new THREE.ConeGeometry(0.8, 2.5, 12).rotateX(-Math.PI / 2),
+            new THREE.MeshBasicMaterial({ color: 0x00aaff })
+        );
+        this.spawnMarker.userData.spawn = true;
+
+        this.selectionBox = new THREE.BoxHelper(undefined, 0x00ffff);
+        this.selectionBox.visible = false;
+
+        // Course preview: a line through the gates in race order plus their numbers
+        this.courseLine = new THREE.LineLoop(
+            new THREE.BufferGeometry(),
+            new THREE.LineBasicMaterial({ color: 0x00ff66 })
+        );
+        this.labels = new THREE.Group();
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointerDown = null;
+
+        domElement.addEventListener('pointerdown', (e) => {
+            this.pointerDown = { x: e.clientX, y: e.clientY };
+        });
+        domElement.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        window.addEventListener('keydown', (e) => this.onKeyDown(e));
+        window.addEventListener('keyup', (e) => {
+            this.keys[e.code] = false;
+        });
+    }
+
+    open() {
+        this.isActive = true;
+        this.history = [];
+        this.historyIndex = -1;
+
+        this.scene.add(this.spawnMarker, this.selectionBox, this.courseLine, this.labels);
+        this.transform.enabled = true;
+        this.orbit.enabled = true;
+
+        // Start above the spawn, looking at the middle of the course
+        const spawn = this.env.spawn.position;
+        const center = new THREE.Vector3();
+        this.env.gates.forEach(gate => center.add(gate.position));
+        if (this.env.gates.length > 0) center.divideScalar(this.env.gates.length);
+        else center.copy(spawn);
+
+        this.orbit.target.copy(center);
+        this.camera.position.set(spawn.x, spawn.y + 40, spawn.z + 40);
+        this.orbit.update();
+
+        this.commit();
+    }
+
+    close() {
+        this.select(null);
+        this.isActive = false;
+        this.transform.enabled = false;
+        this.orbit.enabled = false;
+        this.keys = {};
+        this.scene.remove(this.spawnMarker, this.selectionBox, this.courseLine, this.labels);
+        this.clearLabels();
+    }
+
+    // The current scene as a fixed map
+    getMap(meta = {}) {
+        return this.env.exportMap(meta);
+    }
+
+    loadMap(map) {
+        this.select(null);
+        this.env.loadMap(map, 0);
+        this.refresh();
+    }
+
+    // Adds an undo step if the scene changed since the last one
+    commit() {
+        const snapshot = JSON.stringify(this.getMap());
+        if (snapshot === this.history[this.historyIndex]) {
+            this.refresh();
+            return;
+        }
+
+        this.history.splice(this.historyIndex + 1);
+        this.history.push(snapshot);
+        if (this.history.length > MAX_HISTORY) this.history.shift();
+        this.historyIndex = this.history.length - 1;
+        this.refresh();
+    }
+
+    undo() {
+        if (this.historyIndex <= 0) return;
+        this.historyIndex--;
+        this.loadMap(JSON.parse(this.history[this.historyIndex]));
+    }
+
+    redo() {
+        if (this.historyIndex >= this.history.length - 1) return;
+        this.historyIndex++;
+        this.loadMap(JSON.parse(this.history[this.historyIndex]));
+    }
+
+    // Where new things go: the point on the ground the camera looks at
+    getPlacement() {
+        this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
+        const ground = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        const point = this.raycaster.ray.intersectPlane(ground, new THREE.Vector3());
+        return point && point.distanceTo(this.camera.position) < 200 ? point : this.orbit.target.clone();
+    }
+
+    // Heading that turns a new gate or spawn away from the camera
+    getCameraYaw() {
+        const forward = this.camera.getWorldDirection(new THREE.Vector3());
+        return Math.atan2(-forward.x, -forward.z);
+    }
+
+    addGate() {
+        const position = this.getPlacement();
+        position.y = Math.max(position.y, 6);
+        this.select(this.env.createGate(position, this.getCameraYaw()));
+        this.commit();
+    }
+
+    addObstacle(type) {
+        const desc = Object.assign({}, TEMPLATES[type]);
+        const position = this.getPlacement();
+        if (type === 'box') position.y = desc.size[1] / 2;
+        else if (type === 'cylinder') position.y = desc.height / 2;
+        else position.y = 0;
+        desc.position = position.toArray();
+
+        this.select(this.env.addObstacle(desc));
+        this.commit();
+    }
+
+    setSpawnHere() {
+        const position = this.getPlacement();
+        this.env.spawn = { position: new THREE.Vector3(position.x, 2, position.z), yaw: this.getCameraYaw() };
+        this.select(this.spawnMarker);
+        this.commit();
+    }
+
+    deleteSelected() {
+        if (!this.selected || this.selected === this.spawnMarker) return;
+        const object = this.selected;
+        this.select(null);
+        this.env.removeObject(object);
+        this.commit();
+    }
+
+    // Moves the selected gate earlier (-1) or later (+1) in the race
+    moveGateOrder(offset) {
+        const gate = this.selected;
+        if (!gate || !gate.userData.gate) return;
+        this.env.setGateOrder(gate, gate.userData.gate.index + offset);
+        this.commit();
+    }
+
+    setMode(mode) {
+        this.transform.setMode(mode);
+        this.updateGizmo();
+        this.refresh();
+    }
+
+    select(object) {
+        this.selected = object;
+        if (object) {
+            this.transform.attach(object);
+            this.updateGizmo();
+        } else {
+            this.transform.detach();
+        }
+        this.selectionBox.visible = !!object && object !== this.spawnMarker;
+        this.refresh();
+    }
+
+    getType(object) {
+        if (!object) return null;
+        if (object === this.spawnMarker) return 'spawn';
+        if (object.userData.gate) return 'gate';
+        return object.userData.obstacle.type;
+    }
+
+    // Maps only store a rotation around Y, and gates have a fixed size
+    updateGizmo() {
+        const type = this.getType(this.selected);
+        const mode = this.transform.mode;
+        const t = this.transform;
+
+        if (mode === 'rotate') {
+            t.showX = false; t.showY = true; t.showZ = false;
+        } else if (mode === 'scale') {
+            const scalable = type !== 'gate' && type !== 'spawn';
+            t.showX = scalable && type !== 'tree';
+            t.showY = scalable;
+            t.showZ = type === 'box';
+        } else {
+            t.showX = true; t.showY = true; t.showZ = true;
+        }
+    }
+
+    // Keeps edited objects within what the map format can describe
+    onObjectChange() {
+        const object = this.selected;
+        const type = this.getType(object);
+
+        object.rotation.x = 0;
+        object.rotation.z = 0;
+        object.scale.x = Math.max(object.scale.x, 0.1);
+        object.scale.y = Math.max(object.scale.y, 0.1);
+        object.scale.z = Math.max(object.scale.z, 0.1);
+
+        if (type === 'tree') {
+            object.scale.setScalar(object.scale.y);
+        } else if (type === 'cylinder') {
+            object.scale.z = object.scale.x;
+        } else if (type === 'spawn') {
+            this.env.spawn.position.copy(object.position);
+            this.env.spawn.yaw = object.rotation.y;
+        } else if (type === 'gate') {
+            object.updateMatrixWorld();
+        }
+        this.refresh();
+    }
+
+    // Syncs the helpers with the scene and reports what is selected
+    refresh() {
+        this.spawnMarker.position.copy(this.env.spawn.position);
+        this.spawnMarker.rotation.set(0, this.env.spawn.yaw, 0);
+
+        if (this.selectionBox.visible) this.selectionBox.setFromObject(this.selected);
+
+        const points = this.env.gates.map(gate => gate.position);
+        this.courseLine.geometry.setFromPoints(points);
+        this.courseLine.visible = points.length > 1;
+        this.updateLabels();
+
+        if (this.onChange) this.onChange(this.getStatus());
+    }
+
+    getStatus() {
+        const type = this.getType(this.selected);
+        const mode = this.transform.mode.toUpperCase();
+        const counts = this.env.gates.length + ' GATES, ' +
+            this.env.objects.filter(obj => obj.userData.obstacle).length + ' OBSTACLES';
+
+        if (!type) return counts;
+
+        const p = this.selected.position;
+        let text = type.toUpperCase();
+        if (type === 'gate') text += ' ' + (this.selected.userData.gate.index + 1) + '/' + this.env.gates.length;
+        return text + ' [' + mode + '] ' + p.x.toFixed(1) + ', ' + p.y.toFixed(1) + ', ' + p.z.toFixed(1) + ' | ' + counts;
+    }
+
+    // Gate numbers floating above each gate. Label i always reads i + 1,
+    // so they only need rebuilding when the gate count changes.
+    updateLabels() {
+        if (this.labels.children.length !== this.env.gates.length) {
+            this.clearLabels();
+            this.env.gates.forEach((gate, i) => {
+                const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: this.createLabelTexture(String(i + 1)), depthTest: false }));
+                sprite.scale.set(3, 3, 1);
+                this.labels.add(sprite);
+            });
+        }
+
+        this.env.gates.forEach((gate, i) => {
+            this.labels.children[i].position.copy(gate.position);
+            this.labels.children[i].position.y += 6;
+        });
+    }
+
+    clearLabels() {
+        this.labels.children.forEach(sprite => {
+            sprite.material.map.dispose();
+            sprite.material.dispose();
+        });
+        this.labels.clear();
+    }
+
+    createLabelTexture(text) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.beginPath();
+        ctx.arc(32, 32, 30, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#00ff66';
+        ctx.font = 'bold 32px Courier New';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, 32, 34);
+        return new THREE.CanvasTexture(canvas);
+    }
+
+    onPointerUp(e) {
+        if (!this.isActive || !this.pointerDown || e.button !== 0) return;
+
+        // A drag orbits the camera, only a click selects
+        const moved = Math.hypot(e.clientX - this.pointerDown.x, e.clientY - this.pointerDown.y);
+        this.pointerDown = null;
+        if (moved > CLICK_DISTANCE || this.transform.dragging || this.transform.axis) return;
+
+        const rect = this.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            -((e.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.camera);
+
+        const candidates = this.env.objects.filter(obj => !obj.userData.ground).concat(this.spawnMarker);
+        const hit = this.raycaster.intersectObjects(candidates, true)[0];
+        if (!hit) {
+            this.select(null);
+            return;
+        }
+
+        // Hits land on child meshes, select the top level object
+        let object = hit.object;
+        while (object.parent && !candidates.includes(object)) object = object.parent;
+        this.select(object);
+    }
+
+    onKeyDown(e) {
+        if (!this.isActive || e.target.tagName === 'INPUT') return;
+        this.keys[e.code] = true;
+
+        if ((e.ctrlKey || e.metaKey) && e.code === 'KeyZ') {
+            e.preventDefault();
+            if (e.shiftKey) this.redo();
+            else this.undo();
+        } else if ((e.ctrlKey || e.metaKey) && e.code === 'KeyY') {
+            e.preventDefault();
+            this.redo();
+        } else if (e.code === 'Delete' || e.code === 'Backspace') {
+            this.deleteSelected();
+        } else if (e.code === 'Digit1') {
+            this.setMode('translate');
+        } else if (e.code === 'Digit2') {
+            this.setMode('rotate');
+        } else if (e.code === 'Digit3') {
+            this.setMode('scale');
+        } else if (e.code === 'BracketLeft') {
+            this.moveGateOrder(-1);
+        } else if (e.code === 'BracketRight') {
+            this.moveGateOrder(1);
+        }
+    }
+
+    // WASD flies the camera and its orbit point together, Q/E go down/up
+    update(dt) {
+        const keys = this.keys;
+        const shortcut = keys.ControlLeft || keys.ControlRight || keys.MetaLeft || keys.MetaRight;
+
+        const forward = this.camera.getWorldDirection(new THREE.Vector3());
+        forward.y = 0;
+        forward.normalize();
+        const right = new THREE.Vector3(-forward.z, 0, forward.x);
+
+        const move = new THREE.Vector3();
+        if (keys.KeyW) move.add(forward);
+        if (keys.KeyS) move.sub(forward);
+        if (keys.KeyD) move.add(right);
+        if (keys.KeyA) move.sub(right);
+        if (keys.KeyE) move.y += 1;
+        if (keys.KeyQ) move.y -= 1;
+
+        if (move.lengthSq() > 0 && !shortcut) {
+            const speed = FLY_SPEED * (keys.ShiftLeft || keys.ShiftRight ? 3 : 1);
+            move.normalize().multiplyScalar(speed * dt);
+            this.camera.position.add(move);
+            this.orbit.target.add(move);
+        }
+
+        this.orbit.update();
+        if (this.selectionBox.visible) this.selectionBox.setFromObject(this.selected);
+    }
+}
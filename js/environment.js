@@ -1,30 +1,71 @@
 import * as THREE from 'three';
+import { SeededRandom } from './random.js';
+import { MAP_FORMAT, MAP_VERSION, formatMapCode, validateMap } from './map-format.js';
+import { CollisionWorld } from './collision.js';
+import { WindField, CALM_WIND } from './wind.js';
+
+const DEFAULT_SKY = { color: '#87ceeb', fog: { color: '#87ceeb', near: 20, far: 500 } };
+const DEFAULT_GROUND = { material: 'asphalt', size: 1000, repeat: 100, roughness: 0.8 };
+const TEXTURES = ['building', 'asphalt', 'grass']; // In assets/textures, also usable as ground materials
 
 export class EnvironmentManager {
-    constructor(scene) {
+    // `options.textures: false` builds the world without loading any
+    // images, for running the simulation in Node
+    constructor(scene, options = {}) {
         this.scene = scene;
-        this.currentMap = null;
+        this.map = null; // Map data the scene was built from
+        this.currentMap = null; // Map id
+        this.seed = null;
+        this.spawn = { position: new THREE.Vector3(0, 2, 0), yaw: 0 };
         this.objects = [];
+        this.gates = []; // Race gates in course order (also in this.objects)
+        this.collision = new CollisionWorld(); // Rebuilt whenever a map loads
+        this.wind = new WindField(); // Also shelters behind the collision shapes
 
         // Load textures
-        const loader = new THREE.TextureLoader();
-        this.textures = {
-            building: loader.load('assets/textures/building.png'),
-            asphalt: loader.load('assets/textures/asphalt.png'),
-            grass: loader.load('assets/textures/grass.png')
-        };
-
-        // Configure textures
-        for (let key in this.textures) {
-            this.textures[key].wrapS = THREE.RepeatWrapping;
-            this.textures[key].wrapT = THREE.RepeatWrapping;
+        this.textures = {};
+        if (options.textures !== false) {
+            const loader = new THREE.TextureLoader();
+            TEXTURES.forEach(name => {
+                const texture = loader.load('assets/textures/' + name + '.png');
+                texture.wrapS = THREE.RepeatWrapping;
+                texture.wrapT = THREE.RepeatWrapping;
+                this.textures[name] = texture;
+            });
         }
+
+        // Shared by every obstacle, never disposed
+        const buildingMatSide = new THREE.MeshStandardMaterial({
+            map: this.textures.building || null,
+            roughness: 0.2,
+            metalness: 0.5
+        });
+        const buildingMatTop = new THREE.MeshStandardMaterial({ color: 0x333333 });
+        this.materials = {
+            // Texture on sides, simple color on top (px, nx, py, ny, pz, nz)
+            building: [buildingMatSide, buildingMatSide, buildingMatTop, buildingMatTop, buildingMatSide, buildingMatSide],
+            trunk: new THREE.MeshStandardMaterial({ color: 0x8B4513 }),
+            leaves: new THREE.MeshStandardMaterial({ color: 0x228B22 }),
+            concrete: new THREE.MeshStandardMaterial({ color: 0x888888, roughness: 0.9 })
+        };
+        this.geometries = {
+            box: new THREE.BoxGeometry(1, 1, 1), // Scaled per obstacle
+            trunk: new THREE.CylinderGeometry(0.5, 0.8, 4),
+            leaves: new THREE.ConeGeometry(4, 10)
+        };
     }
 
     clear() {
         // Remove old objects
         this.objects.forEach(obj => {
             this.scene.remove(obj);
+            if (obj.userData.obstacle) return; // Shared geometry and materials
+            if (obj.userData.gate) {
+                obj.children.forEach(child => child.geometry.dispose());
+                obj.userData.gate.material.dispose();
+                return;
+            }
+
             if (obj.geometry) obj.geometry.dispose();
             if (obj.material) {
                 if (Array.isArray(obj.material)) obj.material.forEach(m => m.dispose());
@@ -32,135 +73,271 @@ export class EnvironmentManager {
             }
         });
         this.objects = [];
+        this.gates = [];
     }
 
-    loadCity() {
+    // Frees the shared geometry, materials and textures too, for a manager
+    // that is no longer used
+    dispose() {
         this.clear();
-        this.currentMap = 'CITY';
-        console.log("Loading City Map...");
-
-        // 1. Ground (Asphalt)
-        const groundGeo = new THREE.PlaneGeometry(1000, 1000);
-        this.textures.asphalt.repeat.set(100, 100);
-        const groundMat = new THREE.MeshStandardMaterial({
-            map: this.textures.asphalt,
-            roughness: 0.8
-        });
-        const ground = new THREE.Mesh(groundGeo, groundMat);
-        ground.rotation.x = -Math.PI / 2;
-        ground.receiveShadow = true;
-        this.scene.add(ground);
-        this.objects.push(ground);
+        Object.values(this.materials).flat().forEach(material => material.dispose());
+        Object.values(this.geometries).forEach(geometry => geometry.dispose());
+        Object.values(this.textures).forEach(texture => texture.dispose());
+    }
 
-        // 2. Buildings
-        const boxGeo = new THREE.BoxGeometry(1, 1, 1); // Base geometry, scaled later
+    getMapCode() {
+        return formatMapCode(this.currentMap, this.seed);
+    }
 
-        // Material for buildings (Texture on sides, simple color on top)
-        // We can use an array of materials for the cube
-        const buildingMatSide = new THREE.MeshStandardMaterial({
-            map: this.textures.building,
-            roughness: 0.2,
-            metalness: 0.5
-        });
-        const buildingMatTop = new THREE.MeshStandardMaterial({ color: 0x333333 });
-        const materials = [
-            buildingMatSide, // px
-            buildingMatSide, // nx
-            buildingMatTop,  // py
-            buildingMatTop,  // ny
-            buildingMatSide, // pz
-            buildingMatSide  // nz
-        ];
-
-        for (let i = 0; i < 50; i++) {
-            const width = 10 + Math.random() * 20;
-            const depth = 10 + Math.random() * 20;
-            const height = 20 + Math.random() * 80; // Tall skyscrapers
-
-            const building = new THREE.Mesh(boxGeo, materials);
-            building.position.set(
-                (Math.random() - 0.5) * 400,
-                height / 2,
-                (Math.random() - 0.5) * 400
-            );
-            building.scale.set(width, height, depth);
-            building.castShadow = true;
-            building.receiveShadow = true;
-
-            this.scene.add(building);
-            this.objects.push(building);
+    // Builds the scene from map data. The seed drives everything in the
+    // map's "procedural" section; fixed obstacles and gates are placed as is.
+    loadMap(map, seed) {
+        validateMap(map);
+
+        this.clear();
+        this.map = map;
+        this.currentMap = map.meta.id;
+        this.seed = seed >>> 0;
+        const rng = new SeededRandom(this.seed);
+        console.log("Loading " + map.meta.name + " Map... " + this.getMapCode());
+
+        this.setSky(map.sky || DEFAULT_SKY);
+        this.addGround(map.ground || DEFAULT_GROUND);
+
+        // Course first, so generated obstacles can keep clear of it
+        const procedural = map.procedural || {};
+        let course;
+        if (map.gates && map.gates.length > 0) {
+            const gates = map.gates
+                .map((gate, i) => ({
+                    position: new THREE.Vector3().fromArray(gate.position),
+                    rotationY: gate.rotationY || 0,
+                    order: gate.order ?? i
+                }))
+                .sort((a, b) => a.order - b.order);
+            course = { gates: gates, spawn: this.getSpawnBefore(gates[0]) };
+        } else if (procedural.course) {
+            course = this.generateCourse(rng, procedural.course);
+        } else {
+            course = { gates: [], spawn: { position: new THREE.Vector3(0, 2, 0), yaw: 0 } };
+        }
+
+        if (map.spawn) {
+            course.spawn = {
+                position: new THREE.Vector3().fromArray(map.spawn.position),
+                yaw: map.spawn.yaw || 0
+            };
         }
 
-        // Add some gates for the city
-        this.addGates(5, 50);
+        if (procedural.buildings) this.generateBuildings(rng, procedural.buildings, course);
+        if (procedural.trees) this.generateTrees(rng, procedural.trees, course);
+
+        (map.obstacles || []).forEach(obstacle => this.addObstacle(obstacle));
+
+        this.addCourse(course);
+        this.collision.build(this.objects);
+        this.wind.configure(map.wind, this.seed, this.collision);
     }
 
-    loadJungle() {
-        this.clear();
-        this.currentMap = 'JUNGLE';
-        console.log("Loading Jungle Map...");
-
-        // 1. Ground (Grass)
-        const groundGeo = new THREE.PlaneGeometry(1000, 1000);
-        this.textures.grass.repeat.set(100, 100);
-        const groundMat = new THREE.MeshStandardMaterial({
-            map: this.textures.grass,
-            roughness: 1.0
-        });
-        const ground = new THREE.Mesh(groundGeo, groundMat);
-        ground.rotation.x = -Math.PI / 2;
-        ground.receiveShadow = true;
-        this.scene.add(ground);
-        this.objects.push(ground);
+    setSky(sky) {
+        this.scene.background = new THREE.Color(sky.color);
+        this.scene.fog = sky.fog ? new THREE.Fog(sky.fog.color, sky.fog.near, sky.fog.far) : null;
+    }
+
+    addGround(ground) {
+        const size = ground.size ?? DEFAULT_GROUND.size;
+        const groundGeo = new THREE.PlaneGeometry(size, size);
+
+        let groundMat;
+        if (TEXTURES.includes(ground.material)) {
+            const texture = this.textures[ground.material] || null;
+            const repeat = ground.repeat ?? DEFAULT_GROUND.repeat;
+            if (texture) texture.repeat.set(repeat, repeat);
+            groundMat = new THREE.MeshStandardMaterial({ map: texture, roughness: ground.roughness ?? 1.0 });
+        } else {
+            // Not a texture name: plain color
+            groundMat = new THREE.MeshStandardMaterial({ color: ground.material, roughness: ground.roughness ?? 1.0 });
+        }
+
+        const mesh = new THREE.Mesh(groundGeo, groundMat);
+        mesh.rotation.x = -Math.PI / 2;
+        mesh.receiveShadow = true;
+        mesh.userData.ground = true;
+        this.scene.add(mesh);
+        this.objects.push(mesh);
+    }
+
+    generateBuildings(rng, options, course) {
+        const area = options.area ?? 400;
+
+        for (let i = 0; i < options.count; i++) {
+            const width = options.minWidth + rng.next() * (options.maxWidth - options.minWidth);
+            const depth = options.minWidth + rng.next() * (options.maxWidth - options.minWidth);
+            const height = options.minHeight + rng.next() * (options.maxHeight - options.minHeight);
+
+            const x = (rng.next() - 0.5) * area;
+            const z = (rng.next() - 0.5) * area;
+
+            // Keep the flight line open
+            if (this.isNearCourse(course, x, z, Math.hypot(width, depth) / 2 + (options.clearance ?? 8))) continue;
+
+            this.addObstacle({ type: 'box', position: [x, height / 2, z], size: [width, height, depth], material: 'building' });
+        }
+    }
+
+    generateTrees(rng, options, course) {
+        const area = options.area ?? 400;
 
-        // 2. Trees
-        // Simple low-poly trees: Cylinder trunk, Cone leaves
-        const trunkGeo = new THREE.CylinderGeometry(0.5, 0.8, 4);
-        const trunkMat = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
+        for (let i = 0; i < options.count; i++) {
+            const s = options.minScale + rng.next() * (options.maxScale - options.minScale);
+            const x = (rng.next() - 0.5) * area;
+            const z = (rng.next() - 0.5) * area;
 
-        const leavesGeo = new THREE.ConeGeometry(4, 10);
-        const leavesMat = new THREE.MeshStandardMaterial({ color: 0x228B22 });
+            // Canopy radius is 4 * scale
+            if (this.isNearCourse(course, x, z, 4 * s + (options.clearance ?? 5))) continue;
 
-        for (let i = 0; i < 100; i++) {
-            const group = new THREE.Group();
+            this.addObstacle({ type: 'tree', position: [x, 0, z], scale: s });
+        }
+    }
 
-            const trunk = new THREE.Mesh(trunkGeo, trunkMat);
+    // Creates a static obstacle from its map description. Type and material
+    // go into userData.obstacle, the transform holds the rest, so the scene
+    // can be exported again.
+    addObstacle(desc) {
+        let object;
+        const info = { type: desc.type, material: desc.material };
+
+        if (desc.type === 'box') {
+            object = new THREE.Mesh(this.geometries.box, this.getMaterial(desc.material || 'building'));
+            object.scale.fromArray(desc.size);
+        } else if (desc.type === 'cylinder') {
+            // Unit cylinder scaled to size, radiusTop relative to radiusBottom
+            const radius = desc.radiusBottom ?? desc.radius ?? 1;
+            info.radiusRatio = (desc.radiusTop ?? radius) / radius;
+            object = new THREE.Mesh(this.getCylinderGeometry(info.radiusRatio), this.getMaterial(desc.material || 'concrete'));
+            object.scale.set(radius, desc.height ?? 1, radius);
+        } else {
+            // Simple low-poly tree: Cylinder trunk, Cone leaves
+            object = new THREE.Group();
+
+            const trunk = new THREE.Mesh(this.geometries.trunk, this.materials.trunk);
             trunk.position.y = 2;
             trunk.castShadow = true;
-            group.add(trunk);
+            object.add(trunk);
 
-            const leaves = new THREE.Mesh(leavesGeo, leavesMat);
+            const leaves = new THREE.Mesh(this.geometries.leaves, this.materials.leaves);
             leaves.position.y = 7; // 2 + 5
             leaves.castShadow = true;
-            group.add(leaves);
+            object.add(leaves);
+
+            const s = desc.scale ?? 1;
+            object.scale.set(s, s, s);
+        }
 
-            // Random scale
-            const s = 1 + Math.random();
-            group.scale.set(s, s, s);
+        object.position.fromArray(desc.position);
+        object.rotation.y = desc.rotationY || 0;
+        object.castShadow = true;
+        object.receiveShadow = true;
+        object.userData.obstacle = info;
 
-            group.position.set(
-                (Math.random() - 0.5) * 400,
-                0,
-                (Math.random() - 0.5) * 400
-            );
+        this.scene.add(object);
+        this.objects.push(object);
+        return object;
+    }
 
-            this.scene.add(group);
-            this.objects.push(group);
+    getCylinderGeometry(radiusRatio) {
+        const key = 'cylinder-' + radiusRatio.toFixed(3);
+        if (!this.geometries[key]) {
+            this.geometries[key] = new THREE.CylinderGeometry(radiusRatio, 1, 1, 16);
         }
+        return this.geometries[key];
+    }
 
-        // Add some gates for the jungle
-        this.addGates(5, 30);
+    getMaterial(name) {
+        if (this.materials[name]) return this.materials[name];
+
+        // Anything else is a color; cache so obstacles can share it
+        const material = new THREE.MeshStandardMaterial({ color: name });
+        this.materials[name] = material;
+        return material;
     }
 
-    addGates(count, spacing) {
+    // Closed loop of gates around the map center: points on a jittered
+    // ellipse, each gate turned to face along the loop. Also picks the spawn
+    // point, on the ground in front of the first gate.
+    generateCourse(rng, options) {
+        const count = options.gates;
+        const radiusX = rng.range(options.minRadius, options.maxRadius);
+        const radiusZ = rng.range(options.minRadius, options.maxRadius);
+        const direction = rng.next() < 0.5 ? 1 : -1;
+
+        const points = [];
+        for (let i = 0; i < count; i++) {
+            const angle = direction * (i / count) * Math.PI * 2 + rng.range(-0.2, 0.2);
+            const r = rng.range(0.8, 1.1);
+            points.push(new THREE.Vector3(
+                Math.cos(angle) * radiusX * r,
+                rng.range(options.minHeight, options.maxHeight),
+                Math.sin(angle) * radiusZ * r
+            ));
+        }
+
+        const gates = points.map((point, i) => {
+            // Face along the loop: from the previous gate towards the next one
+            const prev = points[(i + count - 1) % count];
+            const next = points[(i + 1) % count];
+            const dx = next.x - prev.x;
+            const dz = next.z - prev.z;
+
+            // Gates are flown through along their local -Z
+            return { position: point, rotationY: Math.atan2(-dx, -dz) };
+        });
+
+        return { gates, spawn: this.getSpawnBefore(gates[0]) };
+    }
+
+    // On the ground, 20m before the gate, facing it
+    getSpawnBefore(gate) {
+        if (!gate) return { position: new THREE.Vector3(0, 2, 0), yaw: 0 };
+
+        const forward = new THREE.Vector3(-Math.sin(gate.rotationY), 0, -Math.cos(gate.rotationY));
+        return {
+            position: new THREE.Vector3(gate.position.x, 2, gate.position.z).addScaledVector(forward, -20),
+            yaw: gate.rotationY
+        };
+    }
+
+    // Is (x, z) within `clearance` of the course lines or the spawn?
+    isNearCourse(course, x, z, clearance) {
+        const p = new THREE.Vector2(x, z);
+        if (p.distanceTo(new THREE.Vector2(course.spawn.position.x, course.spawn.position.z)) < clearance) {
+            return true;
+        }
+
+        const count = course.gates.length;
         for (let i = 0; i < count; i++) {
-            this.createGate(new THREE.Vector3(0, 10, -20 - (i * spacing)), i % 2 === 0 ? 0 : Math.PI / 4);
+            const a = course.gates[i].position;
+            const b = course.gates[(i + 1) % count].position;
+
+            // Distance from p to segment ab in the ground plane
+            const ab = new THREE.Vector2(b.x - a.x, b.z - a.z);
+            const ap = new THREE.Vector2(x - a.x, z - a.z);
+            const t = ab.lengthSq() > 0 ? THREE.MathUtils.clamp(ap.dot(ab) / ab.lengthSq(), 0, 1) : 0;
+            const closest = new THREE.Vector2(a.x, a.z).addScaledVector(ab, t);
+            if (closest.distanceTo(p) < clearance) return true;
         }
+        return false;
+    }
+
+    addCourse(course) {
+        course.gates.forEach(gate => this.createGate(gate.position, gate.rotationY));
+        this.spawn = course.spawn;
     }
 
     createGate(position, rotationY = 0) {
         const group = new THREE.Group();
 
+        // Each gate gets its own material so the race can highlight the next one
         const material = new THREE.MeshStandardMaterial({ color: 0xffd700, emissive: 0xffaa00, emissiveIntensity: 0.5 });
 
         // Top bar
@@ -185,8 +362,97 @@ export class EnvironmentManager {
 
         group.position.copy(position);
         group.rotation.y = rotationY;
+        group.updateMatrixWorld(); // Static, needed for the pass-through test before the first render
+
+        // Race data: opening is the half-size of the free area inside the frame
+        group.userData.gate = {
+            index: this.gates.length,
+            material: material,
+            opening: 3.75
+        };
 
         this.scene.add(group);
         this.objects.push(group);
+        this.gates.push(group);
+
+        return group;
+    }
+
+    // Takes a gate or obstacle out of the scene (used by the editor)
+    removeObject(object) {
+        const index = this.objects.indexOf(object);
+        if (index === -1) return;
+
+        this.scene.remove(object);
+        this.objects.splice(index, 1);
+
+        if (object.userData.gate) {
+            this.gates.splice(this.gates.indexOf(object), 1);
+            this.updateGateIndices();
+
+            object.children.forEach(child => child.geometry.dispose());
+            object.userData.gate.material.dispose();
+        }
+    }
+
+    // Moves a gate to another place in the course order
+    setGateOrder(gate, order) {
+        const from = this.gates.indexOf(gate);
+        if (from === -1) return;
+
+        order = THREE.MathUtils.clamp(order, 0, this.gates.length - 1);
+        this.gates.splice(from, 1);
+        this.gates.splice(order, 0, gate);
+        this.updateGateIndices();
+    }
+
+    updateGateIndices() {
+        this.gates.forEach((gate, i) => {
+            gate.userData.gate.index = i;
+        });
+    }
+
+    // Serialises the current scene as a fixed map: generated content is
+    // written out as plain obstacles, so the result no longer needs a seed
+    exportMap(meta = {}) {
+        const round = (v) => Math.round(v * 1000) / 1000;
+        const vec = (v) => [round(v.x), round(v.y), round(v.z)];
+
+        const obstacles = this.objects
+            .filter(obj => obj.userData.obstacle)
+            .map(obj => {
+                const info = obj.userData.obstacle;
+                const desc = { type: info.type, position: vec(obj.position) };
+                if (obj.rotation.y) desc.rotationY = round(obj.rotation.y);
+
+                if (info.type === 'box') {
+                    desc.size = vec(obj.scale);
+                } else if (info.type === 'cylinder') {
+                    desc.radiusBottom = round(obj.scale.x);
+                    desc.radiusTop = round(obj.scale.x * info.radiusRatio);
+                    desc.height = round(obj.scale.y);
+                } else {
+                    desc.scale = round(obj.scale.x);
+                }
+                if (info.material) desc.material = info.material;
+                return desc;
+            });
+
+        const base = this.map || {};
+        return {
+            format: MAP_FORMAT,
+            version: MAP_VERSION,
+            meta: Object.assign({}, base.meta, meta),
+            ground: base.ground || DEFAULT_GROUND,
+            sky: base.sky || DEFAULT_SKY,
+            wind: base.wind || CALM_WIND,
+            spawn: { position: vec(this.spawn.position), yaw: round(this.spawn.yaw) },
+            obstacles: obstacles,
+            gates: this.gates.map((gate, i) => ({
+                position: vec(gate.position),
+                rotationY: round(gate.rotation.y),
+                order: i
+            }))
+        };
     }
 }
@@ -0,0 +1,25 @@
+// Small helpers for saving/loading user files (profiles, replays, tracks)
+
+export function downloadText(filename, text, type = 'application/json') {
+    const blob = new Blob([text], { type: type });
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+export function readTextFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+// Turns a display name into something safe to use as a file name
+export function safeFileName(name) {
+    return name.replace(/[^a-z0-9_-]+/gi, '_');
+}
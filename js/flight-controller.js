@@ -0,0 +1,114 @@
+import * as THREE from 'three';
+
+// Arming logic of the flight controller. Runs once per frame on the live
+// input and decides when the motors may spin; the physics only sees the
+// result through Drone.setArming(), which replays record as events.
+//
+//   DISARMED -> ARMED / TURTLE   arm switch flipped on, checks passed
+//   ARMED / TURTLE -> DISARMED   arm switch off
+//   any -> FAILSAFE              controller lost or window lost focus
+//   any -> CRASHED               hard impact (set by the physics)
+//   FAILSAFE / CRASHED -> DISARMED  arm switch off, link back
+//
+// Without an arm switch (keyboard, unassigned) the quad arms by itself as
+// soon as the checks pass, and turtle mode is held on its own key.
+
+export const ARM_MAX_THROTTLE = 0.05;
+export const ARM_MAX_TILT = THREE.MathUtils.degToRad(25);
+
+// Angle between the body up axis and world up (rad)
+export function getTilt(quaternion) {
+    const up = new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion);
+    return Math.acos(THREE.MathUtils.clamp(up.y, -1, 1));
+}
+
+export class FlightController {
+    constructor(drone) {
+        this.drone = drone;
+        this.reset();
+    }
+
+    reset() {
+        this.state = 'DISARMED';
+        this.blockReason = null; // Why arming is refused, for the OSD
+        this.switchOff = false; // Arm switch seen off since the last disarm
+    }
+
+    get isArmed() {
+        return this.state === 'ARMED' || this.state === 'TURTLE';
+    }
+
+    // Returns the new { armed, turtle, crashed } for the drone when it
+    // changes this frame, otherwise null. `linkLost` is true while there is
+    // no usable control link.
+    update(input, linkLost) {
+        const drone = this.drone;
+        const auto = input.arm === null || input.arm === undefined;
+        const turtle = input.turtle === true;
+        if (input.arm === false) this.switchOff = true;
+
+        if (drone.crashed && this.state !== 'CRASHED') {
+            this.state = 'CRASHED';
+        }
+
+        if (linkLost && this.state !== 'FAILSAFE') {
+            const wasArmed = this.isArmed;
+            this.state = 'FAILSAFE';
+            this.blockReason = 'FAILSAFE';
+            this.switchOff = false;
+            return wasArmed ? this.disarm(drone.crashed) : null;
+        }
+
+        switch (this.state) {
+            case 'FAILSAFE':
+                if (!linkLost && (auto || this.switchOff)) {
+                    this.state = 'DISARMED';
+                    return this.disarm(drone.crashed);
+                }
+                return null;
+
+            case 'CRASHED':
+                // Disarming clears the crash, so the quad can be turtled back over
+                if (auto ? turtle : this.switchOff) {
+                    this.state = 'DISARMED';
+                    return this.disarm(false);
+                }
+                this.blockReason = 'CRASH';
+                return null;
+
+            case 'DISARMED':
+                this.blockReason = this.getArmBlock(input, auto, turtle);
+                if (this.blockReason || !(auto || input.arm)) return null;
+                this.state = turtle ? 'TURTLE' : 'ARMED';
+                this.switchOff = false;
+                return { armed: true, turtle: turtle, crashed: false };
+
+            case 'ARMED':
+                if (!auto && !input.arm) {
+                    this.state = 'DISARMED';
+                    return this.disarm(false);
+                }
+                return null;
+
+            case 'TURTLE':
+                if (auto ? !turtle : !input.arm) {
+                    this.state = 'DISARMED';
+                    return this.disarm(false);
+                }
+                return null;
+        }
+        return null;
+    }
+
+    disarm(crashed) {
+        return { armed: false, turtle: false, crashed: crashed };
+    }
+
+    // Arming checks, like the firmware's arming disable flags
+    getArmBlock(input, auto, turtle) {
+        if (!auto && !this.switchOff) return 'ARM SWITCH';
+        if (input.thrust > ARM_MAX_THROTTLE) return 'THROTTLE';
+        if (!turtle && getTilt(this.drone.quaternion) > ARM_MAX_TILT) return 'ANGLE';
+        return null;
+    }
+}
@@ -0,0 +1,74 @@
+import * as THREE from 'three';
+import { Drone } from './physics.js';
+import { getReplayAirframe } from './airframes.js';
+
+// Translucent drone that re-flies a recorded run next to the live one
+export class Ghost {
+    constructor(scene) {
+        this.drone = new Drone(scene);
+        this.replay = null;
+        this.airframe = null; // The replay's
+        this.tick = 0;
+        this.enabled = true;
+
+        this.drone.setOpacity(0.35);
+        this.drone.mesh.visible = false;
+    }
+
+    setReplay(replay) {
+        this.replay = replay;
+        this.airframe = replay ? getReplayAirframe(replay) : null;
+        this.reset();
+    }
+
+    reset() {
+        this.tick = 0;
+
+        if (!this.replay) {
+            this.drone.mesh.visible = false;
+            return;
+        }
+
+        if (this.drone.airframe !== this.airframe) this.drone.applyAirframe(this.airframe);
+        this.drone.reset(new THREE.Vector3().fromArray(this.replay.spawn.position), this.replay.spawn.yaw || 0);
+        if (this.replay.drone) {
+            this.drone.applyTuning(this.replay.drone.tuning);
+            this.drone.mode = this.replay.drone.mode;
+        }
+        this.drone.mesh.visible = this.enabled;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.drone.mesh.visible = enabled && this.replay !== null && this.tick < this.replay.length;
+    }
+
+    // Keeps flying while hidden, so it comes back in step with the live run
+    update(dt, world, wind) {
+        if (!this.replay) return;
+
+        // Recorded run is over
+        if (this.tick >= this.replay.length) {
+            this.drone.mesh.visible = false;
+            return;
+        }
+
+        applyReplayEvents(this.drone, this.replay, this.tick);
+        this.drone.update(dt, this.replay.getInput(this.tick), world, wind);
+        this.tick++;
+    }
+
+    syncMesh(alpha) {
+        this.drone.syncMesh(alpha);
+    }
+}
+
+// Mode switches, tuning edits, arming and respawns made during the recorded flight
+export function applyReplayEvents(drone, replay, tick) {
+    for (const event of replay.getEvents(tick)) {
+        if (event.type === 'mode') drone.mode = event.value;
+        if (event.type === 'tuning') drone.applyTuning(event.value);
+        if (event.type === 'arming') drone.setArming(event.value);
+        if (event.type === 'respawn') drone.respawn(new THREE.Vector3().fromArray(event.value.position), event.value.yaw);
+    }
+}
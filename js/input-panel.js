@@ -0,0 +1,245 @@
+import { CHANNELS, SWITCHES, STICK_MODES, channelsForMode, readChannel, readSwitchState } from './input-profiles.js';
+
+// Controller setup: stick mode, channel mapping, deadzones, switches and a
+// calibration wizard. Changes are saved to the profile of the connected
+// gamepad straight away.
+export class InputPanel {
+    constructor(input) {
+        this.input = input;
+        this.isOpen = false;
+        this.onClose = null;
+
+        this.el = document.getElementById('input-panel');
+        this.deviceEl = document.getElementById('input-device');
+        this.modeSelect = document.getElementById('input-mode');
+        this.axesEl = document.getElementById('input-axes');
+        this.statusEl = document.getElementById('input-calibration-status');
+        this.nextBtn = document.getElementById('btn-input-calibrate-next');
+
+        this.gamepadId = null; // Device the tables were built for
+        this.calibration = null; // Wizard state while calibrating
+
+        for (const mode in STICK_MODES) {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = 'MODE ' + mode;
+            this.modeSelect.appendChild(option);
+        }
+
+        this.setupEvents();
+    }
+
+    setupEvents() {
+        this.modeSelect.addEventListener('change', () => {
+            this.update(profile => {
+                profile.mode = Number(this.modeSelect.value);
+                profile.channels = channelsForMode(profile.mode);
+            });
+        });
+        document.getElementById('btn-input-calibrate').addEventListener('click', () => this.startCalibration());
+        this.nextBtn.addEventListener('click', () => this.nextCalibrationStep());
+        document.getElementById('btn-input-reset').addEventListener('click', () => {
+            const gp = this.input.getGamepad();
+            if (!gp) return;
+            this.input.profiles.reset(gp.id);
+            this.gamepadId = null; // Rebuild the tables
+        });
+        document.getElementById('btn-input-back').addEventListener('click', () => this.close());
+    }
+
+    open() {
+        this.isOpen = true;
+        this.el.style.display = 'flex';
+        this.gamepadId = null;
+        this.setCalibration(null);
+        this.loop();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.el.style.display = 'none';
+        this.calibration = null;
+        if (this.onClose) this.onClose();
+    }
+
+    // Polls the gamepad while open, the game loop doesn't run in menus
+    loop() {
+        if (!this.isOpen) return;
+        requestAnimationFrame(() => this.loop());
+
+        const gp = this.input.getGamepad();
+        if (!gp) {
+            this.deviceEl.innerText = 'NO CONTROLLER - PRESS A BUTTON ON IT';
+            this.el.classList.add('no-device');
+            this.gamepadId = null;
+            return;
+        }
+        this.el.classList.remove('no-device');
+
+        if (gp.id !== this.gamepadId) {
+            this.gamepadId = gp.id;
+            this.deviceEl.innerText = gp.id;
+            this.build(gp);
+        }
+
+        if (this.calibration) this.sampleCalibration(gp);
+        this.renderLive(gp);
+    }
+
+    get profile() {
+        return this.input.profiles.get(this.gamepadId);
+    }
+
+    // Edits the profile of the current device and saves it
+    update(change) {
+        if (!this.gamepadId) return;
+        const profile = JSON.parse(JSON.stringify(this.profile));
+        change(profile);
+        this.input.profiles.set(this.gamepadId, profile);
+        this.render();
+    }
+
+    build(gp) {
+        const axisOptions = gp.axes.map((_, i) => '<option value="' + i + '">AXIS ' + i + '</option>').join('');
+        const sourceOptions = '<option value="">NONE</option>' +
+            gp.buttons.map((_, i) => '<option value="button:' + i + '">BUTTON ' + i + '</option>').join('') +
+            gp.axes.map((_, i) => '<option value="axis:' + i + '">AXIS ' + i + '</option>').join('');
+
+        const channels = document.getElementById('input-channels');
+        channels.innerHTML = '';
+        CHANNELS.forEach(name => {
+            const row = document.createElement('tr');
+            row.innerHTML = '<td>' + name.toUpperCase() + '</td>' +
+                '<td><select id="input-' + name + '-axis">' + axisOptions + '</select></td>' +
+                '<td><input type="checkbox" id="input-' + name + '-invert"></td>' +
+                '<td><input class="tuning-panel-input" type="number" min="0" max="0.5" step="0.01" id="input-' + name + '-deadzone"></td>' +
+                '<td id="input-' + name + '-value" class="input-value"></td>';
+            channels.appendChild(row);
+
+            row.querySelector('select').addEventListener('change', (e) => {
+                this.update(profile => profile.channels[name].axis = Number(e.target.value));
+            });
+            row.querySelector('input[type="checkbox"]').addEventListener('change', (e) => {
+                this.update(profile => profile.channels[name].invert = e.target.checked);
+            });
+            row.querySelector('input[type="number"]').addEventListener('change', (e) => {
+                this.update(profile => profile.deadzone[name] = Number(e.target.value));
+            });
+        });
+
+        const switches = document.getElementById('input-switches');
+        switches.innerHTML = '';
+        SWITCHES.forEach(name => {
+            const row = document.createElement('tr');
+            row.innerHTML = '<td>' + name.toUpperCase() + '</td>' +
+                '<td><select id="input-' + name + '-source">' + sourceOptions + '</select></td>' +
+                '<td><input type="checkbox" id="input-' + name + '-switch-invert"></td>' +
+                '<td id="input-' + name + '-state" class="input-value"></td>';
+            switches.appendChild(row);
+
+            const source = row.querySelector('select');
+            const invert = row.querySelector('input');
+            const apply = () => this.update(profile => {
+                const [type, index] = source.value.split(':');
+                profile.switches[name] = type ? { type: type, index: Number(index), invert: invert.checked } : null;
+            });
+            source.addEventListener('change', apply);
+            invert.addEventListener('change', apply);
+        });
+
+        this.render();
+    }
+
+    render() {
+        if (!this.gamepadId) return;
+        const profile = this.profile;
+
+        this.modeSelect.value = profile.mode;
+        CHANNELS.forEach(name => {
+            document.getElementById('input-' + name + '-axis').value = profile.channels[name].axis;
+            document.getElementById('input-' + name + '-invert').checked = profile.channels[name].invert;
+            document.getElementById('input-' + name + '-deadzone').value = profile.deadzone[name];
+        });
+        SWITCHES.forEach(name => {
+            const config = profile.switches[name];
+            document.getElementById('input-' + name + '-source').value = config ? config.type + ':' + config.index : '';
+            document.getElementById('input-' + name + '-switch-invert').checked = !!(config && config.invert);
+        });
+    }
+
+    renderLive(gp) {
+        const profile = this.profile;
+        CHANNELS.forEach(name => {
+            const value = readChannel(profile, name, gp.axes);
+            document.getElementById('input-' + name + '-value').innerText = (value >= 0 ? ' ' : '') + value.toFixed(2);
+        });
+        SWITCHES.forEach(name => {
+            const state = readSwitchState(profile, name, gp);
+            document.getElementById('input-' + name + '-state').innerText = state === null ? '-' : (state ? 'ON' : 'OFF');
+        });
+
+        this.axesEl.innerText = gp.axes.map((value, i) => {
+            const c = profile.calibration[i];
+            return 'AXIS ' + i + ': ' + (value >= 0 ? ' ' : '') + value.toFixed(2) + (c ? ' (CAL)' : '');
+        }).join('\n');
+    }
+
+    // Wizard: sticks centred first, then every stick moved to its ends
+    startCalibration() {
+        const gp = this.input.getGamepad();
+        if (!gp) return;
+        this.setCalibration({ step: 'center', center: null, min: null, max: null });
+    }
+
+    setCalibration(state) {
+        this.calibration = state;
+        this.nextBtn.style.display = state ? 'inline-block' : 'none';
+        if (!state) {
+            this.statusEl.innerText = '';
+        } else if (state.step === 'center') {
+            this.statusEl.innerText = 'LET GO OF THE STICKS SO THEY CENTER, THEN PRESS NEXT';
+        } else {
+            this.statusEl.innerText = 'MOVE EVERY STICK AND SWITCH TO BOTH ENDS, THEN PRESS NEXT';
+        }
+    }
+
+    sampleCalibration(gp) {
+        const c = this.calibration;
+        if (c.step !== 'range') return;
+        gp.axes.forEach((value, i) => {
+            c.min[i] = Math.min(c.min[i], value);
+            c.max[i] = Math.max(c.max[i], value);
+        });
+    }
+
+    nextCalibrationStep() {
+        const gp = this.input.getGamepad();
+        const c = this.calibration;
+        if (!gp || !c) return;
+
+        if (c.step === 'center') {
+            c.center = gp.axes.slice();
+            c.min = gp.axes.slice();
+            c.max = gp.axes.slice();
+            c.step = 'range';
+            this.setCalibration(c);
+            return;
+        }
+
+        // Axes that weren't moved keep their old calibration
+        let count = 0;
+        this.update(profile => {
+            c.center.forEach((center, i) => {
+                if (c.max[i] - c.min[i] < 0.2) return;
+                profile.calibration[i] = {
+                    min: c.min[i],
+                    center: Math.min(Math.max(center, c.min[i]), c.max[i]),
+                    max: c.max[i]
+                };
+                count++;
+            });
+        });
+        this.setCalibration(null);
+        this.statusEl.innerText = 'CALIBRATED ' + count + ' AXES';
+    }
+}
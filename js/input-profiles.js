@@ -0,0 +1,177 @@
+// Controller profiles: axis calibration, channel mapping, deadzones and
+// switches. One profile per gamepad id, kept in localStorage.
+
+const STORAGE_KEY = 'fpv-sim.input';
+
+export const CHANNELS = ['throttle', 'yaw', 'pitch', 'roll'];
+export const SWITCHES = ['arm', 'mode', 'turtle'];
+
+// Standard gamepad sticks: left X/Y, right X/Y
+const LX = 0, LY = 1, RX = 2, RY = 3;
+
+// Which stick axis does what in each transmitter stick mode. Up on a
+// gamepad stick is -1, so throttle is inverted; yaw is inverted so left
+// turns left.
+export const STICK_MODES = {
+    1: { yaw: LX, pitch: LY, roll: RX, throttle: RY },
+    2: { yaw: LX, throttle: LY, roll: RX, pitch: RY },
+    3: { roll: LX, pitch: LY, yaw: RX, throttle: RY },
+    4: { roll: LX, throttle: LY, yaw: RX, pitch: RY }
+};
+const STICK_INVERT = { throttle: true, yaw: true, pitch: false, roll: false };
+
+export function channelsForMode(mode) {
+    const axes = STICK_MODES[mode];
+    return Object.fromEntries(CHANNELS.map(name => [name, { axis: axes[name], invert: STICK_INVERT[name] }]));
+}
+
+export function defaultProfile() {
+    return {
+        mode: 2,
+        channels: channelsForMode(2),
+        deadzone: { throttle: 0, yaw: 0.1, pitch: 0.1, roll: 0.1 },
+        calibration: {}, // Axis index -> { min, center, max }, uncalibrated axes are -1..1
+        switches: {
+            arm: null, // Arms by itself without a switch
+            mode: { type: 'button', index: 0, invert: false },
+            turtle: null
+        }
+    };
+}
+
+function readNumber(value, fallback, min, max) {
+    const n = Number(value);
+    if (value === undefined || value === null || !Number.isFinite(n)) return fallback;
+    return Math.min(Math.max(n, min), max);
+}
+
+function readSwitch(data) {
+    if (!data || (data.type !== 'button' && data.type !== 'axis')) return null;
+    const index = Number(data.index);
+    if (!Number.isInteger(index) || index < 0) return null;
+    return { type: data.type, index: index, invert: data.invert === true };
+}
+
+// Fills in anything missing from the defaults
+export function normalizeInputProfile(data) {
+    const profile = defaultProfile();
+    if (!data || typeof data !== 'object') return profile;
+
+    if (STICK_MODES[data.mode]) profile.mode = Number(data.mode);
+    profile.channels = channelsForMode(profile.mode);
+
+    CHANNELS.forEach(name => {
+        const channel = data.channels && data.channels[name];
+        if (channel) {
+            profile.channels[name].axis = Math.round(readNumber(channel.axis, profile.channels[name].axis, 0, 31));
+            if (typeof channel.invert === 'boolean') profile.channels[name].invert = channel.invert;
+        }
+        if (data.deadzone) profile.deadzone[name] = readNumber(data.deadzone[name], profile.deadzone[name], 0, 0.5);
+    });
+
+    for (const axis in data.calibration || {}) {
+        const c = data.calibration[axis];
+        if (!c || !(c.min < c.max)) continue;
+        profile.calibration[axis] = {
+            min: Number(c.min),
+            center: readNumber(c.center, (c.min + c.max) / 2, c.min, c.max),
+            max: Number(c.max)
+        };
+    }
+
+    if (data.switches) {
+        SWITCHES.forEach(name => {
+            if (name in data.switches) profile.switches[name] = readSwitch(data.switches[name]);
+        });
+    }
+    return profile;
+}
+
+function applyDeadzone(value, deadzone) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadzone) return 0;
+    return Math.sign(value) * (magnitude - deadzone) / (1 - deadzone);
+}
+
+// One channel of a gamepad: -1..1 for the centred sticks, 0..1 for throttle
+export function readChannel(profile, name, axes) {
+    const channel = profile.channels[name];
+    const raw = axes[channel.axis] ?? 0;
+    const c = profile.calibration[channel.axis] || { min: -1, center: 0, max: 1 };
+    const deadzone = profile.deadzone[name];
+
+    if (name === 'throttle') {
+        // Throttle sticks don't centre: the full travel is 0..1
+        let value = Math.min(Math.max((raw - c.min) / (c.max - c.min), 0), 1);
+        if (channel.invert) value = 1 - value;
+        return value <= deadzone ? 0 : (value - deadzone) / (1 - deadzone);
+    }
+
+    let value = raw >= c.center
+        ? (raw - c.center) / ((c.max - c.center) || 1)
+        : (raw - c.center) / ((c.center - c.min) || 1);
+    value = Math.min(Math.max(value, -1), 1);
+    if (channel.invert) value = -value;
+    return applyDeadzone(value, deadzone);
+}
+
+// true/false for an assigned switch, null if none is assigned. Axis
+// switches are on in the upper half of their travel.
+export function readSwitchState(profile, name, gamepad) {
+    const config = profile.switches[name];
+    if (!config) return null;
+
+    let on;
+    if (config.type === 'button') {
+        const button = gamepad.buttons[config.index];
+        on = !!button && button.pressed;
+    } else {
+        const raw = gamepad.axes[config.index] ?? -1;
+        const c = profile.calibration[config.index] || { min: -1, max: 1 };
+        on = raw > (c.min + c.max) / 2;
+    }
+    return config.invert ? !on : on;
+}
+
+export class InputProfileStore {
+    constructor() {
+        this.profiles = this.load(); // Gamepad id -> profile
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+            const profiles = {};
+            for (const id in data) profiles[id] = normalizeInputProfile(data[id]);
+            return profiles;
+        } catch (e) {
+            console.warn("Could not load controller profiles:", e);
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.profiles));
+        } catch (e) {
+            console.warn("Could not save controller profiles:", e);
+        }
+    }
+
+    get(id) {
+        if (!this.profiles[id]) this.profiles[id] = defaultProfile();
+        return this.profiles[id];
+    }
+
+    set(id, profile) {
+        this.profiles[id] = normalizeInputProfile(profile);
+        this.save();
+        return this.profiles[id];
+    }
+
+    reset(id) {
+        delete this.profiles[id];
+        this.save();
+        return this.get(id);
+    }
+}
@@ -1,7 +1,12 @@
+import { InputProfileStore, readChannel, readSwitchState } from './input-profiles.js';
+
 export class InputHandler {
     constructor() {
         this.keys = {};
         this.gamepadIndex = null;
+        this.profiles = new InputProfileStore(); // Calibration and mapping per gamepad id
+        this.lastModeSwitch = null;
+        this.linkLost = false; // The controller in use went away
 
         // State: -1 to 1 for axes, 0 to 1 for thrust
         this.state = {
@@ -20,6 +25,7 @@ export class InputHandler {
 
     onKeyDown(e) {
         this.keys[e.code] = true;
+        this.linkLost = false;
         if (e.code === 'KeyM') {
             this.state.toggleMode = true;
         }
@@ -37,6 +43,7 @@ export class InputHandler {
             e.gamepad.index, e.gamepad.id,
             e.gamepad.buttons.length, e.gamepad.axes.length);
         this.gamepadIndex = e.gamepad.index;
+        this.linkLost = false;
     }
 
     onGamepadDisconnected(e) {
@@ -44,9 +51,16 @@ export class InputHandler {
             e.gamepad.index, e.gamepad.id);
         if (this.gamepadIndex === e.gamepad.index) {
             this.gamepadIndex = null;
+            this.lastModeSwitch = null;
+            this.linkLost = true; // Failsafe until a controller or the keyboard takes over
         }
     }
 
+    getGamepad() {
+        if (this.gamepadIndex === null) return null;
+        return navigator.getGamepads()[this.gamepadIndex] || null;
+    }
+
     getState() {
         // Reset state
         let thrust = 0;
@@ -61,50 +75,28 @@ export class InputHandler {
         // Better: just pass the boolean. Main loop handles "was pressed" logic.
         this.state.toggleMode = false; // Consume the key press
 
-        // 1. Gamepad Input (Priority)
-        if (this.gamepadIndex !== null) {
-            const gp = navigator.getGamepads()[this.gamepadIndex];
-            if (gp) {
-                // Standard mapping (Mode 2 usually):
-                // Left Stick Y: Throttle (often -1 to 1, need to map to 0-1)
-                // Left Stick X: Yaw
-                // Right Stick Y: Pitch
-                // Right Stick X: Roll
-
-                // Note: Gamepad axes are usually -1 (up/left) to 1 (down/right)
-                // But it varies. Let's assume standard Xbox/PS controller layout.
-
-                // Axis 1 (Left Stick Y) - Throttle
-                // Map -1 (up) to 1 (full throttle), 1 (down) to 0 (no throttle)
-                // Actually usually down is 1, up is -1.
-                // We want Up (-1) -> 1.0, Down (1) -> 0.0
-                thrust = (-gp.axes[1] + 1) / 2;
-
-                // Axis 0 (Left Stick X) - Yaw
-                yaw = -gp.axes[0]; // Left is -1, Right is 1. We want Left to be positive rotation (CCW) usually? 
-                // Actually standard: Left (-1) -> Yaw Left. Right (1) -> Yaw Right.
-                // In 3D, positive Y rotation is CCW. So Left (-1) should be +1.
-
-                // Axis 3 (Right Stick Y) - Pitch
-                // Up (-1) -> Pitch Down (negative rotation X). Down (1) -> Pitch Up (positive rotation X)
-                pitch = gp.axes[3];
-
-                // Axis 2 (Right Stick X) - Roll
-                // Left (-1) -> Roll Left. Right (1) -> Roll Right.
-                roll = gp.axes[2];
-
-                // Apply deadzone
-                if (Math.abs(yaw) < 0.1) yaw = 0;
-                if (Math.abs(pitch) < 0.1) pitch = 0;
-                if (Math.abs(roll) < 0.1) roll = 0;
-
-                // Gamepad Button for Mode Toggle (e.g. Button 0 - A/Cross)
-                if (gp.buttons[0].pressed) {
-                    // We need a debounce for gamepad too, but for now let's just rely on keyboard 'M' 
-                    // or implement a simple debounce in main loop.
+        // 1. Gamepad Input (Priority), through the profile for this controller
+        let arm = null;
+        let turtle = false;
+        const gp = this.getGamepad();
+        if (gp) {
+            const profile = this.profiles.get(gp.id);
+            thrust = readChannel(profile, 'throttle', gp.axes);
+            yaw = readChannel(profile, 'yaw', gp.axes);
+            pitch = readChannel(profile, 'pitch', gp.axes);
+            roll = readChannel(profile, 'roll', gp.axes);
+            arm = readSwitchState(profile, 'arm', gp);
+            turtle = readSwitchState(profile, 'turtle', gp) === true;
+
+            // Every flip of the mode switch toggles the flight mode once
+            const modeSwitch = readSwitchState(profile, 'mode', gp);
+            if (modeSwitch !== null && this.lastModeSwitch !== null && modeSwitch !== this.lastModeSwitch) {
+                // A button toggles on press only
+                if (profile.switches.mode.type === 'axis' || modeSwitch !== profile.switches.mode.invert) {
                     toggleMode = true;
                 }
             }
+            this.lastModeSwitch = modeSwitch;
         }
 
         // 2. Keyboard Input (Fallback/Override)
@@ -126,8 +118,11 @@ export class InputHandler {
 
             if (this.keys['KeyQ']) yaw = 1;
             if (this.keys['KeyE']) yaw = -1;
+
+            // T: hold for turtle mode
+            turtle = !!this.keys['KeyT'];
         }
 
-        return { thrust, yaw, pitch, roll, toggleMode };
+        return { thrust, yaw, pitch, roll, toggleMode, arm, turtle, linkLost: this.linkLost };
     }
 }
@@ -0,0 +1,140 @@
+import { RaceManager } from './race.js';
+import { formatMapCode, parseMapCode } from './map-format.js';
+import { SeededRandom } from './random.js';
+import { DEFAULT_AIRFRAME } from './airframes.js';
+
+// Leaderboards of a map and seed, from the server or this browser, and the
+// pilot name the runs are submitted under
+export class LeaderboardPanel {
+    constructor(client, getMaps) {
+        this.client = client;
+        this.getMaps = getMaps; // () => [{ id, name }]
+        this.isOpen = false;
+        this.onClose = null;
+        this.onWatch = null; // (run) from the table
+
+        this.el = document.getElementById('leaderboard-panel');
+        this.nameInput = document.getElementById('lb-name');
+        this.mapSelect = document.getElementById('lb-map');
+        this.seedInput = document.getElementById('lb-seed');
+        this.typeSelect = document.getElementById('lb-type');
+        this.statusEl = document.getElementById('lb-status');
+        this.tableEl = document.getElementById('lb-table');
+
+        this.setupEvents();
+    }
+
+    setupEvents() {
+        this.nameInput.addEventListener('change', () => {
+            this.client.savePilot({ name: this.nameInput.value.trim() || 'PILOT' })
+                .then(() => this.nameInput.value = this.client.pilot.name);
+        });
+
+        // A map code in the seed field also picks the map
+        this.seedInput.addEventListener('change', () => {
+            const code = parseMapCode(this.seedInput.value);
+            if (code && this.getMaps().some(m => m.id === code.mapId)) this.mapSelect.value = code.mapId;
+            this.refresh();
+        });
+        this.mapSelect.addEventListener('change', () => {
+            const code = parseMapCode(this.seedInput.value);
+            if (code) this.seedInput.value = formatMapCode(this.mapSelect.value, code.seed);
+            this.refresh();
+        });
+        this.typeSelect.addEventListener('change', () => this.refresh());
+
+        document.getElementById('btn-lb-back').addEventListener('click', () => this.close());
+    }
+
+    // Opens on the board of `mapId` and `seed` when given
+    open(mapId = null, seed = null) {
+        this.isOpen = true;
+        this.el.style.display = 'flex';
+        this.nameInput.value = this.client.pilot.name;
+
+        this.mapSelect.innerHTML = '';
+        this.getMaps().forEach(map => {
+            const option = document.createElement('option');
+            option.value = map.id;
+            option.textContent = map.name.toUpperCase();
+            this.mapSelect.appendChild(option);
+        });
+        if (mapId) this.mapSelect.value = mapId;
+        if (mapId && seed !== null) this.seedInput.value = formatMapCode(mapId, seed);
+        this.refresh();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.el.style.display = 'none';
+        if (this.onClose) this.onClose();
+    }
+
+    // Seed text works as in the main menu: a map code, or text that is hashed
+    getSeed() {
+        const text = this.seedInput.value.trim();
+        const code = parseMapCode(text);
+        if (code) return code.seed;
+        return text ? SeededRandom.hashString(text) : null;
+    }
+
+    async refresh() {
+        const map = this.mapSelect.value;
+        const seed = this.getSeed();
+        const type = this.typeSelect.value;
+        this.tableEl.innerHTML = '';
+        if (!map || seed === null) {
+            this.statusEl.innerText = 'ENTER A SEED OR MAP CODE';
+            return;
+        }
+
+        this.statusEl.innerText = 'LOADING...';
+        const { runs, local } = await this.client.getTop(map, seed, type, 20);
+        // A newer request may have finished first
+        if (map !== this.mapSelect.value || seed !== this.getSeed() || type !== this.typeSelect.value) return;
+
+        this.statusEl.innerText = (local ? 'SERVER NOT REACHABLE, RUNS OF THIS BROWSER' : 'SERVER') +
+            (runs.some(run => !run.verified) ? '  * NOT RE-SIMULATED' : '');
+        this.render(runs, type);
+    }
+
+    render(runs, type) {
+        const head = document.createElement('tr');
+        head.innerHTML = '<th>POS</th><th>PILOT</th><th>DRONE</th><th>' + (type === 'lap' ? 'BEST LAP' : 'TIME') + '</th><th>DATE</th><th></th>';
+        this.tableEl.appendChild(head);
+
+        runs.forEach((run, i) => {
+            const tr = document.createElement('tr');
+            const time = RaceManager.formatTime(type === 'lap' ? run.bestLap : run.time) + (run.verified ? '' : ' *');
+            // Runs from before there were airframes are all on the 5"
+            const drone = run.airframe || DEFAULT_AIRFRAME.name;
+            [String(i + 1), run.name, drone, time, run.date.slice(0, 10)].forEach(text => {
+                const td = document.createElement('td');
+                td.innerText = text; // Names come from other players, never as HTML
+                tr.appendChild(td);
+            });
+
+            const td = document.createElement('td');
+            const watch = document.createElement('button');
+            watch.className = 'menu-btn small';
+            watch.innerText = 'WATCH';
+            watch.disabled = run.replay === null; // Dropped from a full local store
+            watch.addEventListener('click', () => {
+                if (this.onWatch) this.onWatch(run);
+            });
+            td.appendChild(watch);
+            tr.appendChild(td);
+            this.tableEl.appendChild(tr);
+        });
+
+        if (runs.length === 0) {
+            const tr = document.createElement('tr');
+            tr.innerHTML = '<td colspan="6">NO RUNS YET</td>';
+            this.tableEl.appendChild(tr);
+        }
+    }
+
+    setStatus(text) {
+        this.statusEl.innerText = text;
+    }
+}
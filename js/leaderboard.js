@@ -0,0 +1,179 @@
+import { Replay } from './replay.js';
+import { getReplayAirframe, getStockPreset } from './airframes.js';
+
+// Client of the leaderboard API in server.js (server/leaderboard-api.js).
+// When the page isn't served by server.js, or it can't be reached, runs
+// go to a leaderboard of this browser in localStorage instead.
+
+const PILOT_KEY = 'fpv-sim.pilot';
+const LOCAL_KEY = 'fpv-sim.leaderboard';
+
+// Rejected by the server (failed the checks), as opposed to not reachable
+export class RunRejectedError extends Error {}
+
+function newPilotId() {
+    if (crypto.randomUUID) return crypto.randomUUID();
+    return Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export class LeaderboardClient {
+    constructor() {
+        this.pilot = this.loadPilot(); // { id, name, rates, controls }
+        this.local = this.loadLocal(); // [run], run.replay holds the replay file
+        this.online = null; // Whether the last request reached the server
+    }
+
+    loadPilot() {
+        let pilot = null;
+        try {
+            pilot = JSON.parse(localStorage.getItem(PILOT_KEY));
+        } catch (e) {
+            console.warn("Could not load pilot profile:", e);
+        }
+        if (!pilot || typeof pilot.id !== 'string') pilot = { id: newPilotId(), name: 'PILOT' };
+        return pilot;
+    }
+
+    loadLocal() {
+        try {
+            const runs = JSON.parse(localStorage.getItem(LOCAL_KEY));
+            return Array.isArray(runs) ? runs : [];
+        } catch (e) {
+            console.warn("Could not load local leaderboard:", e);
+            return [];
+        }
+    }
+
+    // Replays are big: when storage runs out, the oldest ones are dropped
+    // (their times stay on the board) until the rest fits
+    saveLocal() {
+        const byAge = this.local.filter(run => run.replay).sort((a, b) => a.date.localeCompare(b.date));
+        for (;;) {
+            try {
+                localStorage.setItem(LOCAL_KEY, JSON.stringify(this.local));
+                return;
+            } catch (e) {
+                if (byAge.length === 0) {
+                    console.warn("Could not save local leaderboard:", e);
+                    return;
+                }
+                byAge.shift().replay = null;
+            }
+        }
+    }
+
+    // Name, rates and controls, kept here and sent to the server
+    async savePilot(profile) {
+        Object.assign(this.pilot, profile);
+        try {
+            localStorage.setItem(PILOT_KEY, JSON.stringify(this.pilot));
+        } catch (e) {
+            console.warn("Could not save pilot profile:", e);
+        }
+
+        const response = await this.request('api/pilots/' + encodeURIComponent(this.pilot.id), {
+            method: 'PUT',
+            body: JSON.stringify(this.pilot)
+        });
+        if (response && response.ok) this.pilot.name = (await response.json()).name;
+    }
+
+    // fetch, or null when there is no leaderboard server to talk to
+    async request(url, options) {
+        let response;
+        try {
+            response = await fetch(url, options);
+        } catch (e) {
+            this.online = false;
+            return null;
+        }
+        // Static file servers answer 404 to the API, proxies 5xx. Errors of
+        // the API itself are JSON.
+        const isJSON = (response.headers.get('Content-Type') || '').includes('json');
+        if (!isJSON && (response.status === 404 || response.status >= 500)) {
+            this.online = false;
+            return null;
+        }
+        this.online = true;
+        return response;
+    }
+
+    // Submits a finished run. Resolves to { id, rank, verified, local },
+    // throws RunRejectedError if the server rejected the run.
+    async submitRun(replay) {
+        const text = replay.serialize();
+        const response = await this.request('api/runs', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ pilot: { id: this.pilot.id, name: this.pilot.name }, replay: text })
+        });
+        if (!response) return this.addLocalRun(replay, text);
+
+        const data = await response.json();
+        if (!response.ok) throw new RunRejectedError(data.error || 'HTTP ' + response.status);
+        return Object.assign(data, { local: false });
+    }
+
+    // Same rules as the server: per pilot and board, the best run and the
+    // run with the best lap are kept
+    addLocalRun(replay, text) {
+        const result = replay.result;
+        const preset = getStockPreset(getReplayAirframe(replay));
+        const run = {
+            id: 'local-' + Date.now().toString(36),
+            pilot: this.pilot.id,
+            name: this.pilot.name,
+            map: replay.map,
+            seed: replay.seed,
+            airframe: preset ? preset.name : null,
+            time: result.time,
+            bestLap: Math.min(...result.lapTimes),
+            lapTimes: result.lapTimes,
+            date: new Date().toISOString(),
+            verified: false,
+            replay: text
+        };
+
+        const isBoard = r => r.pilot === run.pilot && r.map === run.map && r.seed === run.seed;
+        const board = this.local.filter(isBoard);
+        board.push(run);
+        const best = board.reduce((a, b) => b.time < a.time ? b : a);
+        const bestLap = board.reduce((a, b) => b.bestLap < a.bestLap ? b : a);
+        this.local = this.local.filter(r => !isBoard(r) || r === best || r === bestLap);
+        if (run === best || run === bestLap) this.local.push(run);
+        this.saveLocal();
+
+        const rank = this.getLocalTop(run.map, run.seed, 'run', Infinity).indexOf(run);
+        return { id: run.id, rank: rank >= 0 ? rank + 1 : null, verified: false, local: true };
+    }
+
+    getLocalTop(map, seed, type, limit) {
+        const key = type === 'lap' ? 'bestLap' : 'time';
+        const best = new Map(); // Pilot id -> their best run by `key`
+        this.local.forEach(run => {
+            if (run.map !== map || run.seed !== seed) return;
+            const current = best.get(run.pilot);
+            if (!current || run[key] < current[key]) best.set(run.pilot, run);
+        });
+        return [...best.values()].sort((a, b) => a[key] - b[key]).slice(0, limit);
+    }
+
+    // Resolves to { runs, local }, runs best first
+    async getTop(map, seed, type = 'run', limit = 10) {
+        const params = new URLSearchParams({ map: map, seed: seed, type: type, limit: limit });
+        const response = await this.request('api/leaderboard?' + params);
+        if (response && response.ok) return { runs: (await response.json()).runs, local: false };
+        return { runs: this.getLocalTop(map, seed, type, limit), local: true };
+    }
+
+    // Replay of a run from getTop()
+    async getReplay(run) {
+        if (run.replay !== undefined) {
+            if (!run.replay) throw new Error('Replay was dropped to save space');
+            return Replay.parse(run.replay);
+        }
+        const response = await this.request('api/runs/' + encodeURIComponent(run.id) + '/replay');
+        if (!response || !response.ok) throw new Error('Replay not available');
+        return Replay.parse(await response.text());
+    }
+}
@@ -0,0 +1,318 @@
+import * as THREE from 'three';
+import { MAP_FORMAT, MAP_VERSION } from './map-format.js';
+import { crossGate, highlightGate } from './race.js';
+import { getPilotPosition } from './camera-rig.js';
+
+// Training lessons: a small map each, with objectives checked against the
+// drone's state every physics step. Finishing a lesson earns one to three
+// stars by time, and the first star unlocks the next lesson.
+//
+// A step is done once all of its conditions hold, for `hold` seconds in a
+// row if it has one:
+//   zone: i      inside box i of the lesson's `zones` ({ center, size })
+//   gate: i      flew through gate i of the map during the step
+//   inverted     upside down
+//   above: y     higher than y
+//   facing       nose towards 'pilot' (line of sight), or a compass bearing
+//                in degrees (0 is north, -Z)
+// `within` is the time the step may take after the one before. Too slow,
+// and the lesson goes back to step `retry`: tricks are flown in one go.
+
+const STORAGE_KEY = 'fpv-sim.lessons';
+const FACING_TOLERANCE = THREE.MathUtils.degToRad(30);
+
+function lessonMap(id, name, content) {
+    return {
+        format: MAP_FORMAT,
+        version: MAP_VERSION,
+        meta: { id: 'lesson_' + id, name: name },
+        ground: { material: 'grass' },
+        spawn: { position: [0, 2, 0], yaw: 0 },
+        ...content
+    };
+}
+
+// Trees around the field, something to judge drift and height by
+const FIELD_TREES = [[-20, -30], [20, -30], [-25, 5], [25, 5], [0, -50]]
+    .map(([x, z]) => ({ type: 'tree', position: [x, 0, z], scale: 1 }));
+
+// Markers of a figure eight around poles at x = -8 and 8, z = -20: through
+// the center, counter-clockwise around the left pole, clockwise around the right
+const EIGHT = [[0, -20], [-8, -28], [-16, -20], [-8, -12], [0, -20], [8, -28], [16, -20], [8, -12]];
+
+function repeat(count, steps) {
+    const all = [];
+    for (let i = 0; i < count; i++) {
+        all.push(...steps(i, all.length));
+    }
+    return all;
+}
+
+export const LESSONS = [
+    {
+        id: 'hover',
+        name: 'Hover in a box',
+        description: 'Take off and hold a steady hover inside the marked box.',
+        map: lessonMap('hover', 'Hover in a box', { obstacles: FIELD_TREES }),
+        zones: [{ center: [0, 3, -8], size: [4, 2, 4] }],
+        steps: [
+            { text: 'ARM, TAKE OFF AND FLY INTO THE BOX', zone: 0 },
+            { text: 'HOLD A HOVER INSIDE THE BOX', zone: 0, hold: 10 }
+        ],
+        stars: [25, 45] // s for three and two stars
+    },
+    {
+        id: 'nose_in',
+        name: 'Nose-in hover',
+        description: 'Line of sight: hover in the box with the nose pointing at yourself. Left is right now.',
+        map: lessonMap('nose_in', 'Nose-in hover', { obstacles: FIELD_TREES }),
+        view: 'LOS',
+        zones: [{ center: [0, 3, -8], size: [4, 2, 4] }],
+        steps: [
+            { text: 'FLY INTO THE BOX', zone: 0 },
+            { text: 'TURN THE NOSE TO FACE YOU AND HOLD THE HOVER', zone: 0, facing: 'pilot', hold: 8 }
+        ],
+        stars: [30, 60]
+    },
+    {
+        id: 'figure_eight',
+        name: 'Figure eights',
+        description: 'Two figure eights around the poles, through every marker in turn.',
+        map: lessonMap('figure_eight', 'Figure eights', {
+            obstacles: [
+                { type: 'cylinder', position: [-8, 4, -20], radius: 0.5, height: 8, material: '#ff6600' },
+                { type: 'cylinder', position: [8, 4, -20], radius: 0.5, height: 8, material: '#ff6600' }
+            ]
+        }),
+        zones: EIGHT.map(([x, z]) => ({ center: [x, 3, z], size: [5, 4, 5] })),
+        steps: [
+            ...repeat(2, lap => EIGHT.map((point, i) => ({
+                text: 'FIGURE EIGHT ' + (lap + 1) + '/2: MARKER ' + (i + 1) + '/' + EIGHT.length, zone: i
+            }))),
+            { text: 'BACK THROUGH THE CENTER MARKER', zone: 0 }
+        ],
+        stars: [35, 60]
+    },
+    {
+        id: 'power_loop',
+        name: 'Power loop',
+        description: 'Through the gate, loop up and over it upside down, and dive back through. Three times.',
+        map: lessonMap('power_loop', 'Power loop', {
+            obstacles: FIELD_TREES,
+            gates: [{ position: [0, 5, -20], rotationY: 0 }]
+        }),
+        steps: repeat(3, (loop, first) => [
+            { text: 'POWER LOOP ' + (loop + 1) + '/3: FLY THROUGH THE GATE', gate: 0 },
+            { text: 'PULL UP AND OVER THE GATE, UPSIDE DOWN', inverted: true, above: 11, within: 4, retry: first },
+            { text: 'DIVE BACK THROUGH THE GATE', gate: 0, within: 5, retry: first }
+        ]),
+        stars: [30, 60]
+    },
+    {
+        id: 'split_s',
+        name: 'Split-S',
+        description: 'From high above the gate: roll upside down, pull through half a loop and out through the gate.',
+        map: lessonMap('split_s', 'Split-S', {
+            obstacles: FIELD_TREES,
+            gates: [{ position: [0, 6, -20], rotationY: Math.PI }]
+        }),
+        zones: [{ center: [0, 25, -28], size: [10, 6, 10] }],
+        steps: repeat(2, (turn, first) => [
+            { text: 'SPLIT-S ' + (turn + 1) + '/2: CLIMB INTO THE BOX, FLYING AWAY FROM THE START', zone: 0, facing: 0 },
+            { text: 'ROLL UPSIDE DOWN', inverted: true, within: 3, retry: first },
+            { text: 'PULL THROUGH AND OUT THROUGH THE GATE', gate: 0, within: 5, retry: first }
+        ]),
+        stars: [30, 60]
+    },
+    {
+        id: 'gap_dive',
+        name: 'Gap dives',
+        description: 'Climb over the rooftops and dive down through the gates between the buildings.',
+        map: lessonMap('gap_dive', 'Gap dives', {
+            ground: { material: 'asphalt' },
+            obstacles: [-40, -90, -140].flatMap(z => [
+                { type: 'box', position: [-11, 20, z], size: [12, 40, 10], material: 'building' },
+                { type: 'box', position: [11, 20, z], size: [12, 40, 10], material: 'building' }
+            ]),
+            gates: [-40, -90, -140].map(z => ({ position: [0, 5, z], rotationY: 0 }))
+        }),
+        zones: [-40, -90, -140].map(z => ({ center: [0, 50, z + 20], size: [30, 16, 20] })),
+        steps: repeat(3, (gap, first) => [
+            { text: 'GAP ' + (gap + 1) + '/3: CLIMB INTO THE BOX ABOVE THE ROOFTOPS', zone: gap },
+            { text: 'DIVE THROUGH THE GATE IN THE GAP', gate: gap, within: 8, retry: first }
+        ]),
+        stars: [45, 75]
+    }
+];
+
+// Runs one lesson: shows its markers, checks the steps, times it
+export class LessonRunner {
+    constructor(scene) {
+        this.scene = scene;
+        this.lesson = null;
+        this.markers = [];
+        // Called with { time, stars } when the last step is done
+        this.onComplete = null;
+
+        this.geometry = new THREE.BoxGeometry(1, 1, 1);
+        this.material = new THREE.MeshBasicMaterial({ color: 0x00ffff, transparent: true, opacity: 0.25, depthWrite: false });
+        this._up = new THREE.Vector3();
+        this._nose = new THREE.Vector3();
+    }
+
+    get isActive() {
+        return this.lesson !== null;
+    }
+
+    // The lesson's map must already be loaded into env
+    start(lesson, env) {
+        this.clear();
+        this.lesson = lesson;
+        this.gates = env.gates;
+        this.pilot = getPilotPosition(env.spawn);
+
+        this.zones = (lesson.zones || []).map(zone => new THREE.Box3().setFromCenterAndSize(
+            new THREE.Vector3().fromArray(zone.center), new THREE.Vector3().fromArray(zone.size)));
+        this.markers = this.zones.map(zone => {
+            const marker = new THREE.Mesh(this.geometry, this.material);
+            zone.getCenter(marker.position);
+            zone.getSize(marker.scale);
+            marker.visible = false;
+            this.scene.add(marker);
+            return marker;
+        });
+        this.reset();
+    }
+
+    reset() {
+        this.time = 0;
+        this.state = 'RUNNING'; // or COMPLETE
+        this.result = null;
+        this.goTo(0);
+    }
+
+    clear() {
+        this.markers.forEach(marker => this.scene.remove(marker));
+        this.markers = [];
+        this.lesson = null;
+    }
+
+    get currentStep() {
+        return this.lesson.steps[this.step];
+    }
+
+    goTo(index) {
+        this.step = index;
+        this.held = 0; // s all conditions held
+        this.stepTime = 0; // s since the step began
+        this.passedGate = false;
+
+        const step = this.currentStep;
+        this.markers.forEach((marker, i) => marker.visible = i === step.zone);
+        highlightGate(this.gates, step.gate ?? -1);
+    }
+
+    // Every physics step
+    update(dt, drone) {
+        if (!this.lesson || this.state !== 'RUNNING') return;
+        this.time += dt;
+        this.stepTime += dt;
+
+        const step = this.currentStep;
+        if (step.within !== undefined && this.stepTime > step.within) {
+            this.goTo(step.retry ?? 0);
+            return;
+        }
+        if (step.gate !== undefined && crossGate(this.gates[step.gate], drone.prevPosition, drone.position) !== null) {
+            this.passedGate = true;
+        }
+
+        if (!this.isMet(step, drone)) {
+            this.held = 0;
+            return;
+        }
+        this.held += dt;
+        if (this.held < (step.hold || 0)) return;
+
+        if (this.step + 1 < this.lesson.steps.length) {
+            this.goTo(this.step + 1);
+        } else {
+            this.complete();
+        }
+    }
+
+    isMet(step, drone) {
+        if (step.zone !== undefined && !this.zones[step.zone].containsPoint(drone.position)) return false;
+        if (step.gate !== undefined && !this.passedGate) return false;
+        if (step.above !== undefined && drone.position.y <= step.above) return false;
+
+        const up = this._up.set(0, 1, 0).applyQuaternion(drone.quaternion);
+        if (step.inverted && up.y >= 0) return false;
+
+        if (step.facing !== undefined) {
+            const nose = this._nose.set(0, 0, -1).applyQuaternion(drone.quaternion);
+            let target;
+            if (step.facing === 'pilot') {
+                target = new THREE.Vector3().subVectors(this.pilot, drone.position);
+            } else {
+                const bearing = THREE.MathUtils.degToRad(step.facing);
+                target = new THREE.Vector3(Math.sin(bearing), 0, -Math.cos(bearing));
+            }
+            const angle = Math.atan2(nose.x, -nose.z) - Math.atan2(target.x, -target.z);
+            if (Math.abs(Math.atan2(Math.sin(angle), Math.cos(angle))) > FACING_TOLERANCE) return false;
+        }
+        return true;
+    }
+
+    complete() {
+        this.state = 'COMPLETE';
+        this.markers.forEach(marker => marker.visible = false);
+        highlightGate(this.gates, -1);
+
+        const [three, two] = this.lesson.stars;
+        this.result = { time: this.time, stars: this.time <= three ? 3 : this.time <= two ? 2 : 1 };
+        if (this.onComplete) this.onComplete(this.result);
+    }
+}
+
+// Stars and best times per lesson, kept in localStorage
+export class LessonProgress {
+    constructor() {
+        this.results = {}; // id -> { stars, time }
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved && typeof saved === 'object') this.results = saved;
+        } catch (e) {
+            console.warn("Could not load lesson progress:", e);
+        }
+    }
+
+    getStars(id) {
+        return this.results[id] ? this.results[id].stars : 0;
+    }
+
+    getBestTime(id) {
+        return this.results[id] ? this.results[id].time : null;
+    }
+
+    // The first lesson is always open, the others after a star on the one before
+    isUnlocked(index) {
+        return index === 0 || this.getStars(LESSONS[index - 1].id) > 0;
+    }
+
+    // Returns true for a new best time
+    record(id, result) {
+        const old = this.results[id];
+        const best = !old || result.time < old.time;
+        this.results[id] = {
+            stars: Math.max(result.stars, old ? old.stars : 0),
+            time: best ? result.time : old.time
+        };
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.results));
+        } catch (e) {
+            console.warn("Could not save lesson progress:", e);
+        }
+        return best;
+    }
+}
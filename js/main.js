@@ -1,8 +1,50 @@
 import * as THREE from 'three';
 import { Drone } from './physics.js';
 import { InputHandler } from './input.js';
+import { FlightController } from './flight-controller.js';
 import { EnvironmentManager } from './environment.js';
+import { MAP_FORMAT, MAP_VERSION, parseMapCode, validateMap } from './map-format.js';
+import { SeededRandom } from './random.js';
 import { AudioManager } from './audio.js';
+import { AudioPanel } from './audio-panel.js';
+import { InputPanel } from './input-panel.js';
+import { MultiplayerClient } from './multiplayer.js';
+import { MultiplayerPanel, renderRaceTable } from './multiplayer-panel.js';
+import { LeaderboardClient, RunRejectedError } from './leaderboard.js';
+import { LeaderboardPanel } from './leaderboard-panel.js';
+import { RaceManager } from './race.js';
+import { TuningStore } from './tuning.js';
+import { TuningPanel } from './tuning-panel.js';
+import { Replay } from './replay.js';
+import { ReplayPlayer } from './replay-player.js';
+import { Ghost } from './ghost.js';
+import { TrackEditor } from './editor.js';
+import { CollisionDebug } from './collision-debug.js';
+import { OSD } from './osd.js';
+import { OSDPanel } from './osd-panel.js';
+import { CameraRig, REPLAY_VIEWS, VIEW_FOV } from './camera-rig.js';
+import { CameraPanel } from './camera-panel.js';
+import { downloadText, readTextFile } from './files.js';
+import { AirframeStore, DEFAULT_AIRFRAME, getStockPreset, getReplayAirframe } from './airframes.js';
+import { AirframePanel } from './airframe-panel.js';
+import { BlackboxLog } from './blackbox.js';
+import { BlackboxPanel } from './blackbox-panel.js';
+import { Autopilot, TrajectoryPlanner, CourseFlight } from './autopilot.js';
+import { Opponents, MAX_OPPONENTS } from './opponents.js';
+import { DroneSim } from './drone-sim.js';
+import { LESSONS, LessonRunner, LessonProgress } from './lessons.js';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+
+const GRID_SPACING = 1.5; // m between drones on a start grid
+
+const DEMO_IDLE_TIME = 45; // s on the main menu before the demo flight starts
+const DEMO_RESPAWN_DELAY = 1; // s on the ground after the demo crashes
+const DEMO_EXIT_STICK = 0.2; // Stick movement that ends the demo
+
+const IMPACT_SOUND_SPEED = 2; // m/s, softer touches are silent
+
+const COURSE_CHECK_BUDGET = 10; // ms per frame for the editor's course check
+const COURSE_CHECK_STEPS = 100; // Physics steps between looks at the clock
 
 class Game {
     constructor() {
@@ -16,19 +58,192 @@ class Game {
         this.clock = new THREE.Clock();
         this.input = new InputHandler();
         this.drone = new Drone(this.scene);
+        this.fc = new FlightController(this.drone);
+        this.focusLost = false; // Window in the background, the sticks can't reach us
         this.envManager = new EnvironmentManager(this.scene);
         this.audio = new AudioManager();
+        this.race = new RaceManager();
+        this.race.onFinish = (result) => this.showFinish(result);
+        this.race.onGate = (kind) => {
+            if (!this.replayPlayer.isActive) this.audio.playChime(kind);
+        };
+
+        // Airframe: picked in the main menu, a run stays on the one it started on
+        this.airframes = new AirframeStore();
+        this.drone.applyAirframe(this.airframes.getActive());
+        this.airframePanel = new AirframePanel(this.airframes, (airframe) => this.applyAirframe(airframe));
+        this.airframePanel.onClose = () => {
+            document.getElementById('main-menu').style.display = 'flex';
+        };
+
+        this.tuning = new TuningStore();
+        this.drone.applyTuning(this.tuning.getActive());
+        this.tuningPanel = new TuningPanel(this.tuning, (profile) => this.applyTuning(profile));
+        this.tuningPanel.onClose = () => {
+            document.getElementById('pause-menu').style.display = 'flex';
+        };
+
+        this.osd = new OSD(document.getElementById('osd'));
+        this.osd.onLayoutChange = () => {
+            // Paused frames aren't redrawn by the loop
+            if (this.isPaused) this.renderFrame();
+        };
+        this.osdPanel = new OSDPanel(this.osd);
+        this.osdPanel.onClose = () => {
+            document.getElementById('pause-menu').style.display = 'flex';
+        };
 
         this.isPlaying = false;
         this.isPaused = false;
+        this.isFinished = false;
+        this.isCrashed = false; // Crash screen showing, until respawn
+
+        // Maps: the list comes from the server manifest, map data is fetched on first use
+        this.maps = [];
+        this.mapCache = {};
+
+        // Fixed timestep simulation, rendering interpolates between steps
+        this.physicsRate = 500; // Hz
+        this.fixedDt = 1 / this.physicsRate;
+        this.maxFrameTime = 0.1; // s, longer frames are dropped instead of simulated (spiral of death)
+        this.accumulator = 0;
+        this.tick = 0; // Physics steps since the last reset
+
+        // Replays: the current run is always recorded, the best one is flown by the ghost
+        this.recording = null;
+        this.lastReplay = null;
+        this.bestReplay = null;
+        this.ghost = new Ghost(this.scene);
+        this.replayPlayer = new ReplayPlayer(this.drone, this.race, (input) => this.stepPhysics(input));
+        this.replayCamera = 'CHASE'; // One of REPLAY_VIEWS
+        this.orbitControls = new OrbitControls(this.camera, this.renderer.domElement);
+        this.orbitControls.enabled = false;
+
+        this.cameraRig = new CameraRig(this.camera, this.orbitControls, this.renderer, this.scene);
+        this.cameraPanel = new CameraPanel(this.cameraRig);
+        this.cameraPanel.onChange = () => {
+            this.updateCamera();
+            this.renderFrame();
+        };
+        this.cameraPanel.onClose = () => {
+            document.getElementById('pause-menu').style.display = 'flex';
+        };
+
+        this.inputPanel = new InputPanel(this.input);
+
+        // Blackbox: the last minute of physics steps, for the graphs and CSV
+        this.blackbox = new BlackboxLog(this.physicsRate);
+        this.blackboxPanel = new BlackboxPanel(this.blackbox);
+        this.blackboxPanel.onClose = () => {
+            document.getElementById('pause-menu').style.display = 'flex';
+        };
+
+        // Multiplayer: lobby and other drones from the race server
+        this.multiplayer = new MultiplayerClient(this.scene);
+        this.multiplayerPanel = new MultiplayerPanel(this.multiplayer, () => this.maps);
+        this.multiplayerPanel.onClose = () => {
+            document.getElementById('main-menu').style.display = 'flex';
+        };
+        this.multiplayer.onStatus = (text) => {
+            this.multiplayerPanel.setStatus(text);
+            if (this.isPlaying) this.showRaceMessage(text);
+        };
+        this.multiplayer.onLobby = () => this.multiplayerPanel.render();
+        this.multiplayer.onLoad = (race) => this.startMultiplayerRace(race);
+        this.multiplayer.onResults = (table) => {
+            this.multiplayerPanel.render();
+            renderRaceTable(document.getElementById('finish-race-table'), table);
+        };
+        this.multiplayer.onGate = (pass) => {
+            if (pass.finished && pass.id !== this.multiplayer.id) {
+                this.showRaceMessage(this.multiplayer.getPlayerName(pass.id).toUpperCase() + ' FINISHED');
+            }
+        };
+        this.multiplayer.onRejected = (reason) => this.showRaceMessage('DISQUALIFIED: ' + reason);
+        this.gridSlot = null; // Start grid position while in a multiplayer race
+        this.raceMessage = null; // { text, until } shown over the countdown
+
+        // Leaderboards: finished runs go to the server, or stay in this browser
+        this.leaderboards = new LeaderboardClient();
+        this.leaderboardPanel = new LeaderboardPanel(this.leaderboards, () => this.maps);
+        this.leaderboardPanel.onClose = () => {
+            document.getElementById('main-menu').style.display = 'flex';
+        };
+        this.leaderboardPanel.onWatch = (run) => this.watchLeaderboardRun(run);
+
+        this.audioPanel = new AudioPanel(this.audio);
+        this.audioPanel.onClose = () => {
+            document.getElementById('pause-menu').style.display = 'flex';
+        };
+        this.liveRaceState = null;
+
+        // AI pilots to race in single player, next to us on the grid
+        this.opponents = new Opponents(this.scene);
+        this.opponents.onFinish = () => {
+            if (this.isFinished && this.gridSlot === null) this.renderOpponentTable();
+        };
+        this.finishResult = null; // The player's, for the table with the opponents
+
+        // Lessons: training maps with objectives instead of a race
+        this.lessons = new LessonRunner(this.scene);
+        this.lessons.onComplete = (result) => this.showLessonComplete(result);
+        this.lessonProgress = new LessonProgress();
+        this.lesson = null; // The lesson being flown
+
+        // Attract mode: the autopilot flies us around a course
+        this.demo = null; // { autopilot, mode, crashTime, sticks }
+        this.lastActivity = performance.now();
+
+        this.courseCheck = null; // { env, flight, frame } while the editor's check flies
+
+        this.collisionDebug = new CollisionDebug(this.scene, document.getElementById('collision-debug'));
+
+        this.editor = new TrackEditor(this.scene, this.camera, this.renderer.domElement, this.envManager);
+        this.editor.onChange = (status) => {
+            document.getElementById('editor-info').innerText = status;
+        };
 
         this.setupLights();
         this.setupUI();
+        this.loadMapList();
 
         window.addEventListener('resize', () => this.onWindowResize(), false);
+        window.addEventListener('blur', () => this.focusLost = true);
+        window.addEventListener('focus', () => this.focusLost = false);
+        window.addEventListener('pointerdown', () => this.onActivity());
         window.addEventListener('keydown', (e) => {
-            if (e.code === 'Escape' && this.isPlaying) {
+            if (this.onActivity()) return;
+            if (e.code === 'Escape' && this.tuningPanel.isOpen) {
+                this.tuningPanel.close();
+            } else if (e.code === 'Escape' && this.airframePanel.isOpen) {
+                this.airframePanel.close();
+            } else if (e.code === 'Escape' && this.osdPanel.isOpen) {
+                this.osdPanel.close();
+            } else if (e.code === 'Escape' && this.cameraPanel.isOpen) {
+                this.cameraPanel.close();
+            } else if (e.code === 'Escape' && this.audioPanel.isOpen) {
+                this.audioPanel.close();
+            } else if (e.code === 'Escape' && this.inputPanel.isOpen) {
+                this.inputPanel.close();
+            } else if (e.code === 'Escape' && this.multiplayerPanel.isOpen) {
+                this.multiplayerPanel.close();
+            } else if (e.code === 'Escape' && this.leaderboardPanel.isOpen) {
+                this.leaderboardPanel.close();
+            } else if (e.code === 'Escape' && this.blackboxPanel.isOpen) {
+                this.blackboxPanel.close();
+            } else if (e.code === 'Escape' && this.editor.isActive) {
+                this.editor.select(null);
+            } else if (e.code === 'Escape' && this.replayPlayer.isActive) {
+                this.exitReplay();
+            } else if (e.code === 'Escape' && this.isPlaying && !this.isFinished) {
                 this.togglePause();
+            } else if (e.code === 'KeyR' && this.isCrashed && !this.isPaused) {
+                this.respawn();
+            } else if (e.code === 'KeyC' && this.isPlaying && !this.isPaused && !this.replayPlayer.isActive) {
+                this.cameraRig.cycleLiveView();
+            } else if (e.code === 'F3') {
+                e.preventDefault();
+                this.toggleCollisionDebug();
             }
         });
 
@@ -36,77 +251,1053 @@ class Game {
     }
 
     setupUI() {
-        document.getElementById('btn-city').addEventListener('click', () => this.startGame('CITY'));
-        document.getElementById('btn-jungle').addEventListener('click', () => this.startGame('JUNGLE'));
+        document.getElementById('btn-copy-map-code').addEventListener('click', () => this.copyMapCode());
+        document.getElementById('btn-export-map').addEventListener('click', () => this.exportMap());
+
+        const mapFile = document.getElementById('map-file');
+        document.getElementById('btn-load-map').addEventListener('click', () => mapFile.click());
+        mapFile.addEventListener('change', () => {
+            if (mapFile.files.length > 0) this.loadMapFile(mapFile.files[0]);
+            mapFile.value = '';
+        });
+
+        this.setupEditorUI();
 
         document.getElementById('btn-resume').addEventListener('click', () => this.togglePause());
         document.getElementById('btn-restart').addEventListener('click', () => this.restartGame());
         document.getElementById('btn-quit').addEventListener('click', () => this.quitToMenu());
 
+        document.getElementById('btn-respawn').addEventListener('click', () => this.respawn());
+
+        document.getElementById('btn-race-again').addEventListener('click', () => this.raceAgain());
+        document.getElementById('btn-finish-quit').addEventListener('click', () => this.quitToMenu());
+        document.getElementById('btn-watch-replay').addEventListener('click', () => this.watchReplay(this.lastReplay));
+        document.getElementById('btn-export-replay').addEventListener('click', () => this.exportReplay(this.lastReplay));
+
+        const replayFile = document.getElementById('replay-file');
+        document.getElementById('btn-load-replay').addEventListener('click', () => replayFile.click());
+        replayFile.addEventListener('change', () => {
+            if (replayFile.files.length > 0) this.loadReplayFile(replayFile.files[0]);
+            replayFile.value = '';
+        });
+
+        document.getElementById('btn-replay-play').addEventListener('click', () => this.replayPlayer.togglePlay());
+        document.getElementById('btn-replay-camera').addEventListener('click', () => this.cycleReplayCamera());
+        document.getElementById('btn-replay-export').addEventListener('click', () => this.exportReplay(this.replayPlayer.replay));
+        document.getElementById('btn-replay-exit').addEventListener('click', () => this.exitReplay());
+        document.getElementById('replay-scrubber').addEventListener('input', (e) => {
+            this.replayPlayer.seek(parseInt(e.target.value, 10));
+        });
+        document.getElementById('replay-speed').addEventListener('change', (e) => {
+            this.replayPlayer.speed = parseFloat(e.target.value);
+        });
+
         document.getElementById('btn-toggle-mode').addEventListener('click', () => this.toggleMode());
-        document.getElementById('btn-toggle-sound').addEventListener('click', () => this.toggleSound());
+        document.getElementById('btn-audio').addEventListener('click', () => this.openAudio());
+        document.getElementById('btn-input').addEventListener('click', () => this.openInputPanel('main-menu'));
+        document.getElementById('btn-multiplayer').addEventListener('click', () => this.openMultiplayer());
+        document.getElementById('btn-leaderboards').addEventListener('click', () => this.openLeaderboards());
+        document.getElementById('btn-opponents').addEventListener('click', () => this.cycleOpponents());
+        document.getElementById('btn-airframe').addEventListener('click', () => this.openAirframes());
+        this.updateAirframeButton();
+        document.getElementById('btn-demo').addEventListener('click', () => this.startDemo());
+        this.updateOpponentsButton();
+        this.renderLessonList();
+        document.getElementById('btn-input-pause').addEventListener('click', () => this.openInputPanel('pause-menu'));
+        document.getElementById('btn-tuning').addEventListener('click', () => this.openTuning());
+        document.getElementById('btn-osd').addEventListener('click', () => this.openOSD());
+        document.getElementById('btn-camera').addEventListener('click', () => this.openCameraSettings());
+        document.getElementById('btn-toggle-ghost').addEventListener('click', () => this.toggleGhost());
+        document.getElementById('btn-collision-debug').addEventListener('click', () => this.toggleCollisionDebug());
+        document.getElementById('btn-blackbox').addEventListener('click', () => this.openBlackbox());
+    }
+
+    setupEditorUI() {
+        const editor = this.editor;
+        document.getElementById('btn-editor').addEventListener('click', () => this.openEditor(null));
+        document.getElementById('btn-edit-map').addEventListener('click', () => this.editCurrentMap());
+
+        document.getElementById('btn-editor-gate').addEventListener('click', () => editor.addGate());
+        ['box', 'cylinder', 'tree'].forEach(type => {
+            document.getElementById('btn-editor-' + type).addEventListener('click', () => editor.addObstacle(type));
+        });
+        document.getElementById('btn-editor-spawn').addEventListener('click', () => editor.setSpawnHere());
+        ['translate', 'rotate', 'scale'].forEach(mode => {
+            document.getElementById('btn-editor-' + mode).addEventListener('click', () => editor.setMode(mode));
+        });
+        document.getElementById('btn-editor-earlier').addEventListener('click', () => editor.moveGateOrder(-1));
+        document.getElementById('btn-editor-later').addEventListener('click', () => editor.moveGateOrder(1));
+        document.getElementById('btn-editor-delete').addEventListener('click', () => editor.deleteSelected());
+        document.getElementById('btn-editor-undo').addEventListener('click', () => editor.undo());
+        document.getElementById('btn-editor-redo').addEventListener('click', () => editor.redo());
+        document.getElementById('btn-editor-save').addEventListener('click', () => this.saveEditedMap());
+        document.getElementById('btn-editor-fly').addEventListener('click', () => this.flyEditedMap());
+        document.getElementById('btn-editor-check').addEventListener('click', () => this.checkEditedMap());
+        document.getElementById('btn-editor-exit').addEventListener('click', () => this.exitEditor());
+
+        const editorFile = document.getElementById('editor-file');
+        document.getElementById('btn-editor-load').addEventListener('click', () => editorFile.click());
+        editorFile.addEventListener('change', () => {
+            if (editorFile.files.length > 0) this.loadEditorFile(editorFile.files[0]);
+            editorFile.value = '';
+        });
     }
 
     toggleMode() {
         const newMode = this.drone.mode === 'ACRO' ? 'LEVEL' : 'ACRO';
         this.drone.setMode(newMode);
+        console.log("Flight Mode: " + newMode);
+        if (this.recording) this.recording.addEvent(this.tick, 'mode', newMode);
 
         // Update UI
-        const btnText = "MODE: " + newMode;
-        document.getElementById('btn-toggle-mode').innerText = btnText;
+        document.getElementById('btn-toggle-mode').innerText = "MODE: " + newMode;
+    }
 
-        const hudEl = document.querySelector('#top-bar .hud-text:first-child');
-        if (hudEl) hudEl.innerText = btnText;
+    applyTuning(profile) {
+        this.drone.applyTuning(profile);
+        if (this.recording) this.recording.addEvent(this.tick, 'tuning', profile);
     }
 
-    toggleSound() {
-        this.audio.toggleMute();
-        const btn = document.getElementById('btn-toggle-sound');
-        btn.innerText = "SOUND: " + (this.audio.isMuted ? "OFF" : "ON");
+    applyAirframe(airframe) {
+        this.drone.applyAirframe(airframe);
+        this.updateAirframeButton();
     }
 
-    startGame(mapType) {
-        // Init audio on first user interaction
-        this.audio.init();
+    updateAirframeButton() {
+        document.getElementById('btn-airframe').innerText = 'DRONE: ' + this.drone.airframe.name.toUpperCase();
+    }
+
+    openAirframes() {
+        document.getElementById('main-menu').style.display = 'none';
+        this.airframePanel.open();
+    }
+
+    openTuning() {
+        document.getElementById('pause-menu').style.display = 'none';
+        this.tuningPanel.open();
+    }
+
+    openCameraSettings() {
+        document.getElementById('pause-menu').style.display = 'none';
+        this.cameraPanel.open();
+    }
+
+    openOSD() {
+        document.getElementById('pause-menu').style.display = 'none';
+        this.osdPanel.open();
+    }
+
+    openBlackbox() {
+        document.getElementById('pause-menu').style.display = 'none';
+        this.blackboxPanel.fileName = this.envManager.getMapCode();
+        this.blackboxPanel.open();
+    }
+
+    toggleGhost() {
+        this.ghost.setEnabled(!this.ghost.enabled);
+        document.getElementById('btn-toggle-ghost').innerText = "GHOST: " + (this.ghost.enabled ? "ON" : "OFF");
+    }
+
+    cycleOpponents() {
+        this.opponents.setCount((this.opponents.count + 1) % (MAX_OPPONENTS + 1));
+        this.updateOpponentsButton();
+    }
+
+    updateOpponentsButton() {
+        document.getElementById('btn-opponents').innerText = 'AI OPPONENTS: ' + this.opponents.count;
+    }
+
+    // The finish table: us and the AI pilots, finished ones by time first
+    renderOpponentTable() {
+        const result = this.finishResult;
+        const rows = this.opponents.getResults();
+        rows.push({
+            name: 'YOU',
+            status: 'FINISHED',
+            time: result.time,
+            lap: result.lapTimes.length,
+            bestLap: Math.min(...result.lapTimes)
+        });
+        rows.sort((a, b) => {
+            if (a.status !== b.status) return a.status === 'FINISHED' ? -1 : 1;
+            return a.status === 'FINISHED' ? a.time - b.time : b.lap - a.lap;
+        });
+        renderRaceTable(document.getElementById('finish-race-table'), rows);
+    }
+
+    toggleCollisionDebug() {
+        this.collisionDebug.setEnabled(!this.collisionDebug.enabled, this.envManager.collision);
+        document.getElementById('btn-collision-debug').innerText =
+            "COLLISION DEBUG: " + (this.collisionDebug.enabled ? "ON" : "OFF");
+    }
+
+    // Controller setup, from the main menu or the pause menu
+    openInputPanel(menuId) {
+        const menu = document.getElementById(menuId);
+        menu.style.display = 'none';
+        this.inputPanel.onClose = () => {
+            menu.style.display = 'flex';
+        };
+        this.inputPanel.open();
+    }
+
+    openMultiplayer() {
+        document.getElementById('main-menu').style.display = 'none';
+        this.multiplayerPanel.open();
+    }
+
+    // The server started a race: same map for everyone, each on their own
+    // grid slot, held there until the countdown is over
+    async startMultiplayerRace(race) {
+        // Maybe still on the finish screen of the last race, which is over
+        this.gridSlot = null;
+        if (this.isPlaying) this.quitToMenu();
+        if (this.multiplayerPanel.isOpen) this.multiplayerPanel.close();
+        this.gridSlot = race.slot;
+
+        try {
+            await this.startGame(race.map, race.seed);
+        } catch (e) {
+            this.multiplayer.retire();
+            this.gridSlot = null;
+            this.showMenuStatus('COULD NOT LOAD MAP: ' + e.message);
+            return;
+        }
+        document.getElementById('btn-restart').style.display = 'none';
+        this.multiplayer.sendLoaded(this.envManager.gates);
+    }
 
-        if (mapType === 'CITY') {
-            this.envManager.loadCity();
-            this.scene.background = new THREE.Color(0x87CEEB);
-            this.scene.fog = new THREE.Fog(0x87CEEB, 20, 500);
+    // Opens on the board of the course flown last
+    openLeaderboards() {
+        document.getElementById('main-menu').style.display = 'none';
+        this.leaderboardPanel.open(this.envManager.currentMap, this.envManager.currentMap ? this.envManager.seed : null);
+    }
+
+    async watchLeaderboardRun(run) {
+        let replay;
+        try {
+            replay = await this.leaderboards.getReplay(run);
+        } catch (e) {
+            this.leaderboardPanel.setStatus('COULD NOT LOAD REPLAY: ' + e.message);
+            return;
+        }
+        this.leaderboardPanel.close();
+        this.startReplay(replay).catch(e => this.showMenuStatus('COULD NOT LOAD REPLAY: ' + e.message));
+    }
+
+    // Name, rates and controls stored with the pilot's runs
+    getPilotSetup() {
+        const gamepad = this.input.getGamepad();
+        return {
+            rates: this.drone.tuning.rates,
+            controls: {
+                stickMode: gamepad ? this.input.profiles.get(gamepad.id).mode : 2,
+                flightMode: this.drone.mode
+            }
+        };
+    }
+
+    // Runs on the server's maps go on the leaderboards, the server flies
+    // them again before they count
+    async submitRun(replay) {
+        const status = document.getElementById('finish-submit');
+        if (!this.maps.some(m => m.id === replay.map)) {
+            status.innerText = '';
+            return;
+        }
+        if (!getStockPreset(getReplayAirframe(replay))) {
+            status.innerText = 'CUSTOM DRONE, NOT ON THE LEADERBOARDS';
+            return;
+        }
+
+        status.innerText = 'SUBMITTING RUN...';
+        try {
+            await this.leaderboards.savePilot(this.getPilotSetup());
+            const run = await this.leaderboards.submitRun(replay);
+            const rank = run.rank ? 'LEADERBOARD #' + run.rank : 'NOT A PERSONAL BEST';
+            status.innerText = run.local ? rank + ' (SERVER NOT REACHABLE, SAVED IN THIS BROWSER)' :
+                rank + (run.verified ? '' : ' (NOT RE-SIMULATED)');
+        } catch (e) {
+            status.innerText = e instanceof RunRejectedError ? 'RUN REJECTED: ' + e.message : 'COULD NOT SUBMIT RUN: ' + e.message;
+        }
+    }
+
+    showRaceMessage(text) {
+        this.raceMessage = { text: text, until: performance.now() + 3000 };
+    }
+
+    // Waiting for the other pilots, then the countdown to the start signal
+    updateCountdown() {
+        const el = document.getElementById('mp-countdown');
+        const race = this.multiplayer.race;
+        if (this.raceMessage && performance.now() < this.raceMessage.until) {
+            el.innerText = this.raceMessage.text;
+        } else if (!race) {
+            el.innerText = '';
+        } else if (race.startAt === null) {
+            el.innerText = 'WAITING FOR PILOTS';
         } else {
-            this.envManager.loadJungle();
-            this.scene.background = new THREE.Color(0x87CEEB);
-            this.scene.fog = new THREE.Fog(0x87CEEB, 20, 400);
+            const left = (race.startAt - this.multiplayer.serverNow()) / 1000;
+            el.innerText = left > 0 ? String(Math.ceil(left)) : left > -1 ? 'GO!' : '';
+        }
+    }
+
+    // On the grid until the server's start signal
+    isHeldOnGrid() {
+        const race = this.multiplayer.race;
+        return race !== null && (race.startAt === null || this.multiplayer.serverNow() < race.startAt);
+    }
+
+    // Start pose: the map's spawn, or side by side on a multiplayer grid
+    getSpawn() {
+        return this.gridSlot === null ? this.envManager.spawn : this.getGridSpawn(this.gridSlot);
+    }
+
+    // Slot 0 is the spawn, the others alternate right and left of it
+    getGridSpawn(slot) {
+        const spawn = this.envManager.spawn;
+        const side = (slot % 2 ? 1 : -1) * Math.ceil(slot / 2) * GRID_SPACING;
+        const right = new THREE.Vector3(Math.cos(spawn.yaw), 0, -Math.sin(spawn.yaw));
+        return { position: spawn.position.clone().addScaledVector(right, side), yaw: spawn.yaw };
+    }
+
+    openAudio() {
+        document.getElementById('pause-menu').style.display = 'none';
+        this.audioPanel.open();
+    }
+
+    async loadMapList() {
+        try {
+            const response = await fetch('api/maps');
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+            this.maps = (await response.json()).maps;
+        } catch (e) {
+            // Served by something other than server.js: fall back to the bundled maps
+            console.warn("Map manifest not available, using bundled maps:", e);
+            this.maps = [
+                { id: 'city', name: 'City', file: 'maps/city.json' },
+                { id: 'jungle', name: 'Jungle', file: 'maps/jungle.json' }
+            ];
+        }
+
+        const list = document.getElementById('map-list');
+        list.innerHTML = '';
+        this.maps.forEach(map => {
+            const btn = document.createElement('button');
+            btn.className = 'menu-btn';
+            btn.id = 'btn-map-' + map.id;
+            btn.innerText = map.name.toUpperCase() + ' MAP';
+            if (map.description) btn.title = map.description;
+            btn.addEventListener('click', () => this.startFromMenu(map.id));
+            list.appendChild(btn);
+        });
+    }
+
+    // One button per lesson, with the stars earned. Each needs a star on
+    // the lesson before it.
+    renderLessonList() {
+        const list = document.getElementById('lesson-list');
+        list.innerHTML = '';
+        LESSONS.forEach((lesson, i) => {
+            const unlocked = this.lessonProgress.isUnlocked(i);
+            const stars = this.lessonProgress.getStars(lesson.id);
+            const btn = document.createElement('button');
+            btn.className = 'menu-btn small';
+            btn.innerText = (i + 1) + '. ' + lesson.name.toUpperCase() + ' ' +
+                (unlocked ? '\u2605'.repeat(stars) + '\u2606'.repeat(3 - stars) : '(LOCKED)');
+            btn.title = lesson.description;
+            btn.disabled = !unlocked;
+            btn.addEventListener('click', () => this.startLesson(lesson));
+            list.appendChild(btn);
+        });
+    }
+
+    async startLesson(lesson) {
+        this.lesson = lesson;
+        this.mapCache[lesson.map.meta.id] = lesson.map;
+        try {
+            await this.startGame(lesson.map.meta.id, 0);
+        } catch (e) {
+            this.lesson = null;
+            this.showMenuStatus('COULD NOT LOAD LESSON: ' + e.message);
+        }
+    }
+
+    async getMapData(mapId) {
+        if (this.mapCache[mapId]) return this.mapCache[mapId];
+
+        const entry = this.maps.find(m => m.id === mapId);
+        if (!entry) throw new Error('Unknown map ' + mapId);
+
+        const response = await fetch(entry.file);
+        if (!response.ok) throw new Error('Could not load ' + entry.file);
+
+        this.mapCache[mapId] = validateMap(await response.json());
+        return this.mapCache[mapId];
+    }
+
+    // Empty seed field = new random world, a map code also picks its map,
+    // any other text is hashed into a seed
+    startFromMenu(mapId) {
+        const text = document.getElementById('seed-input').value.trim();
+        const code = parseMapCode(text);
+
+        let seed;
+        if (code && (this.mapCache[code.mapId] || this.maps.some(m => m.id === code.mapId))) {
+            mapId = code.mapId;
+            seed = code.seed;
+        } else if (text) {
+            seed = SeededRandom.hashString(text);
+        } else {
+            seed = SeededRandom.randomSeed();
+        }
+
+        this.startGame(mapId, seed).catch(e => this.showMenuStatus('COULD NOT LOAD MAP: ' + e.message));
+    }
+
+    showMenuStatus(text) {
+        document.getElementById('menu-status').innerText = text;
+    }
+
+    async loadMapFile(file) {
+        try {
+            const map = validateMap(JSON.parse(await readTextFile(file)));
+            this.mapCache[map.meta.id] = map;
+            this.startFromMenu(map.meta.id);
+        } catch (e) {
+            this.showMenuStatus('COULD NOT LOAD MAP: ' + e.message);
+        }
+    }
+
+    exportMap() {
+        const code = this.envManager.getMapCode();
+        const map = this.envManager.exportMap({
+            id: code.toLowerCase().replace(/[^a-z0-9_]/g, '_'),
+            name: (this.envManager.map.meta.name || 'Map') + ' ' + code
+        });
+        downloadText(code.toLowerCase() + '.json', JSON.stringify(map, null, 4));
+    }
+
+    // Opens the editor on `map`, or on an empty map
+    openEditor(map) {
+        this.envManager.loadMap(map || {
+            format: MAP_FORMAT,
+            version: MAP_VERSION,
+            meta: { id: 'custom', name: 'Custom' }
+        }, 0);
+
+        document.getElementById('main-menu').style.display = 'none';
+        document.getElementById('editor-bar').style.display = 'flex';
+        document.getElementById('editor-status').style.display = 'block';
+        document.getElementById('editor-name').value = this.envManager.map.meta.name || '';
+        this.drone.mesh.visible = false;
+        this.ghost.drone.mesh.visible = false;
+        this.cameraRig.setFov(VIEW_FOV);
+
+        this.editor.open();
+    }
+
+    editCurrentMap() {
+        const map = this.envManager.exportMap();
+        this.quitToMenu();
+        this.openEditor(map);
+    }
+
+    closeEditor() {
+        this.cancelCourseCheck();
+        this.editor.close();
+        document.getElementById('editor-bar').style.display = 'none';
+        document.getElementById('editor-status').style.display = 'none';
+        this.drone.mesh.visible = true;
+    }
+
+    exitEditor() {
+        this.closeEditor();
+        document.getElementById('main-menu').style.display = 'flex';
+    }
+
+    // The edited map, named from the name field. Built-in maps keep their
+    // id, so an edited copy never replaces them.
+    getEditedMap() {
+        const name = document.getElementById('editor-name').value.trim() || 'Custom';
+        let id = name.toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'custom';
+        if (this.maps.some(m => m.id === id)) id += '_custom';
+        return this.editor.getMap({ id: id, name: name });
+    }
+
+    saveEditedMap() {
+        const map = this.getEditedMap();
+        downloadText(map.meta.id + '.json', JSON.stringify(map, null, 4));
+    }
+
+    async loadEditorFile(file) {
+        try {
+            const map = validateMap(JSON.parse(await readTextFile(file)));
+            this.editor.loadMap(map);
+            this.editor.commit();
+            document.getElementById('editor-name').value = map.meta.name || map.meta.id;
+        } catch (e) {
+            document.getElementById('editor-info').innerText = 'COULD NOT LOAD MAP: ' + e.message;
+        }
+    }
+
+    flyEditedMap() {
+        const map = this.getEditedMap();
+        this.mapCache[map.meta.id] = map;
+        this.closeEditor();
+        this.startGame(map.meta.id, 0).catch(e => {
+            this.exitEditor();
+            this.showMenuStatus('COULD NOT LOAD MAP: ' + e.message);
+        });
+    }
+
+    // Lets the autopilot race the edited course: can it be flown, and how
+    // fast. Flown a few milliseconds per frame, so the page keeps running.
+    checkEditedMap() {
+        this.cancelCourseCheck();
+        const info = document.getElementById('editor-info');
+        const env = new EnvironmentManager(new THREE.Scene(), { textures: false });
+        const check = { env: env, flight: null, frame: 0 };
+        this.courseCheck = check;
+
+        const done = (text) => {
+            this.cancelCourseCheck();
+            info.innerText = text;
+        };
+        const step = () => {
+            try {
+                if (!check.flight) {
+                    env.loadMap(this.getEditedMap(), 0);
+                    check.flight = new CourseFlight(new DroneSim(), { gates: env.gates, spawn: env.spawn, collision: env.collision, wind: env.wind });
+                }
+                const start = performance.now();
+                while (performance.now() - start < COURSE_CHECK_BUDGET) {
+                    if (check.flight.run(COURSE_CHECK_STEPS)) break;
+                }
+            } catch (e) {
+                done('COULD NOT CHECK COURSE: ' + e.message);
+                return;
+            }
+
+            const flight = check.flight;
+            if (!flight.done) {
+                info.innerText = 'CHECKING COURSE... ' + Math.floor(flight.time) + ' S FLOWN';
+                check.frame = requestAnimationFrame(step);
+                return;
+            }
+            const result = flight.result;
+            done(result.finished ?
+                'COURSE OK: PAR LAP ' + RaceManager.formatTime(result.par) + ', RACE ' + RaceManager.formatTime(result.time) :
+                'COURSE NOT FLYABLE: ' + result.error.toUpperCase());
+        };
+
+        info.innerText = 'CHECKING COURSE...';
+        check.frame = requestAnimationFrame(step);
+    }
+
+    // Stops the course check and frees its copy of the map
+    cancelCourseCheck() {
+        const check = this.courseCheck;
+        if (!check) return;
+        cancelAnimationFrame(check.frame);
+        check.env.dispose();
+        this.courseCheck = null;
+    }
+
+    copyMapCode() {
+        const code = this.envManager.getMapCode();
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(code).catch(() => { });
         }
+        document.getElementById('btn-copy-map-code').innerText = 'COPIED';
+    }
+
+    async startGame(mapId, seed) {
+        // Init audio on first user interaction
+        this.audio.init();
+
+        const map = await this.getMapData(mapId);
+        this.envManager.loadMap(map, seed);
+        this.showMenuStatus('');
+
+        const mapCode = this.envManager.getMapCode();
+        document.getElementById('map-code').innerText = 'MAP: ' + mapCode;
+        this.blackbox.clear(); // A log covers one course
+        document.getElementById('btn-copy-map-code').innerText = 'COPY MAP CODE';
 
         document.getElementById('main-menu').style.display = 'none';
         document.getElementById('ui-layer').style.display = 'flex';
         this.isPlaying = true;
         this.isPaused = false;
+        this.isFinished = false;
 
+        // The ghost only makes sense on the same course
+        if (mapCode !== this.race.mapKey) {
+            this.bestReplay = null;
+            this.ghost.setReplay(null);
+        }
+
+        // Lessons have objectives instead of a race through their gates
+        this.race.setup(this.lesson ? [] : this.envManager.gates, mapCode);
+        document.getElementById('race-hud').style.display = this.lesson ? 'none' : '';
+        document.getElementById('lesson-hud').style.display = this.lesson ? 'block' : 'none';
         this.resetDrone();
     }
 
     resetDrone() {
-        this.drone.mesh.position.set(0, 2, 0);
-        this.drone.velocity.set(0, 0, 0);
-        this.drone.rotation.set(0, 0, 0);
-        this.drone.mesh.rotation.set(0, 0, 0);
-        this.drone.angularVelocity.set(0, 0, 0);
+        const spawn = this.getSpawn();
+        this.drone.reset(spawn.position, spawn.yaw);
+        this.fc.reset();
+        this.hideCrash();
+        this.accumulator = 0;
+        this.tick = 0;
+        this.clock.stop(); // Next frame starts from a zero delta
+
+        // Start a fresh recording and send the ghost off with us
+        this.recording = new Replay({
+            map: this.envManager.currentMap,
+            seed: this.envManager.seed,
+            physicsRate: this.physicsRate,
+            spawn: { position: spawn.position.toArray(), yaw: spawn.yaw },
+            drone: { mode: this.drone.mode, tuning: this.drone.tuning, airframe: this.drone.airframe }
+        });
+        this.ghost.reset();
+        this.cameraRig.setView(this.cameraRig.settings.view);
+
+        if (this.lesson) {
+            this.lessons.start(this.lesson, this.envManager);
+            if (this.lesson.view) this.cameraRig.setView(this.lesson.view);
+        }
+
+        // AI opponents only race single player, and not in replays or lessons
+        if (this.gridSlot === null && !this.replayPlayer.isActive && !this.lesson) {
+            const spawns = [];
+            for (let slot = 1; slot <= this.opponents.count; slot++) spawns.push(this.getGridSpawn(slot));
+            this.opponents.setup(this.envManager.gates, spawns);
+        } else {
+            this.opponents.clear();
+        }
     }
 
     restartGame() {
+        this.race.reset();
         this.resetDrone();
         this.togglePause(); // Unpause
     }
 
+    showCrash() {
+        this.isCrashed = true;
+        document.getElementById('crash-info').innerText =
+            'IMPACT AT ' + this.drone.lastImpact.toFixed(1) + ' M/S\n' +
+            'DISARM, THEN HOLD TURTLE (T) AND PUSH THE STICK TO FLIP OVER';
+        document.getElementById('crash-screen').style.display = 'flex';
+    }
+
+    hideCrash() {
+        this.isCrashed = false;
+        document.getElementById('crash-screen').style.display = 'none';
+    }
+
+    // Back in the air at the last gate passed (or the spawn before the
+    // start), with fresh props but the same pack. The race clock keeps running.
+    respawn() {
+        const { position, yaw } = this.race.getRespawnPose(this.getSpawn());
+
+        this.drone.respawn(position, yaw);
+        this.fc.reset();
+        if (this.recording) this.recording.addEvent(this.tick, 'respawn', { position: position.toArray(), yaw: yaw });
+        this.hideCrash();
+    }
+
+    raceAgain() {
+        document.getElementById('race-finish').style.display = 'none';
+        this.isFinished = false;
+        this.race.reset();
+        this.resetDrone();
+    }
+
+    showFinish(result) {
+        // Replays re-run the race, their finish line isn't a new result
+        if (this.replayPlayer.isActive) return;
+        // The demo goes on to another course
+        if (this.demo) {
+            this.startDemo();
+            return;
+        }
+        this.audio.playChime('finish');
+
+        document.getElementById('finish-title').innerText = 'FINISHED';
+        document.getElementById('btn-race-again').innerText = 'RACE AGAIN';
+        document.getElementById('btn-watch-replay').style.display = '';
+        document.getElementById('btn-export-replay').style.display = '';
+        document.getElementById('finish-submit').innerText = '';
+        if (this.recording) {
+            this.recording.result = { time: result.time, lapTimes: result.lapTimes };
+            this.lastReplay = this.recording;
+            this.submitRun(this.recording);
+            if (result.isBest) {
+                this.bestReplay = this.recording;
+                this.ghost.setReplay(this.bestReplay);
+            }
+            this.recording = null;
+        }
+
+        this.isFinished = true;
+        this.clock.stop();
+        this.audio.stop();
+
+        const lines = result.lapTimes.map((t, i) => {
+            const best = t === this.race.bestLap ? ' (BEST)' : '';
+            return 'LAP ' + (i + 1) + ': ' + RaceManager.formatTime(t) + best;
+        });
+        lines.push('TOTAL: ' + RaceManager.formatTime(result.time));
+        if (result.delta !== null) {
+            lines.push('VS BEST: ' + RaceManager.formatDelta(result.delta));
+        }
+        if (result.isBest) {
+            lines.push('NEW BEST RUN!');
+        }
+
+        document.getElementById('finish-results').innerHTML = lines.join('<br>');
+        // Multiplayer: the server's table fills in as the others finish, and
+        // only the host can start another race
+        const multiplayer = this.gridSlot !== null;
+        this.finishResult = result;
+        if (multiplayer) renderRaceTable(document.getElementById('finish-race-table'), this.multiplayer.results);
+        else if (this.opponents.pilots.length > 0) this.renderOpponentTable();
+        else renderRaceTable(document.getElementById('finish-race-table'), null);
+        document.getElementById('btn-race-again').style.display = multiplayer ? 'none' : '';
+        document.getElementById('race-finish').style.display = 'flex';
+    }
+
+    // Stars, time and what it unlocked, on the finish screen
+    showLessonComplete(result) {
+        const lesson = this.lesson;
+        const index = LESSONS.indexOf(lesson);
+        const next = LESSONS[index + 1];
+        const nextWasLocked = next && !this.lessonProgress.isUnlocked(index + 1);
+        const best = this.lessonProgress.record(lesson.id, result);
+
+        this.audio.playChime('finish');
+        this.recording = null; // Lessons aren't runs for the leaderboards
+        this.isFinished = true;
+        this.clock.stop();
+        this.audio.stop();
+
+        const lines = [
+            lesson.name.toUpperCase(),
+            '\u2605'.repeat(result.stars) + '\u2606'.repeat(3 - result.stars),
+            'TIME: ' + RaceManager.formatTime(result.time),
+            best ? 'NEW BEST TIME!' : 'BEST: ' + RaceManager.formatTime(this.lessonProgress.getBestTime(lesson.id))
+        ];
+        if (nextWasLocked && this.lessonProgress.isUnlocked(index + 1)) {
+            lines.push('UNLOCKED: ' + next.name.toUpperCase());
+        }
+
+        document.getElementById('finish-title').innerText = 'LESSON COMPLETE';
+        document.getElementById('finish-results').innerHTML = lines.join('<br>');
+        document.getElementById('finish-submit').innerText = '';
+        renderRaceTable(document.getElementById('finish-race-table'), null);
+        document.getElementById('btn-race-again').innerText = 'TRY AGAIN';
+        document.getElementById('btn-race-again').style.display = '';
+        document.getElementById('btn-watch-replay').style.display = 'none';
+        document.getElementById('btn-export-replay').style.display = 'none';
+        document.getElementById('race-finish').style.display = 'flex';
+    }
+
+    // Everything the OSD shows, from the drone as currently rendered
+    getTelemetry(throttle) {
+        const drone = this.drone;
+        const battery = drone.battery;
+        const euler = new THREE.Euler().setFromQuaternion(drone.mesh.quaternion, 'YXZ');
+
+        // Compass: north is -Z, east is +X
+        const heading = (THREE.MathUtils.radToDeg(-euler.y) + 360) % 360;
+        const toHome = new THREE.Vector3().subVectors(this.envManager.spawn.position, drone.mesh.position);
+        // One of 8 arrows for a world direction, relative to the nose
+        const arrow = (v) => {
+            const bearing = THREE.MathUtils.radToDeg(Math.atan2(v.x, -v.z));
+            return Math.round((((bearing - heading) % 360) + 360) % 360 / 45) % 8;
+        };
+
+        // Live flights show the flight controller, replays only have the drone
+        const live = !this.replayPlayer.isActive;
+        let armState = drone.crashed ? 'CRASHED' : drone.turtle ? 'TURTLE' : drone.armed ? 'ARMED' : 'DISARMED';
+        if (live) armState = this.fc.state;
+
+        const warnings = [];
+        if (drone.crashed) warnings.push('CRASH');
+        if (live && armState === 'FAILSAFE') warnings.push('FAILSAFE');
+        else if (live && armState === 'DISARMED' && this.fc.blockReason) warnings.push('ARM BLOCK: ' + this.fc.blockReason);
+        const batteryWarning = battery.getWarning();
+        if (batteryWarning === 'CRITICAL') warnings.push('LAND NOW');
+        else if (batteryWarning === 'LOW') warnings.push('LOW BATTERY');
+        if (battery.throttleLimit < 1) warnings.push('THROTTLE LIMIT');
+        if (drone.motors.some(m => m.efficiency < 1)) warnings.push('PROP DAMAGE');
+
+        return {
+            mode: drone.mode,
+            armState: armState,
+            throttle: throttle,
+            altitude: drone.mesh.position.y,
+            speed: drone.velocity.length(),
+            verticalSpeed: drone.velocity.y,
+            heading: heading,
+            pitch: euler.x,
+            roll: euler.z,
+            uptilt: THREE.MathUtils.degToRad(this.cameraRig.settings.uptilt),
+            fov: this.cameraRig.settings.fov,
+            homeDistance: Math.hypot(toHome.x, toHome.z),
+            homeArrow: arrow(toHome),
+            windSpeed: Math.hypot(drone.windVelocity.x, drone.windVelocity.z),
+            windArrow: arrow(drone.windVelocity),
+            flightTime: battery.flightTime,
+            voltage: battery.voltage,
+            cellVoltage: battery.cellVoltage,
+            used: battery.used,
+            props: drone.motors.map(m => m.efficiency),
+            warnings: warnings,
+            critical: drone.crashed || armState === 'FAILSAFE' || batteryWarning === 'CRITICAL'
+        };
+    }
+
+    updateRaceHUD() {
+        const race = this.race;
+
+        document.getElementById('race-lap').innerText = race.state === 'WAITING' ? '-' : race.lap + '/' + race.laps;
+        document.getElementById('race-gate').innerText = race.state === 'WAITING' ? 'START' : (race.nextGate + 1) + '/' + race.gates.length;
+        document.getElementById('race-time').innerText = RaceManager.formatTime(race.time);
+        document.getElementById('race-lap-time').innerText = RaceManager.formatTime(race.getLapTime());
+        document.getElementById('race-best-lap').innerText = race.bestLap !== null ? RaceManager.formatTime(race.bestLap) : '-';
+
+        const splitEl = document.getElementById('race-split');
+        if (race.lastDelta === null) {
+            splitEl.innerText = '-';
+            splitEl.className = '';
+        } else {
+            splitEl.innerText = RaceManager.formatDelta(race.lastDelta);
+            splitEl.className = race.lastDelta <= 0 ? 'faster' : 'slower';
+        }
+    }
+
+    // Objective of the current step, and how far along it is
+    updateLessonHUD() {
+        const runner = this.lessons;
+        const step = runner.currentStep;
+        document.getElementById('lesson-title').innerText =
+            'LESSON ' + (LESSONS.indexOf(this.lesson) + 1) + ': ' + this.lesson.name.toUpperCase();
+        document.getElementById('lesson-objective').innerText = step.text;
+
+        let progress = '';
+        if (step.hold) progress = 'HOLD ' + runner.held.toFixed(1) + ' / ' + step.hold.toFixed(1) + ' S';
+        else if (step.within !== undefined) progress = Math.max(step.within - runner.stepTime, 0).toFixed(1) + ' S LEFT';
+        document.getElementById('lesson-progress').innerText = progress;
+        document.getElementById('lesson-time').innerText = 'TIME: ' + RaceManager.formatTime(runner.time);
+    }
+
+    watchReplay(replay) {
+        if (!replay) return;
+
+        document.getElementById('race-finish').style.display = 'none';
+        document.getElementById('pause-menu').style.display = 'none';
+        document.getElementById('replay-bar').style.display = 'flex';
+        this.isFinished = false;
+        this.isPaused = false;
+        this.recording = null;
+        this.ghost.drone.mesh.visible = false;
+        this.opponents.clear();
+        this.hideCrash();
+
+        // Keep the live best times away from what the replay does to the race
+        this.liveRaceState = this.race.saveState();
+        this.liveMode = this.drone.mode;
+        this.liveAirframe = this.drone.airframe;
+
+        this.replayPlayer.start(replay);
+        const scrubber = document.getElementById('replay-scrubber');
+        scrubber.max = replay.length;
+        scrubber.value = 0;
+
+        this.setReplayCamera(this.replayCamera);
+        this.clock.stop();
+    }
+
+    stopReplay() {
+        this.replayPlayer.stop();
+        document.getElementById('replay-bar').style.display = 'none';
+        this.cameraRig.setView(this.cameraRig.settings.view);
+
+        this.race.loadState(this.liveRaceState);
+        this.drone.applyTuning(this.tuning.getActive());
+        this.drone.applyAirframe(this.liveAirframe);
+        this.drone.mode = this.liveMode;
+    }
+
+    exitReplay() {
+        this.stopReplay();
+
+        // Back to flying the same course
+        this.race.reset();
+        this.resetDrone();
+    }
+
+    cycleReplayCamera() {
+        const views = REPLAY_VIEWS;
+        this.setReplayCamera(views[(views.indexOf(this.replayCamera) + 1) % views.length]);
+    }
+
+    setReplayCamera(view) {
+        this.replayCamera = view;
+        this.cameraRig.setView(view);
+        document.getElementById('btn-replay-camera').innerText = 'CAM: ' + view;
+    }
+
+    updateCamera() {
+        this.cameraRig.update(this.drone, this.envManager.spawn);
+    }
+
+    updateReplayUI() {
+        const player = this.replayPlayer;
+        document.getElementById('replay-scrubber').value = player.tick;
+        document.getElementById('replay-time').innerText =
+            RaceManager.formatTime(player.time) + ' / ' + RaceManager.formatTime(player.replay.duration);
+        document.getElementById('btn-replay-play').innerText = player.isPlaying ? 'PAUSE' : 'PLAY';
+    }
+
+    exportReplay(replay) {
+        if (!replay) return;
+        const name = 'replay_' + (replay.map || 'run').toLowerCase() + '_' + replay.seed.toString(36) + '_' +
+            (replay.result ? replay.result.time.toFixed(3) : replay.duration.toFixed(1)) + '.json';
+        downloadText(name, replay.serialize());
+    }
+
+    async loadReplayFile(file) {
+        try {
+            await this.startReplay(Replay.parse(await readTextFile(file)));
+        } catch (e) {
+            this.showMenuStatus('COULD NOT LOAD REPLAY: ' + e.message);
+        }
+    }
+
+    // Loads the replay's course and plays it
+    async startReplay(replay) {
+        if (replay.seed === null) {
+            throw new Error('Replay has no map seed');
+        }
+        await this.startGame(replay.map.toLowerCase(), replay.seed);
+        this.watchReplay(replay);
+    }
+
     quitToMenu() {
+        if (this.replayPlayer.isActive) {
+            this.stopReplay();
+        }
+        if (this.demo) this.endDemo();
+        if (this.lesson) {
+            this.lesson = null;
+            this.lessons.clear();
+            this.renderLessonList();
+        }
+        this.recording = null;
+        this.opponents.clear();
+        this.hideCrash();
+
+        // Leaving a multiplayer race retires from it, back to the lobby
+        if (this.gridSlot !== null) {
+            this.multiplayer.retire();
+            this.gridSlot = null;
+            this.raceMessage = null;
+            this.updateCountdown();
+            document.getElementById('btn-restart').style.display = '';
+        }
+
         this.isPlaying = false;
         this.isPaused = false;
+        this.isFinished = false;
+        document.getElementById('race-finish').style.display = 'none';
         document.getElementById('pause-menu').style.display = 'none';
         document.getElementById('ui-layer').style.display = 'none';
         document.getElementById('main-menu').style.display = 'flex';
         this.audio.stop();
+
+        this.lastActivity = performance.now();
+        if (this.multiplayer.isConnected) this.openMultiplayer();
+    }
+
+    // Attract mode: a random course flown by the autopilot, until any key,
+    // click or stick movement
+    async startDemo() {
+        if (this.maps.length === 0) return;
+        const map = this.maps[Math.floor(Math.random() * this.maps.length)];
+        const mode = this.demo ? this.demo.mode : this.drone.mode;
+        // The autopilot knows how a 5" flies
+        const airframe = this.demo ? this.demo.airframe : this.drone.airframe;
+        this.drone.applyAirframe(DEFAULT_AIRFRAME);
+        try {
+            await this.startGame(map.id, SeededRandom.randomSeed());
+        } catch (e) {
+            if (!this.demo) this.drone.applyAirframe(airframe);
+            this.showMenuStatus('COULD NOT LOAD MAP: ' + e.message);
+            return;
+        }
+
+        // Nothing of the demo is a run of ours
+        this.recording = null;
+        this.drone.mode = 'ACRO';
+        this.demo = {
+            autopilot: new Autopilot(this.drone, new TrajectoryPlanner(this.envManager.gates)),
+            mode: mode,
+            airframe: airframe,
+            crashTime: 0,
+            sticks: this.input.getState()
+        };
+        this.drone.setArming({ armed: true, turtle: false, crashed: false });
+        this.cameraRig.setView('CHASE');
+        document.getElementById('demo-banner').style.display = 'block';
+    }
+
+    endDemo() {
+        this.drone.mode = this.demo.mode;
+        this.drone.applyAirframe(this.demo.airframe);
+        this.demo = null;
+        document.getElementById('demo-banner').style.display = 'none';
+    }
+
+    // Ends the demo on any input. True when the input was used up doing so.
+    onActivity() {
+        this.lastActivity = performance.now();
+        if (!this.demo) return false;
+        this.quitToMenu();
+        return true;
+    }
+
+    // Nobody at the main menu for a while
+    isMenuIdle() {
+        const panelOpen = this.multiplayerPanel.isOpen || this.leaderboardPanel.isOpen || this.inputPanel.isOpen || this.airframePanel.isOpen;
+        return !this.isPlaying && !this.editor.isActive && !panelOpen && !this.multiplayer.isConnected &&
+            performance.now() - this.lastActivity > DEMO_IDLE_TIME * 1000;
+    }
+
+    // Sticks from the autopilot for one step, back in the air a moment
+    // after a crash
+    getDemoInput() {
+        const demo = this.demo;
+        if (this.drone.crashed) {
+            demo.crashTime += this.fixedDt;
+            if (demo.crashTime >= DEMO_RESPAWN_DELAY) {
+                this.respawn();
+                this.drone.setArming({ armed: true, turtle: false, crashed: false });
+                demo.autopilot.reset(this.race.nextGate);
+                demo.crashTime = 0;
+            }
+        }
+        return Replay.quantizeInput(demo.autopilot.update(this.fixedDt, this.race.nextGate));
+    }
+
+    // Moving the sticks away from where they were takes over
+    isDemoInterrupted(input) {
+        const start = this.demo.sticks;
+        return ['thrust', 'yaw', 'pitch', 'roll'].some(axis => Math.abs(input[axis] - start[axis]) > DEMO_EXIT_STICK);
     }
 
     togglePause() {
@@ -116,6 +1307,9 @@ class Game {
         if (this.isPaused) {
             pauseMenu.style.display = 'flex';
             this.audio.stop();
+            // A stopped clock restarts with a zero delta, so resuming doesn't
+            // feed the paused time into the simulation
+            this.clock.stop();
         } else {
             pauseMenu.style.display = 'none';
         }
@@ -148,12 +1342,74 @@ class Game {
         this.camera.aspect = window.innerWidth / window.innerHeight;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.cameraRig.resize(window.innerWidth, window.innerHeight);
+        this.osd.resize(window.innerWidth, window.innerHeight);
+    }
+
+    // The 3D view plus the OSD when it is drawn into the image
+    renderFrame() {
+        this.cameraRig.render();
+        this.osd.renderOverlay(this.renderer);
+    }
+
+    stepPhysics(inputState) {
+        if (this.recording) this.recording.record(inputState);
+
+        this.drone.update(this.fixedDt, inputState, this.envManager.collision, this.envManager.wind);
+        // Only live flying: replays step through here too, seeking back over and over
+        if (!this.replayPlayer.isActive) this.blackbox.record(this.drone, inputState);
+        const gate = this.race.nextGate;
+        const raceState = this.race.state;
+        this.race.update(this.fixedDt, this.drone.prevPosition, this.drone.position);
+        if (!this.replayPlayer.isActive) {
+            // Every gate passed goes to the race server, which times it
+            if (this.multiplayer.race && (this.race.nextGate !== gate || this.race.state !== raceState)) {
+                this.multiplayer.sendGate(gate, this.drone);
+            }
+            this.envManager.collision.countOthers(true);
+            this.ghost.update(this.fixedDt, this.envManager.collision, this.envManager.wind);
+            // The AI pilots go when we do
+            if (this.drone.armed && !this.opponents.started) this.opponents.start();
+            this.opponents.update(this.fixedDt, this.envManager.collision, this.envManager.wind);
+            this.envManager.collision.countOthers(false);
+            this.lessons.update(this.fixedDt, this.drone);
+            if (this.drone.crashed && !this.isCrashed && !this.demo) {
+                this.audio.playCrash();
+                this.showCrash();
+            } else if (this.drone.lastImpact >= IMPACT_SOUND_SPEED) {
+                this.audio.playImpact(this.drone.lastImpact);
+            }
+        }
+        this.tick++;
+    }
+
+    // Just the AI pilots, with us at the finish
+    updateOpponents() {
+        this.accumulator += Math.min(this.clock.getDelta(), this.maxFrameTime);
+        this.envManager.collision.countOthers(true);
+        while (this.accumulator >= this.fixedDt) {
+            this.opponents.update(this.fixedDt, this.envManager.collision, this.envManager.wind);
+            this.accumulator -= this.fixedDt;
+        }
+        this.envManager.collision.countOthers(false);
+        this.opponents.syncMesh(this.accumulator / this.fixedDt);
+        this.renderFrame();
     }
 
     animate() {
         requestAnimationFrame(() => this.animate());
 
+        if (this.editor.isActive) {
+            this.editor.update(Math.min(this.clock.getDelta(), this.maxFrameTime));
+            this.renderer.render(this.scene, this.camera);
+            return;
+        }
+
         if (!this.isPlaying) {
+            if (this.isMenuIdle()) {
+                this.lastActivity = performance.now();
+                this.startDemo();
+            }
             this.renderer.render(this.scene, this.camera);
             return;
         }
@@ -162,25 +1418,89 @@ class Game {
             return;
         }
 
-        const dt = this.clock.getDelta();
-        const inputState = this.input.getState();
+        if (this.isFinished) {
+            // The AI pilots race on to their own finish behind the results
+            if (this.opponents.isRacing) this.updateOpponents();
+            return;
+        }
+
+        const frameTime = Math.min(this.clock.getDelta(), this.maxFrameTime);
+
+        if (this.replayPlayer.isActive) {
+            this.replayPlayer.update(frameTime);
+            this.drone.syncMesh(this.replayPlayer.alpha);
+            this.updateCamera();
+            this.collisionDebug.update(this.envManager.collision, this.drone);
+
+            this.osd.update(this.getTelemetry(this.replayPlayer.lastInput.thrust));
+            this.updateRaceHUD();
+            this.updateReplayUI();
+
+            this.renderFrame();
+            return;
+        }
+
+        // Multiplayer: the others see us on the grid, nobody flies before the start
+        this.updateCountdown();
+        if (this.isHeldOnGrid()) {
+            this.multiplayer.sendState(this.drone);
+            this.multiplayer.update();
+            this.updateCamera();
+            this.osd.update(this.getTelemetry(0));
+            this.updateRaceHUD();
+            this.renderFrame();
+            return;
+        }
+
+        // Quantised like the recording so a replay flies exactly the same
+        const rawInput = this.input.getState();
+        const inputState = Replay.quantizeInput(rawInput);
+
+        if (this.demo && this.isDemoInterrupted(rawInput)) {
+            this.quitToMenu();
+            return;
+        }
 
         // Handle Mode Toggle (Keyboard Shortcut)
-        if (inputState.toggleMode) {
+        if (rawInput.toggleMode && !this.demo) {
             this.toggleMode();
         }
 
-        this.drone.update(dt, inputState, this.envManager.objects);
-        this.audio.update(inputState.thrust);
+        // Arming runs on the live sticks, the physics only gets the result.
+        // The demo arms itself.
+        const arming = this.demo ? null : this.fc.update(rawInput, rawInput.linkLost || this.focusLost);
+        if (arming) {
+            this.drone.setArming(arming);
+            if (this.recording) this.recording.addEvent(this.tick, 'arming', arming);
+            if (!arming.crashed) this.hideCrash();
+        }
+
+        // Run as many fixed steps as the frame time covers, the input is
+        // held for all steps of this frame
+        this.accumulator += frameTime;
+        while (this.accumulator >= this.fixedDt && !this.isFinished) {
+            this.stepPhysics(this.demo ? this.getDemoInput() : inputState);
+            this.accumulator -= this.fixedDt;
+        }
+
+        // Render between the last two steps
+        const alpha = this.accumulator / this.fixedDt;
+        this.drone.syncMesh(alpha);
+        this.ghost.syncMesh(alpha);
+        this.opponents.syncMesh(alpha);
+        if (this.multiplayer.race) this.multiplayer.sendState(this.drone);
+        this.multiplayer.update();
+        this.collisionDebug.update(this.envManager.collision, this.drone);
+        this.audio.update(this.drone, this.camera, this.cameraRig.view !== 'FPV', frameTime);
 
-        // Update camera to follow drone (FPV)
-        this.drone.updateCamera(this.camera);
+        this.updateCamera();
 
         // Update UI
-        document.getElementById('thrust-val').innerText = Math.round(inputState.thrust * 100);
-        document.getElementById('alt-val').innerText = Math.round(this.drone.mesh.position.y);
+        this.osd.update(this.getTelemetry(inputState.thrust));
+        if (this.lesson) this.updateLessonHUD();
+        else this.updateRaceHUD();
 
-        this.renderer.render(this.scene, this.camera);
+        this.renderFrame();
     }
 }
 
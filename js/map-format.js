@@ -0,0 +1,63 @@
+// Map files: see maps/README.md for the schema
+
+export const MAP_FORMAT = 'fpv-sim-map';
+export const MAP_VERSION = 1;
+
+const OBSTACLE_TYPES = ['box', 'cylinder', 'tree'];
+
+// Map codes look like CITY-1Z141Z4: the map id and the seed in base 36
+export function formatMapCode(mapId, seed) {
+    return mapId.toUpperCase() + '-' + (seed >>> 0).toString(36).toUpperCase();
+}
+
+// Returns { mapId, seed } for a map code, or null for plain seed text
+export function parseMapCode(text) {
+    const match = /^\s*([A-Z0-9_]+)-([0-9A-Z]{1,7})\s*$/i.exec(text);
+    if (!match) return null;
+
+    const seed = parseInt(match[2], 36);
+    if (seed > 0xFFFFFFFF) return null;
+    return { mapId: match[1].toLowerCase(), seed: seed };
+}
+
+function isVector(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+function fail(message) {
+    throw new Error('Invalid map: ' + message);
+}
+
+// Throws with a readable message if `data` isn't a usable map
+export function validateMap(data) {
+    if (!data || typeof data !== 'object') fail('not a JSON object');
+    if (data.format !== MAP_FORMAT) fail('format must be "' + MAP_FORMAT + '"');
+    if (!(data.version <= MAP_VERSION)) fail('unsupported version ' + data.version);
+
+    if (!data.meta || typeof data.meta.id !== 'string' || !/^[a-z0-9_]+$/.test(data.meta.id)) {
+        fail('meta.id must be lowercase letters, digits or _');
+    }
+
+    if (data.spawn !== undefined && !isVector(data.spawn.position)) {
+        fail('spawn.position must be [x, y, z]');
+    }
+
+    if (data.wind !== undefined) {
+        if (!data.wind || typeof data.wind !== 'object') fail('wind must be an object');
+        ['direction', 'speed', 'gusts', 'turbulence'].forEach(key => {
+            if (data.wind[key] !== undefined && !Number.isFinite(data.wind[key])) fail('wind.' + key + ' must be a number');
+        });
+    }
+
+    (data.obstacles || []).forEach((obstacle, i) => {
+        if (!OBSTACLE_TYPES.includes(obstacle.type)) fail('obstacle ' + i + ' has unknown type "' + obstacle.type + '"');
+        if (!isVector(obstacle.position)) fail('obstacle ' + i + ' needs a position');
+        if (obstacle.type === 'box' && !isVector(obstacle.size)) fail('box ' + i + ' needs a size');
+    });
+
+    (data.gates || []).forEach((gate, i) => {
+        if (!isVector(gate.position)) fail('gate ' + i + ' needs a position');
+    });
+
+    return data;
+}
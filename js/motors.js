@@ -0,0 +1,116 @@
+import * as THREE from 'three';
+
+export class Motor {
+    constructor(position, spin, config = {}) {
+        this.position = position.clone(); // Body frame (m)
+        this.spin = spin; // +1 = CW seen from above, -1 = CCW
+
+        // Configuration
+        this.maxThrust = config.maxThrust ?? 3.75; // N at full RPM
+        this.thrustExpo = config.thrustExpo ?? 0.5; // 0 = linear, 1 = thrust ~ RPM^2
+        this.spinUpTime = config.spinUpTime ?? 0.03; // s, time constant of the ESC/motor lag
+        this.spinDownTime = config.spinDownTime ?? 0.05; // s, props brake slower than they spin up
+        this.torqueRatio = config.torqueRatio ?? 0.05; // Yaw torque (N m) per N of thrust, incl. rotor spin-up reaction
+        this.maxRpm = config.maxRpm ?? 30000;
+
+        // State
+        this.command = 0; // 0..1 from the mixer
+        this.rpm = 0; // Normalised 0..1
+        this.thrust = 0; // N
+        this.efficiency = 1.0; // Thrust multiplier (props can get damaged)
+        this.power = 1.0; // Thrust multiplier from the battery voltage
+        this.direction = 1; // -1 while the ESC spins the prop backwards (turtle mode)
+    }
+
+    reset() {
+        this.command = 0;
+        this.rpm = 0;
+        this.thrust = 0;
+        this.direction = 1;
+    }
+
+    update(dt) {
+        // First order lag towards the commanded RPM
+        const tau = this.command > this.rpm ? this.spinUpTime : this.spinDownTime;
+        this.rpm += (this.command - this.rpm) * (1 - Math.exp(-dt / tau));
+
+        // Thrust curve
+        const curve = (1 - this.thrustExpo) * this.rpm + this.thrustExpo * this.rpm * this.rpm;
+        this.thrust = this.maxThrust * curve * this.efficiency * this.power * this.direction;
+    }
+
+    // Reaction torque around the body Y axis
+    getYawTorque() {
+        return this.spin * this.torqueRatio * this.thrust;
+    }
+
+    getRpm() {
+        return this.rpm * this.maxRpm;
+    }
+}
+
+export class MotorMixer {
+    constructor(motors) {
+        this.motors = motors;
+
+        // Mixing factors derived from motor placement (X frame, Y up, nose towards -Z)
+        // Positive roll (around +Z) needs more thrust on the +X side,
+        // positive pitch (around +X) needs more thrust at the front (-Z),
+        // positive yaw needs more thrust from the CW props.
+        this.factors = motors.map(m => ({
+            roll: Math.sign(m.position.x),
+            pitch: -Math.sign(m.position.z),
+            yaw: m.spin
+        }));
+
+        this.idle = 0.04; // Minimum command so props keep spinning (airmode)
+    }
+
+    // throttle 0..1, roll/pitch/yaw -1..1
+    mix(throttle, roll, pitch, yaw) {
+        const outputs = this.factors.map(f => f.roll * roll + f.pitch * pitch + f.yaw * yaw);
+
+        // Scale down the axis mix if it can't fit in the motor range
+        let min = Math.min(...outputs);
+        let max = Math.max(...outputs);
+        const range = max - min;
+        const axisRange = 1 - this.idle;
+        if (range > axisRange) {
+            const scale = axisRange / range;
+            for (let i = 0; i < outputs.length; i++) outputs[i] *= scale;
+            min *= scale;
+            max *= scale;
+        }
+
+        // Airmode: shift the throttle so the full axis mix stays available
+        const base = this.idle + throttle * (1 - this.idle);
+        const shifted = Math.min(Math.max(base, this.idle - min), 1 - max);
+
+        this.motors.forEach((motor, i) => {
+            motor.command = THREE.MathUtils.clamp(shifted + outputs[i], 0, 1);
+        });
+    }
+
+    // Turtle mode: only the motors on the side the stick points away from
+    // run, reversed, so the upside down quad tips over towards the stick.
+    // `power` is the command at full stick.
+    mixTurtle(roll, pitch, yaw, power) {
+        this.motors.forEach((motor, i) => {
+            const f = this.factors[i];
+            const output = -(f.roll * roll + f.pitch * pitch + f.yaw * yaw);
+            motor.direction = -1;
+            motor.command = THREE.MathUtils.clamp(output, 0, 1) * power;
+        });
+    }
+
+    // Betaflight QuadX order: rear right, front right, rear left, front left
+    static createQuadX(armLength, config) {
+        const d = armLength * Math.SQRT1_2;
+        return [
+            new Motor(new THREE.Vector3(d, 0, d), 1, config),
+            new Motor(new THREE.Vector3(d, 0, -d), -1, config),
+            new Motor(new THREE.Vector3(-d, 0, d), -1, config),
+            new Motor(new THREE.Vector3(-d, 0, -d), 1, config)
+        ];
+    }
+}
@@ -0,0 +1,142 @@
+import { RaceManager } from './race.js';
+
+// Race table from the server, finishers first
+export function renderRaceTable(el, table) {
+    el.innerHTML = '';
+    if (!table || table.length === 0) return;
+
+    const head = document.createElement('tr');
+    head.innerHTML = '<th>POS</th><th>PILOT</th><th>TIME</th><th>BEST LAP</th>';
+    el.appendChild(head);
+
+    table.forEach((row, i) => {
+        let time;
+        if (row.status === 'FINISHED') time = RaceManager.formatTime(row.time);
+        else if (row.status === 'DSQ') time = 'DSQ' + (row.reason ? ' (' + row.reason + ')' : '');
+        else if (row.status === 'RACING') time = 'LAP ' + row.lap;
+        else time = row.status;
+
+        const tr = document.createElement('tr');
+        [row.status === 'FINISHED' ? String(i + 1) : '-', row.name, time,
+            row.bestLap !== null ? RaceManager.formatTime(row.bestLap) : '-'].forEach(text => {
+            const td = document.createElement('td');
+            td.innerText = text; // Names come from other players, never as HTML
+            tr.appendChild(td);
+        });
+        el.appendChild(tr);
+    });
+}
+
+// Lobby: server address, pilot name and room, the players in the room,
+// map choice for the host, ready/start and the last race table
+export class MultiplayerPanel {
+    constructor(client, getMaps) {
+        this.client = client;
+        this.getMaps = getMaps; // () => [{ id, name }]
+        this.isOpen = false;
+        this.onClose = null;
+
+        this.el = document.getElementById('multiplayer-panel');
+        this.serverInput = document.getElementById('mp-server');
+        this.nameInput = document.getElementById('mp-name');
+        this.roomInput = document.getElementById('mp-room');
+        this.statusEl = document.getElementById('mp-status');
+        this.playersEl = document.getElementById('mp-players');
+        this.mapSelect = document.getElementById('mp-map');
+        this.seedInput = document.getElementById('mp-seed');
+        this.readyBtn = document.getElementById('btn-mp-ready');
+        this.startBtn = document.getElementById('btn-mp-start');
+
+        this.setupEvents();
+    }
+
+    setupEvents() {
+        document.getElementById('btn-mp-connect').addEventListener('click', () => {
+            this.client.connect(this.serverInput.value.trim(), this.nameInput.value.trim(), this.roomInput.value.trim());
+        });
+        document.getElementById('btn-mp-leave').addEventListener('click', () => {
+            this.client.disconnect();
+            this.statusEl.innerText = 'NOT CONNECTED';
+        });
+        this.readyBtn.addEventListener('click', () => this.client.setReady(!this.isReady()));
+        this.startBtn.addEventListener('click', () => this.client.start());
+
+        const setup = () => {
+            const seed = parseInt(this.seedInput.value, 10);
+            this.client.setup(this.mapSelect.value, Number.isInteger(seed) ? seed : 0);
+        };
+        this.mapSelect.addEventListener('change', setup);
+        this.seedInput.addEventListener('change', setup);
+
+        document.getElementById('btn-mp-back').addEventListener('click', () => this.close());
+    }
+
+    open() {
+        this.isOpen = true;
+        this.el.style.display = 'flex';
+
+        const settings = this.client.settings;
+        this.serverInput.value = settings.server;
+        this.nameInput.value = settings.name;
+        this.roomInput.value = settings.room;
+
+        this.mapSelect.innerHTML = '';
+        this.getMaps().forEach(map => {
+            const option = document.createElement('option');
+            option.value = map.id;
+            option.textContent = map.name.toUpperCase();
+            this.mapSelect.appendChild(option);
+        });
+        this.render();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.el.style.display = 'none';
+        if (this.onClose) this.onClose();
+    }
+
+    setStatus(text) {
+        this.statusEl.innerText = text;
+    }
+
+    isReady() {
+        const lobby = this.client.lobby;
+        const me = lobby && lobby.players.find(p => p.id === this.client.id);
+        return !!(me && me.ready);
+    }
+
+    render() {
+        if (!this.isOpen) return;
+        const client = this.client;
+        const lobby = client.lobby;
+        this.el.classList.toggle('connected', lobby !== null);
+
+        this.playersEl.innerHTML = '';
+        if (lobby) {
+            lobby.players.forEach(player => {
+                const li = document.createElement('li');
+                li.innerText = player.name +
+                    (player.id === lobby.host ? ' (HOST)' : player.ready ? ' (READY)' : '') +
+                    (player.id === client.id ? ' <' : '');
+                this.playersEl.appendChild(li);
+            });
+
+            // Only the host picks the course, everyone sees the choice
+            const host = client.isHost;
+            if (lobby.map) this.mapSelect.value = lobby.map;
+            else if (host && this.mapSelect.value) client.setup(this.mapSelect.value, parseInt(this.seedInput.value, 10) || 0);
+            if (document.activeElement !== this.seedInput) this.seedInput.value = lobby.seed;
+            this.mapSelect.disabled = !host;
+            this.seedInput.disabled = !host;
+
+            this.readyBtn.style.display = host ? 'none' : 'inline-block';
+            this.readyBtn.innerText = this.isReady() ? 'NOT READY' : 'READY';
+            this.startBtn.style.display = host ? 'inline-block' : 'none';
+            this.startBtn.disabled = lobby.state !== 'LOBBY' ||
+                lobby.players.some(p => p.id !== lobby.host && !p.ready);
+        }
+
+        renderRaceTable(document.getElementById('mp-results'), client.results);
+    }
+}
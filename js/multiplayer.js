@@ -0,0 +1,347 @@
+import * as THREE from 'three';
+import { Drone } from './physics.js';
+
+// Client side of the multiplayer races (server/race-rooms.js): lobby, clock
+// sync with the server, our drone's snapshots out and the other drones in.
+
+const SEND_INTERVAL = 50; // ms between snapshots of our drone
+const PING_INTERVAL = 2000; // ms between clock sync pings
+const INTERP_DELAY = 100; // ms, remote drones are shown this far in the past
+const SNAPSHOT_KEEP = 1000; // ms of remote snapshots kept
+const SETTINGS_KEY = 'fpv-sim.multiplayer';
+
+// Default server: the one that served the page
+export function defaultServerUrl() {
+    const protocol = location.protocol === 'https:' ? 'wss://' : 'ws://';
+    return protocol + (location.host || 'localhost:8000') + '/ws';
+}
+
+// Another player's drone, shown between the last two snapshots
+class RemoteDrone {
+    constructor(scene, name, color) {
+        this.drone = new Drone(scene);
+        this.drone.bodyMaterial.color.setHSL(color, 0.8, 0.5);
+        this.drone.mesh.visible = false;
+        this.label = RemoteDrone.createLabel(name);
+        this.drone.mesh.add(this.label);
+        this.snapshots = []; // { time, position, quaternion }, oldest first
+    }
+
+    static createLabel(name) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+        ctx.font = 'bold 36px Courier New, monospace';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#fff';
+        ctx.fillText(name, 128, 44);
+
+        const material = new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false });
+        const sprite = new THREE.Sprite(material);
+        sprite.scale.set(1.2, 0.3, 1);
+        sprite.position.y = 0.4;
+        return sprite;
+    }
+
+    addSnapshot(message) {
+        this.snapshots.push({
+            time: message.t,
+            position: new THREE.Vector3().fromArray(message.p),
+            quaternion: new THREE.Quaternion().fromArray(message.q)
+        });
+        while (this.snapshots.length > 2 && this.snapshots[1].time < message.t - SNAPSHOT_KEEP) {
+            this.snapshots.shift();
+        }
+    }
+
+    // Interpolates to server time `time`, holding the last snapshot after it
+    update(time) {
+        const snapshots = this.snapshots;
+        const mesh = this.drone.mesh;
+        if (snapshots.length === 0) {
+            mesh.visible = false;
+            return;
+        }
+        mesh.visible = true;
+
+        let i = snapshots.length - 1;
+        while (i > 0 && snapshots[i - 1].time > time) i--;
+        const b = snapshots[i];
+        const a = snapshots[Math.max(i - 1, 0)];
+        const t = b.time > a.time ? THREE.MathUtils.clamp((time - a.time) / (b.time - a.time), 0, 1) : 1;
+        mesh.position.lerpVectors(a.position, b.position, t);
+        mesh.quaternion.slerpQuaternions(a.quaternion, b.quaternion, t);
+    }
+
+    dispose() {
+        this.drone.dispose();
+        this.label.material.map.dispose();
+        this.label.material.dispose();
+    }
+}
+
+export class MultiplayerClient {
+    constructor(scene) {
+        this.scene = scene;
+        this.settings = this.load();
+        this.socket = null;
+        this.id = null; // Our player id once joined
+        this.lobby = null; // Last lobby message
+        this.results = null; // Last race table
+        this.remotes = new Map(); // Player id -> RemoteDrone
+
+        // Clock sync: server time = performance.now() + offset, taken from the
+        // ping with the shortest round trip
+        this.clockOffset = 0;
+        this.bestRoundTrip = Infinity;
+        this.pingTimer = null;
+        this.lastSend = 0;
+
+        // Race the server started us in: { map, seed, laps, slot, startAt }
+        this.race = null;
+
+        // Callbacks
+        this.onLobby = null;
+        this.onLoad = null; // (race)
+        this.onGate = null; // ({ id, gate, lap, time, finished }) for every pass the server counted
+        this.onResults = null; // (table, final)
+        this.onRejected = null; // (reason)
+        this.onStatus = null; // (text) connection state and errors
+    }
+
+    load() {
+        const defaults = { server: defaultServerUrl(), name: '', room: 'lobby' };
+        try {
+            return Object.assign(defaults, JSON.parse(localStorage.getItem(SETTINGS_KEY)));
+        } catch (e) {
+            console.warn("Could not load multiplayer settings:", e);
+            return defaults;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            console.warn("Could not save multiplayer settings:", e);
+        }
+    }
+
+    get isConnected() {
+        return this.socket !== null && this.socket.readyState === WebSocket.OPEN && this.id !== null;
+    }
+
+    get isHost() {
+        return this.lobby !== null && this.lobby.host === this.id;
+    }
+
+    serverNow() {
+        return performance.now() + this.clockOffset;
+    }
+
+    connect(server, name, room) {
+        this.disconnect();
+        this.settings = { server: server, name: name, room: room };
+        this.save();
+
+        let socket;
+        try {
+            socket = new WebSocket(server);
+        } catch (e) {
+            this.setStatus('BAD SERVER ADDRESS');
+            return;
+        }
+        this.socket = socket;
+        this.setStatus('CONNECTING...');
+
+        socket.addEventListener('open', () => {
+            this.bestRoundTrip = Infinity;
+            this.ping();
+            this.pingTimer = setInterval(() => this.ping(), PING_INTERVAL);
+            this.send({ type: 'hello', name: name, room: room });
+        });
+        socket.addEventListener('message', (e) => {
+            let message;
+            try {
+                message = JSON.parse(e.data);
+            } catch (error) {
+                return;
+            }
+            this.onMessage(message);
+        });
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return;
+            this.reset();
+            this.setStatus('DISCONNECTED');
+        });
+    }
+
+    disconnect() {
+        if (!this.socket) return;
+        const socket = this.socket;
+        this.reset();
+        socket.close();
+    }
+
+    reset() {
+        clearInterval(this.pingTimer);
+        this.pingTimer = null;
+        this.socket = null;
+        this.id = null;
+        this.lobby = null;
+        this.race = null;
+        this.clearRemotes();
+        if (this.onLobby) this.onLobby(null);
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    setStatus(text) {
+        if (this.onStatus) this.onStatus(text);
+    }
+
+    ping() {
+        this.send({ type: 'ping', t: performance.now() });
+    }
+
+    onMessage(message) {
+        switch (message.type) {
+            case 'pong': {
+                const now = performance.now();
+                const roundTrip = now - message.t;
+                // The server answered about half way through the round trip
+                if (roundTrip <= this.bestRoundTrip) {
+                    this.bestRoundTrip = roundTrip;
+                    this.clockOffset = message.serverTime + roundTrip / 2 - now;
+                }
+                break;
+            }
+            case 'welcome':
+                this.id = message.id;
+                this.setStatus('CONNECTED TO ' + message.room.toUpperCase());
+                break;
+
+            case 'lobby':
+                this.lobby = message;
+                if (message.results) this.results = message.results;
+                // Drop drones of players who left
+                for (const id of this.remotes.keys()) {
+                    if (!message.players.some(p => p.id === id)) this.removeRemote(id);
+                }
+                if (message.state === 'LOBBY') this.race = null;
+                if (this.onLobby) this.onLobby(message);
+                break;
+
+            case 'load':
+                this.race = { map: message.map, seed: message.seed, laps: message.laps, slot: message.slot, startAt: null };
+                this.results = null;
+                this.clearRemotes();
+                if (this.onLoad) this.onLoad(this.race);
+                break;
+
+            case 'countdown':
+                if (!this.race) return;
+                this.race.startAt = message.startAt;
+                break;
+
+            case 'state':
+                if (this.race) this.getRemote(message.id).addSnapshot(message);
+                break;
+
+            case 'gate':
+                if (this.onGate) this.onGate(message);
+                break;
+
+            case 'results':
+                this.results = message.table;
+                if (this.onResults) this.onResults(message.table, message.final);
+                break;
+
+            case 'rejected':
+                if (this.onRejected) this.onRejected(message.reason);
+                break;
+
+            case 'left':
+                this.removeRemote(message.id);
+                break;
+
+            case 'error':
+                this.setStatus(message.message);
+                break;
+        }
+    }
+
+    getPlayerName(id) {
+        const player = this.lobby && this.lobby.players.find(p => p.id === id);
+        return player ? player.name : '?';
+    }
+
+    getRemote(id) {
+        let remote = this.remotes.get(id);
+        if (!remote) {
+            const index = this.lobby ? this.lobby.players.findIndex(p => p.id === id) : 0;
+            remote = new RemoteDrone(this.scene, this.getPlayerName(id), (index * 0.15 + 0.55) % 1);
+            this.remotes.set(id, remote);
+        }
+        return remote;
+    }
+
+    removeRemote(id) {
+        const remote = this.remotes.get(id);
+        if (!remote) return;
+        remote.dispose();
+        this.remotes.delete(id);
+    }
+
+    clearRemotes() {
+        for (const id of this.remotes.keys()) this.removeRemote(id);
+    }
+
+    // Lobby actions
+    setReady(ready) {
+        this.send({ type: 'ready', ready: ready });
+    }
+
+    setup(map, seed) {
+        this.send({ type: 'setup', map: map, seed: seed });
+    }
+
+    start() {
+        this.send({ type: 'start' });
+    }
+
+    // Race: our course once the map is built, then our drone and gates
+    sendLoaded(gates) {
+        this.send({ type: 'loaded', gates: gates.map(gate => gate.position.toArray()) });
+    }
+
+    sendState(drone, force = false) {
+        const now = performance.now();
+        if (!force && now - this.lastSend < SEND_INTERVAL) return;
+        this.lastSend = now;
+        this.send({ type: 'state', p: drone.position.toArray(), q: drone.quaternion.toArray() });
+    }
+
+    // The server checks the pass against our latest position, so that goes first
+    sendGate(gate, drone) {
+        this.sendState(drone, true);
+        this.send({ type: 'gate', gate: gate });
+    }
+
+    retire() {
+        if (this.race) this.send({ type: 'retire' });
+        this.race = null;
+        this.clearRemotes();
+    }
+
+    // Places the other drones for this frame
+    update() {
+        const time = this.serverNow() - INTERP_DELAY;
+        this.remotes.forEach(remote => remote.update(time));
+    }
+}
@@ -0,0 +1,126 @@
+import { Drone } from './physics.js';
+import { AIPilot } from './autopilot.js';
+
+const STORAGE_KEY = 'fpv-sim.opponents';
+export const MAX_OPPONENTS = 5;
+const NAMES = ['AI ACE', 'AI BOLT', 'AI NOVA', 'AI VIPER', 'AI ZIP'];
+const PACES = [1, 0.96, 0.92, 0.88, 0.84]; // Fraction of the autopilot's full speed
+
+// AI drones racing the player in single player, each flying its own race
+// on the same course. They take off when the player arms.
+// Gates and start poses as they are now. The editor moves gates in place,
+// so the array alone doesn't tell a changed course.
+function courseKey(gates, spawns) {
+    return JSON.stringify([
+        gates.map(gate => [gate.position.toArray(), gate.rotation.y]),
+        spawns.map(spawn => [spawn.position.toArray(), spawn.yaw])
+    ]);
+}
+
+export class Opponents {
+    constructor(scene) {
+        this.scene = scene;
+        this.pilots = []; // { name, pilot }
+        this.gates = null; // Course the pilots were set up for, see setup()
+        this.courseKey = null;
+        this.started = false;
+        // Called with the pilot's name when one of them finishes
+        this.onFinish = null;
+
+        this.count = 0;
+        try {
+            const saved = parseInt(localStorage.getItem(STORAGE_KEY), 10);
+            if (saved >= 0 && saved <= MAX_OPPONENTS) this.count = saved;
+        } catch (e) {
+            console.warn("Could not load the opponent count:", e);
+        }
+    }
+
+    setCount(count) {
+        this.count = count;
+        try {
+            localStorage.setItem(STORAGE_KEY, String(count));
+        } catch (e) {
+            console.warn("Could not save the opponent count:", e);
+        }
+    }
+
+    // A pilot for each of `spawns` (start poses), up to the chosen count.
+    // On the same course as last time the pilots are only reset.
+    setup(gates, spawns) {
+        spawns = spawns.slice(0, this.count);
+        const key = courseKey(gates, spawns);
+        if (this.pilots.length > 0 && gates === this.gates && key === this.courseKey) {
+            this.reset();
+            return;
+        }
+
+        this.clear();
+        if (gates.length === 0) return;
+        this.gates = gates;
+        this.courseKey = key;
+
+        spawns.forEach((spawn, i) => {
+            const drone = new Drone(this.scene);
+            // Spread around the colour wheel, away from the player's red
+            drone.bodyMaterial.color.setHSL(0.15 + i / MAX_OPPONENTS * 0.7, 0.8, 0.5);
+            const pilot = new AIPilot(drone, { gates: gates, spawn: spawn }, { pace: PACES[i] });
+            this.pilots.push({ name: NAMES[i], pilot: pilot });
+        });
+        this.reset();
+    }
+
+    clear() {
+        this.pilots.forEach(({ pilot }) => pilot.drone.dispose());
+        this.pilots = [];
+        this.gates = null;
+        this.courseKey = null;
+        this.started = false;
+    }
+
+    // Back on the grid, waiting for the start
+    reset() {
+        this.started = false;
+        this.pilots.forEach(({ pilot }) => {
+            pilot.reset();
+            pilot.drone.syncMesh(1);
+        });
+    }
+
+    start() {
+        this.started = true;
+        this.pilots.forEach(({ pilot }) => pilot.start());
+    }
+
+    // Some still on the course
+    get isRacing() {
+        return this.started && this.pilots.some(({ pilot }) => !pilot.isFinished);
+    }
+
+    update(dt, world, wind) {
+        if (!this.started) return;
+        this.pilots.forEach(({ name, pilot }) => {
+            const finished = pilot.isFinished;
+            pilot.step(dt, world, wind);
+            if (!finished && pilot.isFinished && this.onFinish) this.onFinish(name);
+        });
+    }
+
+    syncMesh(alpha) {
+        this.pilots.forEach(({ pilot }) => pilot.drone.syncMesh(alpha));
+    }
+
+    // Rows for renderRaceTable, as the multiplayer server reports them
+    getResults() {
+        return this.pilots.map(({ name, pilot }) => {
+            const race = pilot.race;
+            return {
+                name: name,
+                status: race.state === 'FINISHED' ? 'FINISHED' : 'RACING',
+                time: race.state === 'FINISHED' ? race.time : null,
+                lap: Math.max(race.lap, 1),
+                bestLap: race.lapTimes.length > 0 ? Math.min(...race.lapTimes) : null
+            };
+        });
+    }
+}
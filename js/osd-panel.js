@@ -0,0 +1,61 @@
+import { OSD_ELEMENTS } from './osd.js';
+
+// OSD settings: which elements to show and how to draw them. While the
+// panel is open the OSD elements can be dragged into place.
+export class OSDPanel {
+    constructor(osd) {
+        this.osd = osd;
+        this.isOpen = false;
+        this.onClose = null;
+
+        this.el = document.getElementById('osd-panel');
+        this.modeSelect = document.getElementById('osd-mode');
+
+        this.buildList();
+        this.setupEvents();
+    }
+
+    buildList() {
+        const list = document.getElementById('osd-elements');
+        for (const id in OSD_ELEMENTS) {
+            const row = document.createElement('label');
+            row.className = 'osd-panel-row';
+            row.innerHTML = '<input type="checkbox" id="osd-enable-' + id + '"> ' + OSD_ELEMENTS[id].label.toUpperCase();
+            list.appendChild(row);
+
+            row.querySelector('input').addEventListener('change', (e) => {
+                this.osd.setEnabled(id, e.target.checked);
+            });
+        }
+    }
+
+    setupEvents() {
+        this.modeSelect.addEventListener('change', () => this.osd.setMode(this.modeSelect.value));
+        document.getElementById('btn-osd-reset').addEventListener('click', () => {
+            this.osd.resetLayout();
+            this.render();
+        });
+        document.getElementById('btn-osd-back').addEventListener('click', () => this.close());
+    }
+
+    open() {
+        this.isOpen = true;
+        this.el.style.display = 'flex';
+        this.osd.setEditing(true);
+        this.render();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.el.style.display = 'none';
+        this.osd.setEditing(false);
+        if (this.onClose) this.onClose();
+    }
+
+    render() {
+        this.modeSelect.value = this.osd.layout.mode;
+        for (const id in OSD_ELEMENTS) {
+            document.getElementById('osd-enable-' + id).checked = this.osd.layout.elements[id].enabled;
+        }
+    }
+}
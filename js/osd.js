@@ -0,0 +1,337 @@
+import * as THREE from 'three';
+
+// Betaflight style on screen display. Every element can be switched on or
+// off and moved; the layout is kept in localStorage. It is drawn either as
+// DOM elements over the canvas, or into a 2D canvas that is composited into
+// the FPV image itself.
+
+const STORAGE_KEY = 'fpv-sim.osd';
+const FONT_SIZE = 16; // px
+const HORIZON_WIDTH = 240; // px
+
+const ARROWS = ['↑', '↗', '→', '↘', '↓', '↙', '←', '↖'];
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function formatTimer(seconds) {
+    const s = Math.floor(seconds);
+    return pad(Math.floor(s / 60)) + ':' + pad(s % 60);
+}
+
+// Compass tape around the heading: N/E/S/W, + every 45 degrees, . between
+function compassTape(heading) {
+    let tape = '';
+    for (let k = -6; k <= 6; k++) {
+        const angle = ((Math.round(heading / 15) + k) * 15 + 360) % 360;
+        if (angle % 90 === 0) tape += 'NESW'[angle / 90];
+        else if (angle % 45 === 0) tape += '+';
+        else tape += '.';
+    }
+    return tape;
+}
+
+// Element id -> label for the settings, default position (fraction of the
+// screen, element center) and the text it shows. Graphic elements draw
+// themselves instead.
+export const OSD_ELEMENTS = {
+    crosshair: { label: 'Crosshair', x: 0.5, y: 0.5, graphic: true },
+    horizon: { label: 'Artificial horizon', x: 0.5, y: 0.5, graphic: true },
+    heading: {
+        label: 'Heading', x: 0.5, y: 0.06,
+        text: t => compassTape(t.heading) + '\n' + String(Math.round(t.heading) % 360).padStart(3, '0')
+    },
+    mode: { label: 'Flight mode', x: 0.08, y: 0.2, text: t => t.mode === 'LEVEL' ? 'ANGL' : 'ACRO' },
+    arm: { label: 'Arm state', x: 0.08, y: 0.25, text: t => t.armState },
+    speed: { label: 'Speed', x: 0.2, y: 0.5, text: t => Math.round(t.speed * 3.6) + 'KM/H' },
+    altitude: { label: 'Altitude', x: 0.8, y: 0.47, text: t => 'ALT ' + t.altitude.toFixed(1) + 'M' },
+    vspeed: {
+        label: 'Vertical speed', x: 0.8, y: 0.53,
+        text: t => (t.verticalSpeed >= 0 ? '↑' : '↓') + Math.abs(t.verticalSpeed).toFixed(1) + 'M/S'
+    },
+    throttle: { label: 'Throttle', x: 0.08, y: 0.86, text: t => 'THR ' + Math.round(t.throttle * 100) },
+    battery: {
+        label: 'Battery', x: 0.1, y: 0.92,
+        text: t => t.voltage.toFixed(1) + 'V ' + t.cellVoltage.toFixed(2) + 'V/C ' + Math.round(t.used) + 'MAH'
+    },
+    home: {
+        label: 'Home distance', x: 0.5, y: 0.92,
+        text: t => ARROWS[t.homeArrow] + ' ' + Math.round(t.homeDistance) + 'M'
+    },
+    wind: {
+        label: 'Wind', x: 0.9, y: 0.2,
+        text: t => 'WIND ' + t.windSpeed.toFixed(1) + 'M/S ' + (t.windSpeed > 0.05 ? ARROWS[t.windArrow] : '')
+    },
+    timer: { label: 'Flight timer', x: 0.9, y: 0.92, text: t => 'FLY ' + formatTimer(t.flightTime) },
+    props: { label: 'Prop health', x: 0.9, y: 0.86, text: t => 'PROPS ' + t.props.map(p => Math.round(p * 100)).join(' ') },
+    warnings: { label: 'Warnings', x: 0.5, y: 0.35, text: t => t.warnings.join('\n') }
+};
+
+export const DEFAULT_LAYOUT = {
+    mode: 'dom', // 'dom' (overlay) or 'canvas' (in the FPV view)
+    elements: Object.fromEntries(Object.keys(OSD_ELEMENTS).map(id => [id, {
+        enabled: true,
+        x: OSD_ELEMENTS[id].x,
+        y: OSD_ELEMENTS[id].y
+    }]))
+};
+
+function readFraction(value, fallback) {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.min(Math.max(n, 0), 1) : fallback;
+}
+
+// Defaults for anything missing, positions kept on screen
+export function normalizeLayout(data) {
+    const layout = JSON.parse(JSON.stringify(DEFAULT_LAYOUT));
+    if (!data || typeof data !== 'object') return layout;
+
+    if (data.mode === 'dom' || data.mode === 'canvas') layout.mode = data.mode;
+    for (const id in layout.elements) {
+        const saved = data.elements && data.elements[id];
+        if (!saved) continue;
+        const element = layout.elements[id];
+        element.enabled = saved.enabled !== false;
+        element.x = readFraction(saved.x, element.x);
+        element.y = readFraction(saved.y, element.y);
+    }
+    return layout;
+}
+
+export class OSD {
+    constructor(container) {
+        this.container = container;
+        this.layout = this.load();
+        this.editing = false; // Layout editor open: DOM elements, draggable
+        this.telemetry = null;
+        this.onLayoutChange = null;
+
+        // DOM renderer
+        this.elements = {};
+        for (const id in OSD_ELEMENTS) {
+            const el = document.createElement('div');
+            el.className = 'osd-el osd-' + id;
+            if (id === 'horizon') el.innerHTML = '<div class="osd-horizon-line"></div>';
+            el.addEventListener('pointerdown', (e) => this.startDrag(id, e));
+            this.container.appendChild(el);
+            this.elements[id] = el;
+        }
+
+        // Canvas renderer: a screen sized quad drawn over the 3D view
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.colorSpace = THREE.SRGBColorSpace;
+        this.overlayScene = new THREE.Scene();
+        this.overlayCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.overlayScene.add(new THREE.Mesh(
+            new THREE.PlaneGeometry(2, 2),
+            new THREE.MeshBasicMaterial({ map: this.texture, transparent: true, depthTest: false })
+        ));
+        this.resize(window.innerWidth, window.innerHeight);
+
+        this.dragging = null;
+        window.addEventListener('pointermove', (e) => this.onDrag(e));
+        window.addEventListener('pointerup', () => this.endDrag());
+
+        this.applyLayout();
+    }
+
+    load() {
+        try {
+            return normalizeLayout(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+        } catch (e) {
+            console.warn("Could not load OSD layout:", e);
+            return normalizeLayout(null);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.layout));
+        } catch (e) {
+            console.warn("Could not save OSD layout:", e);
+        }
+    }
+
+    setMode(mode) {
+        this.layout.mode = mode;
+        this.save();
+        this.applyLayout();
+    }
+
+    setEnabled(id, enabled) {
+        this.layout.elements[id].enabled = enabled;
+        this.save();
+        this.applyLayout();
+    }
+
+    resetLayout() {
+        this.layout = normalizeLayout({ mode: this.layout.mode });
+        this.save();
+        this.applyLayout();
+    }
+
+    setEditing(editing) {
+        this.editing = editing;
+        this.applyLayout();
+    }
+
+    // The layout editor always works on the DOM elements
+    get usesCanvas() {
+        return this.layout.mode === 'canvas' && !this.editing;
+    }
+
+    applyLayout() {
+        this.container.classList.toggle('editing', this.editing);
+        this.container.style.display = this.usesCanvas ? 'none' : 'block';
+
+        for (const id in this.elements) {
+            const config = this.layout.elements[id];
+            const el = this.elements[id];
+            el.style.display = config.enabled ? 'block' : 'none';
+            el.style.left = (config.x * 100) + '%';
+            el.style.top = (config.y * 100) + '%';
+        }
+
+        if (this.telemetry) this.update(this.telemetry);
+        if (this.onLayoutChange) this.onLayoutChange();
+    }
+
+    resize(width, height) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+        if (this.telemetry) this.update(this.telemetry);
+    }
+
+    update(telemetry) {
+        this.telemetry = telemetry;
+        if (this.usesCanvas) this.drawCanvas(telemetry);
+        else this.updateDOM(telemetry);
+    }
+
+    // Screen offset of the horizon line for the current pitch (px), as
+    // seen through the tilted FPV camera
+    getHorizonOffset(telemetry, height) {
+        const halfFov = THREE.MathUtils.degToRad(telemetry.fov) / 2;
+        const angle = THREE.MathUtils.clamp(telemetry.pitch + telemetry.uptilt, -halfFov, halfFov);
+        return Math.tan(angle) / Math.tan(halfFov) * height / 2;
+    }
+
+    updateDOM(t) {
+        for (const id in OSD_ELEMENTS) {
+            if (!this.layout.elements[id].enabled) continue;
+            const def = OSD_ELEMENTS[id];
+            if (def.text) {
+                this.elements[id].innerText = def.text(t);
+                this.elements[id].classList.toggle('warning', id === 'warnings' && t.critical);
+            }
+        }
+
+        const line = this.elements.horizon.firstChild;
+        line.style.transform = 'translateY(' + this.getHorizonOffset(t, window.innerHeight) + 'px) rotate(' +
+            THREE.MathUtils.radToDeg(t.roll) + 'deg)';
+    }
+
+    drawCanvas(t) {
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        ctx.clearRect(0, 0, w, h);
+
+        ctx.font = 'bold ' + FONT_SIZE + 'px Courier New, monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = '#000';
+
+        for (const id in OSD_ELEMENTS) {
+            const config = this.layout.elements[id];
+            if (!config.enabled) continue;
+            const x = config.x * w;
+            const y = config.y * h;
+
+            if (id === 'crosshair') {
+                this.drawCrosshair(ctx, x, y);
+            } else if (id === 'horizon') {
+                this.drawHorizon(ctx, x, y + this.getHorizonOffset(t, h), t.roll);
+            } else {
+                // Warnings blink like the firmware does
+                if (id === 'warnings' && t.critical && Math.floor(performance.now() / 250) % 2) continue;
+                ctx.fillStyle = id === 'warnings' ? (t.critical ? '#ff4444' : '#ffaa00') : '#fff';
+
+                const lines = OSD_ELEMENTS[id].text(t).split('\n');
+                lines.forEach((line, i) => {
+                    const ly = y + (i - (lines.length - 1) / 2) * FONT_SIZE * 1.2;
+                    ctx.strokeText(line, x, ly);
+                    ctx.fillText(line, x, ly);
+                });
+            }
+        }
+
+        this.texture.needsUpdate = true;
+    }
+
+    drawCrosshair(ctx, x, y) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(x, y, 5, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = 3;
+    }
+
+    drawHorizon(ctx, x, y, roll) {
+        const half = HORIZON_WIDTH / 2;
+        const gap = HORIZON_WIDTH * 0.1;
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(roll);
+        ctx.beginPath();
+        ctx.moveTo(-half, 0);
+        ctx.lineTo(-gap, 0);
+        ctx.moveTo(gap, 0);
+        ctx.lineTo(half, 0);
+        ctx.stroke();
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Draws the canvas OSD over what the renderer just drew
+    renderOverlay(renderer) {
+        if (!this.usesCanvas || !this.telemetry) return;
+
+        const autoClear = renderer.autoClear;
+        renderer.autoClear = false;
+        renderer.clearDepth();
+        renderer.render(this.overlayScene, this.overlayCamera);
+        renderer.autoClear = autoClear;
+    }
+
+    startDrag(id, e) {
+        if (!this.editing) return;
+        e.preventDefault();
+        this.dragging = id;
+    }
+
+    onDrag(e) {
+        if (!this.dragging) return;
+        const config = this.layout.elements[this.dragging];
+        config.x = readFraction(e.clientX / window.innerWidth, config.x);
+        config.y = readFraction(e.clientY / window.innerHeight, config.y);
+        this.elements[this.dragging].style.left = (config.x * 100) + '%';
+        this.elements[this.dragging].style.top = (config.y * 100) + '%';
+    }
+
+    endDrag() {
+        if (!this.dragging) return;
+        this.dragging = null;
+        this.save();
+    }
+}
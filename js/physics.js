@@ -1,48 +1,116 @@
 import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DroneSim, DUCT_SIZE } from './drone-sim.js';
 
-export class Drone {
+// Models are drawn at about 2.7 times the frame's real size, so the quad
+// still reads from the chase and line of sight views
+const MODEL_SCALE = 0.3 / 0.11;
+
+const loader = new GLTFLoader();
+const gltfScenes = new Map(); // Path -> promise of the loaded scene, shared by every drone
+
+function loadModel(path) {
+    if (!gltfScenes.has(path)) gltfScenes.set(path, loader.loadAsync(path).then(gltf => gltf.scene));
+    return gltfScenes.get(path);
+}
+
+// The quad in the scene: DroneSim does the flying, this adds the mesh and the
+// FPV camera that follow it
+export class Drone extends DroneSim {
     constructor(scene) {
-        this.mesh = this.createDroneMesh();
+        super();
+        this.opacity = 1;
+        this.mesh = new THREE.Group();
+        this.buildModel();
         scene.add(this.mesh);
+        this.syncMesh(1);
+    }
+
+    applyAirframe(airframe) {
+        super.applyAirframe(airframe);
+        this.cameraOffset = new THREE.Vector3().fromArray(airframe.camera);
+        // The constructor builds the first model once the mesh exists
+        if (this.mesh) this.buildModel();
+    }
+
+    // Frame sized from the airframe, or its glTF model from assets/ once loaded
+    buildModel() {
+        const airframe = this.airframe;
+        this.setModel(this.createDroneMesh(airframe));
+
+        const path = airframe.model.gltf;
+        if (!path) return;
+        loadModel(path).then(scene => {
+            // Still the same airframe when it arrives, and not disposed
+            if (this.airframe !== airframe || !this.model) return;
+            const model = scene.clone();
+            model.scale.setScalar(MODEL_SCALE);
+            this.bodyMaterial = null;
+            this.setModel(model);
+        }).catch(e => console.warn("Could not load drone model " + path + ":", e));
+    }
 
-        // Physics state
-        this.velocity = new THREE.Vector3();
-        this.angularVelocity = new THREE.Vector3();
-        this.rotation = new THREE.Euler(0, 0, 0, 'YXZ');
-
-        // Configuration
-        this.maxThrust = 30.0; // m/s^2
-        this.mass = 0.5; // kg
-        this.drag = 0.5; // Air resistance
-        this.angularDrag = 6.0; // Higher drag for snappier feel (was 4.0)
-        this.acroRate = 8.0; // Rad/s for full stick in Acro (was 5.0) - Faster flips
-        this.angleRate = 0.78; // Max angle in radians for Level mode (~45 degrees)
-        this.levelStrength = 15.0; // How fast it self-levels (was 10.0) - Snappier level
-        this.gravity = -9.81;
-
-        this.mode = 'ACRO'; // ACRO or LEVEL
-
-        // Collision
-        this.raycaster = new THREE.Raycaster();
-        this.collisionRadius = 0.5;
+    setModel(model) {
+        if (this.model) this.disposeModel();
+        this.model = model;
+        this.mesh.add(model);
+        this.setOpacity(this.opacity);
     }
 
-    setMode(mode) {
-        this.mode = mode;
-        console.log("Flight Mode: " + mode);
+    disposeModel() {
+        this.mesh.remove(this.model);
+        // The built frame is ours alone, glTF models share all but the
+        // see-through copies of their materials
+        const built = this.model.userData.built;
+        this.model.traverse(child => {
+            if (built && child.geometry) child.geometry.dispose();
+            if (child.material && (built || child.material.userData.ownCopy)) child.material.dispose();
+        });
     }
 
-    createDroneMesh() {
+    // Out of the scene for good, with its model freed
+    dispose() {
+        if (this.mesh.parent) this.mesh.parent.remove(this.mesh);
+        if (this.model) this.disposeModel();
+        this.model = null;
+    }
+
+    // See-through for ghosts. The built frame's materials are changed as
+    // they are, those of shared glTF models are copied first.
+    setOpacity(opacity) {
+        this.opacity = opacity;
+        if (opacity === 1) return;
+        const built = this.model.userData.built;
+        const copies = new Map(); // Original -> copy, shared between meshes like the original
+        this.model.traverse(child => {
+            if (!child.material) return;
+            if (!built && !child.material.userData.ownCopy) {
+                if (!copies.has(child.material)) {
+                    const copy = child.material.clone();
+                    copy.userData.ownCopy = true;
+                    copies.set(child.material, copy);
+                }
+                child.material = copies.get(child.material);
+            }
+            child.material.transparent = true;
+            child.material.opacity = opacity;
+            child.material.depthWrite = false;
+        });
+    }
+
+    // Body, arms and props in the frame's real size, ducted or not
+    createDroneMesh(airframe) {
         const group = new THREE.Group();
+        const arm = airframe.armLength;
 
         // Body
-        const geometry = new THREE.BoxGeometry(0.3, 0.1, 0.3);
-        const material = new THREE.MeshStandardMaterial({ color: 0xff0000 });
-        const body = new THREE.Mesh(geometry, material);
+        const geometry = new THREE.BoxGeometry(arm, arm / 3, arm);
+        this.bodyMaterial = new THREE.MeshStandardMaterial({ color: airframe.model.color });
+        const body = new THREE.Mesh(geometry, this.bodyMaterial);
         group.add(body);
 
-        // Arms (visual only)
-        const armGeo = new THREE.BoxGeometry(0.6, 0.05, 0.05);
+        // Arms, motor to motor
+        const armGeo = new THREE.BoxGeometry(2 * arm, arm / 6, arm / 6);
         const armMat = new THREE.MeshStandardMaterial({ color: 0x333333 });
         const arm1 = new THREE.Mesh(armGeo, armMat);
         arm1.rotation.y = Math.PI / 4;
@@ -52,124 +120,51 @@ export class Drone {
         arm2.rotation.y = -Math.PI / 4;
         group.add(arm2);
 
-        // Initial position
-        group.position.set(0, 2, 0);
+        // Prop discs, in a duct on whoops
+        const propGeo = new THREE.CylinderGeometry(this.propRadius, this.propRadius, arm / 40, 24);
+        const propMat = new THREE.MeshStandardMaterial({ color: 0xcccccc, transparent: true, opacity: 0.3, depthWrite: false });
+        const ductGeo = new THREE.TorusGeometry(this.propRadius * DUCT_SIZE, this.propRadius * 0.08, 6, 24);
+        for (const motor of this.motors) {
+            const prop = new THREE.Mesh(propGeo, propMat);
+            prop.position.copy(motor.position).setY(arm / 12);
+            group.add(prop);
+
+            if (airframe.ducts) {
+                const duct = new THREE.Mesh(ductGeo, armMat);
+                duct.position.copy(prop.position);
+                duct.rotation.x = Math.PI / 2;
+                group.add(duct);
+            }
+        }
 
+        group.scale.setScalar(MODEL_SCALE);
+        group.userData.built = true;
         return group;
     }
 
-    update(dt, input, collidables = []) {
-        // 1. Rotation Logic
-
-        if (this.mode === 'ACRO') {
-            // Rate mode: Stick = Angular Velocity
-            const targetAngularVel = new THREE.Vector3(
-                input.pitch * this.acroRate,
-                input.yaw * this.acroRate,
-                input.roll * this.acroRate
-            );
-            this.angularVelocity.lerp(targetAngularVel, dt * 10);
-        } else {
-            // Level mode: Stick = Target Angle
-            // We calculate the error between current angle and target angle
-            // and apply angular velocity proportional to that error (P controller)
-
-            // Current Euler angles
-            const currentEuler = new THREE.Euler().setFromQuaternion(this.mesh.quaternion, 'YXZ');
-
-            // Target angles (Yaw is still rate-based usually, but let's keep it simple)
-            // Actually in Level mode, Yaw is usually rate, Pitch/Roll are angle.
-
-            const targetPitch = input.pitch * this.angleRate;
-            const targetRoll = input.roll * this.angleRate;
-
-            // Calculate error
-            // Note: This is a simplification. For full 3D rotation we should use Quaternions,
-            // but for small angles this works okay.
-            const pitchError = targetPitch - currentEuler.x;
-            const rollError = targetRoll - currentEuler.z;
-
-            // Apply correction to angular velocity
-            this.angularVelocity.x = pitchError * this.levelStrength;
-            this.angularVelocity.z = rollError * this.levelStrength;
-
-            // Yaw is still rate based
-            this.angularVelocity.y = input.yaw * this.acroRate;
-        }
-
-        // Apply rotation
-        this.mesh.rotateX(this.angularVelocity.x * dt);
-        this.mesh.rotateY(this.angularVelocity.y * dt);
-        this.mesh.rotateZ(this.angularVelocity.z * dt);
-
-        // Damping (Angular Drag) - mainly for Acro to stop spinning when stick released
-        if (this.mode === 'ACRO') {
-            // Already handled by lerp to target (which is 0 if stick is 0)
-        }
-
-        // 2. Thrust
-        // Thrust vector is always local UP relative to the drone
-        const thrustForce = new THREE.Vector3(0, 1, 0);
-        thrustForce.applyQuaternion(this.mesh.quaternion);
-        thrustForce.multiplyScalar(input.thrust * this.maxThrust);
-
-        // 3. Linear Physics (Euler integration)
-        const acceleration = new THREE.Vector3(0, this.gravity, 0); // Gravity
-        acceleration.add(thrustForce); // Thrust
-
-        // Drag (air resistance)
-        const dragForce = this.velocity.clone().multiplyScalar(-this.drag);
-        acceleration.add(dragForce);
-
-        // Update velocity
-        this.velocity.add(acceleration.clone().multiplyScalar(dt));
-
-        // Check for collisions BEFORE moving
-        if (collidables.length > 0 && this.velocity.length() > 0.1) {
-            const direction = this.velocity.clone().normalize();
-            this.raycaster.set(this.mesh.position, direction);
-
-            // Look ahead based on speed (at least collisionRadius)
-            const lookAhead = Math.max(this.collisionRadius, this.velocity.length() * dt * 2);
-
-            const intersects = this.raycaster.intersectObjects(collidables, true);
-
-            if (intersects.length > 0 && intersects[0].distance < lookAhead) {
-                // CRASH!
-                console.log("CRASH!");
-
-                // Simple crash response: Stop and bounce back slightly
-                this.velocity.multiplyScalar(-0.5);
-
-                // Add some random spin for effect
-                this.angularVelocity.set(
-                    (Math.random() - 0.5) * 10,
-                    (Math.random() - 0.5) * 10,
-                    (Math.random() - 0.5) * 10
-                );
-            }
-        }
+    respawn(position, yaw = 0) {
+        super.respawn(position, yaw);
+        this.syncMesh(1);
+    }
 
-        // Update position
-        this.mesh.position.add(this.velocity.clone().multiplyScalar(dt));
+    loadState(state) {
+        super.loadState(state);
+        this.syncMesh(1);
+    }
 
-        // Ground collision (simple floor at y=0)
-        if (this.mesh.position.y < 0.2) {
-            this.mesh.position.y = 0.2;
-            this.velocity.y = Math.max(0, this.velocity.y * -0.5); // Bounce
-            this.velocity.x *= 0.8; // Friction
-            this.velocity.z *= 0.8;
-        }
+    // Place the mesh between the previous and current physics step
+    syncMesh(alpha) {
+        this.mesh.position.lerpVectors(this.prevPosition, this.position, alpha);
+        this.mesh.quaternion.slerpQuaternions(this.prevQuaternion, this.quaternion, alpha);
     }
 
-    updateCamera(camera) {
-        // FPV Camera position: slightly in front/above center
-        const offset = new THREE.Vector3(0, 0.1, -0.2);
+    // FPV camera: where the airframe has it, tilted up by `uptilt` (rad)
+    updateCamera(camera, uptilt = 0) {
+        const offset = this.cameraOffset.clone();
         offset.applyQuaternion(this.mesh.quaternion);
 
         camera.position.copy(this.mesh.position).add(offset);
-        camera.quaternion.copy(this.mesh.quaternion);
-
-        // Optional: Add camera tilt based on speed or pitch for more "feel"
+        camera.quaternion.copy(this.mesh.quaternion)
+            .multiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), uptilt));
     }
 }
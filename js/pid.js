@@ -0,0 +1,69 @@
+// Scale factors from Betaflight's pid.h so gains typed in Betaflight units land in
+// the same range here. Feedforward works on the setpoint derivative (deg/s^2),
+// hence the extra 1/100.
+const PTERM_SCALE = 0.032029;
+const ITERM_SCALE = 0.244381;
+const DTERM_SCALE = 0.000529;
+const FEEDFORWARD_SCALE = 0.013754 / 100;
+
+const PID_SUM_LIMIT = 500; // Output units that map to a full motor mix command
+const ITERM_LIMIT = 400;
+
+export class PIDController {
+    constructor(p = 0, i = 0, d = 0, f = 0) {
+        this.p = p;
+        this.i = i;
+        this.d = d;
+        this.f = f;
+
+        this.dtermCutoff = 100; // Hz, low pass on the D term
+
+        this.reset();
+    }
+
+    setGains(gains) {
+        this.p = gains.p;
+        this.i = gains.i;
+        this.d = gains.d;
+        this.f = gains.f;
+    }
+
+    reset() {
+        this.iterm = 0;
+        this.dterm = 0;
+        this.prevMeasurement = null;
+        this.prevSetpoint = null;
+    }
+
+    // setpoint and measurement in deg/s, returns the axis command -1..1
+    update(setpoint, measurement, dt) {
+        const error = setpoint - measurement;
+
+        const pterm = this.p * PTERM_SCALE * error;
+
+        // D on measurement so setpoint steps don't kick (feedforward handles those)
+        let dterm = 0;
+        let fterm = 0;
+        if (this.prevMeasurement !== null) {
+            const rawD = -this.d * DTERM_SCALE * (measurement - this.prevMeasurement) / dt;
+            const alpha = 1 - Math.exp(-2 * Math.PI * this.dtermCutoff * dt);
+            this.dterm += (rawD - this.dterm) * alpha;
+            dterm = this.dterm;
+
+            fterm = this.f * FEEDFORWARD_SCALE * (setpoint - this.prevSetpoint) / dt;
+        }
+        this.prevMeasurement = measurement;
+        this.prevSetpoint = setpoint;
+
+        // Anti-windup: stop integrating while the output is saturated in the
+        // direction of the error (the motors can't do more anyway)
+        const sum = pterm + this.iterm + dterm + fterm;
+        const saturated = Math.abs(sum) >= PID_SUM_LIMIT && Math.sign(sum) === Math.sign(error);
+        if (!saturated) {
+            this.iterm += this.i * ITERM_SCALE * error * dt;
+            this.iterm = Math.min(Math.max(this.iterm, -ITERM_LIMIT), ITERM_LIMIT);
+        }
+
+        return Math.min(Math.max(sum / PID_SUM_LIMIT, -1), 1);
+    }
+}
@@ -0,0 +1,227 @@
+import * as THREE from 'three';
+
+const GATE_COLOR = 0xffd700;
+const GATE_EMISSIVE = 0xffaa00;
+const NEXT_GATE_COLOR = 0x00ff66;
+
+// Scratch vectors for the gate crossing test
+const localPrev = new THREE.Vector3();
+const localCurr = new THREE.Vector3();
+
+// Returns the fraction [0, 1] of the step from prevPosition to position
+// where it went through the gate opening in the flight direction (local -Z),
+// or null
+export function crossGate(gate, prevPosition, position) {
+    const local0 = gate.worldToLocal(localPrev.copy(prevPosition));
+    const local1 = gate.worldToLocal(localCurr.copy(position));
+
+    if (!(local0.z >= 0 && local1.z < 0)) return null;
+
+    const t = local0.z / (local0.z - local1.z);
+    const x = local0.x + (local1.x - local0.x) * t;
+    const y = local0.y + (local1.y - local0.y) * t;
+
+    const opening = gate.userData.gate.opening;
+    if (Math.abs(x) > opening || Math.abs(y) > opening) return null;
+
+    return t;
+}
+
+// Colours gate `next` as the one to fly through, the others plain (-1: none)
+export function highlightGate(gates, next) {
+    gates.forEach((gate, i) => {
+        const material = gate.userData.gate.material;
+        const isNext = i === next;
+
+        material.color.setHex(isNext ? NEXT_GATE_COLOR : GATE_COLOR);
+        material.emissive.setHex(isNext ? NEXT_GATE_COLOR : GATE_EMISSIVE);
+        material.emissiveIntensity = isNext ? 1.0 : 0.5;
+    });
+}
+
+export class RaceManager {
+    constructor() {
+        this.gates = [];
+        this.laps = 3;
+        this.mapKey = null;
+
+        // Best results for the current map (kept across restarts)
+        this.bestRun = null; // { time, splits: [] }
+        this.bestLap = null;
+
+        // Called with the run result when the last lap is completed
+        this.onFinish = null;
+        // Called with 'start', 'gate' or 'lap' for every other gate passed
+        this.onGate = null;
+        // Colour the next gate. Off for races that aren't the player's (AI pilots).
+        this.highlightGates = true;
+
+        this.reset();
+    }
+
+    setup(gates, mapKey) {
+        this.gates = gates;
+
+        // Best times only make sense on the same course
+        if (mapKey !== this.mapKey) {
+            this.mapKey = mapKey;
+            this.bestRun = null;
+            this.bestLap = null;
+        }
+
+        this.reset();
+    }
+
+    reset() {
+        // WAITING: timer starts on the first pass through gate 0
+        // RACING: timer running
+        // FINISHED: all laps done
+        this.state = 'WAITING';
+        this.nextGate = 0;
+        this.lap = 0;
+        this.time = 0;
+        this.lapStart = 0;
+        this.lapTimes = [];
+        this.splits = []; // Run time at every gate passed since the start
+        this.lastDelta = null; // Split delta against the best run (seconds, negative = faster)
+
+        this.updateHighlight();
+    }
+
+    update(dt, prevPosition, position) {
+        if (this.gates.length === 0 || this.state === 'FINISHED') return;
+
+        if (this.state === 'RACING') {
+            this.time += dt;
+        }
+
+        const gate = this.gates[this.nextGate];
+        const t = crossGate(gate, prevPosition, position);
+        if (t !== null) {
+            // Time of the actual crossing inside this step
+            this.passGate(this.time - (1 - t) * dt);
+        }
+    }
+
+    passGate(time) {
+        if (this.state === 'WAITING') {
+            // Start line. The clock wasn't running yet, so `time` is minus the part of the
+            // step flown after the crossing
+            this.state = 'RACING';
+            this.time = -time;
+            this.lap = 1;
+            this.lapStart = 0;
+            this.advance();
+            if (this.onGate) this.onGate('start');
+            return;
+        }
+
+        this.splits.push(time);
+
+        const best = this.bestRun ? this.bestRun.splits[this.splits.length - 1] : undefined;
+        this.lastDelta = best !== undefined ? time - best : null;
+
+        const lap = this.nextGate === 0;
+        if (lap) {
+            this.completeLap(time);
+            if (this.state === 'FINISHED') return;
+        }
+
+        this.advance();
+        if (this.onGate) this.onGate(lap ? 'lap' : 'gate');
+    }
+
+    completeLap(time) {
+        const lapTime = time - this.lapStart;
+        this.lapTimes.push(lapTime);
+        this.lapStart = time;
+
+        if (this.bestLap === null || lapTime < this.bestLap) {
+            this.bestLap = lapTime;
+        }
+
+        if (this.lap >= this.laps) {
+            this.finish(time);
+        } else {
+            this.lap++;
+        }
+    }
+
+    finish(time) {
+        this.state = 'FINISHED';
+        this.time = time;
+
+        const result = {
+            time: time,
+            lapTimes: this.lapTimes.slice(),
+            splits: this.splits.slice(),
+            delta: this.bestRun ? time - this.bestRun.time : null,
+            isBest: this.bestRun === null || time < this.bestRun.time
+        };
+
+        if (result.isBest) {
+            this.bestRun = { time: time, splits: result.splits };
+        }
+
+        this.updateHighlight();
+
+        if (this.onFinish) this.onFinish(result);
+    }
+
+    saveState() {
+        return {
+            state: this.state,
+            nextGate: this.nextGate,
+            lap: this.lap,
+            time: this.time,
+            lapStart: this.lapStart,
+            lapTimes: this.lapTimes.slice(),
+            splits: this.splits.slice(),
+            lastDelta: this.lastDelta,
+            bestRun: this.bestRun,
+            bestLap: this.bestLap
+        };
+    }
+
+    loadState(state) {
+        Object.assign(this, state);
+        this.lapTimes = state.lapTimes.slice();
+        this.splits = state.splits.slice();
+        this.updateHighlight();
+    }
+
+    advance() {
+        this.nextGate = (this.nextGate + 1) % this.gates.length;
+        this.updateHighlight();
+    }
+
+    updateHighlight() {
+        if (!this.highlightGates) return;
+        highlightGate(this.gates, this.state !== 'FINISHED' ? this.nextGate : -1);
+    }
+
+    // Where a respawn puts the drone: just past the last gate passed (so it
+    // can't count as a pass again), or at `spawn` before the start
+    getRespawnPose(spawn) {
+        if (this.state !== 'RACING') return { position: spawn.position.clone(), yaw: spawn.yaw };
+
+        const gate = this.gates[(this.nextGate + this.gates.length - 1) % this.gates.length];
+        const yaw = gate.rotation.y;
+        const forward = new THREE.Vector3(-Math.sin(yaw), 0, -Math.cos(yaw));
+        return { position: gate.position.clone().add(forward), yaw: yaw };
+    }
+
+    getLapTime() {
+        return this.state === 'RACING' ? this.time - this.lapStart : 0;
+    }
+
+    static formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = seconds - minutes * 60;
+        return minutes + ':' + rest.toFixed(3).padStart(6, '0');
+    }
+
+    static formatDelta(seconds) {
+        return (seconds < 0 ? '-' : '+') + Math.abs(seconds).toFixed(3);
+    }
+}
@@ -0,0 +1,35 @@
+// Betaflight "BETAFLIGHT" rates type, same math as rc.c in the firmware,
+// so numbers copied from a real quad give the same stick feel.
+
+const MAX_RATE = 1998; // deg/s, firmware limit
+
+// rcCommand: -1..1 stick deflection, returns the requested rate in deg/s
+export function betaflightRate(rcCommand, rcRate, superRate, expo) {
+    const absCommand = Math.min(Math.abs(rcCommand), 1);
+
+    // RC rates above 2.0 get a steeper slope in the firmware
+    if (rcRate > 2.0) {
+        rcRate = rcRate + (rcRate - 2.0) * 14.54;
+    }
+
+    // Expo only bends the curve around center
+    let command = rcCommand;
+    if (expo) {
+        command = command * Math.pow(absCommand, 3) * expo + command * (1 - expo);
+    }
+
+    let angleRate = 200.0 * rcRate * command;
+
+    // Super rate boosts the end of the stick travel
+    if (superRate) {
+        const superFactor = 1.0 / Math.min(Math.max(1.0 - absCommand * superRate, 0.01), 1.0);
+        angleRate *= superFactor;
+    }
+
+    return Math.min(Math.max(angleRate, -MAX_RATE), MAX_RATE);
+}
+
+// Rate at full stick, what Betaflight Configurator shows as "Max Vel"
+export function maxRate(rcRate, superRate, expo) {
+    return betaflightRate(1, rcRate, superRate, expo);
+}
@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+import { applyReplayEvents } from './ghost.js';
+import { getReplayAirframe } from './airframes.js';
+
+const KEYFRAME_INTERVAL = 500; // Ticks between saved states for fast seeking
+
+// Plays a Replay back through the live simulation. Seeking restores the
+// nearest earlier keyframe and re-simulates from there.
+export class ReplayPlayer {
+    constructor(drone, race, step) {
+        this.drone = drone;
+        this.race = race;
+        this.step = step; // (input) => runs one physics step
+
+        this.replay = null;
+        this.isActive = false;
+        this.isPlaying = false;
+        this.speed = 1.0;
+        this.tick = 0;
+        this.accumulator = 0;
+        this.lastInput = { thrust: 0, yaw: 0, pitch: 0, roll: 0 };
+        this.keyframes = new Map();
+    }
+
+    get dt() {
+        return 1 / this.replay.physicsRate;
+    }
+
+    get time() {
+        return this.replay ? this.tick / this.replay.physicsRate : 0;
+    }
+
+    // Interpolation factor for rendering between the last two steps
+    get alpha() {
+        return Math.min(this.accumulator / this.dt, 1);
+    }
+
+    start(replay) {
+        this.replay = replay;
+        this.isActive = true;
+        this.isPlaying = true;
+        this.keyframes.clear();
+
+        this.drone.applyAirframe(getReplayAirframe(replay));
+        this.drone.reset(new THREE.Vector3().fromArray(replay.spawn.position), replay.spawn.yaw || 0);
+        if (replay.drone) {
+            this.drone.applyTuning(replay.drone.tuning);
+            this.drone.mode = replay.drone.mode;
+        }
+        this.race.reset();
+
+        this.tick = 0;
+        this.accumulator = 0;
+    }
+
+    stop() {
+        this.isActive = false;
+        this.isPlaying = false;
+        this.replay = null;
+        this.keyframes.clear();
+    }
+
+    togglePlay() {
+        // Restart from the beginning when pressing play at the end
+        if (!this.isPlaying && this.tick >= this.replay.length) {
+            this.seek(0);
+        }
+        this.isPlaying = !this.isPlaying;
+    }
+
+    update(frameTime) {
+        if (!this.isPlaying) return;
+
+        this.accumulator += frameTime * this.speed;
+        while (this.accumulator >= this.dt) {
+            if (this.tick >= this.replay.length) {
+                this.isPlaying = false;
+                this.accumulator = 0;
+                break;
+            }
+            this.stepTick();
+            this.accumulator -= this.dt;
+        }
+    }
+
+    stepTick() {
+        if (this.tick % KEYFRAME_INTERVAL === 0 && !this.keyframes.has(this.tick)) {
+            this.keyframes.set(this.tick, {
+                drone: this.drone.saveState(),
+                race: this.race.saveState()
+            });
+        }
+
+        applyReplayEvents(this.drone, this.replay, this.tick);
+        this.lastInput = this.replay.getInput(this.tick);
+        this.step(this.lastInput);
+        this.tick++;
+    }
+
+    seek(target) {
+        target = Math.max(0, Math.min(Math.round(target), this.replay.length));
+
+        // Latest keyframe at or before the target (tick 0 is always stored)
+        let from = 0;
+        for (const tick of this.keyframes.keys()) {
+            if (tick <= target && tick > from) from = tick;
+        }
+
+        // Going forward from the current position is cheaper than a keyframe
+        if (!(target >= this.tick && this.tick >= from)) {
+            const keyframe = this.keyframes.get(from);
+            if (keyframe) {
+                this.drone.loadState(keyframe.drone);
+                this.race.loadState(keyframe.race);
+                this.tick = from;
+            }
+        }
+
+        while (this.tick < target) {
+            this.stepTick();
+        }
+        this.accumulator = 0;
+        this.drone.syncMesh(1);
+    }
+}
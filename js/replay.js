@@ -0,0 +1,176 @@
+// Flight recordings: the per-tick stick input plus everything needed to
+// re-simulate the flight (map, seed, spawn, drone setup). Since the physics
+// runs on a fixed step, feeding the same inputs gives the same trajectory.
+
+const FORMAT = 'fpv-sim-replay';
+const VERSION = 2; // v2: the drone only flies once an 'arming' event arms it
+
+// Inputs are stored as 16 bit integers. Live flights are quantised the
+// same way before they reach the physics, so recording loses nothing.
+const AXIS_SCALE = 32767;
+const MAX_RUN = 32767;
+
+function quantize(value, min, max) {
+    return Math.round(Math.min(Math.max(value, min), max) * AXIS_SCALE);
+}
+
+function toBase64(int16) {
+    const bytes = new Uint8Array(int16.buffer, int16.byteOffset, int16.byteLength);
+    let binary = '';
+    const chunk = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunk) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+    }
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Int16Array(bytes.buffer, 0, bytes.length >> 1);
+}
+
+export class Replay {
+    constructor(meta = {}) {
+        this.map = meta.map ?? null;
+        this.seed = meta.seed ?? null;
+        this.physicsRate = meta.physicsRate ?? 500;
+        this.spawn = meta.spawn ?? { position: [0, 2, 0], yaw: 0 };
+        this.drone = meta.drone ?? null; // { mode, tuning, airframe }
+        this.result = null; // Race result when the run was finished
+        this.date = meta.date ?? new Date().toISOString();
+
+        this.inputs = []; // Flat [thrust, yaw, pitch, roll] per tick, quantised
+        this.events = []; // { tick, type: 'mode' | 'tuning' | 'arming' | 'respawn', value }
+    }
+
+    get length() {
+        return this.inputs.length / 4;
+    }
+
+    get duration() {
+        return this.length / this.physicsRate;
+    }
+
+    static quantizeInput(input) {
+        return {
+            thrust: quantize(input.thrust, 0, 1) / AXIS_SCALE,
+            yaw: quantize(input.yaw, -1, 1) / AXIS_SCALE,
+            pitch: quantize(input.pitch, -1, 1) / AXIS_SCALE,
+            roll: quantize(input.roll, -1, 1) / AXIS_SCALE
+        };
+    }
+
+    record(input) {
+        this.inputs.push(
+            quantize(input.thrust, 0, 1),
+            quantize(input.yaw, -1, 1),
+            quantize(input.pitch, -1, 1),
+            quantize(input.roll, -1, 1)
+        );
+    }
+
+    addEvent(tick, type, value) {
+        this.events.push({ tick, type, value });
+    }
+
+    getInput(tick) {
+        const i = tick * 4;
+        return {
+            thrust: this.inputs[i] / AXIS_SCALE,
+            yaw: this.inputs[i + 1] / AXIS_SCALE,
+            pitch: this.inputs[i + 2] / AXIS_SCALE,
+            roll: this.inputs[i + 3] / AXIS_SCALE
+        };
+    }
+
+    getEvents(tick) {
+        return this.events.filter(e => e.tick === tick);
+    }
+
+    // Sticks usually hold still for many ticks (the input is sampled per
+    // frame), so the stream is stored run-length encoded:
+    // [count, thrust, yaw, pitch, roll] per run
+    encodeInputs() {
+        const runs = [];
+        const n = this.length;
+        let i = 0;
+        while (i < n) {
+            const base = i * 4;
+            let count = 1;
+            while (i + count < n && count < MAX_RUN &&
+                this.inputs[base] === this.inputs[(i + count) * 4] &&
+                this.inputs[base + 1] === this.inputs[(i + count) * 4 + 1] &&
+                this.inputs[base + 2] === this.inputs[(i + count) * 4 + 2] &&
+                this.inputs[base + 3] === this.inputs[(i + count) * 4 + 3]) {
+                count++;
+            }
+            runs.push(count, this.inputs[base], this.inputs[base + 1], this.inputs[base + 2], this.inputs[base + 3]);
+            i += count;
+        }
+        return toBase64(Int16Array.from(runs));
+    }
+
+    decodeInputs(text) {
+        const runs = fromBase64(text);
+        this.inputs = [];
+        for (let i = 0; i + 4 < runs.length; i += 5) {
+            for (let k = 0; k < runs[i]; k++) {
+                this.inputs.push(runs[i + 1], runs[i + 2], runs[i + 3], runs[i + 4]);
+            }
+        }
+    }
+
+    serialize() {
+        return JSON.stringify({
+            format: FORMAT,
+            version: VERSION,
+            map: this.map,
+            seed: this.seed,
+            date: this.date,
+            physicsRate: this.physicsRate,
+            spawn: this.spawn,
+            drone: this.drone,
+            result: this.result,
+            ticks: this.length,
+            events: this.events,
+            inputs: this.encodeInputs()
+        });
+    }
+
+    // v1 flights were armed all the time: arm at the start and after
+    // every respawn, which disarms
+    static addArming(events) {
+        const armed = () => ({ armed: true, turtle: false, crashed: false });
+        const result = [{ tick: 0, type: 'arming', value: armed() }];
+        for (const event of events) {
+            result.push(event);
+            if (event.type === 'respawn') result.push({ tick: event.tick, type: 'arming', value: armed() });
+        }
+        return result;
+    }
+
+    static parse(text) {
+        const data = JSON.parse(text);
+        if (!data || data.format !== FORMAT) {
+            throw new Error('Not a replay file');
+        }
+        if (data.version > VERSION) {
+            throw new Error('Replay was made with a newer version (v' + data.version + ')');
+        }
+
+        const replay = new Replay(data);
+        replay.result = data.result ?? null;
+        replay.events = Array.isArray(data.events) ? data.events : [];
+        if (!(data.version >= 2)) replay.events = Replay.addArming(replay.events);
+        replay.decodeInputs(data.inputs || '');
+
+        if (replay.length !== data.ticks) {
+            throw new Error('Replay input stream is corrupt');
+        }
+        return replay;
+    }
+}
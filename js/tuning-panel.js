@@ -0,0 +1,189 @@
+import { TuningStore, normalizeProfile } from './tuning.js';
+import { maxRate } from './rates.js';
+import { downloadText, readTextFile, safeFileName } from './files.js';
+
+const AXES = ['roll', 'pitch', 'yaw'];
+const RATE_FIELDS = ['rcRate', 'superRate', 'expo'];
+const PID_FIELDS = ['p', 'i', 'd', 'f'];
+
+export class TuningPanel {
+    constructor(store, onApply) {
+        this.store = store;
+        this.onApply = onApply; // Called with the profile whenever it changes
+        this.isOpen = false;
+        this.onClose = null;
+
+        this.el = document.getElementById('tuning-panel');
+        this.profileSelect = document.getElementById('tuning-profile');
+        this.nameInput = document.getElementById('tuning-name');
+        this.statusEl = document.getElementById('tuning-status');
+
+        this.buildTables();
+        this.setupEvents();
+    }
+
+    buildTables() {
+        const ratesBody = document.getElementById('tuning-rates');
+        const pidsBody = document.getElementById('tuning-pids');
+
+        AXES.forEach(axis => {
+            const rateRow = document.createElement('tr');
+            rateRow.innerHTML = '<td>' + axis.toUpperCase() + '</td>' +
+                RATE_FIELDS.map(field =>
+                    '<td><input class="tuning-panel-input" type="number" step="0.01" id="rate-' + axis + '-' + field + '"></td>'
+                ).join('') +
+                '<td id="rate-' + axis + '-max"></td>';
+            ratesBody.appendChild(rateRow);
+
+            const pidRow = document.createElement('tr');
+            pidRow.innerHTML = '<td>' + axis.toUpperCase() + '</td>' +
+                PID_FIELDS.map(field =>
+                    '<td><input class="tuning-panel-input" type="number" step="1" id="pid-' + axis + '-' + field + '"></td>'
+                ).join('');
+            pidsBody.appendChild(pidRow);
+        });
+    }
+
+    setupEvents() {
+        // Every edit applies live so it can be felt right after resuming
+        this.el.querySelectorAll('table input, #tuning-level-strength, #tuning-angle-limit').forEach(input => {
+            input.addEventListener('change', () => this.applyForm());
+        });
+
+        this.profileSelect.addEventListener('change', () => {
+            this.store.setActive(this.profileSelect.value);
+            this.render();
+            this.onApply(this.store.getActive());
+        });
+
+        document.getElementById('btn-tuning-save').addEventListener('click', () => this.saveProfile());
+        document.getElementById('btn-tuning-delete').addEventListener('click', () => this.deleteProfile());
+        document.getElementById('btn-tuning-defaults').addEventListener('click', () => this.loadDefaults());
+        document.getElementById('btn-tuning-export').addEventListener('click', () => this.exportProfile());
+        document.getElementById('btn-tuning-back').addEventListener('click', () => this.close());
+
+        const fileInput = document.getElementById('tuning-import-file');
+        document.getElementById('btn-tuning-import').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) this.importProfile(fileInput.files[0]);
+            fileInput.value = '';
+        });
+    }
+
+    open() {
+        this.isOpen = true;
+        this.el.style.display = 'flex';
+        this.setStatus('');
+        this.render();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.el.style.display = 'none';
+        if (this.onClose) this.onClose();
+    }
+
+    setStatus(text) {
+        this.statusEl.innerText = text;
+    }
+
+    render(profile = this.store.getActive()) {
+        this.profileSelect.innerHTML = '';
+        this.store.getNames().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.innerText = name;
+            option.selected = name === this.store.active;
+            this.profileSelect.appendChild(option);
+        });
+
+        this.nameInput.value = profile.name;
+
+        AXES.forEach(axis => {
+            RATE_FIELDS.forEach(field => {
+                document.getElementById('rate-' + axis + '-' + field).value = profile.rates[axis][field];
+            });
+            PID_FIELDS.forEach(field => {
+                document.getElementById('pid-' + axis + '-' + field).value = profile.pid[axis][field];
+            });
+        });
+
+        document.getElementById('tuning-level-strength').value = profile.level.strength;
+        document.getElementById('tuning-angle-limit').value = profile.level.angleLimit;
+
+        this.updateMaxRates(profile);
+    }
+
+    updateMaxRates(profile) {
+        AXES.forEach(axis => {
+            const r = profile.rates[axis];
+            document.getElementById('rate-' + axis + '-max').innerText = Math.round(maxRate(r.rcRate, r.superRate, r.expo));
+        });
+    }
+
+    readForm() {
+        const profile = { name: this.nameInput.value, rates: {}, pid: {}, level: {} };
+
+        AXES.forEach(axis => {
+            profile.rates[axis] = {};
+            RATE_FIELDS.forEach(field => {
+                profile.rates[axis][field] = parseFloat(document.getElementById('rate-' + axis + '-' + field).value);
+            });
+            profile.pid[axis] = {};
+            PID_FIELDS.forEach(field => {
+                profile.pid[axis][field] = parseFloat(document.getElementById('pid-' + axis + '-' + field).value);
+            });
+        });
+
+        profile.level.strength = parseFloat(document.getElementById('tuning-level-strength').value);
+        profile.level.angleLimit = parseFloat(document.getElementById('tuning-angle-limit').value);
+
+        return profile;
+    }
+
+    // Live edit, not saved until SAVE is pressed
+    applyForm() {
+        const profile = normalizeProfile(this.readForm());
+        this.updateMaxRates(profile);
+        this.onApply(profile);
+        this.setStatus('UNSAVED CHANGES');
+    }
+
+    saveProfile() {
+        const profile = this.store.saveProfile(this.readForm());
+        this.render();
+        this.onApply(profile);
+        this.setStatus('SAVED "' + profile.name + '"');
+    }
+
+    deleteProfile() {
+        const name = this.store.active;
+        this.store.deleteProfile(name);
+        this.render();
+        this.onApply(this.store.getActive());
+        this.setStatus('DELETED "' + name + '"');
+    }
+
+    loadDefaults() {
+        const profile = TuningStore.getDefault();
+        profile.name = this.nameInput.value || profile.name;
+        this.render(profile);
+        this.applyForm();
+    }
+
+    exportProfile() {
+        const profile = normalizeProfile(this.readForm());
+        downloadText(safeFileName(profile.name) + '.json', TuningStore.exportProfile(profile));
+    }
+
+    async importProfile(file) {
+        try {
+            const profile = this.store.saveProfile(TuningStore.importProfile(await readTextFile(file)));
+            this.render();
+            this.onApply(profile);
+            this.setStatus('IMPORTED "' + profile.name + '"');
+        } catch (e) {
+            this.setStatus('IMPORT FAILED: ' + e.message);
+        }
+    }
+}
@@ -0,0 +1,150 @@
+// Rates and PID profiles, stored in localStorage and shareable as JSON
+
+const STORAGE_KEY = 'fpv-sim.tuning';
+const AXES = ['roll', 'pitch', 'yaw'];
+
+// Betaflight 4.x defaults, yaw P raised because yaw authority is weaker in the sim
+export const DEFAULT_PROFILE = {
+    name: 'Default',
+    rates: {
+        roll: { rcRate: 1.0, superRate: 0.7, expo: 0.0 },
+        pitch: { rcRate: 1.0, superRate: 0.7, expo: 0.0 },
+        yaw: { rcRate: 1.0, superRate: 0.7, expo: 0.0 }
+    },
+    pid: {
+        roll: { p: 45, i: 80, d: 30, f: 120 },
+        pitch: { p: 47, i: 84, d: 34, f: 125 },
+        yaw: { p: 80, i: 80, d: 0, f: 120 }
+    },
+    level: {
+        strength: 15.0, // 1/s, angle error -> rate
+        angleLimit: 45 // deg
+    }
+};
+
+function cloneProfile(profile) {
+    return JSON.parse(JSON.stringify(profile));
+}
+
+function readNumber(value, fallback, min, max) {
+    const n = Number(value);
+    if (value === undefined || value === null || !Number.isFinite(n)) return fallback;
+    return Math.min(Math.max(n, min), max);
+}
+
+// Fills in anything missing from defaults and clamps values to sane ranges.
+// Throws if the input isn't a profile at all.
+export function normalizeProfile(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Tuning profile must be a JSON object');
+    }
+
+    const profile = cloneProfile(DEFAULT_PROFILE);
+    profile.name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Imported';
+
+    AXES.forEach(axis => {
+        const rates = (data.rates && data.rates[axis]) || {};
+        const def = profile.rates[axis];
+        def.rcRate = readNumber(rates.rcRate, def.rcRate, 0.01, 2.55);
+        def.superRate = readNumber(rates.superRate, def.superRate, 0, 0.99);
+        def.expo = readNumber(rates.expo, def.expo, 0, 1);
+
+        const pid = (data.pid && data.pid[axis]) || {};
+        const gains = profile.pid[axis];
+        gains.p = readNumber(pid.p, gains.p, 0, 250);
+        gains.i = readNumber(pid.i, gains.i, 0, 250);
+        gains.d = readNumber(pid.d, gains.d, 0, 250);
+        gains.f = readNumber(pid.f, gains.f, 0, 2000);
+    });
+
+    const level = data.level || {};
+    profile.level.strength = readNumber(level.strength, profile.level.strength, 0, 100);
+    profile.level.angleLimit = readNumber(level.angleLimit, profile.level.angleLimit, 10, 90);
+
+    return profile;
+}
+
+export class TuningStore {
+    constructor() {
+        this.profiles = {};
+        this.active = DEFAULT_PROFILE.name;
+        this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved && saved.profiles) {
+                for (const name in saved.profiles) {
+                    this.profiles[name] = normalizeProfile(saved.profiles[name]);
+                }
+                this.active = saved.active;
+            }
+        } catch (e) {
+            console.warn("Could not load tuning profiles:", e);
+        }
+
+        if (!this.profiles[DEFAULT_PROFILE.name]) {
+            this.profiles[DEFAULT_PROFILE.name] = cloneProfile(DEFAULT_PROFILE);
+        }
+        if (!this.profiles[this.active]) {
+            this.active = DEFAULT_PROFILE.name;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                active: this.active,
+                profiles: this.profiles
+            }));
+        } catch (e) {
+            console.warn("Could not save tuning profiles:", e);
+        }
+    }
+
+    getActive() {
+        return this.profiles[this.active];
+    }
+
+    getNames() {
+        return Object.keys(this.profiles);
+    }
+
+    setActive(name) {
+        if (!this.profiles[name]) return;
+        this.active = name;
+        this.save();
+    }
+
+    saveProfile(profile) {
+        const normalized = normalizeProfile(profile);
+        this.profiles[normalized.name] = normalized;
+        this.active = normalized.name;
+        this.save();
+        return normalized;
+    }
+
+    deleteProfile(name) {
+        // The default profile always stays as a fallback
+        if (name === DEFAULT_PROFILE.name) return;
+
+        delete this.profiles[name];
+        if (this.active === name) {
+            this.active = DEFAULT_PROFILE.name;
+        }
+        this.save();
+    }
+
+    static exportProfile(profile) {
+        return JSON.stringify(profile, null, 2);
+    }
+
+    static importProfile(json) {
+        return normalizeProfile(JSON.parse(json));
+    }
+
+    static getDefault() {
+        return cloneProfile(DEFAULT_PROFILE);
+    }
+}
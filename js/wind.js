@@ -0,0 +1,206 @@
+import * as THREE from 'three';
+
+// Wind field: a steady wind from the map settings, slow gusts on top and
+// turbulence from a noise field that drifts downwind. Buildings and trees
+// leave a sheltered wake behind them, with less wind but rougher air.
+//
+// Everything is a pure function of the seed, the position and the sim time,
+// so replays and the ghost fly through exactly the same air.
+
+export const CALM_WIND = { direction: 0, speed: 0, gusts: 0, turbulence: 0 };
+
+const REFERENCE_HEIGHT = 10; // m, where `speed` is measured
+const SHEAR_EXPONENT = 0.14; // Power law wind profile over open ground
+const GUST_RATE = 0.12; // 1/s, how often gusts come and go
+const TURBULENCE_SCALE = 8; // m, size of the turbulent eddies
+const CELL_SIZE = 4; // m, shelter grid
+const WAKE_LENGTH = 4; // Wake length in obstacle heights
+const WAKE_FADE = 3; // m above the wake where shelter fades out
+const SHELTER_REDUCTION = 0.7; // Mean wind lost in a full wake
+const WAKE_TURBULENCE = 2; // Extra turbulence in a full wake, times the base
+
+function hash(seed, x, y, z) {
+    let h = Math.imul(seed ^ 0x9E3779B9, 0x85EBCA6B);
+    h = Math.imul(h ^ x, 0xC2B2AE35);
+    h = Math.imul(h ^ (h >>> 15) ^ y, 0x27D4EB2F);
+    h = Math.imul(h ^ (h >>> 13) ^ z, 0x165667B1);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+}
+
+function fade(t) {
+    return t * t * (3 - 2 * t);
+}
+
+// Smooth value noise in [-1, 1]
+export function valueNoise(seed, x, y, z) {
+    const ix = Math.floor(x), iy = Math.floor(y), iz = Math.floor(z);
+    const fx = fade(x - ix), fy = fade(y - iy), fz = fade(z - iz);
+
+    const lerp = (a, b, t) => a + (b - a) * t;
+    const corner = (dx, dy, dz) => hash(seed, ix + dx, iy + dy, iz + dz);
+    const value = lerp(
+        lerp(lerp(corner(0, 0, 0), corner(1, 0, 0), fx), lerp(corner(0, 1, 0), corner(1, 1, 0), fx), fy),
+        lerp(lerp(corner(0, 0, 1), corner(1, 0, 1), fx), lerp(corner(0, 1, 1), corner(1, 1, 1), fx), fy),
+        fz
+    );
+    return value * 2 - 1;
+}
+
+// Defaults for anything missing, negative values clamped
+export function normalizeWind(data) {
+    const wind = { ...CALM_WIND };
+    if (!data || typeof data !== 'object') return wind;
+
+    for (const key in wind) {
+        const n = Number(data[key]);
+        if (data[key] !== undefined && Number.isFinite(n)) wind[key] = key === 'direction' ? n : Math.max(0, n);
+    }
+    wind.direction = ((wind.direction % 360) + 360) % 360;
+    return wind;
+}
+
+export class WindField {
+    constructor() {
+        this.config = { ...CALM_WIND };
+        this.seed = 0;
+        this.downwind = new THREE.Vector3(0, 0, 1);
+
+        // Shelter grid over the obstacle wakes
+        this.grid = null; // { minX, minZ, width, depth, height: Float32Array, strength: Float32Array }
+    }
+
+    // `direction` is the compass bearing the wind comes from (0 = north,
+    // which is -Z; 90 = east, +X). `world` is the CollisionWorld to shelter
+    // behind.
+    configure(config, seed, world) {
+        this.config = normalizeWind(config);
+        this.seed = seed >>> 0;
+
+        const bearing = THREE.MathUtils.degToRad(this.config.direction);
+        this.downwind.set(-Math.sin(bearing), 0, Math.cos(bearing));
+        this.buildShelter(world ? world.shapes : []);
+    }
+
+    get isCalm() {
+        const c = this.config;
+        return c.speed === 0 && c.gusts === 0 && c.turbulence === 0;
+    }
+
+    buildShelter(shapes) {
+        this.grid = null;
+
+        // Gates are thin frames and let the wind through
+        const blockers = shapes
+            .filter(shape => !shape.object || !shape.object.userData.gate)
+            .map(shape => ({
+                x: (shape.min.x + shape.max.x) / 2,
+                z: (shape.min.z + shape.max.z) / 2,
+                halfWidth: Math.max(shape.max.x - shape.min.x, shape.max.z - shape.min.z) / 2,
+                top: shape.max.y,
+                // Leaves slow the wind, walls stop it
+                porosity: shape.object && shape.object.userData.obstacle && shape.object.userData.obstacle.type === 'tree' ? 0.5 : 1
+            }))
+            .filter(b => b.top > 1);
+        if (blockers.length === 0) return;
+
+        const reach = (b) => b.halfWidth + b.top * WAKE_LENGTH;
+        let minX = Infinity, minZ = Infinity, maxX = -Infinity, maxZ = -Infinity;
+        blockers.forEach(b => {
+            minX = Math.min(minX, b.x - reach(b));
+            maxX = Math.max(maxX, b.x + reach(b));
+            minZ = Math.min(minZ, b.z - reach(b));
+            maxZ = Math.max(maxZ, b.z + reach(b));
+        });
+
+        const width = Math.ceil((maxX - minX) / CELL_SIZE) + 1;
+        const depth = Math.ceil((maxZ - minZ) / CELL_SIZE) + 1;
+        const grid = {
+            minX: minX,
+            minZ: minZ,
+            width: width,
+            depth: depth,
+            height: new Float32Array(width * depth),
+            strength: new Float32Array(width * depth)
+        };
+
+        const d = this.downwind;
+        blockers.forEach(b => {
+            const length = b.top * WAKE_LENGTH;
+            const x0 = Math.floor((b.x - reach(b) - minX) / CELL_SIZE);
+            const x1 = Math.ceil((b.x + reach(b) - minX) / CELL_SIZE);
+            const z0 = Math.floor((b.z - reach(b) - minZ) / CELL_SIZE);
+            const z1 = Math.ceil((b.z + reach(b) - minZ) / CELL_SIZE);
+
+            for (let ix = Math.max(x0, 0); ix <= Math.min(x1, width - 1); ix++) {
+                for (let iz = Math.max(z0, 0); iz <= Math.min(z1, depth - 1); iz++) {
+                    const px = minX + ix * CELL_SIZE - b.x;
+                    const pz = minZ + iz * CELL_SIZE - b.z;
+                    const along = px * d.x + pz * d.z;
+                    const across = Math.abs(px * d.z - pz * d.x);
+                    if (along < -b.halfWidth || along > b.halfWidth + length) continue;
+
+                    // The wake widens a little and shrinks in height downwind
+                    const behind = Math.max(0, along - b.halfWidth) / length;
+                    if (across > b.halfWidth * (1 + behind)) continue;
+
+                    const i = ix * depth + iz;
+                    const left = 1 - behind;
+                    grid.height[i] = Math.max(grid.height[i], b.top * left);
+                    grid.strength[i] = Math.max(grid.strength[i], b.porosity * left * left);
+                }
+            }
+        });
+
+        this.grid = grid;
+    }
+
+    // 0 in the open, 1 deep in a wake
+    getShelter(position) {
+        const grid = this.grid;
+        if (!grid) return 0;
+
+        const ix = Math.round((position.x - grid.minX) / CELL_SIZE);
+        const iz = Math.round((position.z - grid.minZ) / CELL_SIZE);
+        if (ix < 0 || iz < 0 || ix >= grid.width || iz >= grid.depth) return 0;
+
+        const i = ix * grid.depth + iz;
+        const above = position.y - grid.height[i];
+        if (above <= 0) return grid.strength[i];
+        return grid.strength[i] * (1 - THREE.MathUtils.smoothstep(above, 0, WAKE_FADE));
+    }
+
+    // Wind velocity (m/s, world) at `position` and sim `time` (s)
+    sample(position, time, out = new THREE.Vector3()) {
+        const c = this.config;
+        if (this.isCalm) return out.set(0, 0, 0);
+
+        // Steady wind grows with height, gusts come on top of it
+        const shear = Math.pow(Math.max(position.y, 1) / REFERENCE_HEIGHT, SHEAR_EXPONENT);
+        const gust = (valueNoise(this.seed, time * GUST_RATE, 0.5, 0.5) + 1) / 2;
+        const speed = (c.speed + c.gusts * gust * gust) * shear;
+        const veer = valueNoise(this.seed + 1, time * GUST_RATE * 0.5, 0.5, 0.5) * 0.3; // rad
+
+        const shelter = this.getShelter(position);
+        const mean = speed * (1 - SHELTER_REDUCTION * shelter);
+        const cos = Math.cos(veer), sin = Math.sin(veer);
+        out.set(
+            (this.downwind.x * cos - this.downwind.z * sin) * mean,
+            0,
+            (this.downwind.x * sin + this.downwind.z * cos) * mean
+        );
+
+        // Eddies drift with the wind and slowly change shape
+        const intensity = c.turbulence * (1 + WAKE_TURBULENCE * shelter);
+        if (intensity > 0) {
+            const drift = (c.speed + c.gusts * 0.5) * time;
+            const x = (position.x - this.downwind.x * drift) / TURBULENCE_SCALE;
+            const y = position.y / TURBULENCE_SCALE + time * 0.2;
+            const z = (position.z - this.downwind.z * drift) / TURBULENCE_SCALE;
+            out.x += intensity * valueNoise(this.seed + 2, x, y, z);
+            out.y += intensity * 0.5 * valueNoise(this.seed + 3, x, y, z);
+            out.z += intensity * valueNoise(this.seed + 4, x, y, z);
+        }
+        return out;
+    }
+}
@@ -1,57 +1,139 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { attachWebSocketServer } = require('./server/websocket');
+const { RaceRooms } = require('./server/race-rooms');
+const { LeaderboardAPI } = require('./server/leaderboard-api');
+const { ApiRouter, sendJSON } = require('./server/api-router');
+const { StaticFiles } = require('./server/static-files');
 
-const port = 8000;
-
-const mimeTypes = {
-    '.html': 'text/html',
-    '.js': 'text/javascript',
-    '.css': 'text/css',
-    '.json': 'application/json',
-    '.png': 'image/png',
-    '.jpg': 'image/jpg',
-    '.gif': 'image/gif',
-    '.svg': 'image/svg+xml',
-    '.wav': 'audio/wav',
-    '.mp4': 'video/mp4',
-    '.woff': 'application/font-woff',
-    '.ttf': 'application/font-ttf',
-    '.eot': 'application/vnd.ms-fontobject',
-    '.otf': 'application/font-otf',
-    '.wasm': 'application/wasm'
-};
-
-http.createServer(function (request, response) {
-    console.log('request ', request.url);
-
-    let filePath = '.' + request.url;
-    if (filePath == './') {
-        filePath = './index.html';
-    }
+const USAGE = `Usage: node server.js [options]
+
+  --port <n>     Port to listen on (env PORT, default 8000)
+  --host <addr>  Address to listen on (env HOST, default all interfaces)
+  --root <dir>   Web root with index.html, maps/ and js/ (env FPV_ROOT, default this directory)
+  --data <dir>   Where leaderboards are stored (env FPV_DATA, default <root>/data)
+  --help         Show this text
+`;
+
+// Settings from the command line, then the environment, then the defaults
+function readOptions(argv, env) {
+    const options = {
+        port: env.PORT || 8000,
+        host: env.HOST || null,
+        root: env.FPV_ROOT || __dirname,
+        data: env.FPV_DATA || null
+    };
 
-    const extname = String(path.extname(filePath)).toLowerCase();
-    const contentType = mimeTypes[extname] || 'application/octet-stream';
-
-    fs.readFile(filePath, function (error, content) {
-        if (error) {
-            if (error.code == 'ENOENT') {
-                fs.readFile('./404.html', function (error, content) {
-                    response.writeHead(404, { 'Content-Type': 'text/html' });
-                    response.end('404 Not Found', 'utf-8');
-                });
-            }
-            else {
-                response.writeHead(500);
-                response.end('Sorry, check with the site admin for error: ' + error.code + ' ..\n');
-            }
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            process.stdout.write(USAGE);
+            process.exit(0);
         }
-        else {
-            response.writeHead(200, { 'Content-Type': contentType });
-            response.end(content, 'utf-8');
+        // --name value or --name=value
+        const match = /^--(port|host|root|data)(?:=(.*))?$/.exec(arg);
+        if (!match) {
+            process.stderr.write('Unknown option ' + arg + '\n\n' + USAGE);
+            process.exit(1);
+        }
+        options[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+    }
+
+    options.port = Number(options.port);
+    if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+        process.stderr.write('Port must be a number from 0 to 65535\n');
+        process.exit(1);
+    }
+    options.root = path.resolve(options.root);
+    options.data = options.data ? path.resolve(options.data) : path.join(options.root, 'data');
+    return options;
+}
+
+const options = readOptions(process.argv.slice(2), process.env);
+const mapsDir = path.join(options.root, 'maps');
+
+// Lists every map file in maps/ for the main menu
+function buildMapManifest() {
+    const maps = [];
+
+    fs.readdirSync(mapsDir).forEach(function (file) {
+        if (path.extname(file) !== '.json') return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(path.join(mapsDir, file), 'utf-8'));
+            if (data.format !== 'fpv-sim-map' || !data.meta) return;
+
+            maps.push({
+                id: data.meta.id,
+                name: data.meta.name || data.meta.id,
+                description: data.meta.description || '',
+                order: data.meta.order || 0,
+                file: 'maps/' + file
+            });
+        } catch (e) {
+            console.log('Skipping map ' + file + ': ' + e.message);
         }
     });
 
-}).listen(port);
+    maps.sort(function (a, b) { return a.order - b.order || a.name.localeCompare(b.name); });
+    return { maps: maps };
+}
+
+// Map data of a map in maps/ by id, null for maps the server doesn't have
+function getMap(id) {
+    const entry = buildMapManifest().maps.find(map => map.id === id);
+    if (!entry) return null;
+    return JSON.parse(fs.readFileSync(path.join(options.root, entry.file), 'utf-8'));
+}
+
+// JSON endpoints, all under /api
+const api = new ApiRouter('/api');
+api.get('/maps', function (request, response) {
+    sendJSON(response, 200, buildMapManifest());
+});
+
+// Leaderboards and pilot profiles
+const leaderboards = new LeaderboardAPI(options.data, getMap);
+leaderboards.addRoutes(api);
+
+// The game itself. Server code and stored data aren't files to hand out.
+const files = new StaticFiles(options.root, ['server', 'server.js', 'node_modules', options.data]);
+
+const server = http.createServer(function (request, response) {
+    response.on('finish', function () {
+        console.log(request.method + ' ' + request.url + ' ' + response.statusCode);
+    });
+
+    let url;
+    try {
+        url = new URL(request.url, 'http://localhost');
+    } catch (e) {
+        response.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('400 Bad Request');
+        return;
+    }
+
+    if (api.handle(request, response, url)) return;
+    files.serve(request, response, url);
+});
+
+// Multiplayer races, all on this machine: no external service involved
+const rooms = new RaceRooms();
+attachWebSocketServer(server, '/ws', function (ws) {
+    rooms.connect(ws);
+});
+
+server.on('error', function (error) {
+    console.log('Server error: ' + error.message);
+    process.exit(1);
+});
 
-console.log(`Server running at http://127.0.0.1:${port}/`);
+server.listen(options.port, options.host || undefined, function () {
+    const port = server.address().port;
+    const everywhere = !options.host || options.host === '0.0.0.0' || options.host === '::';
+    const host = everywhere ? '127.0.0.1' : options.host;
+    console.log(`Serving ${options.root}`);
+    console.log(`Server running at http://${host}:${port}/`);
+    console.log(`Multiplayer at ws://${everywhere ? "<this machine's LAN address>" : host}:${port}/ws`);
+});
@@ -0,0 +1,95 @@
+// Routes JSON API requests under one URL prefix. Routes are registered as
+// router.get('/runs/:id/replay', handler), where the handler is called with
+// (request, response, params, query) and may return a promise. Thrown errors
+// with a `status` are sent to the client, anything else is a 500.
+
+function sendJSON(response, status, data) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    response.end(JSON.stringify(data), 'utf-8');
+}
+
+// Error with an HTTP status, for handlers to throw
+function httpError(status, message) {
+    return Object.assign(new Error(message), { status: status });
+}
+
+class ApiRouter {
+    constructor(prefix) {
+        this.prefix = prefix; // e.g. '/api', no trailing slash
+        this.routes = []; // { method, parts, handler }
+    }
+
+    add(method, pattern, handler) {
+        this.routes.push({ method: method, parts: pattern.split('/').filter(Boolean), handler: handler });
+        return this;
+    }
+
+    get(pattern, handler) {
+        return this.add('GET', pattern, handler);
+    }
+
+    post(pattern, handler) {
+        return this.add('POST', pattern, handler);
+    }
+
+    put(pattern, handler) {
+        return this.add('PUT', pattern, handler);
+    }
+
+    // { route, params } for the path parts, or null
+    match(route, parts) {
+        if (route.parts.length !== parts.length) return null;
+        const params = {};
+        for (let i = 0; i < parts.length; i++) {
+            if (route.parts[i].startsWith(':')) params[route.parts[i].slice(1)] = parts[i];
+            else if (route.parts[i] !== parts[i]) return null;
+        }
+        return params;
+    }
+
+    // Returns false for URLs outside the prefix, answers everything inside it
+    handle(request, response, url) {
+        if (url.pathname !== this.prefix && !url.pathname.startsWith(this.prefix + '/')) return false;
+
+        let parts;
+        try {
+            parts = url.pathname.slice(this.prefix.length).split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (e) {
+            sendJSON(response, 400, { error: 'Bad URL' });
+            return true;
+        }
+
+        const allowed = [];
+        for (const route of this.routes) {
+            const params = this.match(route, parts);
+            if (!params) continue;
+            // HEAD is answered like GET, http drops the body
+            if (route.method !== request.method && !(route.method === 'GET' && request.method === 'HEAD')) {
+                allowed.push(route.method);
+                continue;
+            }
+
+            Promise.resolve()
+                .then(() => route.handler(request, response, params, url.searchParams))
+                .catch(function (e) {
+                    if (!e.status) console.log('API error on ' + url.pathname + ': ' + e.stack);
+                    if (response.headersSent) return response.destroy();
+                    sendJSON(response, e.status || 500, { error: e.status ? e.message : 'Server error' });
+                });
+            return true;
+        }
+
+        if (allowed.length > 0) {
+            response.setHeader('Allow', allowed.join(', '));
+            sendJSON(response, 405, { error: 'Method not allowed' });
+        } else {
+            sendJSON(response, 404, { error: 'No such endpoint' });
+        }
+        return true;
+    }
+}
+
+module.exports = { ApiRouter, sendJSON, httpError };
@@ -0,0 +1,154 @@
+// REST API of the leaderboards (server/leaderboard.js):
+//   GET  /api/leaderboard?map=&seed=&type=run|lap&limit=   best pilots on a board
+//   POST /api/runs                                         submit { pilot: { id, name }, replay }
+//   GET  /api/runs/<id>/replay                             replay file of a run on a board
+//   GET  /api/pilots/<id>, PUT /api/pilots/<id>            pilot profile
+// Submitted runs are flown again by server/run-verifier.mjs before they count.
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { Leaderboard, checkRun, PILOT_ID } = require('./leaderboard');
+const { sendJSON, httpError } = require('./api-router');
+
+const MAX_BODY = 4 * 1024 * 1024; // bytes, a long replay is well under a megabyte
+const MAX_LIMIT = 100;
+const VERIFY_TIMEOUT = 60000; // ms for one re-simulation
+const VERIFIER = path.join(__dirname, 'run-verifier.mjs');
+
+function readBody(request) {
+    return new Promise(function (resolve, reject) {
+        const chunks = [];
+        let size = 0;
+        request.on('data', function (chunk) {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(httpError(413, 'Request too large'));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+        request.on('error', reject);
+    });
+}
+
+async function readJSON(request) {
+    try {
+        return JSON.parse(await readBody(request));
+    } catch (e) {
+        if (e.status) throw e;
+        throw httpError(400, 'Body must be JSON');
+    }
+}
+
+class LeaderboardAPI {
+    // getMap(id) returns the map data of a map the server knows, or null
+    constructor(dataDir, getMap) {
+        this.store = new Leaderboard(dataDir);
+        this.getMap = getMap;
+        this.queue = Promise.resolve(); // Re-simulations run one at a time
+    }
+
+    // Adds the endpoints to an ApiRouter (server/api-router.js)
+    addRoutes(router) {
+        router.get('/leaderboard', (request, response, params, query) => this.getLeaderboard(query, response));
+        router.post('/runs', (request, response) => this.submitRun(request, response));
+        router.get('/runs/:id/replay', (request, response, params) => this.getReplay(params.id, response));
+        router.get('/pilots/:id', (request, response, params) => this.getPilot(params.id, response));
+        router.put('/pilots/:id', (request, response, params) => this.putPilot(params.id, request, response));
+    }
+
+    getLeaderboard(params, response) {
+        const seed = params.get('seed') ? Number(params.get('seed')) : NaN;
+        if (!params.get('map') || !Number.isInteger(seed)) {
+            return sendJSON(response, 400, { error: 'map and seed are required' });
+        }
+        const type = params.get('type') === 'lap' ? 'lap' : 'run';
+        const limit = Math.min(Math.max(parseInt(params.get('limit'), 10) || 10, 1), MAX_LIMIT);
+        sendJSON(response, 200, {
+            map: params.get('map'),
+            seed: seed,
+            type: type,
+            runs: this.store.top(params.get('map'), seed, type, limit)
+        });
+    }
+
+    getReplay(id, response) {
+        const text = this.store.getReplay(id);
+        if (text === null) return sendJSON(response, 404, { error: 'No such run' });
+        response.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+        response.end(text, 'utf-8');
+    }
+
+    getPilot(id, response) {
+        const pilot = this.store.getPilot(id);
+        if (!pilot) return sendJSON(response, 404, { error: 'No such pilot' });
+        sendJSON(response, 200, pilot);
+    }
+
+    async putPilot(id, request, response) {
+        if (!PILOT_ID.test(id)) return sendJSON(response, 400, { error: 'Bad pilot id' });
+        sendJSON(response, 200, this.store.savePilot(id, await readJSON(request)));
+    }
+
+    async submitRun(request, response) {
+        const body = await readJSON(request);
+        const pilot = body && body.pilot;
+        if (!pilot || !PILOT_ID.test(String(pilot.id))) return sendJSON(response, 400, { error: 'Bad pilot id' });
+        if (typeof body.replay !== 'string') return sendJSON(response, 400, { error: 'replay must be the replay file as text' });
+
+        let data;
+        try {
+            data = checkRun(body.replay, id => this.getMap(id) !== null);
+        } catch (e) {
+            return sendJSON(response, 422, { error: e.message });
+        }
+
+        const verdict = await this.verify(body.replay, this.getMap(data.map));
+        if (verdict.error) return sendJSON(response, verdict.status || 422, { error: verdict.error });
+
+        // A submitted name doesn't overwrite a stored profile
+        const profile = this.store.getPilot(pilot.id) || this.store.savePilot(pilot.id, { name: pilot.name });
+        const run = this.store.addRun(profile, data, true, verdict.airframe);
+        sendJSON(response, 201, { id: run.id, rank: run.rank, verified: true });
+    }
+
+    // { verified: true, airframe } with the preset the run was flown on, or
+    // { error, status }. A run that can't be flown again is refused, never
+    // put on the boards unchecked.
+    verify(text, map) {
+        const run = () => new Promise(resolve => {
+            const worker = new Worker(VERIFIER, { workerData: { replay: text, map: map } });
+            const timer = setTimeout(() => {
+                worker.terminate();
+                resolve({ error: 'Run took too long to verify' });
+            }, VERIFY_TIMEOUT);
+
+            worker.once('message', message => {
+                clearTimeout(timer);
+                resolve(message.error ? { error: message.error } : { verified: true, airframe: message.result.airframe });
+            });
+            worker.once('error', e => {
+                clearTimeout(timer);
+                if (e.code === 'ERR_MODULE_NOT_FOUND') {
+                    console.log('Refusing runs, the run verifier could not load (run npm install): ' + e.message);
+                    resolve({ error: 'Runs can not be verified on this server', status: 503 });
+                } else {
+                    resolve({ error: 'Could not verify the run' });
+                }
+            });
+            // Only counts if the worker died without an answer
+            worker.once('exit', () => {
+                clearTimeout(timer);
+                resolve({ error: 'Could not verify the run' });
+            });
+        });
+
+        const result = this.queue.then(run);
+        this.queue = result;
+        return result;
+    }
+}
+
+module.exports = { LeaderboardAPI };
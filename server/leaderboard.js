@@ -0,0 +1,203 @@
+// Pilot profiles and leaderboards, kept in a JSON file next to the server.
+// Boards are per map and seed: a generated course is only the same course
+// with the same seed. Each pilot keeps their fastest run and the run with
+// their fastest lap on a board, with the replay of both in their own files.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LAPS = 3; // Every race is three laps, see js/race.js
+const PHYSICS_RATE = 500; // Hz, the only rate the game records at
+const MIN_LAP = 1; // s, no course is flown faster than this
+const MAX_TICKS = PHYSICS_RATE * 60 * 30; // Half an hour of flying
+const MAX_NAME = 24;
+const PILOT_ID = /^[A-Za-z0-9-]{8,64}$/;
+const AXES = ['roll', 'pitch', 'yaw'];
+
+function cleanText(value, maxLength, fallback) {
+    const text = String(value ?? '').replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, maxLength);
+    return text || fallback;
+}
+
+function readNumber(value, fallback, min, max) {
+    const n = Number(value);
+    if (value === undefined || value === null || !Number.isFinite(n)) return fallback;
+    return Math.min(Math.max(n, min), max);
+}
+
+// Rates as in js/tuning.js, the PIDs stay with the drone setup
+function cleanRates(data) {
+    const rates = {};
+    AXES.forEach(axis => {
+        const axisRates = (data && data[axis]) || {};
+        rates[axis] = {
+            rcRate: readNumber(axisRates.rcRate, 1.0, 0.01, 2.55),
+            superRate: readNumber(axisRates.superRate, 0.7, 0, 0.99),
+            expo: readNumber(axisRates.expo, 0, 0, 1)
+        };
+    });
+    return rates;
+}
+
+function cleanControls(data) {
+    const controls = data || {};
+    return {
+        stickMode: [1, 2, 3, 4].includes(controls.stickMode) ? controls.stickMode : 2,
+        flightMode: controls.flightMode === 'LEVEL' ? 'LEVEL' : 'ACRO'
+    };
+}
+
+// Ticks in the run-length encoded input stream of a replay file
+function countTicks(inputs) {
+    const bytes = Buffer.from(inputs, 'base64');
+    let ticks = 0;
+    for (let i = 0; i + 9 < bytes.length; i += 10) ticks += bytes.readInt16LE(i);
+    return ticks;
+}
+
+// Everything that can be checked without flying the run again. Returns the
+// parsed replay file, throws with the reason otherwise.
+function checkRun(text, isKnownMap) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Replay is not JSON');
+    }
+    if (!data || data.format !== 'fpv-sim-replay' || data.version !== 2) throw new Error('Not a current replay file');
+    if (!isKnownMap(data.map)) throw new Error('Unknown map');
+    if (!Number.isInteger(data.seed) || data.seed < 0 || data.seed > 0xFFFFFFFF) throw new Error('Bad seed');
+    if (data.physicsRate !== PHYSICS_RATE) throw new Error('Physics rate must be ' + PHYSICS_RATE);
+    if (!Number.isInteger(data.ticks) || data.ticks <= 0 || data.ticks > MAX_TICKS) throw new Error('Bad run length');
+    if (typeof data.inputs !== 'string' || countTicks(data.inputs) !== data.ticks) throw new Error('Input stream is corrupt');
+
+    const result = data.result;
+    if (!result || !Array.isArray(result.lapTimes) || result.lapTimes.length !== LAPS) throw new Error('Run did not finish ' + LAPS + ' laps');
+    if (!result.lapTimes.every(t => Number.isFinite(t) && t >= MIN_LAP)) throw new Error('Impossible lap time');
+    const sum = result.lapTimes.reduce((total, t) => total + t, 0);
+    if (!Number.isFinite(result.time) || Math.abs(sum - result.time) > 1e-3) throw new Error('Lap times do not add up');
+    // The timer starts on the first gate, so the recording is always longer
+    if (result.time > data.ticks / PHYSICS_RATE + 1e-6) throw new Error('Run is longer than its recording');
+
+    return data;
+}
+
+class Leaderboard {
+    constructor(dir) {
+        this.dir = dir;
+        this.file = path.join(dir, 'leaderboard.json');
+        this.replayDir = path.join(dir, 'replays');
+        this.data = this.load(); // { pilots: { id: profile }, runs: [run] }
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+            return { pilots: data.pilots || {}, runs: Array.isArray(data.runs) ? data.runs : [] };
+        } catch (e) {
+            if (e.code !== 'ENOENT') console.log('Could not read ' + this.file + ': ' + e.message);
+            return { pilots: {}, runs: [] };
+        }
+    }
+
+    // Written to a temporary file first, so a crash never leaves half a file
+    save() {
+        fs.mkdirSync(this.dir, { recursive: true });
+        const temp = this.file + '.tmp';
+        fs.writeFileSync(temp, JSON.stringify(this.data, null, 1));
+        fs.renameSync(temp, this.file);
+    }
+
+    // Own keys only, `constructor` or `toString` are no pilots
+    getPilot(id) {
+        return Object.hasOwn(this.data.pilots, id) ? this.data.pilots[id] : null;
+    }
+
+    savePilot(id, data) {
+        if (!PILOT_ID.test(String(id))) throw new Error('Bad pilot id');
+        const pilot = {
+            id: id,
+            name: cleanText(data && data.name, MAX_NAME, 'PILOT'),
+            rates: cleanRates(data && data.rates),
+            controls: cleanControls(data && data.controls),
+            updated: new Date().toISOString()
+        };
+        this.data.pilots[id] = pilot;
+
+        // Names on the boards follow the profile
+        this.data.runs.forEach(run => {
+            if (run.pilot === id) run.name = pilot.name;
+        });
+        this.save();
+        return pilot;
+    }
+
+    // Stores a checked run and drops the pilot's runs on that board that
+    // are no longer their best time or best lap. `airframe` is the name of
+    // the preset it was flown on. Returns { id, rank }.
+    addRun(pilot, data, verified, airframe) {
+        const id = crypto.randomBytes(8).toString('hex');
+        const result = data.result;
+        const run = {
+            id: id,
+            pilot: pilot.id,
+            name: pilot.name,
+            map: data.map,
+            seed: data.seed,
+            airframe: airframe,
+            time: result.time,
+            bestLap: Math.min(...result.lapTimes),
+            lapTimes: result.lapTimes,
+            date: new Date().toISOString(),
+            verified: verified
+        };
+
+        fs.mkdirSync(this.replayDir, { recursive: true });
+        fs.writeFileSync(this.replayPath(id), JSON.stringify(data));
+
+        const board = this.data.runs.filter(r => r.pilot === pilot.id && r.map === run.map && r.seed === run.seed);
+        board.push(run);
+        const best = board.reduce((a, b) => b.time < a.time ? b : a);
+        const bestLap = board.reduce((a, b) => b.bestLap < a.bestLap ? b : a);
+        const dropped = board.filter(r => r !== best && r !== bestLap);
+
+        this.data.runs = this.data.runs.filter(r => !dropped.includes(r));
+        if (!dropped.includes(run)) this.data.runs.push(run);
+        this.save();
+        dropped.forEach(r => fs.rm(this.replayPath(r.id), { force: true }, () => {}));
+
+        const rank = this.top(run.map, run.seed, 'run', Infinity).findIndex(r => r.id === id);
+        return { id: id, rank: rank >= 0 ? rank + 1 : null };
+    }
+
+    // Best `limit` pilots on a board, by full run time or by their best lap
+    top(map, seed, type, limit) {
+        const key = type === 'lap' ? 'bestLap' : 'time';
+        const best = new Map();
+        this.data.runs.forEach(run => {
+            if (run.map !== map || run.seed !== seed) return;
+            const current = best.get(run.pilot);
+            if (!current || run[key] < current[key]) best.set(run.pilot, run);
+        });
+        return [...best.values()]
+            .sort((a, b) => a[key] - b[key] || a.date.localeCompare(b.date))
+            .slice(0, limit);
+    }
+
+    replayPath(id) {
+        return path.join(this.replayDir, id + '.json');
+    }
+
+    // Replay file of a run on the boards, null if there is none
+    getReplay(id) {
+        if (!this.data.runs.some(r => r.id === id)) return null;
+        try {
+            return fs.readFileSync(this.replayPath(id), 'utf-8');
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+module.exports = { Leaderboard, checkRun, PILOT_ID };
@@ -0,0 +1,409 @@
+// Multiplayer race rooms. Players join a room's lobby, the host picks the
+// map and starts, everyone loads the same course and starts together on a
+// countdown. Drone snapshots are relayed to the other players, and every
+// gate pass is checked and timed on the server clock, so the race table
+// doesn't depend on what the clients say their times were.
+
+const MAX_PLAYERS = 8;
+const LAPS = 3;
+const COUNTDOWN = 3000; // ms from everyone loaded to the start
+const LOAD_TIMEOUT = 20000; // ms to load the map before a player is left out
+const FINISH_TIMEOUT = 60000; // ms after the first finisher until the race is closed
+const STATE_INTERVAL = 25; // ms, snapshots arriving faster are dropped
+
+// Gate pass checks
+const MAX_SPEED = 60; // m/s, well above what the quad can fly
+const GATE_RADIUS = 10; // m, snapshot to gate, plus what it can fly since the snapshot
+const SNAPSHOT_AGE = 1000; // ms, older snapshots don't count as a position
+const TIME_SLACK = 250; // ms of network jitter allowed between two gates
+
+function cleanText(value, maxLength, fallback) {
+    const text = String(value ?? '').replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, maxLength);
+    return text || fallback;
+}
+
+function isVector(value, size) {
+    return Array.isArray(value) && value.length === size && value.every(Number.isFinite);
+}
+
+function distance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+class Room {
+    constructor(name) {
+        this.name = name;
+        this.players = []; // In join order, the first one hosts
+        this.state = 'LOBBY'; // LOBBY, LOADING, COUNTDOWN, RACING
+        this.map = null;
+        this.seed = 0;
+        this.course = null; // Gate positions from the host, [[x, y, z], ...]
+        this.startAt = 0; // Server time of the start signal
+        this.firstFinish = 0;
+        this.results = null; // Table of the last race
+        this.timer = null;
+    }
+
+    get host() {
+        return this.players[0] || null;
+    }
+
+    get racers() {
+        return this.players.filter(p => p.race);
+    }
+
+    send(message, except = null) {
+        const text = JSON.stringify(message);
+        this.players.forEach(p => {
+            if (p !== except) p.ws.send(text);
+        });
+    }
+
+    sendLobby() {
+        this.send({
+            type: 'lobby',
+            room: this.name,
+            state: this.state,
+            host: this.host ? this.host.id : null,
+            map: this.map,
+            seed: this.seed,
+            laps: LAPS,
+            players: this.players.map(p => ({ id: p.id, name: p.name, ready: p.ready })),
+            results: this.results
+        });
+    }
+
+    setTimer(delay, callback) {
+        clearTimeout(this.timer);
+        this.timer = delay === null ? null : setTimeout(callback, delay);
+    }
+
+    // Host pressed start: everyone in the lobby loads the map
+    load() {
+        this.state = 'LOADING';
+        this.course = null;
+        this.results = null;
+        this.firstFinish = 0;
+        this.players.forEach((p, slot) => {
+            p.race = {
+                slot: slot, // Grid position
+                status: 'LOADING', // LOADING, RACING, FINISHED, DNF, DSQ
+                course: null,
+                nextGate: 0,
+                lap: 0,
+                gates: 0, // Passed since the start
+                lastGate: 0, // Server time of the last pass
+                lapStart: 0,
+                lapTimes: [],
+                time: null, // s from the start signal to the finish
+                reason: null
+            };
+            p.ws.send(JSON.stringify({ type: 'load', map: this.map, seed: this.seed, laps: LAPS, slot: slot }));
+        });
+        this.setTimer(LOAD_TIMEOUT, () => this.countdown());
+        this.sendLobby();
+    }
+
+    // Called as players report their course, and on the load timeout
+    checkLoaded() {
+        if (this.state !== 'LOADING') return;
+        const host = this.host.race;
+        if (!host || !host.course) return;
+
+        // Everyone has to fly the host's course
+        this.racers.forEach(p => {
+            const course = p.race.course;
+            if (!course || p.race.status !== 'LOADING') return;
+            const same = course.length === host.course.length &&
+                course.every((gate, i) => distance(gate, host.course[i]) < 0.01);
+            if (!same) this.disqualify(p, 'COURSE MISMATCH');
+        });
+
+        if (this.racers.every(p => p.race.course || p.race.status !== 'LOADING')) this.countdown();
+    }
+
+    countdown() {
+        if (this.state !== 'LOADING') return;
+        const host = this.host && this.host.race;
+        if (!host || !host.course) {
+            this.reset();
+            return;
+        }
+
+        this.course = host.course;
+        this.racers.forEach(p => {
+            if (p.race.status === 'LOADING' && p.race.course) p.race.status = 'RACING';
+            else if (p.race.status === 'LOADING') this.disqualify(p, 'NOT LOADED');
+        });
+
+        this.state = 'COUNTDOWN';
+        this.startAt = Date.now() + COUNTDOWN;
+        this.send({ type: 'countdown', startAt: this.startAt });
+        this.setTimer(COUNTDOWN, () => {
+            this.state = 'RACING';
+            this.sendLobby();
+        });
+        this.sendLobby();
+        this.checkOver();
+    }
+
+    // Checks a gate pass against the course and the last snapshot
+    passGate(player, gate, now) {
+        const race = player.race;
+        if (!race || race.status !== 'RACING' || now < this.startAt) return;
+
+        // Resent pass of the gate just counted
+        const previous = (race.nextGate + this.course.length - 1) % this.course.length;
+        if (race.gates > 0 && this.course.length > 1 && gate === previous) return;
+        const reason = this.checkPass(player, gate, now);
+        if (reason) {
+            this.disqualify(player, reason);
+            this.checkOver();
+            return;
+        }
+
+        const time = (now - this.startAt) / 1000;
+        race.gates++;
+        race.lastGate = now;
+        race.nextGate = (gate + 1) % this.course.length;
+
+        if (gate === 0) {
+            // First pass of the start gate starts lap 1, the later ones end a lap
+            if (race.lap > 0) race.lapTimes.push(Math.round((time - race.lapStart) * 1000) / 1000);
+            race.lapStart = time;
+            if (race.lap >= LAPS) {
+                race.status = 'FINISHED';
+                race.time = time;
+            } else {
+                race.lap++;
+            }
+        }
+
+        this.send({ type: 'gate', id: player.id, gate: gate, lap: race.lap, time: time, finished: race.status === 'FINISHED' });
+        if (race.status === 'FINISHED') this.onFinish(now);
+    }
+
+    // Why a pass of `gate` can't be real, or null if it's fine
+    checkPass(player, gate, now) {
+        const race = player.race;
+        if (gate !== race.nextGate) return 'WRONG GATE';
+
+        const position = this.course[gate];
+        const snapshot = player.snapshot;
+        const age = snapshot ? now - snapshot.time : Infinity;
+        if (age > SNAPSHOT_AGE || distance(snapshot.p, position) > GATE_RADIUS + MAX_SPEED * age / 1000) {
+            return 'NOT AT GATE';
+        }
+        if (race.gates > 0) {
+            const previous = this.course[(gate + this.course.length - 1) % this.course.length];
+            const minTime = distance(previous, position) / MAX_SPEED * 1000 - TIME_SLACK;
+            if (now - race.lastGate < minTime) return 'TOO FAST';
+        }
+        return null;
+    }
+
+    onFinish(now) {
+        if (!this.firstFinish) {
+            this.firstFinish = now;
+            this.setTimer(FINISH_TIMEOUT, () => this.close());
+        }
+        this.sendResults(false);
+        if (this.racers.every(p => p.race.status !== 'RACING')) this.close();
+    }
+
+    disqualify(player, reason) {
+        player.race.status = 'DSQ';
+        player.race.reason = reason;
+        player.ws.send(JSON.stringify({ type: 'rejected', reason: reason }));
+        this.sendResults(false);
+    }
+
+    retire(player) {
+        if (!player.race || (player.race.status !== 'RACING' && player.race.status !== 'LOADING')) return;
+        player.race.status = 'DNF';
+        this.sendResults(false);
+        this.checkOver();
+    }
+
+    // Ends the race once nobody is flying any more
+    checkOver() {
+        if (this.state === 'LOADING') {
+            this.checkLoaded();
+        } else if (this.state !== 'LOBBY' && this.racers.every(p => p.race.status !== 'RACING')) {
+            this.close();
+        }
+    }
+
+    // Finishers by time, then everyone else by how far they got
+    getTable() {
+        const order = { FINISHED: 0, RACING: 1, DNF: 2, DSQ: 3, LOADING: 4 };
+        return this.racers.map(p => ({
+            id: p.id,
+            name: p.name,
+            status: p.race.status,
+            reason: p.race.reason,
+            lap: p.race.lap,
+            gates: p.race.gates,
+            time: p.race.time,
+            lapTimes: p.race.lapTimes,
+            bestLap: p.race.lapTimes.length > 0 ? Math.min(...p.race.lapTimes) : null
+        })).sort((a, b) => (order[a.status] - order[b.status]) ||
+            (a.status === 'FINISHED' ? a.time - b.time : b.gates - a.gates));
+    }
+
+    sendResults(final) {
+        this.send({ type: 'results', final: final, table: this.getTable() });
+    }
+
+    // Race over: still flying players are out, back to the lobby
+    close() {
+        this.racers.forEach(p => {
+            if (p.race.status === 'RACING') p.race.status = 'DNF';
+        });
+        this.results = this.getTable();
+        this.sendResults(true);
+        this.reset();
+    }
+
+    reset() {
+        this.setTimer(null);
+        this.state = 'LOBBY';
+        this.course = null;
+        this.players.forEach(p => {
+            p.race = null;
+            p.ready = false;
+        });
+        this.sendLobby();
+    }
+}
+
+class RaceRooms {
+    constructor() {
+        this.rooms = new Map(); // Name -> Room
+        this.nextId = 1;
+    }
+
+    // A new WebSocket client, it has to say hello before anything else
+    connect(ws) {
+        const player = { id: this.nextId++, name: null, ws: ws, room: null, ready: false, race: null, snapshot: null, lastState: 0 };
+
+        ws.on('message', (text) => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (e) {
+                return;
+            }
+            if (message && typeof message.type === 'string') this.onMessage(player, message);
+        });
+        ws.on('close', () => this.leave(player));
+    }
+
+    onMessage(player, message) {
+        const now = Date.now();
+        const room = player.room;
+
+        // Clock sync works before joining too
+        if (message.type === 'ping') {
+            player.ws.send(JSON.stringify({ type: 'pong', t: message.t, serverTime: now }));
+            return;
+        }
+        if (message.type === 'hello') {
+            this.join(player, message);
+            return;
+        }
+        if (!room) return;
+
+        switch (message.type) {
+            case 'ready':
+                if (room.state !== 'LOBBY') return;
+                player.ready = message.ready === true;
+                room.sendLobby();
+                break;
+
+            case 'setup':
+                if (player !== room.host || room.state !== 'LOBBY') return;
+                room.map = cleanText(message.map, 64, null);
+                room.seed = Number.isInteger(message.seed) ? message.seed >>> 0 : 0;
+                room.sendLobby();
+                break;
+
+            case 'start':
+                // The host starts once everyone else is ready
+                if (player !== room.host || room.state !== 'LOBBY' || !room.map) return;
+                if (room.players.some(p => p !== player && !p.ready)) return;
+                room.load();
+                break;
+
+            case 'loaded':
+                if (room.state !== 'LOADING' || !player.race || player.race.course) return;
+                if (Array.isArray(message.gates) && message.gates.length > 0 && message.gates.length <= 256 &&
+                    message.gates.every(gate => isVector(gate, 3))) {
+                    player.race.course = message.gates;
+                } else {
+                    room.disqualify(player, 'BAD COURSE');
+                }
+                room.checkLoaded();
+                break;
+
+            case 'state':
+                if (!isVector(message.p, 3) || !isVector(message.q, 4) || now - player.lastState < STATE_INTERVAL) return;
+                player.lastState = now;
+                player.snapshot = { p: message.p, time: now };
+                room.send({ type: 'state', id: player.id, p: message.p, q: message.q, t: now }, player);
+                break;
+
+            case 'gate':
+                if (room.state === 'RACING' && Number.isInteger(message.gate)) room.passGate(player, message.gate, now);
+                break;
+
+            case 'retire':
+                room.retire(player);
+                break;
+        }
+    }
+
+    join(player, message) {
+        if (player.room) this.leave(player);
+
+        const name = cleanText(message.room, 24, 'lobby');
+        let room = this.rooms.get(name);
+        if (!room) {
+            room = new Room(name);
+            this.rooms.set(name, room);
+        }
+        if (room.players.length >= MAX_PLAYERS) {
+            player.ws.send(JSON.stringify({ type: 'error', message: 'ROOM IS FULL' }));
+            return;
+        }
+
+        player.name = cleanText(message.name, 16, 'PILOT ' + player.id);
+        player.room = room;
+        player.ready = false;
+        room.players.push(player);
+        player.ws.send(JSON.stringify({ type: 'welcome', id: player.id, room: room.name, serverTime: Date.now() }));
+        room.sendLobby();
+    }
+
+    leave(player) {
+        const room = player.room;
+        if (!room) return;
+
+        if (player.race) room.retire(player);
+        room.players.splice(room.players.indexOf(player), 1);
+        player.room = null;
+        player.race = null;
+        room.send({ type: 'left', id: player.id });
+
+        if (room.players.length === 0) {
+            room.setTimer(null);
+            this.rooms.delete(room.name);
+            return;
+        }
+        // The host may have left mid-load, the next one takes over
+        room.checkOver();
+        room.sendLobby();
+    }
+}
+
+module.exports = { RaceRooms, LAPS };
@@ -0,0 +1,123 @@
+// Re-flies a submitted replay through the game's own simulation and checks
+// that it ends with the claimed result. Runs in a worker thread started by
+// server/leaderboard-api.js, and needs the `three` package (`npm install`).
+import { parentPort, workerData } from 'worker_threads';
+import * as THREE from 'three';
+import { EnvironmentManager } from '../js/environment.js';
+import { DroneSim } from '../js/drone-sim.js';
+import { RaceManager } from '../js/race.js';
+import { Replay } from '../js/replay.js';
+import { applyReplayEvents } from '../js/ghost.js';
+import { normalizeProfile } from '../js/tuning.js';
+import { getReplayAirframe, getStockPreset } from '../js/airframes.js';
+import { ARM_MAX_THROTTLE, ARM_MAX_TILT, getTilt } from '../js/flight-controller.js';
+
+const PHYSICS_RATE = 500; // Hz, the only rate the game records at
+const MAX_GRID_OFFSET = 6.01; // m, furthest multiplayer grid slot from the spawn
+const TIME_TOLERANCE = 1e-6; // s, the re-run is exact, this is just float noise
+const STICK_TOLERANCE = 1e-4; // Recorded sticks are rounded to 1/32767
+
+function reject(reason) {
+    throw new Error(reason);
+}
+
+// Events the game can't produce are edits to the file
+function checkEvents(events, drone, race, spawn, input) {
+    for (const event of events) {
+        if (event.type === 'respawn') {
+            const expected = race.getRespawnPose(spawn);
+            const position = new THREE.Vector3().fromArray(event.value.position);
+            // Written so that NaN from a mangled file fails too
+            if (!(position.distanceTo(expected.position) < 1e-4 && Math.abs(event.value.yaw - expected.yaw) < 1e-6)) {
+                reject('respawn at the wrong place');
+            }
+        } else if (event.type === 'arming') {
+            const value = event.value;
+            // Only disarming clears a crash, and a crash can't be armed into
+            if (drone.crashed && !value.crashed && value.armed) reject('armed out of a crash');
+            if (!drone.crashed && value.crashed) reject('crash flag set by hand');
+            if (value.turtle && !value.armed) reject('turtle mode while disarmed');
+            // The flight controller's arming checks, on the sticks and attitude of that step
+            if (value.armed && !drone.armed) {
+                if (!(input.thrust <= ARM_MAX_THROTTLE + STICK_TOLERANCE)) reject('armed with throttle up');
+                if (!value.turtle && !(getTilt(drone.quaternion) <= ARM_MAX_TILT)) reject('armed while tilted');
+            }
+        } else if (event.type === 'tuning') {
+            event.value = normalizeProfile(event.value);
+        } else if (event.type === 'mode') {
+            if (event.value !== 'ACRO' && event.value !== 'LEVEL') reject('unknown flight mode');
+        } else {
+            reject('unknown event ' + event.type);
+        }
+    }
+}
+
+// Returns the { time, lapTimes } the replay really flies on `map`, and the
+// name of the preset it flies as `airframe`
+export function simulateRun(replay, map) {
+    if (replay.physicsRate !== PHYSICS_RATE) reject('physics rate must be ' + PHYSICS_RATE);
+
+    const scene = new THREE.Scene();
+    const env = new EnvironmentManager(scene, { textures: false });
+    env.loadMap(map, replay.seed);
+
+    // The map's spawn, or a slot on a multiplayer grid next to it
+    const spawn = { position: new THREE.Vector3().fromArray(replay.spawn.position), yaw: replay.spawn.yaw || 0 };
+    const offset = spawn.position.clone().sub(env.spawn.position);
+    if (!(Math.abs(offset.y) < 1e-6 && Math.hypot(offset.x, offset.z) <= MAX_GRID_OFFSET && Math.abs(spawn.yaw - env.spawn.yaw) < 1e-6)) {
+        reject('start is off the grid');
+    }
+
+    // Boards are for the stock quads, a custom one could be anything
+    const airframe = getReplayAirframe(replay);
+    const preset = getStockPreset(airframe);
+    if (!preset) reject('custom drones can not race on the leaderboards');
+
+    const drone = new DroneSim();
+    drone.applyAirframe(airframe);
+    drone.reset(spawn.position, spawn.yaw);
+    if (replay.drone) {
+        drone.applyTuning(normalizeProfile(replay.drone.tuning));
+        drone.mode = replay.drone.mode === 'LEVEL' ? 'LEVEL' : 'ACRO';
+    }
+
+    const race = new RaceManager();
+    race.setup(env.gates, env.getMapCode());
+    let result = null;
+    race.onFinish = (run) => result = run;
+
+    const dt = 1 / replay.physicsRate;
+    for (let tick = 0; tick < replay.length && !result; tick++) {
+        const input = replay.getInput(tick);
+        if (input.thrust < 0) reject('negative throttle');
+
+        checkEvents(replay.getEvents(tick), drone, race, spawn, input);
+        applyReplayEvents(drone, replay, tick);
+
+        drone.update(dt, input, env.collision, env.wind);
+        race.update(dt, drone.prevPosition, drone.position);
+    }
+
+    if (!result) reject('the run does not finish the race');
+    return { time: result.time, lapTimes: result.lapTimes, airframe: preset.name };
+}
+
+// Compares the re-run with what the replay claims
+export function verifyRun(replay, map) {
+    const claimed = replay.result;
+    const actual = simulateRun(replay, map);
+    if (!(Math.abs(actual.time - claimed.time) < TIME_TOLERANCE) ||
+        actual.lapTimes.length !== claimed.lapTimes.length ||
+        actual.lapTimes.some((t, i) => !(Math.abs(t - claimed.lapTimes[i]) < TIME_TOLERANCE))) {
+        reject('replay does not fly the claimed time (' + actual.time.toFixed(3) + ' s)');
+    }
+    return actual;
+}
+
+if (parentPort && workerData) {
+    try {
+        parentPort.postMessage({ result: verifyRun(Replay.parse(workerData.replay), workerData.map) });
+    } catch (e) {
+        parentPort.postMessage({ error: e.message });
+    }
+}
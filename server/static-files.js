@@ -0,0 +1,259 @@
+// Static files from a web root: safe path resolution, MIME types, ETag and
+// Last-Modified revalidation, byte ranges, and gzip/brotli for text files.
+// Everything is streamed from disk.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.svg': 'image/svg+xml',
+    '.glb': 'model/gltf-binary',
+    '.gltf': 'model/gltf+json',
+    '.bin': 'application/octet-stream',
+    '.ktx2': 'image/ktx2',
+    '.hdr': 'image/vnd.radiance',
+    '.wav': 'audio/wav',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.eot': 'application/vnd.ms-fontobject',
+    '.wasm': 'application/wasm'
+};
+
+// Worth compressing: text formats and uncompressed binary ones
+const COMPRESSIBLE = /^(text\/|application\/(json|javascript|wasm)|image\/svg|model\/gltf\+json|image\/vnd\.radiance)/;
+const MIN_COMPRESS_SIZE = 1024; // bytes, smaller files aren't worth the CPU
+
+function getContentType(filePath) {
+    return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+// Weak validator from size and modification time, like most static servers
+function getETag(stat) {
+    return 'W/"' + stat.size.toString(16) + '-' + Math.floor(stat.mtimeMs).toString(16) + '"';
+}
+
+// The client's copy is still current
+function isNotModified(request, stat, etag) {
+    const noneMatch = request.headers['if-none-match'];
+    if (noneMatch) {
+        return noneMatch.split(',').some(tag => {
+            tag = tag.trim();
+            return tag === '*' || tag.replace(/^W\//, '') === etag.replace(/^W\//, '');
+        });
+    }
+    const since = Date.parse(request.headers['if-modified-since']);
+    return !isNaN(since) && Math.floor(stat.mtimeMs / 1000) <= Math.floor(since / 1000);
+}
+
+// { start, end } of a single byte range (inclusive), null to send the whole
+// file, or false when the range can't be satisfied. Multiple ranges are
+// answered with the whole file, which the spec allows.
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start, end;
+    if (match[1] === '') {
+        // Suffix range: the last n bytes
+        const length = Number(match[2]);
+        if (length === 0) return false;
+        start = Math.max(size - length, 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+    if (start >= size || start > end) return false;
+    return { start: start, end: end };
+}
+
+// br, gzip or null, by the client's Accept-Encoding (q=0 means not accepted)
+function pickEncoding(header) {
+    const accepted = {};
+    String(header || '').split(',').forEach(part => {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const q = params.map(p => /^\s*q=([\d.]+)\s*$/.exec(p)).find(Boolean);
+        accepted[name] = q ? Number(q[1]) : 1;
+    });
+    if (accepted.br > 0) return 'br';
+    if (accepted.gzip > 0) return 'gzip';
+    return null;
+}
+
+class StaticFiles {
+    // root: directory served at '/'. hidden: files and directories under it
+    // that are never served (server code, stored data). Dotfiles never are.
+    constructor(root, hidden = []) {
+        this.root = path.resolve(root);
+        this.hidden = hidden.map(dir => path.resolve(this.root, dir));
+    }
+
+    // Absolute path for a URL path, or null if it points outside the root
+    // or at something private
+    resolve(pathname) {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(pathname);
+        } catch (e) {
+            return null;
+        }
+        if (decoded.includes('\0') || decoded.includes('\\')) return null;
+
+        const parts = decoded.split('/').filter(Boolean);
+        if (parts.some(part => part.startsWith('.'))) return null; // Also stops '..'
+
+        const filePath = path.join(this.root, ...parts);
+        if (filePath !== this.root && !filePath.startsWith(this.root + path.sep)) return null;
+        if (this.hidden.some(dir => filePath === dir || filePath.startsWith(dir + path.sep))) return null;
+        return filePath;
+    }
+
+    // Answers the request with a file, the 404 page or an error
+    serve(request, response, url) {
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            response.writeHead(405, { 'Allow': 'GET, HEAD', 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end('405 Method Not Allowed');
+            return;
+        }
+
+        const filePath = this.resolve(url.pathname);
+        if (!filePath) {
+            this.sendNotFound(request, response);
+            return;
+        }
+
+        fs.stat(filePath, (error, stat) => {
+            if (!error && stat.isDirectory()) {
+                // Directories are served by their index.html, with the slash
+                // relative URLs inside it need
+                if (!url.pathname.endsWith('/')) {
+                    // From the checked path: the raw one can start with '//',
+                    // which browsers take for another host
+                    const parts = path.relative(this.root, filePath).split(path.sep).filter(Boolean);
+                    const location = '/' + parts.map(encodeURIComponent).join('/') + (parts.length > 0 ? '/' : '');
+                    response.writeHead(301, { 'Location': location + url.search });
+                    response.end();
+                    return;
+                }
+                const index = path.join(filePath, 'index.html');
+                fs.stat(index, (error, stat) => this.onStat(request, response, index, error, stat));
+                return;
+            }
+            this.onStat(request, response, filePath, error, stat);
+        });
+    }
+
+    onStat(request, response, filePath, error, stat) {
+        if (error || !stat.isFile()) {
+            if (error && error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+                response.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+                response.end('500 Server Error: ' + error.code);
+                return;
+            }
+            this.sendNotFound(request, response);
+            return;
+        }
+        this.sendFile(request, response, filePath, stat, 200);
+    }
+
+    sendNotFound(request, response) {
+        const page = path.join(this.root, '404.html');
+        fs.stat(page, (error, stat) => {
+            if (error || !stat.isFile()) {
+                response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                response.end(request.method === 'HEAD' ? undefined : '404 Not Found');
+                return;
+            }
+            this.sendFile(request, response, page, stat, 404);
+        });
+    }
+
+    sendFile(request, response, filePath, stat, status) {
+        const contentType = getContentType(filePath);
+        const etag = getETag(stat);
+        const headers = {
+            'Content-Type': contentType,
+            'Accept-Ranges': 'bytes',
+            'Cache-Control': 'no-cache', // Always revalidate, files change while developing
+            'ETag': etag,
+            'Last-Modified': stat.mtime.toUTCString()
+        };
+
+        if (status === 200 && isNotModified(request, stat, etag)) {
+            response.writeHead(304, headers);
+            response.end();
+            return;
+        }
+
+        // Ranges only apply to the version the client already has part of.
+        // If-Range needs a strong match, so a weak ETag never is one
+        let range = null;
+        const ifRange = request.headers['if-range'];
+        const sameVersion = !ifRange || ifRange === headers['Last-Modified'] || (ifRange === etag && !etag.startsWith('W/'));
+        if (status === 200 && request.headers.range && sameVersion) {
+            range = parseRange(request.headers.range, stat.size);
+            if (range === false) {
+                headers['Content-Range'] = 'bytes */' + stat.size;
+                response.writeHead(416, headers);
+                response.end();
+                return;
+            }
+        }
+
+        let encoding = null;
+        if (!range && stat.size >= MIN_COMPRESS_SIZE && COMPRESSIBLE.test(contentType)) {
+            headers['Vary'] = 'Accept-Encoding';
+            encoding = pickEncoding(request.headers['accept-encoding']);
+        }
+
+        if (range) {
+            status = 206;
+            headers['Content-Range'] = 'bytes ' + range.start + '-' + range.end + '/' + stat.size;
+            headers['Content-Length'] = range.end - range.start + 1;
+        } else if (encoding) {
+            headers['Content-Encoding'] = encoding; // Length unknown until compressed, sent chunked
+        } else {
+            headers['Content-Length'] = stat.size;
+        }
+
+        response.writeHead(status, headers);
+        if (request.method === 'HEAD') {
+            response.end();
+            return;
+        }
+
+        // pipeline closes the file if the client goes away half way
+        const streams = [fs.createReadStream(filePath, range || undefined)];
+        if (encoding === 'br') {
+            streams.push(zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 } }));
+        } else if (encoding === 'gzip') {
+            streams.push(zlib.createGzip());
+        }
+        pipeline(...streams, response, () => {});
+    }
+}
+
+module.exports = { StaticFiles };
@@ -0,0 +1,109 @@
+// Flies maps with the autopilot to check that their courses can be raced,
+// and prints the AI's par lap time. Needs the `three` package (`npm install`).
+//
+//   node server/validate-courses.mjs [map ids or files...] [--seeds 1,2,3]
+//
+// With no maps given, every map in maps/ is flown. Exits with 1 when any
+// course can't be finished.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as THREE from 'three';
+import { EnvironmentManager } from '../js/environment.js';
+import { DroneSim } from '../js/drone-sim.js';
+import { flyCourse } from '../js/autopilot.js';
+
+const USAGE = `Usage: node server/validate-courses.mjs [maps...] [options]
+
+  maps            Map ids from maps/ or paths to map files (default: all of maps/)
+  --seeds <list>  Comma separated seeds to build procedural maps with (default 1,2,3)
+  --help          Show this text
+`;
+
+const mapsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'maps');
+
+function readOptions(argv) {
+    const options = { maps: [], seeds: [1, 2, 3] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            process.stdout.write(USAGE);
+            process.exit(0);
+        }
+        const match = /^--seeds?(?:=(.*))?$/.exec(arg);
+        if (match) {
+            const value = match[1] !== undefined ? match[1] : argv[++i];
+            options.seeds = String(value).split(',').map(Number);
+            if (options.seeds.some(seed => !Number.isInteger(seed) || seed < 0)) {
+                process.stderr.write('Seeds must be whole numbers\n');
+                process.exit(1);
+            }
+        } else if (arg.startsWith('--')) {
+            process.stderr.write('Unknown option ' + arg + '\n\n' + USAGE);
+            process.exit(1);
+        } else {
+            options.maps.push(arg);
+        }
+    }
+    return options;
+}
+
+// A map file by path, or by id from maps/
+function readMap(name) {
+    const file = fs.existsSync(name) ? name : path.join(mapsDir, name + '.json');
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+function allMaps() {
+    return fs.readdirSync(mapsDir).filter(file => path.extname(file) === '.json').map(file => path.join(mapsDir, file));
+}
+
+function formatTime(seconds) {
+    return seconds.toFixed(2) + 's';
+}
+
+const options = readOptions(process.argv.slice(2));
+const names = options.maps.length > 0 ? options.maps : allMaps();
+let failed = 0;
+
+for (const name of names) {
+    let map;
+    try {
+        map = readMap(name);
+    } catch (e) {
+        console.log('FAIL ' + name + ': ' + e.message);
+        failed++;
+        continue;
+    }
+
+    // Fixed courses are the same whatever the seed
+    const seeds = map.procedural ? options.seeds : [options.seeds[0]];
+    for (const seed of seeds) {
+        const env = new EnvironmentManager(new THREE.Scene(), { textures: false });
+        let label = name;
+        let result;
+        try {
+            env.loadMap(map, seed);
+            label = env.getMapCode();
+            result = flyCourse(new DroneSim(), {
+                gates: env.gates,
+                spawn: env.spawn,
+                collision: env.collision,
+                wind: env.wind
+            });
+        } catch (e) {
+            console.log('FAIL ' + label + ': ' + e.message);
+            failed++;
+            continue;
+        }
+
+        if (result.finished) {
+            console.log(`OK   ${label}: ${formatTime(result.time)}, laps ${result.lapTimes.map(formatTime).join(' ')}, par ${formatTime(result.par)}, crashes ${result.crashes}`);
+        } else {
+            console.log(`FAIL ${label}: ${result.error}`);
+            failed++;
+        }
+    }
+}
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,203 @@
+// Minimal WebSocket server (RFC 6455) on top of the http module: the
+// upgrade handshake, text frames, ping/pong and close. Enough for the race
+// rooms, so the server keeps running on plain Node with no packages.
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 64 * 1024; // bytes, the race messages are tiny
+const HEARTBEAT = 15000; // ms between pings, a socket that misses one is dropped
+
+const OP_CONTINUATION = 0x0;
+const OP_TEXT = 0x1;
+const OP_BINARY = 0x2;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xA;
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = 0x80 | opcode; // FIN, server frames are never masked
+    return Buffer.concat([header, payload]);
+}
+
+// One client connection. Emits 'message' (string) and 'close'.
+class WebSocket extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null; // Payloads of a fragmented message so far
+        this.isOpen = true;
+        this.alive = true; // Answered the last ping
+
+        socket.setNoDelay(true);
+        socket.on('data', (data) => this.onData(data));
+        socket.on('close', () => this.onClose());
+        socket.on('error', () => socket.destroy());
+    }
+
+    send(text) {
+        if (!this.isOpen) return;
+        this.socket.write(encodeFrame(OP_TEXT, Buffer.from(text, 'utf-8')));
+    }
+
+    close(code = 1000, reason = '') {
+        if (!this.isOpen) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.socket.end(encodeFrame(OP_CLOSE, payload));
+        this.isOpen = false;
+    }
+
+    ping() {
+        if (!this.isOpen) return;
+        this.socket.write(encodeFrame(OP_PING, Buffer.alloc(0)));
+    }
+
+    onData(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        while (this.isOpen) {
+            const frame = this.readFrame();
+            if (!frame) break;
+            this.onFrame(frame);
+        }
+    }
+
+    // Next complete frame from the buffer, or null if more data is needed
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            const long = buffer.readBigUInt64BE(2);
+            length = long > BigInt(MAX_MESSAGE) ? Infinity : Number(long);
+            offset = 10;
+        }
+
+        // Clients must mask everything they send
+        if (!masked) {
+            this.close(1002, 'Unmasked frame');
+            return null;
+        }
+        if (length > MAX_MESSAGE) {
+            this.close(1009, 'Message too big');
+            return null;
+        }
+        if (buffer.length < offset + 4 + length) return null;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    onFrame(frame) {
+        switch (frame.opcode) {
+            case OP_TEXT:
+            case OP_BINARY:
+            case OP_CONTINUATION: {
+                if (frame.opcode !== OP_CONTINUATION) this.fragments = { opcode: frame.opcode, parts: [] };
+                if (!this.fragments) return this.close(1002, 'Unexpected continuation');
+
+                this.fragments.parts.push(frame.payload);
+                const size = this.fragments.parts.reduce((sum, part) => sum + part.length, 0);
+                if (size > MAX_MESSAGE) return this.close(1009, 'Message too big');
+                if (!frame.fin) return;
+
+                const message = this.fragments;
+                this.fragments = null;
+                if (message.opcode === OP_BINARY) return this.close(1003, 'Text only');
+                this.emit('message', Buffer.concat(message.parts).toString('utf-8'));
+                return;
+            }
+            case OP_PING:
+                this.socket.write(encodeFrame(OP_PONG, frame.payload));
+                return;
+            case OP_PONG:
+                this.alive = true;
+                return;
+            case OP_CLOSE:
+                this.close(frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1000);
+                return;
+            default:
+                this.close(1002, 'Unknown opcode');
+        }
+    }
+
+    onClose() {
+        this.isOpen = false;
+        this.emit('close');
+    }
+}
+
+// Accepts WebSocket upgrades on `path` of an http server and calls
+// `onConnection(ws, request)` for each one
+function attachWebSocketServer(server, path, onConnection) {
+    const sockets = new Set();
+
+    server.on('upgrade', function (request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        const url = new URL(request.url, 'http://localhost');
+        if (url.pathname !== path || !key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + GUID).digest('base64');
+        socket.write(
+            'HTTP/1.1 101 Switching Protocols\r\n' +
+            'Upgrade: websocket\r\n' +
+            'Connection: Upgrade\r\n' +
+            'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n'
+        );
+
+        const ws = new WebSocket(socket);
+        sockets.add(ws);
+        ws.on('close', () => sockets.delete(ws));
+        onConnection(ws, request);
+    });
+
+    // Drops clients that vanished without closing (sleeping laptop, pulled cable)
+    const heartbeat = setInterval(function () {
+        sockets.forEach(ws => {
+            if (!ws.alive) {
+                ws.socket.destroy();
+                return;
+            }
+            ws.alive = false;
+            ws.ping();
+        });
+    }, HEARTBEAT);
+    heartbeat.unref();
+}
+
+module.exports = { attachWebSocketServer, WebSocket };
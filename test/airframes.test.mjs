@@ -0,0 +1,87 @@
+// Airframe presets: checking them, and how each flies. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { AIRFRAME_PRESETS, DEFAULT_AIRFRAME, normalizeAirframe, getReplayAirframe } from '../js/airframes.js';
+import { DroneSim } from '../js/drone-sim.js';
+
+const DT = 1 / 500;
+
+function armedSim(airframe) {
+    const sim = new DroneSim();
+    sim.applyAirframe(airframe);
+    sim.reset(new THREE.Vector3(0, 50, 0), 0);
+    sim.setArming({ armed: true, turtle: false, crashed: false });
+    return sim;
+}
+
+test('the 5" preset is the quad the flight model was tuned on', () => {
+    const sim = new DroneSim();
+    assert.equal(sim.airframe, DEFAULT_AIRFRAME);
+    assert.equal(sim.mass, 0.5);
+    sim.motors.forEach(motor => assert.equal(motor.maxThrust, 3.75));
+    assert.deepEqual(sim.inertia.toArray(), [0.0025, 0.0045, 0.0025]);
+    assert.equal(sim.propRadius, 0.0635);
+    assert.equal(sim.boundingRadius, 0.11 + 0.065);
+    assert.equal(sim.battery.cells, 4);
+});
+
+test('every preset hovers, and rolls at the rate the sticks ask for', () => {
+    AIRFRAME_PRESETS.forEach(airframe => {
+        assert.deepEqual(normalizeAirframe(airframe), airframe, airframe.name + ' is out of range');
+        const sim = armedSim(airframe);
+        const weight = airframe.mass * 9.81;
+        const thrust = sim.motors.reduce((total, motor) => total + motor.maxThrust, 0);
+        assert.ok(Math.abs(thrust / weight - airframe.thrustToWeight) < 1e-9, airframe.name);
+
+        // Half a second of full roll stick
+        for (let i = 0; i < 250; i++) sim.update(DT, { thrust: 0.5, yaw: 0, pitch: 0, roll: 1 });
+        const error = Math.abs(sim.angularVelocity.z - sim.setpoint.z) / sim.setpoint.z;
+        assert.ok(error < 0.1, airframe.name + ' rolls ' + (error * 100).toFixed(0) + '% off the setpoint');
+
+        // Sticks centered: settles instead of wobbling
+        for (let i = 0; i < 1000; i++) sim.update(DT, { thrust: 0.5, yaw: 0, pitch: 0, roll: 0 });
+        assert.ok(sim.angularVelocity.length() < 0.01, airframe.name + ' still turns at ' + sim.angularVelocity.length());
+    });
+});
+
+test('bigger frames are harder to turn, and ducts make whoops wider', () => {
+    const small = armedSim(AIRFRAME_PRESETS.find(a => a.name === 'Tiny Whoop'));
+    const big = armedSim(AIRFRAME_PRESETS.find(a => a.name === '7" Long Range'));
+    assert.ok(big.inertia.x > small.inertia.x * 100);
+    assert.ok(big.propRadius > small.propRadius);
+    // Ducts stick out past the props
+    assert.ok(small.colliders[1].radius > small.propRadius * 1.1);
+    assert.ok(big.colliders[1].radius < big.propRadius * 1.1);
+});
+
+test('imported airframes are clamped and can only use models from assets/', () => {
+    const airframe = normalizeAirframe({
+        name: ' Brick ',
+        mass: 100,
+        thrustToWeight: 'lots',
+        drag: [0.01, -1],
+        battery: { cells: 3.4 },
+        model: { color: 'red', gltf: 'https://example.com/tracker.glb' }
+    });
+    assert.equal(airframe.name, 'Brick');
+    assert.equal(airframe.mass, 5);
+    assert.equal(airframe.thrustToWeight, DEFAULT_AIRFRAME.thrustToWeight);
+    assert.deepEqual(airframe.drag, [0.01, 0.0001, DEFAULT_AIRFRAME.drag[2]]);
+    assert.equal(airframe.battery.cells, 3);
+    assert.equal(airframe.model.color, DEFAULT_AIRFRAME.model.color);
+    assert.equal(airframe.model.gltf, null);
+
+    assert.equal(normalizeAirframe({ model: { gltf: 'assets/models/quad.glb' } }).model.gltf, 'assets/models/quad.glb');
+    assert.equal(normalizeAirframe({ model: { gltf: 'assets/../secret.glb' } }).model.gltf, null);
+    assert.throws(() => normalizeAirframe('5 inch'));
+});
+
+test('replays fly on their own airframe, older ones on the 5"', () => {
+    const whoop = AIRFRAME_PRESETS.find(a => a.name === 'Tiny Whoop');
+    const replayed = getReplayAirframe({ drone: { mode: 'ACRO', airframe: JSON.parse(JSON.stringify(whoop)) } });
+    assert.deepEqual(replayed, whoop);
+    assert.equal(getReplayAirframe({ drone: { mode: 'ACRO' } }), DEFAULT_AIRFRAME);
+    assert.equal(getReplayAirframe({ drone: null }), DEFAULT_AIRFRAME);
+});
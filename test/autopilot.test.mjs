@@ -0,0 +1,101 @@
+// The autopilot: its racing line, and whole races flown with no one at the
+// sticks. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import * as THREE from 'three';
+import { TrajectoryPlanner, CourseFlight, flyCourse } from '../js/autopilot.js';
+import { DroneSim } from '../js/drone-sim.js';
+import { CollisionWorld } from '../js/collision.js';
+import { EnvironmentManager } from '../js/environment.js';
+
+// Just what the race needs of a gate: its pose and opening
+function gate(x, y, z, rotationY) {
+    const object = new THREE.Object3D();
+    object.position.set(x, y, z);
+    object.rotation.y = rotationY;
+    object.userData.gate = { opening: 3.75 };
+    object.updateMatrixWorld();
+    return object;
+}
+
+// Four gates around a square, flown counter-clockwise seen from above
+const SQUARE = [
+    gate(0, 5, -40, 0),
+    gate(-40, 6, -80, Math.PI / 2),
+    gate(-80, 5, -40, Math.PI),
+    gate(-40, 4, 0, -Math.PI / 2)
+];
+
+test('the racing line goes through every gate center along the gate', () => {
+    const planner = new TrajectoryPlanner(SQUARE);
+    SQUARE.forEach((g, i) => {
+        const point = planner.points[planner.getGatePoint(i)];
+        assert.ok(point.position.distanceTo(g.position) < 1e-9, 'misses gate ' + i);
+
+        const forward = new THREE.Vector3(-Math.sin(g.rotation.y), 0, -Math.cos(g.rotation.y));
+        assert.ok(point.tangent.dot(forward) > 0.99, 'crosses gate ' + i + ' at an angle');
+    });
+});
+
+test('the planned speed keeps within the turn and braking limits', () => {
+    const planner = new TrajectoryPlanner(SQUARE, { maxSpeed: 20, maxLateralAcceleration: 10, maxAcceleration: 6 });
+    const points = planner.points;
+    points.forEach((point, i) => {
+        assert.ok(point.speed <= 20 + 1e-9);
+        assert.ok(point.speed * point.speed * point.curvature.length() <= 10 + 1e-6, 'too fast for the turn at ' + i);
+
+        const next = points[(i + 1) % points.length];
+        const change = Math.abs(next.speed * next.speed - point.speed * point.speed) / (2 * planner.getGap(point, next));
+        assert.ok(change <= 6 + 1e-6, 'speed changes too quickly at ' + i);
+    });
+});
+
+test('flies a course of gates to the finish', () => {
+    const collision = new CollisionWorld();
+    collision.build([{ userData: { ground: true } }]);
+    const spawn = { position: new THREE.Vector3(0, 2, -20), yaw: 0 };
+
+    const result = flyCourse(new DroneSim(), { gates: SQUARE, spawn: spawn, collision: collision, wind: null });
+    assert.equal(result.error, null);
+    assert.equal(result.finished, true);
+    assert.equal(result.lapTimes.length, 3);
+    assert.equal(result.crashes, 0);
+    assert.equal(result.par, Math.ceil(Math.min(...result.lapTimes) * 10) / 10);
+});
+
+test('flies a built-in map in its wind and around its obstacles', () => {
+    const map = JSON.parse(fs.readFileSync(new URL('../maps/city.json', import.meta.url), 'utf-8'));
+    const env = new EnvironmentManager(new THREE.Scene(), { textures: false });
+    env.loadMap(map, 1);
+
+    const course = { gates: env.gates, spawn: env.spawn, collision: env.collision, wind: env.wind };
+    const result = flyCourse(new DroneSim(), course);
+    assert.equal(result.finished, true, result.error);
+
+    // Deterministic, so par times can be compared between runs
+    assert.deepEqual(flyCourse(new DroneSim(), course).lapTimes, result.lapTimes);
+
+    // Flown a bit per frame like the editor does, it's the same flight
+    const flight = new CourseFlight(new DroneSim(), course);
+    let chunks = 1;
+    while (!flight.run(1000)) chunks++;
+    assert.ok(chunks > 10);
+    assert.deepEqual(flight.result, result);
+    env.dispose();
+});
+
+test('reports a course that cannot be finished', () => {
+    const collision = new CollisionWorld();
+    collision.build([{ userData: { ground: true } }]);
+    const spawn = { position: new THREE.Vector3(0, 2, -20), yaw: 0 };
+
+    assert.equal(flyCourse(new DroneSim(), { gates: [], spawn: spawn, collision: collision }).error, 'the course has no gates');
+
+    // A gate buried in the ground can't be flown through
+    const result = flyCourse(new DroneSim(), { gates: [gate(0, -10, -40, 0), gate(0, 5, -100, 0)], spawn: spawn, collision: collision }, { gateTimeout: 10 });
+    assert.equal(result.finished, false);
+    assert.equal(result.gate, 0);
+    assert.ok(result.error);
+});
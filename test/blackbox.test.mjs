@@ -0,0 +1,90 @@
+// The blackbox ring buffer and its CSV export. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { BlackboxLog, BLACKBOX_COLUMNS, BLACKBOX_TRACES } from '../js/blackbox.js';
+import { DroneSim } from '../js/drone-sim.js';
+
+const DT = 1 / 500;
+const CENTERED = { thrust: 0, yaw: 0, pitch: 0, roll: 0 };
+
+function armedSim() {
+    const sim = new DroneSim();
+    sim.reset(new THREE.Vector3(0, 20, 0), 0);
+    sim.setArming({ armed: true, turtle: false, crashed: false });
+    return sim;
+}
+
+test('keeps the newest steps once the buffer is full', () => {
+    const log = new BlackboxLog(500, 0.01); // 5 rows
+    const sim = new DroneSim();
+    for (let i = 0; i < 12; i++) log.record(sim, CENTERED);
+
+    assert.equal(log.length, 5);
+    assert.equal(log.duration, 0.01);
+    const iteration = log.getColumn('loopIteration');
+    assert.deepEqual([0, 1, 2, 3, 4].map(row => log.get(row, iteration)), [7, 8, 9, 10, 11]);
+    assert.equal(log.get(4, log.getColumn('time (us)')), 22000);
+
+    log.clear();
+    assert.equal(log.length, 0);
+    assert.equal(log.toCSV().trim().split('\n').length, 1);
+});
+
+test('logs sticks, setpoint and gyro in Betaflight axis order and units', () => {
+    const log = new BlackboxLog();
+    const sim = armedSim();
+    const input = { thrust: 0.5, roll: 1, pitch: -0.5, yaw: 0 };
+    for (let i = 0; i < 250; i++) {
+        sim.update(DT, input);
+        log.record(sim, input);
+    }
+
+    const last = log.length - 1;
+    const value = (name) => log.get(last, log.getColumn(name));
+    assert.equal(value('rcCommand[0]'), 500);
+    assert.equal(value('rcCommand[1]'), -250);
+    assert.equal(value('rcCommand[3]'), 1500);
+    assert.equal(value('setpoint[3]'), 500);
+
+    // Half a second in, the gyro has caught up with a full roll stick
+    const roll = THREE.MathUtils.radToDeg(sim.setpoint.z);
+    assert.ok(Math.abs(value('setpoint[0]') - roll) < 1e-9);
+    assert.ok(Math.abs(value('gyroADC[0]') - roll) < roll * 0.1, 'gyro ' + value('gyroADC[0]') + ' for ' + roll);
+    assert.ok(value('setpoint[1]') < 0);
+    assert.equal(value('setpoint[2]'), 0);
+    assert.ok(value('motor[0]') > 1000 && value('motor[0]') <= 2000);
+    assert.equal(value('armed'), 1);
+});
+
+test('exports a CSV row per step under the column names', () => {
+    const log = new BlackboxLog();
+    const sim = new DroneSim();
+    sim.reset(new THREE.Vector3(0, 3, 0), 0);
+    for (let i = 0; i < 3; i++) {
+        sim.update(DT, CENTERED);
+        log.record(sim, CENTERED);
+    }
+
+    const lines = log.toCSV().trim().split('\n');
+    assert.equal(lines.length, 4);
+    const header = lines[0].split(',');
+    assert.deepEqual(header, BLACKBOX_COLUMNS.map(column => column.name));
+    assert.equal(header[0], 'loopIteration');
+    assert.equal(header[1], 'time (us)');
+
+    const row = lines[3].split(',');
+    assert.equal(row.length, header.length);
+    assert.equal(row[header.indexOf('time (us)')], '4000');
+    assert.ok(Math.abs(Number(row[header.indexOf('altitude (m)')]) - sim.position.y) <= 0.005);
+    // Disarmed: no setpoint, and no "-0"
+    assert.equal(row[header.indexOf('setpoint[0]')], '0');
+    assert.ok(!lines.some(line => /(^|,)-0(,|$)/.test(line)));
+});
+
+test('the viewer traces name real columns', () => {
+    const log = new BlackboxLog(500, 1);
+    BLACKBOX_TRACES.forEach(trace => trace.columns.forEach(name => log.getColumn(name)));
+    assert.throws(() => log.getColumn('gyroADC[3]'));
+});
@@ -0,0 +1,224 @@
+// Physics of the headless DroneSim: hover, free fall, rates, self-levelling
+// and contacts. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { DroneSim } from '../js/drone-sim.js';
+import { CollisionWorld } from '../js/collision.js';
+import { betaflightRate } from '../js/rates.js';
+
+const DT = 1 / 500; // The game's physics rate
+const CENTERED = { thrust: 0, yaw: 0, pitch: 0, roll: 0 };
+
+function steps(sim, seconds, input, world = null) {
+    for (let i = 0; i < Math.round(seconds / DT); i++) sim.update(DT, { ...CENTERED, ...input }, world);
+}
+
+function armedSim(height = 20, mode = 'ACRO') {
+    const sim = new DroneSim();
+    sim.reset(new THREE.Vector3(0, height, 0), 0);
+    sim.mode = mode;
+    sim.setArming({ armed: true, turtle: false, crashed: false });
+    return sim;
+}
+
+// Ground plane plus one box obstacle, built the way maps are
+function worldWithBox(center, size) {
+    const world = new CollisionWorld();
+    world.build([
+        { userData: { ground: true } },
+        { userData: { obstacle: { type: 'box' } }, position: center, scale: size, rotation: { y: 0 } }
+    ]);
+    return world;
+}
+
+function euler(sim) {
+    return new THREE.Euler().setFromQuaternion(sim.quaternion, 'YXZ');
+}
+
+// Throttle where the quad stops climbing or sinking after spinning up
+function findHoverThrottle() {
+    let low = 0, high = 1;
+    for (let i = 0; i < 20; i++) {
+        const throttle = (low + high) / 2;
+        const sim = armedSim();
+        steps(sim, 2, { thrust: throttle });
+        if (sim.velocity.y > 0) high = throttle;
+        else low = throttle;
+    }
+    return (low + high) / 2;
+}
+
+test('runs without a scene or a DOM', () => {
+    const sim = new DroneSim();
+    assert.equal(sim.mesh, undefined);
+    assert.deepEqual(sim.position.toArray(), [0, 2, 0]);
+});
+
+test('hovers at equilibrium: thrust matches weight and altitude holds', () => {
+    const throttle = findHoverThrottle();
+    assert.ok(throttle > 0.35 && throttle < 0.5, 'hover throttle ' + throttle);
+
+    const sim = armedSim();
+    steps(sim, 2, { thrust: throttle });
+    const height = sim.position.y;
+    steps(sim, 1, { thrust: throttle });
+
+    const weight = sim.mass * -sim.gravity;
+    assert.ok(Math.abs(sim.totalThrust / weight - 1) < 0.02, 'thrust / weight ' + sim.totalThrust / weight);
+    assert.ok(Math.abs(sim.position.y - height) < 0.3, 'altitude changed by ' + (sim.position.y - height));
+    assert.ok(Math.abs(euler(sim).x) < 1e-6 && Math.abs(euler(sim).z) < 1e-6, 'tilted while hovering');
+});
+
+test('falls freely when disarmed', () => {
+    const sim = new DroneSim();
+    sim.reset(new THREE.Vector3(0, 100, 0), 0);
+    sim.dragCoefficient.set(0, 0, 0);
+    const n = 500;
+    steps(sim, n * DT, {});
+
+    // Semi-implicit Euler: v_n = g n dt, y_n = y_0 + g dt^2 n (n + 1) / 2
+    assert.ok(Math.abs(sim.velocity.y - sim.gravity * n * DT) < 1e-9);
+    assert.ok(Math.abs(sim.position.y - (100 + sim.gravity * DT * DT * n * (n + 1) / 2)) < 1e-9);
+    assert.equal(sim.velocity.x, 0);
+    assert.equal(sim.velocity.z, 0);
+    assert.equal(sim.totalThrust, 0);
+});
+
+test('drag limits the fall to the terminal velocity of the flat frame', () => {
+    const sim = new DroneSim();
+    sim.reset(new THREE.Vector3(0, 1000, 0), 0);
+    steps(sim, 10, {});
+
+    const terminal = Math.sqrt(sim.mass * -sim.gravity / sim.dragCoefficient.y);
+    assert.ok(Math.abs(-sim.velocity.y - terminal) < 0.05, 'fell at ' + -sim.velocity.y + ' m/s, terminal ' + terminal);
+});
+
+test('flips at the Betaflight rate at full stick in ACRO', () => {
+    const sim = armedSim();
+    steps(sim, 0.5, { thrust: 0.45, roll: 1 });
+
+    const rates = sim.rates.roll;
+    const expected = betaflightRate(1, rates.rcRate, rates.superRate, rates.expo);
+    const actual = THREE.MathUtils.radToDeg(sim.angularVelocity.z);
+    assert.ok(Math.abs(actual / expected - 1) < 0.02, 'rolled at ' + actual + ' deg/s, expected ' + expected);
+
+    // No cross coupling into the other axes, beyond some prop wash shake
+    const limit = 0.02 * sim.angularVelocity.z;
+    assert.ok(Math.abs(sim.angularVelocity.x) < limit && Math.abs(sim.angularVelocity.y) < limit);
+});
+
+test('a full roll at full stick takes about 360 / rate seconds', () => {
+    const sim = armedSim();
+    const rates = sim.rates.roll;
+    const seconds = 360 / betaflightRate(1, rates.rcRate, rates.superRate, rates.expo);
+
+    let rolled = 0;
+    for (let i = 0; i < Math.round(1.5 * seconds / DT); i++) {
+        sim.update(DT, { ...CENTERED, thrust: 0.45, roll: 1 });
+        rolled += sim.angularVelocity.z * DT;
+        if (rolled >= 2 * Math.PI) {
+            // The motors need a moment to spin the frame up
+            assert.ok((i + 1) * DT < seconds + 0.1, 'full roll took ' + (i + 1) * DT + ' s');
+            return;
+        }
+    }
+    assert.fail('never completed a roll');
+});
+
+test('levels itself in LEVEL mode with the sticks centered', () => {
+    const sim = armedSim(20, 'LEVEL');
+    sim.quaternion.setFromEuler(new THREE.Euler(0.5, 0, -0.4, 'YXZ'));
+    steps(sim, 1, { thrust: 0.45 });
+
+    const angles = euler(sim);
+    assert.ok(Math.abs(angles.x) < 0.01 && Math.abs(angles.z) < 0.01, 'still tilted ' + angles.x + ', ' + angles.z);
+});
+
+test('holds the stick angle in LEVEL mode', () => {
+    const sim = armedSim(20, 'LEVEL');
+    steps(sim, 2, { thrust: 0.45, pitch: 0.5, roll: -0.25 });
+
+    const angles = euler(sim);
+    assert.ok(Math.abs(angles.x - 0.5 * sim.angleLimit) < 0.01, 'pitch ' + angles.x);
+    assert.ok(Math.abs(angles.z + 0.25 * sim.angleLimit) < 0.01, 'roll ' + angles.z);
+});
+
+test('lands on the ground and comes to rest', () => {
+    const world = new CollisionWorld();
+    world.build([{ userData: { ground: true } }]);
+    const sim = new DroneSim();
+    sim.reset(new THREE.Vector3(0, 1, 0), 0);
+    steps(sim, 3, {}, world);
+
+    // Resting on the sphere that reaches lowest
+    const lowest = Math.max(...sim.colliders.map(c => c.radius - c.center.y));
+    assert.ok(Math.abs(sim.position.y - lowest) < 0.01, 'resting at ' + sim.position.y);
+    assert.ok(sim.velocity.length() < 1e-3, 'still moving at ' + sim.velocity.length());
+    assert.equal(sim.crashed, false);
+    assert.ok(sim.motors.every(m => m.efficiency === 1), 'props damaged by a soft landing');
+});
+
+test('a hard fall onto the ground is a crash', () => {
+    const world = new CollisionWorld();
+    world.build([{ userData: { ground: true } }]);
+    const sim = new DroneSim();
+    sim.reset(new THREE.Vector3(0, 15, 0), 0);
+    sim.dragCoefficient.set(0, 0, 0);
+    steps(sim, 3, {}, world);
+
+    assert.equal(sim.crashed, true);
+    assert.ok(sim.position.y > 0, 'fell through the ground');
+});
+
+test('bounces off a wall, damaging props above the damage speed', () => {
+    for (const speed of [3, 10]) {
+        const world = worldWithBox(new THREE.Vector3(0, 5, -3), new THREE.Vector3(10, 10, 1));
+        const sim = new DroneSim();
+        sim.reset(new THREE.Vector3(0, 5, 0), 0);
+        sim.velocity.set(0, 0, -speed);
+
+        let impact = 0;
+        for (let i = 0; i < 500 && impact === 0; i++) {
+            sim.update(DT, CENTERED, world);
+            impact = sim.lastImpact;
+        }
+
+        assert.ok(Math.abs(impact - speed) < 0.5, 'hit the wall at ' + impact + ' m/s');
+        assert.ok(sim.velocity.z > 0, 'did not bounce back at ' + speed + ' m/s');
+        assert.ok(sim.position.z > -2.5, 'inside the wall');
+        assert.equal(sim.crashed, false);
+        const damaged = sim.motors.some(m => m.efficiency < 1);
+        assert.equal(damaged, speed >= sim.damageSpeed, 'prop damage at ' + speed + ' m/s');
+    }
+});
+
+test('hitting a wall above the crash speed ends the flight', () => {
+    const world = worldWithBox(new THREE.Vector3(0, 5, -3), new THREE.Vector3(10, 10, 1));
+    const sim = armedSim(5);
+    sim.velocity.set(0, 0, -20);
+    steps(sim, 0.2, { thrust: 0.5 }, world);
+
+    assert.equal(sim.crashed, true);
+    assert.ok(sim.position.z > -2.5, 'went through the wall');
+
+    // Crashed quads have their motors cut
+    steps(sim, 0.1, { thrust: 1 }, world);
+    assert.ok(sim.motors.every(m => m.command === 0));
+});
+
+test('saveState and loadState continue the exact same flight', () => {
+    const world = worldWithBox(new THREE.Vector3(0, 5, -8), new THREE.Vector3(4, 10, 1));
+    const input = { thrust: 0.5, pitch: -0.3, roll: 0.1, yaw: 0.2 };
+    const sim = armedSim(3, 'LEVEL');
+    steps(sim, 0.5, input, world);
+
+    const state = sim.saveState();
+    steps(sim, 1, input, world);
+    const expected = sim.position.clone();
+
+    sim.loadState(state);
+    steps(sim, 1, input, world);
+    assert.deepEqual(sim.position.toArray(), expected.toArray());
+});
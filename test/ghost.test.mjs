@@ -0,0 +1,82 @@
+// The ghost re-flying a recorded run. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Ghost } from '../js/ghost.js';
+import { Drone } from '../js/physics.js';
+import { Replay } from '../js/replay.js';
+import { AIRFRAME_PRESETS } from '../js/airframes.js';
+
+const DT = 1 / 500;
+
+function climbingReplay() {
+    const replay = new Replay({ spawn: { position: [0, 2, 0], yaw: 0 } });
+    replay.addEvent(0, 'arming', { armed: true, turtle: false, crashed: false });
+    for (let tick = 0; tick < 1000; tick++) replay.record({ thrust: tick < 10 ? 0 : 0.6, yaw: 0, pitch: 0.2, roll: 0 });
+    return replay;
+}
+
+test('a hidden ghost keeps flying and comes back in step with the run', () => {
+    const replay = climbingReplay();
+    const shown = new Ghost(new THREE.Scene());
+    const toggled = new Ghost(new THREE.Scene());
+    shown.setReplay(replay);
+    toggled.setReplay(replay);
+
+    for (let tick = 0; tick < 600; tick++) {
+        if (tick === 100) toggled.setEnabled(false);
+        if (tick === 400) toggled.setEnabled(true);
+        assert.equal(toggled.drone.mesh.visible, tick < 100 || tick >= 400);
+        shown.update(DT, null, null);
+        toggled.update(DT, null, null);
+    }
+
+    assert.equal(toggled.tick, shown.tick);
+    assert.deepEqual(toggled.drone.position.toArray(), shown.drone.position.toArray());
+});
+
+// Materials of a model, and whether three.js was told to free them
+function watchMaterials(model) {
+    const materials = new Map();
+    model.traverse(child => {
+        if (!child.material || materials.has(child.material)) return;
+        materials.set(child.material, false);
+        child.material.addEventListener('dispose', () => materials.set(child.material, true));
+    });
+    return materials;
+}
+
+test('a see-through ghost frees its old model on every airframe change', () => {
+    const drone = new Ghost(new THREE.Scene()).drone;
+    let materials = watchMaterials(drone.model);
+    for (const airframe of AIRFRAME_PRESETS) {
+        drone.applyAirframe(airframe);
+        assert.ok([...materials.values()].every(disposed => disposed));
+        materials = watchMaterials(drone.model);
+        assert.ok([...materials.keys()].every(material => material.opacity === 0.35 && material.transparent));
+    }
+
+    // A glTF model's materials are shared with every drone that uses it,
+    // only the ghost's copies of them are its own
+    const shared = new THREE.MeshStandardMaterial();
+    const model = new THREE.Group().add(new THREE.Mesh(new THREE.BoxGeometry(), shared), new THREE.Mesh(new THREE.BoxGeometry(), shared));
+    drone.setModel(model);
+    const copies = watchMaterials(drone.model);
+    assert.equal(copies.size, 1);
+    assert.equal(shared.opacity, 1);
+    let sharedDisposed = false;
+    shared.addEventListener('dispose', () => sharedDisposed = true);
+    drone.applyAirframe(AIRFRAME_PRESETS[0]);
+    assert.ok([...copies.values()].every(disposed => disposed));
+    assert.equal(sharedDisposed, false);
+});
+
+test('a disposed drone leaves the scene with its model freed', () => {
+    const scene = new THREE.Scene();
+    const drone = new Drone(scene);
+    const materials = watchMaterials(drone.model);
+    drone.dispose();
+    assert.equal(scene.children.length, 0);
+    assert.ok([...materials.values()].every(disposed => disposed));
+});
@@ -0,0 +1,100 @@
+// Golden trajectory: a scripted flight through wind, into a wall and back
+// down onto the ground, compared against the states recorded in
+// fixtures/golden-trajectory.json. Any change to the flight model shows up
+// here; when the change is intended, record the new trajectory with
+// `UPDATE_GOLDEN=1 npm test` and commit the fixture with it.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import * as THREE from 'three';
+import { DroneSim } from '../js/drone-sim.js';
+import { CollisionWorld } from '../js/collision.js';
+import { WindField } from '../js/wind.js';
+
+const FIXTURE = new URL('./fixtures/golden-trajectory.json', import.meta.url);
+const DT = 1 / 500;
+const SECONDS = 12;
+const SAMPLE_EVERY = 50; // steps
+const TOLERANCE = 1e-6;
+
+// Sticks, flight mode and arming over the flight. It stays clear of hard
+// crashes: a tumbling frame is chaotic, and rounding differences between
+// machines would grow into a different trajectory.
+function script(t) {
+    const input = (thrust, yaw, pitch, roll) => ({ thrust: thrust, yaw: yaw, pitch: pitch, roll: roll });
+    if (t < 1) return { mode: 'LEVEL', armed: true, input: input(0.46, 0, 0, 0) }; // Take off
+    if (t < 4) return { mode: 'LEVEL', armed: true, input: input(0.41, 0, -0.3, 0.05) }; // Into the wall
+    if (t < 5) return { mode: 'LEVEL', armed: true, input: input(0.43, 0.4, 0.2, 0) }; // Back off and turn
+    if (t < 5.55) return { mode: 'ACRO', armed: true, input: input(0.35, 0, 0, 1) }; // Roll
+    if (t < 6) return { mode: 'ACRO', armed: true, input: input(0.45, 0, 0, 0) };
+    if (t < 8) return { mode: 'LEVEL', armed: true, input: input(0.38, 0, 0, 0) }; // Down to the ground
+    if (t < 10) return { mode: 'LEVEL', armed: true, input: input(0.4, 0, 0, 0) };
+    return { mode: 'LEVEL', armed: false, input: input(0, 0, 0, 0) };
+}
+
+function fly() {
+    const world = new CollisionWorld();
+    world.build([
+        { userData: { ground: true } },
+        { userData: { obstacle: { type: 'box' } }, position: new THREE.Vector3(0, 10, -12), scale: new THREE.Vector3(8, 20, 1), rotation: { y: 0.3 } },
+        { userData: { obstacle: { type: 'tree' } }, position: new THREE.Vector3(-6, 0, -4), scale: new THREE.Vector3(1, 1, 1), rotation: { y: 0 } }
+    ]);
+    const wind = new WindField();
+    wind.configure({ direction: 60, speed: 4, gusts: 3, turbulence: 1 }, 1234, world);
+
+    const sim = new DroneSim();
+    sim.reset(new THREE.Vector3(0, 0.08, 0), 0);
+
+    const samples = [];
+    const steps = Math.round(SECONDS / DT);
+    for (let i = 0; i < steps; i++) {
+        const step = script(i * DT);
+        sim.mode = step.mode;
+        if (step.armed !== sim.armed) sim.setArming({ armed: step.armed, turtle: false, crashed: sim.crashed });
+        sim.update(DT, step.input, world, wind);
+
+        if ((i + 1) % SAMPLE_EVERY === 0) {
+            samples.push({
+                step: i + 1,
+                position: sim.position.toArray(),
+                quaternion: sim.quaternion.toArray(),
+                velocity: sim.velocity.toArray(),
+                angularVelocity: sim.angularVelocity.toArray(),
+                voltage: sim.battery.voltage,
+                crashed: sim.crashed
+            });
+        }
+    }
+    return samples;
+}
+
+test('follows the recorded golden trajectory', () => {
+    const samples = fly();
+
+    if (process.env.UPDATE_GOLDEN) {
+        fs.mkdirSync(new URL('.', FIXTURE), { recursive: true });
+        // One sample per line, so changes read well in a diff
+        const lines = samples.map(sample => '  ' + JSON.stringify(sample));
+        fs.writeFileSync(FIXTURE, '{"dt": ' + DT + ', "samples": [\n' + lines.join(',\n') + '\n]}\n');
+        return;
+    }
+
+    const golden = JSON.parse(fs.readFileSync(FIXTURE, 'utf-8'));
+    assert.equal(samples.length, golden.samples.length);
+    samples.forEach((sample, i) => {
+        const expected = golden.samples[i];
+        const at = 'at step ' + sample.step;
+        assert.equal(sample.crashed, expected.crashed, 'crashed ' + at);
+        for (const key of ['position', 'quaternion', 'velocity', 'angularVelocity', 'voltage']) {
+            [].concat(sample[key]).forEach((value, j) => {
+                const want = [].concat(expected[key])[j];
+                assert.ok(Math.abs(value - want) <= TOLERANCE, `${key}[${j}] ${at} is ${value}, recorded ${want}`);
+            });
+        }
+    });
+});
+
+test('the same inputs always fly the same trajectory', () => {
+    assert.deepEqual(fly(), fly());
+});
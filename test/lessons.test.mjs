@@ -0,0 +1,138 @@
+// Lesson objectives checked against the drone's pose. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LESSONS, LessonRunner } from '../js/lessons.js';
+import { EnvironmentManager } from '../js/environment.js';
+
+const DT = 1 / 500;
+
+function lesson(id) {
+    return LESSONS.find(l => l.id === id);
+}
+
+function start(id) {
+    const env = new EnvironmentManager(new THREE.Scene(), { textures: false });
+    env.loadMap(lesson(id).map, 0);
+    const runner = new LessonRunner(new THREE.Scene());
+    runner.start(lesson(id), env);
+    return { runner, env };
+}
+
+// All the runner looks at
+function pose(x, y, z, yaw = 0) {
+    const position = new THREE.Vector3(x, y, z);
+    return {
+        position: position,
+        prevPosition: position.clone(),
+        quaternion: new THREE.Quaternion().setFromEuler(new THREE.Euler(0, yaw, 0, 'YXZ'))
+    };
+}
+
+function hold(runner, drone, seconds) {
+    for (let i = 0; i < Math.round(seconds / DT); i++) runner.update(DT, drone);
+}
+
+// Moves the drone from `from` to `to` in one step
+function flyThrough(runner, drone, from, to) {
+    drone.prevPosition.copy(from);
+    drone.position.copy(to);
+    runner.update(DT, drone);
+    drone.prevPosition.copy(to);
+}
+
+test('every lesson map loads and its steps point at real zones and gates', () => {
+    const ids = new Set();
+    LESSONS.forEach(l => {
+        assert.ok(!ids.has(l.id), 'duplicate lesson ' + l.id);
+        ids.add(l.id);
+
+        const { env } = start(l.id);
+        l.steps.forEach((step, i) => {
+            if (step.zone !== undefined) assert.ok(step.zone < (l.zones || []).length, l.id + ' step ' + i);
+            if (step.gate !== undefined) assert.ok(step.gate < env.gates.length, l.id + ' step ' + i);
+            if (step.retry !== undefined) assert.ok(step.retry < i, l.id + ' step ' + i);
+        });
+        assert.ok(l.stars[0] < l.stars[1]);
+    });
+});
+
+test('a hover has to be held in the box without a break', () => {
+    const { runner } = start('hover');
+    const drone = pose(0, 2, 0);
+    hold(runner, drone, 1);
+    assert.equal(runner.step, 0);
+
+    drone.position.set(0, 3, -8);
+    hold(runner, drone, 6);
+    assert.equal(runner.step, 1);
+    assert.ok(runner.markers[0].visible);
+
+    // Out of the box for a moment: the hold starts over
+    drone.position.set(0, 5, -8);
+    hold(runner, drone, 0.1);
+    assert.equal(runner.held, 0);
+
+    let result = null;
+    runner.onComplete = (r) => result = r;
+    drone.position.set(0.5, 3.2, -7.5);
+    hold(runner, drone, 9.9);
+    assert.equal(result, null);
+    hold(runner, drone, 0.2);
+
+    assert.equal(runner.state, 'COMPLETE');
+    assert.ok(Math.abs(result.time - 17.1) < 0.01, 'took ' + result.time);
+    assert.equal(result.stars, 3);
+});
+
+test('the nose has to point at the line of sight pilot', () => {
+    const { runner } = start('nose_in');
+    const drone = pose(0, 3, -8);
+    hold(runner, drone, 0.1);
+    assert.equal(runner.step, 1);
+
+    // Nose away from the pilot, then turned around
+    hold(runner, drone, 10);
+    assert.equal(runner.state, 'RUNNING');
+    drone.quaternion.setFromEuler(new THREE.Euler(0, Math.PI + 0.3, 0, 'YXZ'));
+    hold(runner, drone, 8.1);
+    assert.equal(runner.state, 'COMPLETE');
+});
+
+test('a trick goes back to its start when it takes too long', () => {
+    const { runner } = start('power_loop');
+    const drone = pose(0, 5, 0);
+    flyThrough(runner, drone, new THREE.Vector3(0, 5, -19), new THREE.Vector3(0, 5, -21));
+    assert.equal(runner.step, 1);
+
+    // Upside down over the gate in time
+    drone.position.set(0, 14, -22);
+    drone.quaternion.setFromEuler(new THREE.Euler(Math.PI, 0, 0, 'YXZ'));
+    hold(runner, drone, 0.5);
+    assert.equal(runner.step, 2);
+
+    // ...but never comes back down through it
+    hold(runner, drone, 5.1);
+    assert.equal(runner.step, 0);
+
+    // The gate only counts in its flight direction
+    drone.quaternion.identity();
+    flyThrough(runner, drone, new THREE.Vector3(0, 5, -21), new THREE.Vector3(0, 5, -19));
+    assert.equal(runner.step, 0);
+});
+
+test('stars go by the lesson time', () => {
+    const { runner } = start('hover');
+    const [three, two] = lesson('hover').stars;
+    const inBox = pose(0, 3, -8);
+    const outside = pose(0, 10, 0);
+
+    // Dawdling outside the box for a while first, then the 10 s hold
+    [[0, 3], [three, 2], [two, 1]].forEach(([wait, stars]) => {
+        runner.reset();
+        hold(runner, outside, wait);
+        hold(runner, inBox, 10.1);
+        assert.equal(runner.result.stars, stars, 'after waiting ' + wait + ' s');
+    });
+});
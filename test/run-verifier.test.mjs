@@ -0,0 +1,47 @@
+// Server-side re-simulation of submitted runs. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import * as THREE from 'three';
+import { simulateRun } from '../server/run-verifier.mjs';
+import { EnvironmentManager } from '../js/environment.js';
+import { Replay } from '../js/replay.js';
+import { AIRFRAME_PRESETS } from '../js/airframes.js';
+import { DEFAULT_PROFILE } from '../js/tuning.js';
+
+const map = JSON.parse(fs.readFileSync(new URL('../maps/city.json', import.meta.url), 'utf-8'));
+const env = new EnvironmentManager(new THREE.Scene(), { textures: false });
+env.loadMap(map, 1);
+
+// A second on the grid, armed on the first step with `throttle` up
+function replayArmedAt(throttle, turtle = false, airframe = undefined) {
+    const replay = new Replay({
+        map: map.id,
+        seed: 1,
+        spawn: { position: env.spawn.position.toArray(), yaw: env.spawn.yaw },
+        drone: airframe ? { mode: 'ACRO', tuning: DEFAULT_PROFILE, airframe: airframe } : null
+    });
+    replay.addEvent(0, 'arming', { armed: true, turtle: turtle, crashed: false });
+    for (let tick = 0; tick < 500; tick++) replay.record({ thrust: throttle, yaw: 0, pitch: 0, roll: 0 });
+    return replay;
+}
+
+test('arming needs the throttle down, like in the game', () => {
+    // Passes the arming checks, then falls short of the finish
+    assert.throws(() => simulateRun(replayArmedAt(0), map), /does not finish/);
+    assert.throws(() => simulateRun(replayArmedAt(0.05), map), /does not finish/);
+    assert.throws(() => simulateRun(replayArmedAt(1), map), /armed with throttle up/);
+    assert.throws(() => simulateRun(replayArmedAt(1, true), map), /armed with throttle up/);
+});
+
+test('only the preset drones race on the leaderboards', () => {
+    // Any preset, under any name and colour
+    const whoop = JSON.parse(JSON.stringify(AIRFRAME_PRESETS.find(a => a.name === 'Tiny Whoop')));
+    assert.throws(() => simulateRun(replayArmedAt(0, false, whoop), map), /does not finish/);
+    Object.assign(whoop, { name: 'My whoop', model: { color: '#123456', gltf: null } });
+    assert.throws(() => simulateRun(replayArmedAt(0, false, whoop), map), /does not finish/);
+
+    const rocket = Object.assign({}, whoop, { thrustToWeight: 20, mass: 0.01 });
+    assert.throws(() => simulateRun(replayArmedAt(0, false, rocket), map), /custom drones/);
+});